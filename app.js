@@ -10,31 +10,20 @@
 // Workout state tracking
 let isRunning = false;          // Is a workout currently active?
 let startTime = null;           // When did the current workout start? (timestamp)
-let totalDistance = 0;          // How far have we rowed? (in meters)
-let lastPosition = null;        // Last GPS position we recorded
-let strokeCount = 0;            // How many strokes in this workout?
-let lastStrokeTime = 0;         // When was the last stroke? (for rate calculation)
-let strokeTimes = [];           // Array storing recent stroke timestamps
-let speedHistory = [];          // Array storing recent speed measurements
 let watchId = null;             // GPS tracking ID (so we can stop it later)
+let displayedWorkout = null;    // Workout currently shown in the summary panel (for export)
+let interruptions = [];         // Gaps in the recording {start, end} (ms) - page frozen or killed
 
-// Motion sensor data for stroke detection
+// Settings the workout is started with
 let motionPermission = false;   // Do we have permission to use motion sensors?
-let accelerationHistory = [];   // Array storing recent acceleration data
-let lastStrokeDetection = 0;    // When did we last detect a stroke?
-let currentStrokeRate = 0;      // Current calculated stroke rate
+let motionDetector = 'spike';   // Options: 'spike' (magnitude threshold) or 'axis' (boat-axis surge)
+let detectionSettings = getActiveDetectionSettings();  // Thresholds from the picked profile (see models/profiles.js)
+let splitWindow = 5;            // Split smoothing window in seconds (1, 5 or 10)
+let strokeRateMethod = 'gps';   // Options: 'motion', 'autocorr', 'gps', 'both', 'fused' or 'erg' - Default to GPS like NK SpeedCoach
 
-// GPS-based stroke rate detection
-let gpsStrokeRate = 0;          // Stroke rate calculated from GPS speed patterns
-let speedPeaks = [];            // Array storing detected speed peaks (stroke cycles)
-let lastSpeedPeak = 0;          // When did we last detect a speed peak?
-
-// Stroke rate detection method selection
-let strokeRateMethod = 'gps';   // Options: 'motion' or 'gps' - Default to GPS like NK SpeedCoach
-
-// Audio announcement timing
-let lastStrokeRateAnnounce = 0; // When did we last announce stroke rate?
-let lastSplitAnnounce = 0;      // When did we last announce split time?
+// Detection and metrics: distance, speed, strokes and the recording
+// (see engine/workoutEngine.mjs - this file only feeds it and shows its numbers)
+let workoutEngine = createWorkoutEngine({ method: strokeRateMethod, motionDetector: motionDetector, settings: detectionSettings });
 
 // Logging control flags to prevent spam
 let lastLogMessage = '';        // Track last log message to avoid duplicates
@@ -48,9 +37,14 @@ const gpsStatus = document.getElementById('gpsStatus');           // GPS status
 const gpsStatusText = document.getElementById('gpsStatusText');   // GPS status text
 const strokeRateEl = document.getElementById('strokeRate');       // Stroke rate display
 const strokeRateLabel = document.getElementById('strokeRateLabel'); // Stroke rate label
+const strokeRateDetailEl = document.getElementById('strokeRateDetail'); // Fused rate confidence line
 const splitEl = document.getElementById('split');                 // Split time display
+const speedEl = document.getElementById('speed');                 // Speed display
+const avgSplitEl = document.getElementById('avgSplit');           // Workout average split display
 const distanceEl = document.getElementById('distance');           // Distance display
 const elapsedTimeEl = document.getElementById('elapsedTime');     // Time display
+const dpsEl = document.getElementById('dps');                     // Distance per stroke display
+const strokeCountEl = document.getElementById('strokeCount');     // Stroke count display
 const startBtn = document.getElementById('startBtn');             // Start button
 const stopBtn = document.getElementById('stopBtn');               // Stop button
 
@@ -131,12 +125,25 @@ function requestMotionPermission() {
  */
 function setupMotionListeners() {
     // Listen for device motion events (accelerometer data)
-    window.addEventListener('devicemotion', handleDeviceMotion);
+    window.addEventListener('devicemotion', handleLiveDeviceMotion);
     console.log('Motion event listeners set up');
 }
 
 /**
- * Process accelerometer data for stroke detection
+ * Receives motion events from the real sensors
+ * Records the raw event (if sensor recording is on) and passes it on;
+ * ignored while a recorded sensor log is being replayed
+ * @param {DeviceMotionEvent} event - Motion data from device
+ */
+function handleLiveDeviceMotion(event) {
+    if (replayState || !isRunning) return;
+    
+    recordMotionSample(event, getCurrentTime());
+    handleDeviceMotion(event);
+}
+
+/**
+ * Passes accelerometer data to the workout engine for stroke detection
  * Called automatically when device moves
  * @param {DeviceMotionEvent} event - Motion data from device
  */
@@ -145,98 +152,52 @@ function handleDeviceMotion(event) {
     if (!isRunning || !motionPermission) return;
     
     // Get acceleration data (including gravity)
-    const acceleration = event.accelerationIncludingGravity;
-    if (!acceleration || acceleration.x === null) return;
+    const ig = toVector(event.accelerationIncludingGravity);
+    if (!ig) return;
     
-    const timestamp = Date.now();
+    const timestamp = getCurrentTime();
     
-    // Calculate total acceleration magnitude (combines x, y, z axes)
-    // This gives us overall "intensity" of movement regardless of phone orientation
-    const magnitude = Math.sqrt(
-        Math.pow(acceleration.x || 0, 2) +  // Left/right movement
-        Math.pow(acceleration.y || 0, 2) +  // Forward/back movement  
-        Math.pow(acceleration.z || 0, 2)    // Up/down movement
-    );
+    const sample = { timestamp: timestamp, ig: ig, a: toVector(event.acceleration) };
     
-    // Store acceleration data for analysis
-    accelerationHistory.push({ magnitude, timestamp });
+    // Feed the sensitivity calibration (if one is running)
+    collectCalibrationSample(sample);
     
-    // Keep only last 10 seconds of data (prevents memory issues)
-    const cutoff = timestamp - 10000; // 10 seconds ago
-    accelerationHistory = accelerationHistory.filter(a => a.timestamp > cutoff);
+    handleEngineEvents(addMotionSample(workoutEngine, sample));
+}
+
+/**
+ * Changes the motion stroke detector
+ * Called when user changes the "Motion Detector" dropdown
+ */
+function changeMotionDetector() {
+    motionDetector = document.getElementById('motionDetector').value;
+    configureWorkoutEngine(workoutEngine, { motionDetector: motionDetector });
+    console.log(`⚙️ Motion detector changed to: ${motionDetector}`);
     
-    // Try to detect if this motion represents a rowing stroke
-    detectStroke(magnitude, timestamp);
+    if (motionDetector === 'axis' && !mountingCalibration) {
+        alert('Tip: calibrate the mounting with the boat at rest for the best results. Without it the app learns the mounting on the water.');
+    }
 }
 
 /**
- * Analyze acceleration data to detect rowing strokes - UPDATED WITH DETAILED COMMENTS!
- * 
- * HOW STROKE DETECTION WORKS:
- * 1. Collects acceleration data from phone's motion sensors
- * 2. Looks for "spikes" in acceleration (sudden movements)
- * 3. A spike that's significantly higher than baseline = one stroke
- * 4. Prevents counting the same stroke twice with timing filter
- * 
- * @param {Number} magnitude - Current total acceleration (combining x,y,z axes)
- * @param {Number} timestamp - When this measurement was taken (milliseconds)
- */
-function detectStroke(magnitude, timestamp) {
-    // STEP 1: Make sure we have enough data points to establish a baseline
-    // Need at least 20 data points (about 2 seconds of data)
-    if (accelerationHistory.length < 20) return;
-    
-    // STEP 2: Calculate the "baseline" - what's normal boat movement?
-    // Take the last 20 acceleration readings and find their average
-    const recentData = accelerationHistory.slice(-20);
-    const avgMagnitude = recentData.reduce((sum, a) => sum + a.magnitude, 0) / recentData.length;
-    
-    // STEP 3: Set detection threshold
-    // ADJUSTED: Increased from 2 to 4 to reduce sensitivity for boat-mounted device
-    // A stroke is detected when acceleration exceeds baseline by this amount
-    // Higher number = less sensitive (fewer false positives)
-    // Lower number = more sensitive (may detect non-rowing movements)
-    const threshold = avgMagnitude + 4;
-    
-    // STEP 4: Check if current movement qualifies as a stroke
-    // Two conditions must be met:
-    // A) Current acceleration is much higher than baseline (indicates a stroke)
-    // B) At least 800ms (0.8 seconds) has passed since last stroke
-    //    This prevents counting the same stroke multiple times
-    //    (Rowing strokes typically happen every 1-2 seconds)
-    if (magnitude > threshold && timestamp - lastStrokeDetection > 800) {
-        
-        // STROKE DETECTED!
-        strokeCount++;  // Increment total stroke counter
-        lastStrokeDetection = timestamp;  // Remember when this stroke happened
-        
-        // STEP 5: Calculate CURRENT stroke rate (strokes per minute)
-        // Method: Count how many strokes happened in the last 10 seconds, then extrapolate
-        // CHANGED: Reduced from 60 seconds to 10 seconds for immediate responsiveness
-        const windowSize = 10000; // 10 seconds in milliseconds
-        const recentStrokes = accelerationHistory.filter(
-            a => a.timestamp > timestamp - windowSize &&  // Last 10 seconds
-            a.magnitude > (avgMagnitude + 3)  // Significant motion (lower threshold for counting)
-        ).length;
-        
-        // Convert to strokes per minute: (strokes in 10 sec) * 6 = strokes per minute
-        // Example: 4 strokes in 10 seconds = 24 strokes per minute
-        currentStrokeRate = Math.round((recentStrokes / (windowSize / 1000)) * 60);
-        
-        // Cap at reasonable maximum (40 SPM is very high for rowing)
-        currentStrokeRate = Math.min(currentStrokeRate, 40);
-        
-        // Store this stroke rate with timestamp for averaging later
-        strokeTimes.push({ rate: currentStrokeRate, timestamp: timestamp });
+ * Acts on what the workout engine reports after a sample
+ * @param {Array} events - Events from addMotionSample(), addGpsFix() or addErgStroke()
+ */
+function handleEngineEvents(events) {
+    events.forEach(event => {
+        if (event.type !== 'stroke') return;
         
-        // STEP 6: Clean up old data
-        // Keep only last 2 minutes of stroke history for summary calculations
-        const strokeCutoff = timestamp - 120000; // 2 minutes ago
-        strokeTimes = strokeTimes.filter(s => s.timestamp > strokeCutoff);
+        if (event.source === 'motion') {
+            // Crew mode: the cox's phone times this seat's catch
+            sendCrewStroke(event.timestamp, event.rate);
+            console.log(`✓ Stroke detected! Total: ${workoutEngine.strokeCount}, Rate: ${event.rate} SPM`);
+        } else if (event.source === 'gps') {
+            console.log(`🌊 GPS Stroke: Peak detected! Speed: ${event.speed.toFixed(2)} m/s, Calculated rate: ${event.rate} SPM`);
+        }
         
-        // Log detection for debugging
-        console.log(`✓ Stroke detected! Total: ${strokeCount}, Current Rate: ${currentStrokeRate} SPM, Recent strokes in ${windowSize/1000}s: ${recentStrokes}`);
-    }
+        // "Up one" / "down one" when the rate is off the pacer's target
+        if (event.record) checkPacerAfterStroke(event.record);
+    });
 }
 
 /* =============================================================================
@@ -253,25 +214,158 @@ function startWorkout() {
     // Prevent starting if already running
     if (isRunning) return;
     
+    // Read the interval plan first so a typo doesn't start a half-configured workout
+    let plan;
+    try {
+        plan = readIntervalPlan();
+    } catch (error) {
+        alert('Interval workout: ' + error.message);
+        return;
+    }
+    let alertTargets;
+    try {
+        alertTargets = readCoachingTargets();
+    } catch (error) {
+        alert('Coaching alerts: ' + error.message);
+        return;
+    }
+    let pacerTarget;
+    try {
+        pacerTarget = readPacerTarget();
+    } catch (error) {
+        alert('Pacer: ' + error.message);
+        return;
+    }
+    let ghost;
+    try {
+        ghost = readGhost();
+    } catch (error) {
+        alert('Ghost: ' + error.message);
+        return;
+    }
+    let splitInterval;
+    try {
+        splitInterval = readSplitInterval();
+    } catch (error) {
+        alert('Splits: ' + error.message);
+        return;
+    }
+    if (strokeRateMethod === 'erg' && !ergSensor) {
+        alert('Erg mode: connect the rowing machine in the Erg panel first.');
+        return;
+    }
+    
     // Update app state
     isRunning = true;
-    startTime = Date.now();  // Record start time in milliseconds
-    lastStrokeRateAnnounce = 0;
-    lastSplitAnnounce = 0;
+    startTime = getCurrentTime();  // Record start time in milliseconds
+    detectionSettings = getActiveDetectionSettings();
+    document.getElementById('detectionProfile').disabled = true;  // Profile is fixed for the workout
+    interruptions = [];
+    
+    // Restart the speed filter and relearn the boat axis (the phone may have been moved)
+    configureWorkoutEngine(workoutEngine, {
+        method: strokeRateMethod,
+        motionDetector: motionDetector,
+        settings: detectionSettings,
+        gravity: mountingCalibration ? mountingCalibration.gravity : null
+    });
+    startWorkoutEngine(workoutEngine);
     
     // Update button states
     startBtn.disabled = true;   // Disable start button
     stopBtn.disabled = false;   // Enable stop button
+    renderRaceHoldButton();     // "Hold to Stop" / "Hold to Start" on the race display
     
     // Hide any previous workout summary
     document.getElementById('workoutSummary').style.display = 'none';
     
-    // Start GPS tracking (only if using GPS-based methods)
+    // Start the raw sensor log if the user asked for one (not for replays)
     const selectedMethod = document.getElementById('strokeRateMethod').value;
-    if (selectedMethod === 'gps' || selectedMethod === 'both') {
+    if (!replayState && document.getElementById('recordSensors').checked) {
+        startSensorRecording(startTime, selectedMethod);
+    }
+    
+    // Start GPS tracking (only if using GPS-based methods)
+    startGpsTracking(selectedMethod);
+    
+    // Erg mode: count the rowing machine's distance from zero
+    if (selectedMethod === 'erg') startErg(0);
+    
+    // Arm the coaching cues and alerts, the rate pacer, the ghost and the split table
+    startCoaching(alertTargets);
+    startPacer(pacerTarget);
+    startGhost(ghost);
+    startSplits(splitInterval);
+    
+    // Keep the screen on, and save the workout regularly in case the page is killed
+    requestWakeLock();
+    startCheckpointing();
+    startTelemetry();
+    
+    // Start the main update loop (updates display every 100ms)
+    updateDisplay();
+    
+    // Announce workout start
+    speak('Workout started');
+    
+    // Begin the first piece of an interval workout (if one was built)
+    startIntervals(plan);
+    console.log('Workout started successfully'); // Debug log
+}
+
+/**
+ * Carries on with a workout that was interrupted (tab killed, page reloaded)
+ * Puts back the state from its last checkpoint and restarts the sensors;
+ * the clock keeps running from the original start time
+ * @param {Object} checkpoint - Checkpoint from buildWorkoutCheckpoint()
+ */
+function resumeWorkout(checkpoint) {
+    if (isRunning) return;
+    
+    restoreWorkoutCheckpoint(checkpoint);
+    isRunning = true;
+    document.getElementById('detectionProfile').disabled = true;
+    
+    // Put the settings the workout was started with back on screen
+    document.getElementById('strokeRateMethod').value = checkpoint.strokeRateMethod;
+    changeStrokeRateMethod();
+    document.getElementById('motionDetector').value = checkpoint.motionDetector;
+    motionDetector = checkpoint.motionDetector;
+    
+    startBtn.disabled = true;
+    stopBtn.disabled = false;
+    renderRaceHoldButton();
+    document.getElementById('workoutSummary').style.display = 'none';
+    
+    startGpsTracking(strokeRateMethod);
+    if (strokeRateMethod === 'erg') startErg(workoutEngine.distance);
+    startCoaching(checkpoint.coachingTargets, checkpoint.coachingTracker);
+    startPacer(checkpoint.pacerTracker ? checkpoint.pacerTracker.targetRate : null, checkpoint.pacerTracker);
+    startGhost(checkpoint.ghostTracker ? checkpoint.ghostTracker.ghost : null, checkpoint.ghostTracker);
+    startSplits(checkpoint.splitTracker ? checkpoint.splitTracker.interval : DEFAULT_SPLIT_INTERVAL, checkpoint.splitTracker);
+    resumeIntervals(checkpoint.intervalPlan, checkpoint.intervalState);
+    
+    requestWakeLock();
+    startCheckpointing();
+    startTelemetry();
+    updateDisplay();
+    
+    speak('Workout resumed');
+    console.log(`♻️ Workout resumed (${Math.round(workoutEngine.distance)}m, ${workoutEngine.strokeLog.length} strokes)`);
+}
+
+/**
+ * Starts the GPS watch for the GPS-based stroke rate methods
+ * During a replay the recorded fixes are fed in instead
+ * @param {String} selectedMethod - 'gps', 'motion', 'autocorr', 'both', 'fused' or 'erg'
+ */
+function startGpsTracking(selectedMethod) {
+    if (replayState) {
+        console.log('▶️ Replay: using recorded GPS fixes and motion samples');
+    } else if (selectedMethod === 'gps' || selectedMethod === 'both' || selectedMethod === 'fused') {
         if ('geolocation' in navigator) {
             watchId = navigator.geolocation.watchPosition(
-                updatePosition,  // Function to call when GPS updates
+                handleLivePosition,  // Function to call when GPS updates
                 (error) => {
                     // Better GPS error logging for debugging
                     console.log('GPS error code:', error.code);
@@ -301,16 +395,11 @@ function startWorkout() {
             );
         }
         console.log('🌐 GPS tracking started for stroke rate detection');
+    } else if (selectedMethod === 'erg') {
+        console.log('⊗ GPS tracking disabled (erg mode - the rowing machine gives distance and speed)');
     } else {
         console.log('⊗ GPS tracking disabled (using motion sensor method only)');
     }
-    
-    // Start the main update loop (updates display every 100ms)
-    updateDisplay();
-    
-    // Announce workout start
-    speak('Workout started');
-    console.log('Workout started successfully'); // Debug log
 }
 
 /**
@@ -326,10 +415,27 @@ function stopWorkout() {
     // Reset logging flag so messages can appear again on next start
     lastLogMessage = '';
     
+    // Close the interval in progress before the clock stops, and tell the launch
+    stopIntervals((getCurrentTime() - startTime) / 1000);
+    stopTelemetry((getCurrentTime() - startTime) / 1000);
+    
+    // A calibration that didn't finish is thrown away
+    cancelCalibration();
+    stopCoaching();
+    stopPacer();
+    stopGhost();
+    stopSplits();
+    
+    // The workout ended normally - no checkpoint to resume, screen may sleep
+    stopCheckpointing();
+    releaseWakeLock();
+    
     // Update app state
     isRunning = false;
+    document.getElementById('detectionProfile').disabled = false;
     startBtn.disabled = false;   // Re-enable start button
     stopBtn.disabled = true;     // Disable stop button
+    renderRaceHoldButton();     // "Hold to Stop" / "Hold to Start" on the race display
     
     // Stop GPS tracking
     if (watchId) {
@@ -345,8 +451,15 @@ function stopWorkout() {
     
     console.log('✓ Workout stopped successfully'); // Confirm stop
     
-    // Show workout summary
+    // Offer the raw sensor log as a file (for replaying later)
+    const log = finishSensorRecording(getCurrentTime());
+    if (log) {
+        downloadSensorLog(log);
+    }
+    
+    // Show workout summary and keep it in history
     showWorkoutSummary();
+    saveCurrentWorkout();
     speak('Workout stopped');
 }
 
@@ -359,19 +472,25 @@ function resetWorkout() {
     stopWorkout();
     
     // Reset all data to initial state
-    totalDistance = 0;
-    strokeCount = 0;
-    strokeTimes = [];
-    speedHistory = [];
-    lastPosition = null;
+    workoutEngine = createWorkoutEngine({ method: strokeRateMethod, motionDetector: motionDetector, settings: detectionSettings });
     startTime = null;
-    currentStrokeRate = 0; // Reset accelerometer stroke rate
+    displayedWorkout = null;
+    interruptions = [];
+    resetIntervals();
+    resetSplits();
     
     // Reset display to initial values
     strokeRateEl.textContent = '--';
+    strokeRateDetailEl.textContent = '';
+    strokeRateDetailEl.classList.remove('warning');
     splitEl.textContent = '--:--';
+    speedEl.textContent = '--';
+    avgSplitEl.textContent = '--:--';
+    resetRaceDisplay();
     distanceEl.textContent = '0m';
     elapsedTimeEl.textContent = '0:00';
+    dpsEl.textContent = '--';
+    strokeCountEl.textContent = '0';
     
     // Hide workout summary
     document.getElementById('workoutSummary').style.display = 'none';
@@ -382,173 +501,58 @@ function resetWorkout() {
  * ============================================================================= */
 
 /**
- * Handles new GPS position data - UPDATED WITH DETAILED COMMENTS & BUG FIXES
- * Called automatically by the browser when GPS position updates
- * 
- * HOW GPS DISTANCE TRACKING WORKS:
- * 1. Browser provides new GPS coordinates periodically (every ~1 second)
- * 2. Calculate distance between last position and new position
- * 3. Filter out GPS "noise" (small random fluctuations when stationary)
- * 4. Add real movement to total distance
- * 5. Track speed for split time calculation
- * 
+ * Receives GPS fixes from the real geolocation watch
+ * Records the raw fix (if sensor recording is on) and passes it on
+ * @param {Position} position - GPS position object from browser
+ */
+function handleLivePosition(position) {
+    if (replayState || !isRunning) return;
+    
+    recordGpsSample(position, getCurrentTime());
+    updatePosition(position);
+}
+
+/**
+ * Handles new GPS position data
+ * Called automatically by the browser when GPS position updates; the
+ * workout engine filters it into distance, speed and GPS strokes
  * @param {Position} position - GPS position object from browser
  */
 function updatePosition(position) {
     // Only process if workout is running
     if (!isRunning) return;
     
-    // STEP 1: Extract GPS coordinates from browser's position object
-    const currentPos = {
-        lat: position.coords.latitude,   // Latitude (north/south)
-        lng: position.coords.longitude,  // Longitude (east/west)
-        timestamp: position.timestamp    // When this position was recorded
-    };
-    
-    // STEP 2: If we have a previous position, calculate distance moved
-    if (lastPosition) {
-        // Calculate straight-line distance between two GPS points
-        const distance = calculateDistance(lastPosition, currentPos);
-        
-        // Calculate time difference in seconds
-        const timeDiff = (currentPos.timestamp - lastPosition.timestamp) / 1000;
-        
-        // STEP 3: FILTER OUT GPS NOISE
-        // GPS has natural drift of ±5-10 meters even when stationary
-        // CHANGED: Increased from 0.5m to 3m minimum movement threshold
-        // CHANGED: Added minimum speed requirement (0.5 m/s = ~1 knot = slow walking)
-        // Only count as real movement if BOTH conditions are met:
-        // A) Moved at least 3 meters (filters out GPS drift)
-        // B) Time difference is positive (sanity check)
-        // C) Speed is at least 0.5 m/s (filters out very slow GPS drift)
-        const minDistance = 3;  // meters - adjust higher if still seeing drift
-        const minSpeed = 0.5;   // meters per second
-        
-        if (distance > minDistance && timeDiff > 0) {
-            // Calculate current speed
-            const speed = distance / timeDiff; // meters per second
-            
-            // Only count movement if speed is above minimum threshold
-            if (speed >= minSpeed) {
-                // This is REAL movement, not GPS noise
-                totalDistance += distance;
-                speedHistory.push({ speed, timestamp: currentPos.timestamp });
-                
-                console.log(`✓ GPS: Moved ${distance.toFixed(1)}m in ${timeDiff.toFixed(1)}s, Speed: ${speed.toFixed(2)} m/s`);
-                
-                // STEP 4: Keep only recent speed data for averaging
-                // Keep last 30 seconds of speed data for split calculation
-                const cutoff = currentPos.timestamp - 30000; // 30 seconds ago
-                speedHistory = speedHistory.filter(s => s.timestamp > cutoff);
-            } else {
-                // Movement detected but too slow - likely GPS noise
-                console.log(`⊗ GPS: Ignoring slow movement (${speed.toFixed(2)} m/s < ${minSpeed} m/s threshold)`);
-            }
-            
-            // STEP 5: GPS-BASED STROKE RATE ESTIMATION
-            // Analyze speed patterns to estimate stroke rate (like NK SpeedCoach)
-            analyzeSpeedForStrokeRate(speed, currentPos.timestamp);
-            
-        } else if (distance > 0) {
-            // Small movement detected - GPS noise/drift
-            console.log(`⊗ GPS: Ignoring small movement (${distance.toFixed(2)}m < ${minDistance}m threshold)`);
-        }
-    } else {
-        // First GPS reading - no previous position to compare
-        console.log('GPS: First position acquired');
-    }
-    
-    // STEP 5: Store current position for next comparison
-    lastPosition = currentPos;
+    if (!workoutEngine.lastPosition) console.log('GPS: First position acquired');
+    handleEngineEvents(addGpsFix(workoutEngine, position, getCurrentHeartRate()));
 }
 
+/* =============================================================================
+ * ERG MODE - Indoor rowing machine instead of GPS and motion
+ * ============================================================================= */
+
 /**
- * Analyzes GPS speed patterns to estimate stroke rate - NEW!
- * 
- * HOW GPS-BASED STROKE RATE WORKS (NK SpeedCoach Method):
- * 1. During each rowing stroke, boat speed fluctuates in a pattern
- * 2. Speed increases during drive phase (pulling the oar)
- * 3. Speed decreases during recovery phase (returning to catch)
- * 4. By detecting these speed peaks/valleys, we can count strokes
- * 5. Calculate strokes per minute from the timing between peaks
- * 
- * This method doesn't require motion sensors - only GPS speed data
- * More reliable for boat-mounted devices that don't move with rower
- * 
- * @param {Number} speed - Current boat speed in m/s
- * @param {Number} timestamp - When this speed was measured
- */
-function analyzeSpeedForStrokeRate(speed, timestamp) {
-    // Need at least some speed history to detect patterns
-    if (speedHistory.length < 5) return;
-    
-    // STEP 1: Get recent speed history for pattern analysis
-    const recentSpeeds = speedHistory.slice(-10); // Last 10 speed readings
-    
-    // Calculate average speed from recent readings
-    const avgSpeed = recentSpeeds.reduce((sum, s) => sum + s.speed, 0) / recentSpeeds.length;
-    
-    // STEP 2: Detect speed "peaks" (local maximums)
-    // A peak occurs when speed is significantly higher than recent average
-    // This represents the drive phase of a rowing stroke
-    const peakThreshold = avgSpeed * 1.1; // 10% above average
-    const isPeak = speed > peakThreshold;
-    
-    // STEP 3: Check if this is a new peak (not same peak as before)
-    // Must be at least 1 second since last peak (prevents double-counting)
-    // Typical rowing: 1-2 seconds per stroke at 20-30 SPM
-    const minTimeBetweenStrokes = 1000; // 1 second in milliseconds
-    
-    if (isPeak && timestamp - lastSpeedPeak > minTimeBetweenStrokes) {
-        // NEW STROKE DETECTED via GPS speed pattern!
-        speedPeaks.push({ speed, timestamp });
-        lastSpeedPeak = timestamp;
-        
-        // STEP 4: Calculate stroke rate from recent peaks
-        // Keep only last 30 seconds of peak data
-        const peakWindow = 30000; // 30 seconds
-        speedPeaks = speedPeaks.filter(p => p.timestamp > timestamp - peakWindow);
-        
-        // Calculate strokes per minute
-        if (speedPeaks.length >= 2) {
-            // Get time span of peaks
-            const oldestPeak = speedPeaks[0].timestamp;
-            const newestPeak = speedPeaks[speedPeaks.length - 1].timestamp;
-            const timeSpan = (newestPeak - oldestPeak) / 1000; // in seconds
-            
-            // Calculate rate: (number of strokes) / (time in minutes)
-            const strokeCount = speedPeaks.length - 1; // -1 because first peak is starting point
-            gpsStrokeRate = Math.round((strokeCount / timeSpan) * 60);
-            
-            // Cap at reasonable maximum
-            gpsStrokeRate = Math.min(gpsStrokeRate, 40);
-            
-            console.log(`🌊 GPS Stroke: Peak detected! Speed: ${speed.toFixed(2)} m/s, Calculated rate: ${gpsStrokeRate} SPM (from ${speedPeaks.length} peaks over ${timeSpan.toFixed(1)}s)`);
-        }
-    }
+ * Takes in distance and speed from the rowing machine (see controllers/erg.js)
+ * Stands in for updatePosition(): indoors the monitor's numbers drive the
+ * display, announcements and summary, and are recorded as a track without
+ * positions
+ * @param {Object} sample - {timestamp, distance (m since start), speed (m/s), strokeRate, power (W)}
+ */
+function updateErgPosition(sample) {
+    if (!isRunning || strokeRateMethod !== 'erg') return;
+    
+    handleEngineEvents(addErgSample(workoutEngine, { ...sample, heartRate: getCurrentHeartRate() }));
 }
 
 /**
- * Calculates distance between two GPS coordinates
- * Uses the Haversine formula to account for Earth's curvature
- * @param {Object} pos1 - First position {lat, lng}
- * @param {Object} pos2 - Second position {lat, lng}
- * @returns {Number} Distance in meters
+ * Books a stroke reported by the rowing machine
+ * @param {Number} timestamp - When the stroke was reported (ms)
+ * @param {Object} stroke - Completed stroke from applyErgReading()
+ * @param {Number|null} rate - Monitor's current stroke rate (SPM)
  */
-function calculateDistance(pos1, pos2) {
-    const R = 6371000; // Earth's radius in meters
-    
-    // Convert latitude/longitude differences to radians
-    const dLat = (pos2.lat - pos1.lat) * Math.PI / 180;
-    const dLng = (pos2.lng - pos1.lng) * Math.PI / 180;
-    
-    // Haversine formula
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(pos1.lat * Math.PI / 180) * Math.cos(pos2.lat * Math.PI / 180) *
-              Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+function registerErgStroke(timestamp, stroke, rate) {
+    if (!isRunning || strokeRateMethod !== 'erg') return;
     
-    return R * c; // Distance in meters
+    handleEngineEvents(addErgStroke(workoutEngine, timestamp, stroke, rate));
 }
 
 /* =============================================================================
@@ -565,29 +569,58 @@ function updateDisplay() {
     if (!isRunning) return;
     
     // Calculate elapsed time since workout started
-    const elapsed = (Date.now() - startTime) / 1000; // Convert to seconds
+    const elapsed = (getCurrentTime() - startTime) / 1000; // Convert to seconds
     
-    // Update elapsed time display (format: minutes:seconds)
-    elapsedTimeEl.textContent = formatTime(elapsed);
+    // Mark a gap if the page was frozen (phone locked, app in the background)
+    checkForInterruption(getCurrentTime());
     
-    // Update distance display (round to nearest meter)
-    distanceEl.textContent = Math.round(totalDistance) + 'm';
+    // Live numbers from the workout engine, as shown on the cards and the race display
+    const metrics = getEngineMetrics(workoutEngine, getCurrentTime(), splitWindow);
+    const values = getDisplayValues(elapsed, metrics, displaySettings.units);
     
-    // Calculate and update split time (how long to row 500m at current pace)
-    if (speedHistory.length > 0) {
-        // Calculate average speed from recent data
-        const avgSpeed = speedHistory.reduce((sum, s) => sum + s.speed, 0) / speedHistory.length;
-        if (avgSpeed > 0) {
-            const split500m = 500 / avgSpeed; // Time to row 500m at current speed
-            splitEl.textContent = formatTime(split500m);
-        }
-    }
+    // Update elapsed time and distance displays
+    elapsedTimeEl.textContent = values.time;
+    distanceEl.textContent = values.distance;
+    
+    // Update split time (how long to row 500m or 1000m at current pace) and speed
+    // Filtered speed averaged over the chosen smoothing window (1s / 5s / 10s)
+    splitEl.textContent = values.split;
+    speedEl.textContent = values.speed;
+    avgSplitEl.textContent = values.avgSplit;
     
-    // Update stroke rate (now uses REAL accelerometer data!)
-    updateStrokeRate(elapsed);
+    // Update distance per stroke (average of the last 5 strokes) and stroke count
+    dpsEl.textContent = values.dps;
+    strokeCountEl.textContent = values.strokes;
     
-    // Handle audio announcements
-    handleAudioAnnouncements(elapsed);
+    // Large-field race display (if open)
+    updateRaceDisplay(values);
+    
+    // Move through interval pieces (if an interval workout is running)
+    updateIntervals(elapsed);
+    
+    // Gap to the ghost boat (if racing one)
+    updateGhost(elapsed);
+    
+    // Auto splits and the running split table
+    updateSplits(elapsed, metrics);
+    
+    // Finish the sensitivity calibration once its strokes are done
+    updateCalibration(getCurrentTime());
+    
+    // Update stroke rate from the selected method
+    updateStrokeRate(elapsed, metrics);
+    
+    // Play coaching cues and threshold alerts
+    updateCoaching(elapsed);
+    
+    // Pacer ticks and time in band
+    updatePacer(elapsed);
+    
+    // Heart rate and speed sensor cards (clears values that have gone stale)
+    renderSensors();
+    
+    // Live frame for the coach dashboard (once a second)
+    publishTelemetry(elapsed);
     
     // Schedule next update in 100ms (creates smooth updates)
     if (isRunning) {
@@ -604,83 +637,141 @@ function updateDisplay() {
  * 3. If "Show Both" selected, display both with labels
  * 
  * @param {Number} elapsed - Seconds since workout started
+ * @param {Object} metrics - From getEngineMetrics()
  */
-function updateStrokeRate(elapsed) {
+function updateStrokeRate(elapsed, metrics) {
     // Don't update or log if workout is not running
     if (!isRunning) return;
     
-    // Get selected method from dropdown
-    const selectedMethod = document.getElementById('strokeRateMethod').value;
-    
     // OPTION 1: GPS-BASED STROKE RATE (NK SpeedCoach style)
-    if (selectedMethod === 'gps') {
-        if (gpsStrokeRate > 0) {
-            strokeRateEl.textContent = gpsStrokeRate;
-            
-            const logMsg = `📊 Display: Showing GPS-based stroke rate: ${gpsStrokeRate} SPM`;
-            if (Math.floor(elapsed) % 5 === 0 && lastLogMessage !== logMsg) {
-                console.log(logMsg);
-                lastLogMessage = logMsg;
-            }
+    if (strokeRateMethod === 'gps') {
+        if (metrics.gpsRate !== null) {
+            strokeRateEl.textContent = metrics.gpsRate;
+            logStrokeRate(`📊 Display: Showing GPS-based stroke rate: ${metrics.gpsRate} SPM`, elapsed);
         } else {
             strokeRateEl.textContent = '--';
-            
-            const logMsg = '📊 Display: GPS mode, waiting for speed patterns...';
-            if (lastLogMessage !== logMsg) {
-                console.log(logMsg);
-                lastLogMessage = logMsg;
-            }
+            logStrokeRate('📊 Display: GPS mode, waiting for speed patterns...');
         }
         return;
     }
     
     // OPTION 2: MOTION SENSOR STROKE RATE
-    if (selectedMethod === 'motion') {
-        if (motionPermission) {
-            if (currentStrokeRate > 0) {
-                strokeRateEl.textContent = currentStrokeRate;
-                
-                const logMsg = `📊 Display: Showing motion-based stroke rate: ${currentStrokeRate} SPM`;
-                if (Math.floor(elapsed) % 5 === 0 && lastLogMessage !== logMsg) {
-                    console.log(logMsg);
-                    lastLogMessage = logMsg;
-                }
-            } else {
-                strokeRateEl.textContent = '--';
-                
-                const logMsg = '📊 Display: Motion sensor active, waiting for strokes...';
-                if (lastLogMessage !== logMsg) {
-                    console.log(logMsg);
-                    lastLogMessage = logMsg;
-                }
-            }
+    if (strokeRateMethod === 'motion') {
+        if (!motionPermission) {
+            strokeRateEl.textContent = 'Enable Motion';
+            logStrokeRate('📊 Display: Motion sensors not enabled');
+        } else if (metrics.motionRate !== null) {
+            strokeRateEl.textContent = metrics.motionRate;
+            logStrokeRate(`📊 Display: Showing motion-based stroke rate: ${metrics.motionRate} SPM`, elapsed);
         } else {
+            strokeRateEl.textContent = '--';
+            logStrokeRate('📊 Display: Motion sensor active, waiting for strokes...');
+        }
+        return;
+    }
+    
+    // OPTION 3: MOTION AUTOCORRELATION - the period the acceleration repeats at
+    if (strokeRateMethod === 'autocorr') {
+        if (!motionPermission) {
             strokeRateEl.textContent = 'Enable Motion';
-            
-            const logMsg = '📊 Display: Motion sensors not enabled';
-            if (lastLogMessage !== logMsg) {
-                console.log(logMsg);
-                lastLogMessage = logMsg;
-            }
+            logStrokeRate('📊 Display: Motion sensors not enabled');
+            return;
         }
+        renderAutocorrStrokeRate(metrics.autocorr);
+        logStrokeRate(metrics.autocorr
+            ? `📊 Display: Autocorrelation stroke rate ${metrics.rate} SPM (confidence ${Math.round(metrics.autocorr.confidence * 100)}%)`
+            : '📊 Display: Autocorrelation mode, waiting for a steady rhythm...', metrics.autocorr ? elapsed : undefined);
         return;
     }
     
-    // OPTION 3: SHOW BOTH METHODS (Comparison Mode)
-    if (selectedMethod === 'both') {
-        const gpsDisplay = gpsStrokeRate > 0 ? gpsStrokeRate : '--';
-        const motionDisplay = (motionPermission && currentStrokeRate > 0) ? currentStrokeRate : '--';
+    // OPTION 4: SHOW BOTH METHODS (Comparison Mode)
+    if (strokeRateMethod === 'both') {
+        const gpsDisplay = metrics.gpsRate !== null ? metrics.gpsRate : '--';
+        const motionDisplay = (motionPermission && metrics.motionRate !== null) ? metrics.motionRate : '--';
         
         // Display format: "GPS:24 / MOT:26"
         strokeRateEl.innerHTML = `<span style="font-size:0.7em">GPS:</span>${gpsDisplay} <span style="font-size:0.7em">/ MOT:</span>${motionDisplay}`;
-        
-        const logMsg = `📊 Display: Comparison - GPS: ${gpsDisplay} SPM, Motion: ${motionDisplay} SPM`;
-        if (Math.floor(elapsed) % 5 === 0 && lastLogMessage !== logMsg) {
-            console.log(logMsg);
-            lastLogMessage = logMsg;
-        }
+        logStrokeRate(`📊 Display: Comparison - GPS: ${gpsDisplay} SPM, Motion: ${motionDisplay} SPM`, elapsed);
         return;
     }
+    
+    // OPTION 5: FUSED - one rate from both sources, weighted by how steady each one is
+    if (strokeRateMethod === 'fused') {
+        const fused = metrics.fused;
+        renderFusedStrokeRate(fused);
+        logStrokeRate(fused
+            ? `📊 Display: Fused stroke rate ${Math.round(fused.rate)} SPM (confidence ${Math.round(fused.confidence * 100)}%, GPS ${fused.gpsRate !== null ? Math.round(fused.gpsRate) : '--'}, Motion ${fused.motionRate !== null ? Math.round(fused.motionRate) : '--'})`
+            : '📊 Display: Fused mode, waiting for strokes...', fused ? elapsed : undefined);
+        return;
+    }
+    
+    // OPTION 6: ERG - the rowing machine's own stroke rate
+    if (strokeRateMethod === 'erg') {
+        strokeRateEl.textContent = metrics.ergRate !== null ? metrics.ergRate : '--';
+    }
+}
+
+/**
+ * Logs what the stroke rate display shows, without repeating itself
+ * @param {String} message - Log line
+ * @param {Number} elapsed - Seconds since start - when given, a changing rate is only logged every 5 s
+ */
+function logStrokeRate(message, elapsed) {
+    if (elapsed !== undefined && Math.floor(elapsed) % 5 !== 0) return;
+    if (lastLogMessage === message) return;
+    
+    console.log(message);
+    lastLogMessage = message;
+}
+
+/**
+ * Shows the fused stroke rate with its confidence
+ * When GPS and motion disagree both rates are shown so the crew can see why
+ * @param {Object|null} fused - Result of fuseStrokeRates()
+ */
+function renderFusedStrokeRate(fused) {
+    if (!fused) {
+        strokeRateEl.textContent = '--';
+        strokeRateDetailEl.textContent = '';
+        strokeRateDetailEl.classList.remove('warning');
+        return;
+    }
+    
+    strokeRateEl.textContent = Math.round(fused.rate);
+    
+    const sources = [fused.gpsRate !== null ? 'GPS' : null, fused.motionRate !== null ? 'MOT' : null]
+        .filter(Boolean).join('+');
+    strokeRateDetailEl.textContent = fused.disagreement
+        ? `⚠ GPS ${Math.round(fused.gpsRate)} / MOT ${Math.round(fused.motionRate)}`
+        : `${Math.round(fused.confidence * 100)}% · ${sources}`;
+    strokeRateDetailEl.classList.toggle('warning', fused.disagreement);
+}
+
+/**
+ * Shows the autocorrelation stroke rate with its confidence
+ * A weak rhythm (choppy water, easy paddling) is flagged
+ * @param {Object|null} autocorr - Result of estimateAutocorrelationRate()
+ */
+function renderAutocorrStrokeRate(autocorr) {
+    if (!autocorr) {
+        strokeRateEl.textContent = '--';
+        strokeRateDetailEl.textContent = '';
+        strokeRateDetailEl.classList.remove('warning');
+        return;
+    }
+    
+    strokeRateEl.textContent = Math.round(autocorr.rate);
+    strokeRateDetailEl.textContent = `${Math.round(autocorr.confidence * 100)}% · ${autocorr.period.toFixed(2)}s`;
+    strokeRateDetailEl.classList.toggle('warning', autocorr.confidence < 0.5);
+}
+
+/**
+ * Changes the split smoothing window
+ * Called when user changes the "Split Smoothing" dropdown
+ */
+function changeSplitWindow() {
+    splitWindow = parseInt(document.getElementById('splitWindow').value);
+    console.log(`⚙️ Split smoothing window changed to: ${splitWindow}s`);
 }
 
 /**
@@ -697,13 +788,26 @@ function changeStrokeRateMethod() {
         label.textContent = 'Stroke Rate (GPS)';
     } else if (method === 'motion') {
         label.textContent = 'Stroke Rate (Motion)';
+    } else if (method === 'autocorr') {
+        label.textContent = 'Stroke Rate (Autocorr)';
+    } else if (method === 'fused') {
+        label.textContent = 'Stroke Rate (Fused)';
+    } else if (method === 'erg') {
+        label.textContent = 'Stroke Rate (Erg)';
     } else {
         label.textContent = 'Stroke Rate (Both)';
     }
     
     console.log(`⚙️ Stroke rate method changed to: ${method}`);
     
-    if (method === 'motion' && !motionPermission) {
+    // Strokes from the new method's detector are logged from now on
+    configureWorkoutEngine(workoutEngine, { method: method });
+    
+    // The confidence line only applies to the fused and autocorrelation rates
+    strokeRateDetailEl.textContent = '';
+    strokeRateDetailEl.classList.remove('warning');
+    
+    if ((method === 'motion' || method === 'autocorr') && !motionPermission) {
         alert('Motion sensors not enabled. Click "Enable" button first.');
     }
 }
@@ -713,69 +817,54 @@ function changeStrokeRateMethod() {
  * ============================================================================= */
 
 /**
- * Handles periodic audio announcements based on user settings - UPDATED!
- * 
- * HOW AUDIO ANNOUNCEMENTS WORK:
- * 1. Check user's settings for announcement frequency
- * 2. Check if enough time has passed since last announcement
- * 3. Speak current metrics using text-to-speech
- * 
- * FIXED: Now announces CURRENT stroke rate, not average
- * 
+ * Live numbers for the coaching cues and alerts
+ * Taken from the workout state rather than the screen, so cues don't
+ * depend on how the display is formatted
  * @param {Number} elapsed - Seconds since workout started
+ * @returns {Object} Metrics (values that aren't known yet are null)
  */
-function handleAudioAnnouncements(elapsed) {
-    // Get user's audio settings from dropdowns
-    const strokeRateInterval = parseInt(document.getElementById('strokeRateInterval').value);
-    const splitInterval = parseInt(document.getElementById('splitInterval').value);
-    
-    // STROKE RATE ANNOUNCEMENT
-    // Check if: 1) User wants announcements (interval > 0)
-    //           2) Enough time has passed since last announcement
-    if (strokeRateInterval > 0 && elapsed - lastStrokeRateAnnounce >= strokeRateInterval) {
-        // Get CURRENT stroke rate from display (this is the real-time value)
-        const currentRate = strokeRateEl.textContent;
-        
-        // Only announce if we have a valid stroke rate (not "--")
-        if (currentRate !== '--') {
-            // FIXED: Announce CURRENT rate shown on display
-            // This is the immediate stroke rate, not a historical average
-            speak(`Stroke rate ${currentRate}`);
-            lastStrokeRateAnnounce = elapsed;  // Remember when we announced
-            console.log(`🔊 Audio: Announced current stroke rate ${currentRate} SPM`);
-        }
-    }
+function getCoachingMetrics(elapsed) {
+    const metrics = getEngineMetrics(workoutEngine, getCurrentTime(), splitWindow);
+    const progress = getIntervalProgress(elapsed);
     
-    // SPLIT TIME ANNOUNCEMENT  
-    // Check if: 1) User wants split announcements (interval > 0)
-    //           2) Enough time has passed since last split announcement
-    if (splitInterval > 0 && elapsed - lastSplitAnnounce >= splitInterval) {
-        const currentSplit = splitEl.textContent;
-        
-        // Only announce if we have a valid split time (not "--:--")
-        if (currentSplit !== '--:--') {
-            // Convert split time to spoken format
-            // Example: "2:30" becomes "Split 2 minutes 30 seconds"
-            const splitParts = currentSplit.split(':');
-            speak(`Split ${splitParts[0]} minutes ${splitParts[1]} seconds`);
-            lastSplitAnnounce = elapsed;  // Remember when we announced
-            console.log(`🔊 Audio: Announced split time ${currentSplit}`);
-        }
-    }
+    return {
+        elapsed: elapsed,
+        distance: metrics.distance,
+        strokes: metrics.strokes,
+        rate: metrics.rate,
+        speed: metrics.speed,
+        split: metrics.split,
+        dps: metrics.dps,
+        piece: progress ? progress.piece : null,
+        pieceKey: progress ? `${progress.piece}-${progress.phase}` : null,
+        phase: progress ? progress.phase : null,
+        remainingDistance: progress ? progress.remainingDistance : null,
+        remainingTime: progress ? progress.remainingTime : null,
+        targetRate: progress ? progress.targetRate : null,
+        targetSplit: progress ? progress.targetSplit : null
+    };
+}
+
+/**
+ * Current stroke rate from the selected detection method
+ * @returns {Number|null} Strokes per minute, or null if there's no rate yet
+ */
+function getCurrentStrokeRate() {
+    return getEngineMetrics(workoutEngine, getCurrentTime(), splitWindow).rate;
 }
 
 /**
  * Speaks text using browser's text-to-speech
+ * Everything goes through one queue so announcements never overlap
  * @param {String} text - Text to speak
+ * @param {Object} options - {priority: 'normal'|'high', key} (see queueSpeech)
  */
-function speak(text) {
-    // Check if browser supports text-to-speech
-    if ('speechSynthesis' in window) {
-        const utterance = new SpeechSynthesisUtterance(text);
-        utterance.rate = parseFloat(document.getElementById('voiceSpeed').value); // User's preferred speed
-        utterance.volume = 0.8; // Slightly quieter than max
-        speechSynthesis.speak(utterance);
-    }
+function speak(text, options = {}) {
+    queueSpeech(text, {
+        rate: parseFloat(document.getElementById('voiceSpeed').value), // User's preferred speed
+        priority: options.priority,
+        key: options.key
+    });
 }
 
 /* =============================================================================
@@ -783,14 +872,72 @@ function speak(text) {
  * ============================================================================= */
 
 /**
- * Formats time in seconds to MM:SS format
- * @param {Number} seconds - Time in seconds
- * @returns {String} Formatted time string (e.g., "2:30")
+ * Current time in milliseconds
+ * Normally the wall clock; during a sensor log replay it is the time
+ * inside the recorded outing, so timing logic behaves as on the water
+ * @returns {Number} Timestamp in milliseconds
  */
-function formatTime(seconds) {
-    const minutes = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${minutes}:${secs.toString().padStart(2, '0')}`; // Ensures 2-digit seconds
+function getCurrentTime() {
+    return replayState ? getReplayTime() : Date.now();
+}
+
+/**
+ * Calculates summary statistics for the current workout
+ * @returns {Object} Summary {distance, duration, avgSplit, avgStrokeRate, strokeCount, intervals}
+ */
+function buildWorkoutSummary() {
+    const elapsed = (getCurrentTime() - startTime) / 1000;
+    
+    return {
+        ...getEngineSummary(workoutEngine, elapsed),    // Distance, time, averages and stroke count
+        startTime: startTime,
+        intervals: intervalState ? intervalState.results : [],  // Per-piece results
+        pacer: getPacerResults(),  // Time in band around the pacer's target rate (null if off)
+        ghost: getGhostResults(elapsed),   // Split-by-split comparison with the ghost (null without one)
+        splits: getSplitResults(elapsed),  // Auto splits and marked laps {interval, splits, laps}
+        heartRate: getHeartRateStats(workoutEngine.track),   // {avg, max} bpm (null without a heart rate sensor)
+        erg: getErgSummary(workoutEngine.strokeLog),     // Average watts and drive length (null unless rowed on an erg)
+        interrupted: getInterruptedSeconds(interruptions)   // Seconds lost to gaps in the recording
+    };
+}
+
+/**
+ * Fills the summary panel with a workout's statistics
+ * Used both after a live workout and when opening one from history
+ * @param {Object} summary - Summary from buildWorkoutSummary()
+ * @param {String} title - Heading for the panel
+ * @param {Array} strokes - Per-stroke records for the stroke table
+ */
+function renderWorkoutSummary(summary, title = 'Workout Summary', strokes = []) {
+    closeAnalysis();  // Charts and map belong to the previously shown workout
+    closeMap();
+    document.getElementById('summaryTitle').textContent = title;
+    document.getElementById('summaryDistance').textContent = Math.round(summary.distance) + 'm';
+    document.getElementById('summaryTime').textContent = formatTime(summary.duration);
+    document.getElementById('summaryAvgStrokeRate').textContent =
+        summary.avgStrokeRate !== null ? Math.round(summary.avgStrokeRate) : '--';
+    document.getElementById('summaryAvgSplit').textContent =
+        summary.avgSplit !== null ? formatSplit(summary.avgSplit, displaySettings.units) : '--:--';
+    document.getElementById('summaryAvgDps').textContent =
+        summary.avgDps ? summary.avgDps.toFixed(1) + 'm' : '--';
+    document.getElementById('summaryHeartRate').textContent =
+        summary.heartRate ? `${summary.heartRate.avg} / ${summary.heartRate.max}` : '--';
+    document.getElementById('summaryHeartRateStat').style.display = summary.heartRate ? 'block' : 'none';
+    document.getElementById('summaryErgPower').textContent = summary.erg ? Math.round(summary.erg.power) + 'W' : '--';
+    document.getElementById('summaryErgDrive').textContent =
+        summary.erg && summary.erg.driveLength ? summary.erg.driveLength.toFixed(2) + 'm' : '--';
+    document.getElementById('summaryErgPowerStat').style.display = summary.erg ? 'block' : 'none';
+    document.getElementById('summaryErgDriveStat').style.display = summary.erg ? 'block' : 'none';
+    document.getElementById('summaryInterrupted').textContent = formatTime(summary.interrupted || 0);
+    document.getElementById('summaryInterruptedStat').style.display = summary.interrupted > 0 ? 'block' : 'none';
+    renderIntervalResults(summary.intervals);
+    renderPacerResults(summary.pacer);
+    renderGhostResults(summary.ghost || null);
+    renderSplitTable(document.getElementById('splitResults'), summary.splits || null);
+    renderStrokeTable(strokes, summary.startTime);
+    
+    // Show the summary panel
+    document.getElementById('workoutSummary').style.display = 'block';
 }
 
 /**
@@ -798,27 +945,112 @@ function formatTime(seconds) {
  * Calculates and displays average statistics
  */
 function showWorkoutSummary() {
-    const elapsed = (Date.now() - startTime) / 1000;
+    renderWorkoutSummary(buildWorkoutSummary(), undefined, workoutEngine.strokeLog);
+}
+
+/**
+ * Saves the workout that just finished to IndexedDB
+ * Keeps the summary plus the full GPS track, stroke events and speed samples
+ */
+function saveCurrentWorkout() {
+    const summary = buildWorkoutSummary();
+    const workout = displayedWorkout = {
+        name: (replayState ? 'Replay ' : strokeRateMethod === 'erg' ? 'Erg ' : 'Workout ') + new Date(startTime).toLocaleString(),
+        startTime: startTime,
+        endTime: getCurrentTime(),
+        strokeRateMethod: strokeRateMethod,
+        sport: displaySettings.sport,   // Sport preset (FIT sport type)
+        units: { ...displaySettings.units },    // Units the workout was rowed in (export notes)
+        plan: intervalPlan,
+        laps: intervalState ? intervalState.laps : getMarkedLaps(summary.splits, startTime),  // Lap button laps without a plan
+        interruptions: interruptions.slice(),
+        summary: summary,
+        track: workoutEngine.track.slice(),
+        strokes: workoutEngine.strokeEvents.slice(),
+        speeds: workoutEngine.speedSamples.slice(),
+        strokeLog: workoutEngine.strokeLog.slice()
+    };
     
-    // Update summary display elements
-    document.getElementById('summaryDistance').textContent = Math.round(totalDistance) + 'm';
-    document.getElementById('summaryTime').textContent = formatTime(elapsed);
+    saveWorkout(workout)
+        .then(id => {
+            workout.id = id;
+            console.log(`💾 Workout saved to history (id ${id}, ${workout.track.length} GPS points, ${workout.strokes.length} strokes)`);
+            refreshHistoryList();
+            requestWorkoutUpload(id);
+        })
+        .catch(error => {
+            console.log('Error saving workout:', error);
+        });
+}
+
+/**
+ * Everything needed to carry on with the live workout after a crash
+ * @returns {Object} Checkpoint (stored by recovery.js every few seconds)
+ */
+function buildWorkoutCheckpoint() {
+    return {
+        savedAt: getCurrentTime(),
+        startTime: startTime,
+        strokeRateMethod: strokeRateMethod,
+        motionDetector: motionDetector,
+        detectionSettings: detectionSettings,
+        totalDistance: workoutEngine.distance,
+        engine: getEngineCheckpoint(workoutEngine),
+        interruptions: interruptions,
+        intervalPlan: intervalPlan,
+        intervalState: intervalState,
+        coachingTargets: coachingTargets,
+        coachingTracker: coachingTracker,
+        pacerTracker: pacerTracker,
+        ghostTracker: ghostTracker,
+        splitTracker: splitTracker
+    };
+}
+
+/**
+ * Puts the workout state back from a checkpoint
+ * @param {Object} checkpoint - Checkpoint from buildWorkoutCheckpoint()
+ */
+function restoreWorkoutCheckpoint(checkpoint) {
+    startTime = checkpoint.startTime;
+    strokeRateMethod = checkpoint.strokeRateMethod;
+    detectionSettings = checkpoint.detectionSettings;
+    workoutEngine = restoreWorkoutEngine(checkpoint.engine);
+    interruptions = checkpoint.interruptions;
+    displayedWorkout = null;
+}
+
+/**
+ * Time of the newest sample recorded (GPS fix, stroke or motion reading)
+ * @returns {Number} Timestamp (ms), or 0 if nothing has been recorded
+ */
+function getLastRecordedTime() {
+    const last = list => list.length > 0 ? list[list.length - 1].timestamp : 0;
+    return Math.max(last(workoutEngine.track), last(workoutEngine.strokeEvents), last(workoutEngine.accelerationHistory));
+}
+
+/**
+ * Exports the workout shown in the summary panel
+ * Called by the GPX / TCX / FIT buttons
+ * @param {String} format - 'gpx', 'tcx' or 'fit'
+ */
+function exportDisplayedWorkout(format) {
+    if (!displayedWorkout) {
+        alert('No workout to export yet.');
+        return;
+    }
     
-    // Calculate average stroke rate if we have data
-    if (strokeTimes.length > 0) {
-        const avgStrokeRate = strokeTimes.reduce((sum, s) => sum + s.rate, 0) / strokeTimes.length;
-        document.getElementById('summaryAvgStrokeRate').textContent = Math.round(avgStrokeRate);
+    if (displayedWorkout.track.length === 0) {
+        alert('This workout has no GPS track to export.');
+        return;
     }
     
-    // Calculate average split if we have distance and time
-    if (totalDistance > 0 && elapsed > 0) {
-        const avgSpeed = totalDistance / elapsed;
-        const avgSplit = 500 / avgSpeed;
-        document.getElementById('summaryAvgSplit').textContent = formatTime(avgSplit);
+    if (format === 'gpx' && !displayedWorkout.track.some(point => point.lat !== null)) {
+        alert('Erg workouts have no GPS route - export TCX or FIT instead.');
+        return;
     }
     
-    // Show the summary panel
-    document.getElementById('workoutSummary').style.display = 'block';
+    downloadWorkout(displayedWorkout, format);
 }
 
 /* =============================================================================
@@ -830,3 +1062,30 @@ stopBtn.disabled = true; // Can't stop if we haven't started
 
 // Set initial stroke rate label based on default method
 strokeRateLabel.textContent = 'Stroke Rate (GPS)'; // Default is GPS method
+
+// Arrange the metric cards and units from the Display panel
+initializeDisplaySettings();
+
+// Swipe and hold gestures of the race display
+initializeRaceDisplay();
+
+// Load saved workouts into the history panel
+refreshHistoryList();
+
+// Show whether the phone mounting has been calibrated
+renderMountingStatus();
+
+// Fill the detection profile dropdown
+renderProfileOptions();
+
+// Show the saved coaching cues
+renderCueList();
+
+// Offline mode, update prompt and workout upload
+initializeSync();
+
+// Live telemetry relay and boat ID
+loadTelemetrySettings();
+
+// Offer to resume a workout the page was closed in the middle of
+checkForInterruptedWorkout();
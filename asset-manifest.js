@@ -0,0 +1,65 @@
+// Generated by tools/build-manifest.js - do not edit by hand
+self.ASSET_MANIFEST = {
+    "version": "422ee83e6764",
+    "assets": [
+        "./",
+        "index.html",
+        "manifest.json",
+        "css/styles.css",
+        "js/utils/download.js",
+        "js/utils/chart.js",
+        "js/utils/qrCode.js",
+        "js/models/displaySettings.js",
+        "js/controllers/displaySettings.js",
+        "js/controllers/raceDisplay.js",
+        "js/services/storage.js",
+        "js/services/upload.js",
+        "js/services/telemetry.js",
+        "js/services/export.js",
+        "js/services/bleProtocols.js",
+        "js/services/bluetooth.js",
+        "js/services/bleSimulator.js",
+        "js/controllers/sensors.js",
+        "js/models/erg.js",
+        "js/controllers/erg.js",
+        "js/services/sensorRecorder.js",
+        "js/controllers/replay.js",
+        "js/models/intervals.js",
+        "js/controllers/intervals.js",
+        "js/controllers/strokeTable.js",
+        "js/controllers/mounting.js",
+        "js/models/profiles.js",
+        "js/controllers/profiles.js",
+        "js/controllers/calibration.js",
+        "js/controllers/history.js",
+        "js/services/audioOutput.js",
+        "js/models/cues.js",
+        "js/controllers/coaching.js",
+        "js/models/pacer.js",
+        "js/controllers/pacer.js",
+        "js/models/ghost.js",
+        "js/controllers/ghost.js",
+        "js/models/splits.js",
+        "js/controllers/splits.js",
+        "js/controllers/sync.js",
+        "js/controllers/telemetry.js",
+        "js/services/wakeLock.js",
+        "js/controllers/recovery.js",
+        "js/models/analysis.js",
+        "js/controllers/analysis.js",
+        "js/models/trackMap.js",
+        "js/controllers/trackMap.js",
+        "js/models/crew.js",
+        "js/services/crewLink.js",
+        "js/controllers/crew.js",
+        "js/engine/bridge.mjs",
+        "app.js",
+        "js/services/speedFilter.mjs",
+        "js/services/strokeDetection.mjs",
+        "js/services/rateFusion.mjs",
+        "js/models/strokeMetrics.mjs",
+        "js/engine/workoutEngine.mjs",
+        "js/services/autocorrelationRate.mjs",
+        "js/models/calibration.mjs"
+    ]
+};
@@ -0,0 +1,245 @@
+/**
+ * Speedcox - Session Analysis Controller
+ * Charts split, stroke rate and DPS for the workout in the summary panel,
+ * with drag-to-zoom, statistics for the range in view and the hard pieces
+ * found automatically
+ */
+
+const ANALYSIS_CHARTS = [
+    { key: 'split', canvas: 'chartSplit', title: 'Split', color: '#ffd700', invertY: true, formatY: y => formatSplit(y, displaySettings.units) },
+    { key: 'rate', canvas: 'chartRate', title: 'Stroke Rate', color: '#20c997', invertY: false, formatY: y => String(Math.round(y)) },
+    { key: 'dps', canvas: 'chartDps', title: 'Dist / Stroke', color: '#66b3ff', invertY: false, formatY: y => y.toFixed(1) + 'm' }
+];
+
+let analysisState = null;   // {workout, series, pieces, lookup, axis, range, selection} while the view is open
+
+/* =============================================================================
+ * OPEN / CLOSE
+ * ============================================================================= */
+
+/**
+ * Opens the analysis view for the workout shown in the summary panel
+ * Called by the "Analyse" button
+ */
+function openAnalysis() {
+    if (!displayedWorkout) {
+        alert('No workout to analyse yet.');
+        return;
+    }
+
+    const workout = displayedWorkout;
+    analysisState = {
+        workout: workout,
+        series: buildAnalysisSeries(workout),
+        pieces: detectHardPieces(workout),
+        lookup: buildDistanceLookup(workout.track || []),
+        axis: document.getElementById('analysisAxis').value,
+        range: [workout.startTime, workout.endTime],
+        selection: null
+    };
+
+    document.getElementById('analysisPanel').style.display = 'block';
+    setupAnalysisPointers();
+    renderAnalysis();
+    renderAnalysisPieces();
+    console.log(`📈 Analysis: ${analysisState.pieces.length} hard piece(s) found`);
+}
+
+/**
+ * Hides the analysis view
+ */
+function closeAnalysis() {
+    analysisState = null;
+    document.getElementById('analysisPanel').style.display = 'none';
+}
+
+/**
+ * Switches the charts between time and distance
+ * Called when user changes the "X Axis" dropdown
+ */
+function changeAnalysisAxis() {
+    if (!analysisState) return;
+    analysisState.axis = document.getElementById('analysisAxis').value;
+    renderAnalysis();
+}
+
+/**
+ * Zooms back out to the whole session
+ * Called by the "Whole Session" button
+ */
+function resetAnalysisZoom() {
+    if (!analysisState) return;
+    analysisState.range = [analysisState.workout.startTime, analysisState.workout.endTime];
+    renderAnalysis();
+}
+
+/**
+ * Zooms to a time range
+ * @param {Number} from - Range start (ms)
+ * @param {Number} to - Range end (ms)
+ */
+function zoomAnalysis(from, to) {
+    analysisState.range = [from, to];
+    analysisState.selection = null;
+    renderAnalysis();
+}
+
+/* =============================================================================
+ * AXES
+ * ============================================================================= */
+
+/**
+ * Converts a timestamp to the current x axis (seconds or meters from the start)
+ * @param {Number} timestamp - Moment (ms)
+ * @returns {Number} x value
+ */
+function toAnalysisX(timestamp) {
+    return analysisState.axis === 'distance'
+        ? getDistanceAtTime(analysisState.lookup, timestamp)
+        : (timestamp - analysisState.workout.startTime) / 1000;
+}
+
+/**
+ * Converts an x value on the current axis back to a timestamp
+ * @param {Number} x - Seconds or meters from the start
+ * @returns {Number} Timestamp (ms)
+ */
+function fromAnalysisX(x) {
+    return analysisState.axis === 'distance'
+        ? getTimeAtDistance(analysisState.lookup, x)
+        : analysisState.workout.startTime + x * 1000;
+}
+
+/* =============================================================================
+ * DRAWING
+ * ============================================================================= */
+
+/**
+ * Redraws the charts and the statistics for the range in view
+ */
+function renderAnalysis() {
+    const state = analysisState;
+    const distanceAxis = state.axis === 'distance';
+    const xRange = state.range.map(toAnalysisX);
+    const shading = state.pieces.map(piece => ({ from: toAnalysisX(piece.from), to: toAnalysisX(piece.to) }));
+
+    state.charts = ANALYSIS_CHARTS.map(chart => drawLineChart(document.getElementById(chart.canvas), {
+        points: state.series[chart.key].map(p => ({ x: distanceAxis ? p.distance : (p.timestamp - state.workout.startTime) / 1000, y: p.value })),
+        xRange: xRange,
+        title: chart.key === 'split' ? `${chart.title} ${getSplitUnitLabel(displaySettings.units)}` : chart.title,
+        color: chart.color,
+        invertY: chart.invertY,
+        formatY: chart.formatY,
+        formatX: x => distanceAxis ? Math.round(x) + 'm' : formatTime(x),
+        shading: shading,
+        selection: state.selection
+    }));
+
+    renderAnalysisRangeStats();
+}
+
+/**
+ * Shows statistics for the range in view
+ */
+function renderAnalysisRangeStats() {
+    const [from, to] = analysisState.range;
+    const stats = getRangeStats(analysisState.workout, from, to);
+    const start = (from - analysisState.workout.startTime) / 1000;
+
+    document.getElementById('analysisRangeStats').textContent = [
+        `${formatTime(start)}–${formatTime(start + stats.duration)}`,
+        `${Math.round(stats.distance)}m`,
+        `${stats.avgSplit !== null ? formatSplit(stats.avgSplit, displaySettings.units) : '--:--'} ${getSplitUnitLabel(displaySettings.units)}`,
+        stats.avgRate !== null ? `r${Math.round(stats.avgRate)}` : 'r--',
+        stats.avgDps !== null ? `${stats.avgDps.toFixed(1)}m/stroke` : '--m/stroke'
+    ].join(' · ');
+}
+
+/**
+ * Lists the hard pieces found in the session (click a row to zoom to it)
+ */
+function renderAnalysisPieces() {
+    const container = document.getElementById('analysisPieces');
+    container.innerHTML = '';
+
+    if (analysisState.pieces.length === 0) {
+        container.textContent = 'No hard pieces found - steady session.';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = '<thead><tr><th>Piece</th><th>Start</th><th>Time</th><th>Distance</th><th>Split</th><th>Rate</th><th>DPS</th></tr></thead>';
+
+    const body = document.createElement('tbody');
+    analysisState.pieces.forEach((piece, index) => {
+        const stats = piece.stats;
+        const row = document.createElement('tr');
+        row.className = 'analysis-piece';
+        const cells = [
+            index + 1,
+            formatTime((piece.from - analysisState.workout.startTime) / 1000),
+            formatTime(stats.duration),
+            Math.round(stats.distance) + 'm',
+            stats.avgSplit !== null ? formatSplit(stats.avgSplit, displaySettings.units) : '--:--',
+            stats.avgRate !== null ? Math.round(stats.avgRate) : '--',
+            stats.avgDps !== null ? stats.avgDps.toFixed(1) + 'm' : '--'
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.addEventListener('click', () => zoomAnalysis(piece.from, piece.to));
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+    container.appendChild(table);
+}
+
+/* =============================================================================
+ * DRAG TO ZOOM
+ * ============================================================================= */
+
+/**
+ * Lets the user drag across any chart to zoom into that range
+ * Listeners are only added once; they read analysisState when they fire
+ */
+function setupAnalysisPointers() {
+    ANALYSIS_CHARTS.forEach((chart, index) => {
+        const canvas = document.getElementById(chart.canvas);
+        if (canvas.dataset.pointers) return;
+        canvas.dataset.pointers = 'on';
+
+        let dragStart = null;
+        const pointerX = event => {
+            const layout = analysisState && analysisState.charts[index];
+            return layout ? layout.pixelToX(event.clientX - canvas.getBoundingClientRect().left) : null;
+        };
+
+        canvas.addEventListener('pointerdown', event => {
+            dragStart = pointerX(event);
+            if (dragStart !== null) canvas.setPointerCapture(event.pointerId);
+        });
+        canvas.addEventListener('pointermove', event => {
+            if (dragStart === null) return;
+            const x = pointerX(event);
+            analysisState.selection = { from: Math.min(dragStart, x), to: Math.max(dragStart, x) };
+            renderAnalysis();
+        });
+        canvas.addEventListener('pointerup', () => {
+            if (dragStart === null) return;
+            const selection = analysisState.selection;
+            dragStart = null;
+            analysisState.selection = null;
+
+            // A tap (or a tiny drag) just clears the selection
+            const [viewFrom, viewTo] = analysisState.range.map(toAnalysisX);
+            if (selection && selection.to - selection.from > (viewTo - viewFrom) * 0.01) {
+                zoomAnalysis(fromAnalysisX(selection.from), fromAnalysisX(selection.to));
+            } else {
+                renderAnalysis();
+            }
+        });
+    });
+}
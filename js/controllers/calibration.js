@@ -0,0 +1,168 @@
+/**
+ * Speedcox - Sensitivity Calibration Controller
+ * Guides the rower through 20 strokes at a known rate during a workout,
+ * fits the detection settings to what the sensors saw and saves them as a
+ * named profile (e.g. "1x Empacher", "8+ bow seat")
+ */
+
+let calibrationState = null;    // Calibration run in progress (null when not calibrating)
+let calibrationResult = null;   // Finished run waiting to be named {settings, report}
+
+/**
+ * Starts a calibration run
+ * Called by the Sensitivity "Calibrate" button - needs a running workout so
+ * the GPS and motion sensors are live
+ */
+function startCalibration() {
+    if (!isRunning) {
+        alert('Start a workout first, then calibrate once the boat is moving.');
+        return;
+    }
+    if (calibrationState) {
+        alert('Calibration is already running.');
+        return;
+    }
+
+    const targetRate = parseInt(document.getElementById('calibrationRate').value);
+    if (!(targetRate >= 14 && targetRate <= 50)) {
+        alert('Enter the rate you will row for calibration (14-50 SPM).');
+        return;
+    }
+
+    const now = getCurrentTime();
+    calibrationState = {
+        targetRate: targetRate,
+        startTime: now,
+        endTime: now + CALIBRATION_STROKES * 60000 / targetRate,
+        samples: [],
+        gpsStart: Math.max(0, workoutEngine.track.length - 10)  // A few earlier fixes to warm up the speed average
+    };
+
+    document.getElementById('calibrationStatus').textContent = 'Recording...';
+    speak(`Row ${CALIBRATION_STROKES} strokes at rate ${targetRate}. Go.`);
+    console.log(`🎯 Calibration started: ${CALIBRATION_STROKES} strokes at ${targetRate} SPM`);
+}
+
+/**
+ * Keeps a motion sample for the calibration run
+ * Called from handleDeviceMotion() for every sample
+ * @param {Object} sample - {timestamp, ig, a} as given to the engine
+ */
+function collectCalibrationSample(sample) {
+    if (!calibrationState || sample.timestamp < calibrationState.startTime) return;
+    calibrationState.samples.push(sample);
+}
+
+/**
+ * Finishes the calibration run once the strokes are done
+ * Called from the display loop
+ * @param {Number} now - Current time (ms)
+ */
+function updateCalibration(now) {
+    if (!calibrationState || now < calibrationState.endTime) return;
+
+    const run = calibrationState;
+    calibrationState = null;
+    document.getElementById('calibrationStatus').textContent = '';
+    speak('Calibration done');
+
+    const result = fitDetectionSettings({
+        targetRate: run.targetRate,
+        startTime: run.startTime,
+        endTime: run.endTime,
+        samples: run.samples,
+        fixes: workoutEngine.track.slice(run.gpsStart),
+        gravity: mountingCalibration ? mountingCalibration.gravity : null
+    }, detectionSettings);
+
+    // No dialogs here - a blocking prompt would stall the sensors and the
+    // display loop mid-workout until it was answered
+    if (!result.report.spike && !result.report.axis && !result.report.gps) {
+        document.getElementById('calibrationStatus').textContent = 'failed - no strokes detected (are motion or GPS on?)';
+        console.log('🎯 Calibration failed: no strokes detected');
+        return;
+    }
+
+    showCalibrationResult(result);
+}
+
+/**
+ * Shows what the calibration found, with a name field to save it as a profile
+ * @param {Object} result - {settings, report} from fitDetectionSettings()
+ */
+function showCalibrationResult(result) {
+    const { settings, report } = result;
+    const line = (label, entry, value) => entry
+        ? `${label}: ${entry.count}/${entry.expected} strokes (${value})`
+        : `${label}: no strokes detected`;
+
+    calibrationResult = result;
+    const container = document.getElementById('calibrationReport');
+    container.innerHTML = '';
+    [
+        line('Motion (spike)', report.spike, `threshold ${settings.spikeThreshold} m/s²`),
+        line('Motion (boat axis)', report.axis, `catch ${settings.axisCatchFactor}`),
+        line('GPS', report.gps, `peak ${Math.round(settings.speedPeakThreshold * 100)}%`)
+    ].forEach(text => {
+        const row = document.createElement('div');
+        row.textContent = text;
+        container.appendChild(row);
+    });
+
+    document.getElementById('calibrationName').value = getActiveProfileName();
+    document.getElementById('calibrationResult').style.display = 'block';
+    document.getElementById('calibrationStatus').textContent = 'done - name the profile below';
+}
+
+/**
+ * Saves the calibration result as a named profile
+ * Called by the calibration "Save" button
+ */
+function saveCalibrationProfile() {
+    if (!calibrationResult) return;
+
+    const name = document.getElementById('calibrationName').value.trim();
+    if (!name) {
+        document.getElementById('calibrationStatus').textContent = 'enter a name to save the profile';
+        return;
+    }
+
+    const settings = calibrationResult.settings;
+    saveProfile({ name: name, settings: settings, createdAt: Date.now() });
+    setActiveProfileName(name);
+    renderProfileOptions();
+    hideCalibrationResult();
+
+    // Use the new settings straight away for the rest of this workout
+    detectionSettings = settings;
+    configureWorkoutEngine(workoutEngine, { settings: settings });
+    console.log(`💾 Detection profile saved: ${name}`, settings);
+}
+
+/**
+ * Throws the calibration result away, keeping the current settings
+ * Called by the calibration "Cancel" button
+ */
+function discardCalibration() {
+    hideCalibrationResult();
+    console.log('🎯 Calibration result discarded');
+}
+
+/**
+ * Closes the calibration result
+ */
+function hideCalibrationResult() {
+    calibrationResult = null;
+    document.getElementById('calibrationResult').style.display = 'none';
+    document.getElementById('calibrationStatus').textContent = '';
+}
+
+/**
+ * Abandons a calibration run (workout stopped before the strokes were done)
+ */
+function cancelCalibration() {
+    if (!calibrationState) return;
+    calibrationState = null;
+    document.getElementById('calibrationStatus').textContent = '';
+    console.log('🎯 Calibration cancelled');
+}
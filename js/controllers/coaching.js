@@ -0,0 +1,231 @@
+/**
+ * Speedcox - Coaching Cue Controller
+ * Plays the announcement cues and threshold alerts during a workout, and
+ * manages the list of custom cues in the Coaching panel
+ */
+
+const CUES_STORAGE_KEY = 'speedcox-cues';  // localStorage key for custom cues
+
+let coachingCues = loadCoachingCues();  // Custom cues from the Coaching panel
+let coachingTracker = null;             // Which cues and alerts have fired this workout
+let coachingTargets = null;             // Alert thresholds {minRate, maxRate, targetSplit} from the panel
+
+/* =============================================================================
+ * CUE LIST
+ * ============================================================================= */
+
+/**
+ * Loads the saved custom cues
+ * @returns {Array} Cues
+ */
+function loadCoachingCues() {
+    try {
+        return JSON.parse(localStorage.getItem(CUES_STORAGE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Saves the custom cues and redraws the list
+ */
+function saveCoachingCues() {
+    localStorage.setItem(CUES_STORAGE_KEY, JSON.stringify(coachingCues));
+    renderCueList();
+}
+
+/**
+ * Draws the custom cue list with a remove button per cue
+ */
+function renderCueList() {
+    const listEl = document.getElementById('cueList');
+    listEl.innerHTML = '';
+
+    if (coachingCues.length === 0) {
+        listEl.textContent = 'No custom cues.';
+        return;
+    }
+
+    coachingCues.forEach((cue, index) => {
+        const row = document.createElement('div');
+        row.className = 'history-item';
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+        const name = document.createElement('div');
+        name.className = 'history-name';
+        name.textContent = cue.template;
+        const details = document.createElement('div');
+        details.className = 'history-details';
+        details.textContent = describeCueTrigger(cue);
+        info.appendChild(name);
+        info.appendChild(details);
+
+        const remove = document.createElement('button');
+        remove.className = 'history-btn';
+        remove.textContent = 'Remove';
+        remove.onclick = () => removeCoachingCue(index);
+
+        row.appendChild(info);
+        row.appendChild(remove);
+        listEl.appendChild(row);
+    });
+}
+
+/**
+ * Adds a cue from the Coaching panel fields
+ * Called by the "Add Cue" button
+ */
+function addCoachingCue() {
+    const trigger = document.getElementById('cueTrigger').value;
+    const everyText = document.getElementById('cueEvery').value.trim();
+    const every = trigger === 'time' ? parseTimeInput(everyText)
+        : trigger === 'distance' ? parseDistanceInput(everyText)
+        : parseInt(everyText);
+
+    let cue;
+    try {
+        cue = buildCue(document.getElementById('cueTemplate').value, trigger, every);
+    } catch (error) {
+        alert('Cue not added: ' + error.message);
+        return;
+    }
+
+    coachingCues.push(cue);
+    saveCoachingCues();
+    document.getElementById('cueTemplate').value = '';
+    console.log(`🔊 Cue added: "${cue.template}" ${describeCueTrigger(cue)}`);
+}
+
+/**
+ * Removes a custom cue
+ * @param {Number} index - Position in the cue list
+ */
+function removeCoachingCue(index) {
+    coachingCues.splice(index, 1);
+    saveCoachingCues();
+}
+
+/**
+ * Updates the spacing hint when the trigger changes
+ * Called when user changes the cue "Trigger" dropdown
+ */
+function changeCueTrigger() {
+    const trigger = document.getElementById('cueTrigger').value;
+    const everyInput = document.getElementById('cueEvery');
+
+    everyInput.disabled = trigger === 'piece';
+    everyInput.placeholder = { time: '2:00', distance: '500m', strokes: '20', piece: '' }[trigger];
+}
+
+/* =============================================================================
+ * DURING THE WORKOUT
+ * ============================================================================= */
+
+/**
+ * Reads the alert thresholds from the Coaching panel
+ * @returns {Object} {minRate, maxRate, targetSplit} (each may be null)
+ * @throws {Error} If a field holds an invalid value
+ */
+function readCoachingTargets() {
+    const band = parseRateBand(document.getElementById('alertRateBand').value);
+    const splitText = document.getElementById('alertSplit').value.trim();
+    const targetSplit = splitText ? toSplitPer500(parseTimeInput(splitText), displaySettings.units) : null;
+    if (splitText && !(targetSplit > 0)) throw new Error('Split alert is invalid');
+
+    return {
+        minRate: band ? band.minRate : null,
+        maxRate: band ? band.maxRate : null,
+        targetSplit: targetSplit
+    };
+}
+
+/**
+ * Gets the cues ready for a new workout
+ * Called from startWorkout() - the Start tap also unlocks Web Audio for tones
+ * @param {Object} targets - Alert thresholds from readCoachingTargets()
+ * @param {Object|null} tracker - Tracker to carry on with (resuming a workout), or null for a fresh one
+ */
+function startCoaching(targets, tracker = null) {
+    coachingTracker = tracker || createCueTracker();
+    coachingTargets = targets;
+    if (document.getElementById('cueOutput').value === 'tones') getAudioContext();
+}
+
+/**
+ * The regular stroke rate and split announcements from the Audio Settings
+ * dropdowns, as cues
+ * @returns {Array} Cues
+ */
+function getAnnouncementCues() {
+    const cues = [];
+    const rateInterval = parseInt(document.getElementById('strokeRateInterval').value);
+    const splitInterval = parseInt(document.getElementById('splitInterval').value);
+
+    if (rateInterval > 0) cues.push({ id: 'announce-rate', template: 'Stroke rate {rate}', trigger: 'time', every: rateInterval });
+    if (splitInterval > 0) cues.push({ id: 'announce-split', template: 'Split {split}', trigger: 'time', every: splitInterval });
+    return cues;
+}
+
+/**
+ * Alert thresholds right now
+ * A piece's own targets take over from the panel's; nothing is checked
+ * during rest or after the last piece
+ * @param {Object} metrics - Live metrics
+ * @returns {Object|null} {minRate, maxRate, targetSplit}, or null if no alerts apply
+ */
+function getActiveTargets(metrics) {
+    if (metrics.phase === 'rest' || metrics.phase === 'done') return null;
+
+    const targets = { ...coachingTargets };
+    if (metrics.targetRate) {
+        targets.minRate = metrics.targetRate - 1;
+        targets.maxRate = metrics.targetRate + 1;
+    }
+    if (metrics.targetSplit) targets.targetSplit = metrics.targetSplit;
+    return targets;
+}
+
+/**
+ * Plays due cues and alerts - called from updateDisplay every 100ms
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function updateCoaching(elapsed) {
+    if (!coachingTracker) return;
+
+    const metrics = getCoachingMetrics(elapsed);
+    const tones = document.getElementById('cueOutput').value === 'tones';
+
+    collectDueCues(getAnnouncementCues().concat(coachingCues), coachingTracker, metrics).forEach(cue => {
+        const text = renderCueTemplate(cue.template, getCueValues(metrics, displaySettings.units));
+        if (!text) return;  // Nothing known yet (e.g. no rate in the first strokes)
+
+        if (tones) {
+            playTonePattern('cue');
+        } else {
+            speak(text);
+        }
+        console.log(`🔊 Audio: Cue "${text}"`);
+    });
+
+    const targets = getActiveTargets(metrics);
+    if (!targets) return;
+
+    collectAlerts(targets, coachingTracker, metrics, displaySettings.units).forEach(alert => {
+        if (tones) {
+            const length = playTonePattern(alert.kind);
+            // Rate alerts follow up with the target rhythm
+            if (alert.kind !== 'splitSlow') playMetronomeTicks((targets.minRate + targets.maxRate) / 2, 4, length + 300);
+        } else {
+            speak(alert.text, { priority: 'high', key: alert.kind });
+        }
+        console.log(`⚠️ Audio: Alert "${alert.text}"`);
+    });
+}
+
+/**
+ * Stops cues and alerts when the workout ends
+ */
+function stopCoaching() {
+    coachingTracker = null;
+}
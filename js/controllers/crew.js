@@ -0,0 +1,431 @@
+/**
+ * Speedcox - Crew Mode Controller
+ * Seat-mounted phones stream their detected strokes to the cox's phone,
+ * which shows each seat's rate and how early or late it catches compared
+ * with stroke. Phones pair one seat at a time by scanning (or copying) a
+ * connection code each way - see services/crewLink.js.
+ */
+
+const CREW_PING_INTERVAL = 2000;    // ms between clock pings (also refreshes the cox display)
+const CREW_TIMING_TOLERANCE = 30;   // ms - a seat further off stroke than this is highlighted
+const CREW_CATCH_HISTORY = 20;      // Catches kept per seat
+
+let crewSeats = {};         // Cox side: seat number -> {seat, peer, channel, status, sync, catches, rate, lastStroke}
+let crewUplink = null;      // Seat side: {seat, peer, channel} once this phone has joined a cox
+let crewPingTimer = null;   // Ping interval (null with no seats)
+let crewScan = null;        // Camera scan in progress {stream, timer}
+
+/* =============================================================================
+ * CONNECTION CODES
+ * ============================================================================= */
+
+/**
+ * Shows a connection code for the other phone to scan or paste
+ * @param {String} code - Code from services/crewLink.js
+ * @param {String} hint - What to do with it
+ */
+function showCrewCode(code, hint) {
+    const canvas = document.getElementById('crewQr');
+    let drawn = false;
+    try {
+        drawn = drawQrCode(canvas, code);
+    } catch (error) {
+        console.log(`👥 ${error.message} - copy and paste the code instead`);
+    }
+    canvas.style.display = drawn ? 'block' : 'none';
+
+    document.getElementById('crewCode').value = code;
+    document.getElementById('crewCodeHint').textContent = hint;
+    document.getElementById('crewSignal').style.display = 'block';
+}
+
+/**
+ * Hides the connection code once the phones are connected
+ */
+function hideCrewCode() {
+    document.getElementById('crewSignal').style.display = 'none';
+    document.getElementById('crewCode').value = '';
+}
+
+/**
+ * Copies the connection code (to send by message or AirDrop)
+ * Called by the "Copy Code" button
+ */
+function copyCrewCode() {
+    const codeEl = document.getElementById('crewCode');
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(codeEl.value)
+            .then(() => setCrewStatus('Code copied'))
+            .catch(() => alert('Could not copy - select the code and copy it by hand.'));
+    } else {
+        codeEl.select();
+        alert('Copy the selected code by hand.');
+    }
+}
+
+/**
+ * Shows connection progress in the Crew panel
+ * @param {String} text - Status line
+ */
+function setCrewStatus(text) {
+    document.getElementById('crewStatus').textContent = text;
+}
+
+/**
+ * Reads the code pasted into (or scanned into) the Crew panel
+ * An offer means this phone is a seat joining the cox; an answer finishes
+ * a seat the cox added
+ * Called by the "Connect" button
+ */
+function connectCrewCode() {
+    let signal;
+    try {
+        signal = decodeCrewSignal(document.getElementById('crewInput').value);
+    } catch (error) {
+        alert(error.message + '. Paste the whole code from the other phone.');
+        return;
+    }
+    document.getElementById('crewInput').value = '';
+
+    if (signal.description.type === 'offer') {
+        joinCrewAsSeat(signal);
+    } else {
+        finishCrewSeat(signal);
+    }
+}
+
+/**
+ * Scans the other phone's QR code with the camera
+ * Needs the Barcode Detection API (Chrome on Android); elsewhere the code
+ * has to be pasted
+ * Called by the "Scan Code" button
+ */
+function scanCrewCode() {
+    if (!('BarcodeDetector' in window) || !navigator.mediaDevices) {
+        alert('QR scanning is not supported by this browser - copy the code on the other phone and paste it here.');
+        return;
+    }
+    stopCrewScan();
+
+    const video = document.getElementById('crewScanner');
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+        .then(stream => {
+            crewScan = { stream: stream, timer: null };
+            video.srcObject = stream;
+            video.style.display = 'block';
+            return video.play();
+        })
+        .then(() => {
+            crewScan.timer = setInterval(() => {
+                detector.detect(video)
+                    .then(codes => {
+                        if (codes.length === 0 || !crewScan) return;
+                        document.getElementById('crewInput').value = codes[0].rawValue;
+                        stopCrewScan();
+                        connectCrewCode();
+                    })
+                    .catch(() => {});
+            }, 300);
+        })
+        .catch(error => {
+            stopCrewScan();
+            alert('Camera error: ' + error.message);
+        });
+}
+
+/**
+ * Turns the camera off
+ */
+function stopCrewScan() {
+    if (!crewScan) return;
+    clearInterval(crewScan.timer);
+    crewScan.stream.getTracks().forEach(track => track.stop());
+    crewScan = null;
+    document.getElementById('crewScanner').style.display = 'none';
+}
+
+/* =============================================================================
+ * COX SIDE
+ * ============================================================================= */
+
+/**
+ * Starts pairing a seat's phone
+ * Called by the "Add Seat" button
+ */
+function addCrewSeat() {
+    const seat = parseInt(document.getElementById('crewSeat').value);
+    if (!(seat >= 1 && seat <= 8)) {
+        alert('Seat should be between 1 (bow) and 8');
+        return;
+    }
+    if (crewSeats[seat] && !confirm(`Seat ${seat} is already added. Pair a new phone for it?`)) return;
+
+    removeCrewSeat(seat);
+    setCrewStatus(`Preparing code for seat ${seat}...`);
+
+    createCrewOffer(seat)
+        .then(({ peer, channel, code }) => {
+            const entry = { seat, peer, channel, status: 'waiting', sync: createClockSync(), catches: [], rate: null, lastStroke: null };
+            crewSeats[seat] = entry;
+            watchCrewSeat(entry);
+            showCrewCode(code, `On seat ${seat}'s phone: Crew → Scan Code (or paste this). Then scan the code it shows back on this phone.`);
+            setCrewStatus(`Waiting for seat ${seat}`);
+            renderCrewDisplay();
+        })
+        .catch(error => {
+            setCrewStatus('');
+            alert('Could not start crew link: ' + error.message);
+        });
+}
+
+/**
+ * Cox side: applies a seat's answer
+ * @param {Object} signal - Decoded answer
+ */
+function finishCrewSeat(signal) {
+    const entry = crewSeats[signal.seat];
+    if (!entry || entry.status !== 'waiting') {
+        alert(`No seat ${signal.seat} waiting to connect - add the seat on this phone first.`);
+        return;
+    }
+
+    acceptCrewAnswer(entry.peer, signal)
+        .then(() => setCrewStatus(`Connecting seat ${signal.seat}...`))
+        .catch(error => {
+            alert(`Could not connect seat ${signal.seat}: ` + error.message);
+        });
+}
+
+/**
+ * Listens to one seat's channel
+ * @param {Object} entry - Seat record in crewSeats
+ */
+function watchCrewSeat(entry) {
+    entry.channel.addEventListener('open', () => {
+        entry.status = 'connected';
+        hideCrewCode();
+        setCrewStatus(`Seat ${entry.seat} connected`);
+        console.log(`👥 Seat ${entry.seat} connected`);
+        startCrewPings();
+        pingCrewSeats();
+    });
+    entry.channel.addEventListener('close', () => {
+        if (crewSeats[entry.seat] !== entry) return;
+        entry.status = 'lost';
+        console.log(`👥 Seat ${entry.seat} disconnected`);
+        renderCrewDisplay();
+    });
+    entry.channel.addEventListener('message', event => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return;
+        }
+        handleSeatMessage(entry, message);
+    });
+}
+
+/**
+ * Handles a message from a seat
+ * @param {Object} entry - Seat record in crewSeats
+ * @param {Object} message - {type: 'pong', sent, remote} or {type: 'stroke', timestamp, rate}
+ */
+function handleSeatMessage(entry, message) {
+    if (message.type === 'pong') {
+        addClockSample(entry.sync, message.sent, message.remote, Date.now());
+        return;
+    }
+
+    if (message.type === 'stroke') {
+        entry.rate = message.rate > 0 ? message.rate : entry.rate;
+        entry.lastStroke = Date.now();
+
+        // Catch timing needs the seat's clock matched to ours first
+        const offset = getClockOffset(entry.sync);
+        if (offset !== null) {
+            entry.catches.push(message.timestamp - offset);
+            if (entry.catches.length > CREW_CATCH_HISTORY) entry.catches.shift();
+        }
+        renderCrewDisplay();
+    }
+}
+
+/**
+ * Starts the clock pings (once per cox)
+ */
+function startCrewPings() {
+    if (crewPingTimer) return;
+    crewPingTimer = setInterval(pingCrewSeats, CREW_PING_INTERVAL);
+}
+
+/**
+ * Pings every connected seat to keep the clocks matched
+ * The cox's own clock is always Date.now() - it isn't replaying anything
+ */
+function pingCrewSeats() {
+    Object.values(crewSeats).forEach(entry => {
+        if (entry.status === 'connected') sendCrewMessage(entry.channel, { type: 'ping', sent: Date.now() });
+    });
+    renderCrewDisplay();
+}
+
+/**
+ * Closes one seat's connection
+ * @param {Number} seat - Seat number
+ */
+function removeCrewSeat(seat) {
+    const entry = crewSeats[seat];
+    if (!entry) return;
+    delete crewSeats[seat];
+    entry.peer.close();
+}
+
+/**
+ * Draws the cox display - one row per seat, stroke at the top
+ * The highest seat connected is treated as stroke
+ */
+function renderCrewDisplay() {
+    const container = document.getElementById('crewDisplay');
+    const entries = Object.values(crewSeats).sort((a, b) => b.seat - a.seat);
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const now = Date.now();
+    const connected = entries.filter(entry => entry.status === 'connected');
+    const strokeSeat = connected.length > 0 ? connected[0].seat : null;
+    const offsets = getCatchOffsets(connected, strokeSeat);
+    const spread = getCatchSpread(offsets);
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = '<thead><tr><th>Seat</th><th>Link</th><th>Rate</th><th>Catch</th></tr></thead>';
+
+    const body = document.createElement('tbody');
+    entries.forEach(entry => {
+        const fresh = entry.lastStroke !== null && now - entry.lastStroke < CREW_STALE_TIME;
+        const offset = offsets[entry.seat];
+        let timing = '--';
+        if (entry.seat === strokeSeat) timing = 'stroke';
+        else if (offset !== undefined && offset !== null) timing = (offset > 0 ? '+' : '') + Math.round(offset) + ' ms';
+
+        const row = document.createElement('tr');
+        if (offset && Math.abs(offset) > CREW_TIMING_TOLERANCE) row.className = 'crew-off';
+        const cells = [
+            entry.seat === 1 ? '1 (bow)' : entry.seat,
+            { waiting: 'Waiting', connected: 'OK', lost: 'Lost' }[entry.status],
+            fresh && entry.rate !== null ? Math.round(entry.rate) : '--',
+            timing
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+    container.appendChild(table);
+
+    if (spread !== null) {
+        const spreadEl = document.createElement('div');
+        spreadEl.className = 'crew-spread';
+        spreadEl.textContent = `Catch spread: ${Math.round(spread)} ms (+ = late)`;
+        container.appendChild(spreadEl);
+    }
+    container.style.display = 'block';
+}
+
+/* =============================================================================
+ * SEAT SIDE
+ * ============================================================================= */
+
+/**
+ * Seat side: answers the cox's offer and waits for the channel
+ * @param {Object} signal - Decoded offer (carries this phone's seat number)
+ */
+function joinCrewAsSeat(signal) {
+    leaveCrew();
+    setCrewStatus(`Joining as seat ${signal.seat}...`);
+
+    answerCrewOffer(signal)
+        .then(({ peer, code }) => {
+            const uplink = { seat: signal.seat, peer: peer, channel: null };
+            crewUplink = uplink;
+
+            peer.addEventListener('datachannel', event => {
+                uplink.channel = event.channel;
+                uplink.channel.addEventListener('open', () => {
+                    hideCrewCode();
+                    setCrewStatus(`Connected to the cox as seat ${uplink.seat}` +
+                        (motionPermission ? '' : ' - enable motion sensors so strokes can be sent'));
+                    console.log(`👥 Joined the cox as seat ${uplink.seat}`);
+                });
+                uplink.channel.addEventListener('close', () => {
+                    if (crewUplink === uplink) setCrewStatus(`Seat ${uplink.seat}: lost the cox`);
+                });
+                uplink.channel.addEventListener('message', event => {
+                    let message;
+                    try {
+                        message = JSON.parse(event.data);
+                    } catch (error) {
+                        return;
+                    }
+                    // Clock pings are answered straight away with this phone's stroke clock
+                    if (message.type === 'ping') {
+                        sendCrewMessage(uplink.channel, { type: 'pong', sent: message.sent, remote: getCurrentTime() });
+                    }
+                });
+            });
+
+            showCrewCode(code, "Show this to the cox's phone (Crew → Scan Code).");
+            setCrewStatus(`Seat ${signal.seat}: waiting for the cox`);
+        })
+        .catch(error => {
+            setCrewStatus('');
+            alert('Could not join the cox: ' + error.message);
+        });
+}
+
+/**
+ * Sends a detected stroke to the cox
+ * Called from registerMotionStroke() - the seat's own accelerometer is what
+ * times its catch, GPS strokes are the same for the whole boat
+ * @param {Number} timestamp - When the stroke happened (ms)
+ * @param {Number} rate - Current stroke rate (SPM, 0 if not known yet)
+ */
+function sendCrewStroke(timestamp, rate) {
+    if (!crewUplink) return;
+    sendCrewMessage(crewUplink.channel, { type: 'stroke', timestamp: timestamp, rate: rate });
+}
+
+/**
+ * Leaves the cox (seat side)
+ */
+function leaveCrew() {
+    if (!crewUplink) return;
+    crewUplink.peer.close();
+    crewUplink = null;
+}
+
+/**
+ * Closes every crew connection on this phone
+ * Called by the "Disconnect All" button
+ */
+function disconnectCrew() {
+    Object.keys(crewSeats).forEach(seat => removeCrewSeat(Number(seat)));
+    leaveCrew();
+    clearInterval(crewPingTimer);
+    crewPingTimer = null;
+    stopCrewScan();
+    hideCrewCode();
+    setCrewStatus('');
+    renderCrewDisplay();
+    console.log('👥 Crew link closed');
+}
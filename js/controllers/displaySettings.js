@@ -0,0 +1,140 @@
+/**
+ * Speedcox - Display Settings Controller
+ * The Display panel: sport preset, speed unit, split distance and which
+ * metric each card shows. Applies them to the metric cards and labels
+ */
+
+let displaySettings = loadDisplaySettings();    // {sport, cards, units, race} - see models/displaySettings.js
+
+/* =============================================================================
+ * SETTINGS PANEL
+ * ============================================================================= */
+
+/**
+ * Fills a dropdown with options
+ * @param {HTMLSelectElement} select - Dropdown to fill
+ * @param {Array} options - [value, text] pairs
+ * @param {String} value - Option to select
+ */
+function fillDisplaySelect(select, options, value) {
+    select.innerHTML = '';
+    options.forEach(([optionValue, text]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    select.value = value;
+}
+
+/**
+ * Shows the current settings in the Display panel
+ */
+function renderDisplaySettings() {
+    fillDisplaySelect(document.getElementById('displaySport'),
+        Object.entries(SPORT_PRESETS).map(([key, preset]) => [key, preset.name]), displaySettings.sport);
+    fillDisplaySelect(document.getElementById('speedUnit'),
+        Object.entries(SPEED_UNITS).map(([key, unit]) => [key, unit.label]), displaySettings.units.speed);
+    fillDisplaySelect(document.getElementById('splitDistance'),
+        SPLIT_DISTANCES.map(distance => [distance, `${distance}m`]), String(displaySettings.units.split));
+
+    const container = document.getElementById('metricCardSlots');
+    container.innerHTML = '';
+    const metrics = Object.entries(METRIC_CARDS).map(([key, metric]) => [key, metric.name]);
+    displaySettings.cards.forEach((metric, slot) => {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+
+        const label = document.createElement('label');
+        label.htmlFor = `metricCardSlot${slot}`;
+        label.textContent = `Card ${slot + 1}:`;
+
+        const select = document.createElement('select');
+        select.id = `metricCardSlot${slot}`;
+        fillDisplaySelect(select, metrics, metric);
+        select.addEventListener('change', () => changeMetricCard(slot));
+
+        row.appendChild(label);
+        row.appendChild(select);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Switches to a sport's cards and units
+ * Called when user changes the "Sport" dropdown
+ */
+function changeSportPreset() {
+    displaySettings = createDisplaySettings(document.getElementById('displaySport').value, displaySettings.race);
+    updateDisplaySettings();
+    console.log(`🖥️ Display preset: ${SPORT_PRESETS[displaySettings.sport].name}`);
+}
+
+/**
+ * Uses the speed unit and split distance picked in the panel
+ * Called when user changes the "Speed" or "Split Per" dropdown
+ */
+function changeDisplayUnits() {
+    displaySettings.units = {
+        speed: document.getElementById('speedUnit').value,
+        split: parseInt(document.getElementById('splitDistance').value)
+    };
+    updateDisplaySettings();
+    console.log(`🖥️ Units: ${getSpeedUnitLabel(displaySettings.units)}, splits ${getSplitUnitLabel(displaySettings.units)}`);
+}
+
+/**
+ * Shows the metric picked for a card (swapping with the card that had it)
+ * Called when user changes one of the "Card N" dropdowns
+ * @param {Number} slot - Card position (0-based)
+ */
+function changeMetricCard(slot) {
+    assignMetricCard(displaySettings, slot, document.getElementById(`metricCardSlot${slot}`).value);
+    updateDisplaySettings();
+}
+
+/**
+ * Saves and applies changed settings
+ */
+function updateDisplaySettings() {
+    saveDisplaySettings(displaySettings);
+    renderDisplaySettings();
+    applyDisplaySettings();
+
+    // The summary on screen is redrawn in the new units
+    if (displayedWorkout) {
+        renderWorkoutSummary(displayedWorkout.summary, displayedWorkout.name, displayedWorkout.strokeLog || []);
+    }
+}
+
+/* =============================================================================
+ * METRIC CARDS
+ * ============================================================================= */
+
+/**
+ * Puts the chosen cards in order (ahead of the sensor cards), hides the
+ * rest and labels the split and speed cards with their units
+ */
+function applyDisplaySettings() {
+    const units = displaySettings.units;
+    const firstSensorCard = document.getElementById('heartRateCard');
+    const grid = firstSensorCard.parentNode;
+
+    Object.entries(METRIC_CARDS).forEach(([key, metric]) => {
+        document.getElementById(metric.card).style.display = displaySettings.cards.includes(key) ? 'block' : 'none';
+    });
+    displaySettings.cards.forEach(key => grid.insertBefore(document.getElementById(METRIC_CARDS[key].card), firstSensorCard));
+
+    document.getElementById('splitLabel').textContent = `Split (${units.split}m)`;
+    document.getElementById('avgSplitLabel').textContent = `Avg Split (${units.split}m)`;
+    document.getElementById('speedLabel').textContent = `Speed (${getSpeedUnitLabel(units)})`;
+    document.getElementById('summaryAvgSplitLabel').textContent = `Avg Split (${units.split}m)`;
+}
+
+/**
+ * Shows the saved settings - called once when the page loads
+ */
+function initializeDisplaySettings() {
+    renderDisplaySettings();
+    applyDisplaySettings();
+}
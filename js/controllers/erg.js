@@ -0,0 +1,106 @@
+/**
+ * Speedcox - Erg Controller
+ * Indoor mode: a Concept2 PM5 over Bluetooth gives the stroke rate, split,
+ * distance, watts and drive length in place of GPS and the motion sensors.
+ * The workout itself runs as usual (display, announcements, summary, history).
+ */
+
+let ergSensor = null;       // Sensor handle for the monitor, null when not connected
+let ergSession = null;      // From createErgSession(), kept across reconnects
+let ergStatus = 'off';      // 'connecting', 'connected', 'reconnecting' or 'off'
+
+/**
+ * Shows the device picker and connects to a PM5
+ * Called by the "Connect" button in the Erg panel
+ */
+function connectErg() {
+    const bluetooth = getBluetooth();
+    if (!bluetooth) {
+        alert('Erg mode needs a browser with Web Bluetooth (e.g. Chrome on Android or a laptop). Tick "Simulated Sensors" to try it out.');
+        return;
+    }
+
+    disconnectErg();
+    ergSession = createErgSession();
+    connectBleSensor(bluetooth, 'erg', handleErgReading, status => {
+        ergStatus = status;
+        renderErg();
+    })
+        .then(sensor => {
+            ergSensor = sensor;
+
+            // Indoors the monitor replaces GPS and motion (not mid-workout)
+            if (!isRunning) {
+                document.getElementById('strokeRateMethod').value = 'erg';
+                changeStrokeRateMethod();
+            }
+            renderErg();
+        })
+        .catch(error => {
+            ergStatus = 'off';
+            renderErg();
+            if (error.name === 'NotFoundError') return;    // Picker closed without choosing
+            alert('Could not connect the rowing machine: ' + error.message);
+        });
+}
+
+/**
+ * Disconnects the monitor
+ * Called by the "Disconnect" button in the Erg panel
+ */
+function disconnectErg() {
+    if (!ergSensor) return;
+    const sensor = ergSensor;
+    ergSensor = null;
+    disconnectBleSensor(sensor);
+}
+
+/**
+ * Counts the monitor's distance from this point on
+ * Called from startWorkout() and resumeWorkout() in erg mode
+ * @param {Number} distance - Distance to carry on from (0 for a new workout)
+ */
+function startErg(distance) {
+    if (ergSession) restartErgDistance(ergSession, distance);
+}
+
+/**
+ * Takes in a message from the monitor and passes it on to the workout
+ * @param {Object} reading - From one of the parsePm5...() functions
+ */
+function handleErgReading(reading) {
+    const result = applyErgReading(ergSession, reading);
+    const now = getCurrentTime();
+
+    // A strap paired with the monitor (a strap connected to the phone comes first)
+    if (ergSession.heartRate !== null && !heartRateSensor) setSensorValue('heartRate', ergSession.heartRate);
+
+    if (result.moved) {
+        updateErgPosition({
+            timestamp: now,
+            distance: ergSession.distance,
+            speed: ergSession.speed || 0,
+            strokeRate: ergSession.strokeRate,
+            power: ergSession.power
+        });
+    }
+    if (result.stroke) registerErgStroke(now, result.stroke, ergSession.strokeRate);
+
+    renderErg();
+}
+
+/**
+ * Updates the watts and drive length cards and the Erg panel status
+ */
+function renderErg() {
+    document.getElementById('ergStatus').textContent = ergSensor || ergStatus !== 'off'
+        ? `${ergSensor ? ergSensor.name : 'PM5'} - ${ergStatus}`
+        : 'not connected';
+
+    const show = ergSensor ? 'block' : 'none';
+    document.getElementById('ergPowerCard').style.display = show;
+    document.getElementById('ergDriveCard').style.display = show;
+    document.getElementById('ergPower').textContent = ergSession && ergSession.power !== null ? ergSession.power + 'W' : '--';
+    document.getElementById('ergDriveLength').textContent =
+        ergSession && ergSession.driveLength !== null ? ergSession.driveLength.toFixed(2) + 'm' : '--';
+}
@@ -0,0 +1,201 @@
+/**
+ * Speedcox - Ghost Race Controller
+ * Race a saved session or an even target pace: the gap is shown above the
+ * metrics, announced at every 500m, and compared split by split in the summary
+ */
+
+let ghostTracker = null;        // Race record for the current (or last) workout, null without a ghost
+let loadedGhostSession = null;  // {id, ghost} - saved session picked in the Ghost panel, loaded ahead of the start
+
+/* =============================================================================
+ * SETTINGS
+ * ============================================================================= */
+
+/**
+ * Fills the session dropdown with saved workouts
+ * Called from refreshHistoryList() whenever history changes
+ * @param {Array} workouts - Saved workout records (newest first)
+ */
+function renderGhostSessionOptions(workouts) {
+    const select = document.getElementById('ghostSession');
+    const selected = select.value;
+    select.innerHTML = '';
+
+    workouts.forEach(workout => {
+        const option = document.createElement('option');
+        option.value = workout.id;
+        option.textContent = `${workout.name} · ${Math.round(workout.summary.distance)}m · ${formatTime(workout.summary.duration)}`;
+        select.appendChild(option);
+    });
+    if (workouts.some(workout => String(workout.id) === selected)) select.value = selected;
+}
+
+/**
+ * Shows the settings for the chosen ghost and loads a picked session
+ * Called when user changes "Race Against" or the session dropdown
+ */
+function changeGhostSource() {
+    const source = document.getElementById('ghostSource').value;
+    document.getElementById('ghostSplitRow').style.display = source === 'split' ? 'flex' : 'none';
+    document.getElementById('ghostSessionRow').style.display = source === 'session' ? 'flex' : 'none';
+
+    if (source === 'session') loadGhostSession();
+}
+
+/**
+ * Loads the saved session picked as the ghost
+ * Done when it's picked, so starting the workout doesn't wait on storage
+ */
+function loadGhostSession() {
+    const id = parseInt(document.getElementById('ghostSession').value);
+    if (!id || (loadedGhostSession && loadedGhostSession.id === id)) return;
+
+    getWorkout(id)
+        .then(workout => {
+            if (!workout) throw new Error('Workout not found');
+            loadedGhostSession = { id: id, ghost: createSessionGhost(workout) };
+            console.log(`👻 Ghost loaded: "${workout.name}" (${Math.round(workout.summary.distance)}m)`);
+        })
+        .catch(error => alert('Could not load the ghost session: ' + error.message));
+}
+
+/**
+ * Picks a saved session as the ghost
+ * Called by a history row's "Race" button
+ * @param {Number} id - Workout ID
+ */
+function raceHistoryWorkout(id) {
+    document.getElementById('ghostSource').value = 'session';
+    document.getElementById('ghostSession').value = id;
+    changeGhostSource();
+    document.getElementById('ghostSource').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Reads the ghost from the Ghost panel
+ * @returns {Object|null} Ghost, or null for no ghost
+ * @throws {Error} If the target split is invalid or the session isn't loaded
+ */
+function readGhost() {
+    const source = document.getElementById('ghostSource').value;
+
+    if (source === 'split') {
+        const units = displaySettings.units;
+        const split = toSplitPer500(parseTimeInput(document.getElementById('ghostSplit').value), units);
+        if (!(split >= 60 && split <= 600)) {
+            throw new Error(`Target split should be between ${formatSplit(60, units)} and ${formatSplit(600, units)}`);
+        }
+        return createSplitGhost(split, units);
+    }
+
+    if (source === 'session') {
+        const id = parseInt(document.getElementById('ghostSession').value);
+        if (!loadedGhostSession || loadedGhostSession.id !== id) {
+            loadGhostSession();
+            throw new Error('The session is still loading - try again in a moment');
+        }
+        return loadedGhostSession.ghost;
+    }
+
+    return null;
+}
+
+/* =============================================================================
+ * DURING THE WORKOUT
+ * ============================================================================= */
+
+/**
+ * Lines the ghost up at the start
+ * Called from startWorkout() and resumeWorkout()
+ * @param {Object|null} ghost - From readGhost() (null = no ghost)
+ * @param {Object|null} tracker - Race record to carry on with (resuming a workout)
+ */
+function startGhost(ghost, tracker = null) {
+    ghostTracker = ghost ? (tracker || createGhostTracker(ghost)) : null;
+    document.getElementById('ghostStatus').style.display = ghostTracker ? 'block' : 'none';
+    if (ghostTracker) console.log(`👻 Racing the ghost: ${ghost.name}`);
+}
+
+/**
+ * Shows the gap and announces it at each 500m
+ * Called from updateDisplay every 100ms
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function updateGhost(elapsed) {
+    if (!ghostTracker) return;
+
+    const gap = getGhostGap(ghostTracker.ghost, elapsed, workoutEngine.distance);
+    document.getElementById('ghostStatus').textContent = `Ghost: ${describeGhostGap(gap)}`;
+
+    const split = updateGhostTracker(ghostTracker, elapsed, workoutEngine.distance);
+    if (split && document.getElementById('ghostAnnounce').checked) {
+        speak(`${split.distance} meters. Ghost: ${describeGhostGap(gap)}`, { key: 'ghost' });
+    }
+}
+
+/**
+ * Hides the gap when the workout ends (the results stay for the summary)
+ */
+function stopGhost() {
+    document.getElementById('ghostStatus').style.display = 'none';
+}
+
+/**
+ * Race result of the current (or last) workout
+ * @param {Number} elapsed - Workout length (s)
+ * @returns {Object|null} From getGhostSummary(), or null without a ghost
+ */
+function getGhostResults(elapsed) {
+    return ghostTracker ? getGhostSummary(ghostTracker, elapsed, workoutEngine.distance) : null;
+}
+
+/* =============================================================================
+ * SUMMARY
+ * ============================================================================= */
+
+/**
+ * Draws the split-by-split comparison with the ghost
+ * @param {Object|null} result - Summary ghost result (null hides the table)
+ */
+function renderGhostResults(result) {
+    const container = document.getElementById('ghostResults');
+    container.innerHTML = '';
+
+    if (!result) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const seconds = value => value === null ? '--' : (value >= 0 ? '+' : '') + value.toFixed(1) + 's';
+
+    const label = document.createElement('div');
+    label.className = 'label';
+    label.textContent = `Ghost: ${result.name} - finished ${describeGhostGap(result.finalGap)}`;
+    container.appendChild(label);
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = '<thead><tr><th>Distance</th><th>Time</th><th>Ghost</th><th>Split +/-</th><th>Gap</th></tr></thead>';
+
+    const body = document.createElement('tbody');
+    result.splits.forEach(split => {
+        const row = document.createElement('tr');
+        const cells = [
+            split.distance + 'm',
+            formatTime(split.time),
+            split.ghostTime !== null ? formatTime(split.ghostTime) : '--',
+            seconds(split.splitDelta),
+            seconds(split.delta)
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    container.appendChild(table);
+    container.style.display = 'block';
+}
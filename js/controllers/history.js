@@ -0,0 +1,138 @@
+/**
+ * Speedcox - Workout History Controller
+ * Lists saved sessions and lets the user open, rename and delete them
+ */
+
+/* =============================================================================
+ * HISTORY LIST
+ * ============================================================================= */
+
+/**
+ * Reloads saved workouts from storage and redraws the history list
+ */
+function refreshHistoryList() {
+    const listEl = document.getElementById('historyList');
+
+    getAllWorkouts()
+        .then(workouts => {
+            renderHistoryList(listEl, workouts);
+            renderGhostSessionOptions(workouts);
+        })
+        .catch(error => {
+            console.log('Error loading workout history:', error);
+            listEl.textContent = 'History unavailable: ' + error.message;
+        });
+}
+
+/**
+ * Draws one row per saved workout
+ * @param {HTMLElement} listEl - Container for the rows
+ * @param {Array} workouts - Saved workout records (newest first)
+ */
+function renderHistoryList(listEl, workouts) {
+    listEl.innerHTML = '';
+
+    if (workouts.length === 0) {
+        listEl.textContent = 'No saved workouts yet.';
+        return;
+    }
+
+    workouts.forEach(workout => {
+        const row = document.createElement('div');
+        row.className = 'history-item';
+
+        // Name plus a short description (date, distance, time)
+        const info = document.createElement('div');
+        info.className = 'history-info';
+
+        const name = document.createElement('div');
+        name.className = 'history-name';
+        name.textContent = workout.name;
+
+        const details = document.createElement('div');
+        details.className = 'history-details';
+        details.textContent = `${new Date(workout.startTime).toLocaleDateString()} · ` +
+            `${Math.round(workout.summary.distance)}m · ${formatTime(workout.summary.duration)}`;
+
+        info.appendChild(name);
+        info.appendChild(details);
+        row.appendChild(info);
+
+        // Action buttons
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        actions.appendChild(createHistoryButton('Open', () => openHistoryWorkout(workout.id)));
+        actions.appendChild(createHistoryButton('Race', () => raceHistoryWorkout(workout.id)));
+        actions.appendChild(createHistoryButton('Rename', () => renameHistoryWorkout(workout.id, workout.name)));
+        actions.appendChild(createHistoryButton('Delete', () => deleteHistoryWorkout(workout.id, workout.name)));
+        row.appendChild(actions);
+
+        listEl.appendChild(row);
+    });
+}
+
+/**
+ * Creates a small action button for a history row
+ * @param {String} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createHistoryButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'history-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/* =============================================================================
+ * HISTORY ACTIONS
+ * ============================================================================= */
+
+/**
+ * Shows a saved workout in the summary panel
+ * @param {Number} id - Workout ID
+ */
+function openHistoryWorkout(id) {
+    if (isRunning) {
+        alert('Stop the current workout before opening a saved one.');
+        return;
+    }
+
+    getWorkout(id)
+        .then(workout => {
+            if (!workout) throw new Error('Workout not found');
+            displayedWorkout = workout;
+            renderWorkoutSummary(workout.summary, workout.name, workout.strokeLog || []);
+            document.getElementById('workoutSummary').scrollIntoView({ behavior: 'smooth' });
+            console.log(`📂 Opened workout ${id}: ${workout.track.length} GPS points, ${workout.strokes.length} strokes`);
+        })
+        .catch(error => alert('Could not open workout: ' + error.message));
+}
+
+/**
+ * Asks for a new name and saves it
+ * @param {Number} id - Workout ID
+ * @param {String} currentName - Name shown as the default
+ */
+function renameHistoryWorkout(id, currentName) {
+    const name = prompt('Workout name:', currentName);
+    if (name === null || name.trim() === '') return;
+
+    renameWorkout(id, name.trim())
+        .then(() => refreshHistoryList())
+        .catch(error => alert('Could not rename workout: ' + error.message));
+}
+
+/**
+ * Deletes a saved workout after confirmation
+ * @param {Number} id - Workout ID
+ * @param {String} name - Name shown in the confirmation
+ */
+function deleteHistoryWorkout(id, name) {
+    if (!confirm(`Delete "${name}"? This cannot be undone.`)) return;
+
+    deleteWorkout(id)
+        .then(() => refreshHistoryList())
+        .catch(error => alert('Could not delete workout: ' + error.message));
+}
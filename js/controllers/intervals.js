@@ -0,0 +1,317 @@
+/**
+ * Speedcox - Interval Workout Controller
+ * Moves through the pieces of an interval plan during a workout,
+ * announces transitions and collects per-piece results
+ */
+
+/* =============================================================================
+ * INTERVAL STATE
+ * ============================================================================= */
+
+let intervalPlan = null;        // Plan for the current workout (null = just row)
+let intervalState = null;       // Progress through the plan while running
+
+/**
+ * Reads the interval builder form
+ * @returns {Object|null} Plan, or null when "Just Row" is selected
+ * @throws {Error} If the form holds an invalid value
+ */
+function readIntervalPlan() {
+    const type = document.getElementById('intervalType').value;
+    if (type === 'none') return null;
+
+    const amountText = document.getElementById('intervalAmount').value;
+    const rateText = document.getElementById('intervalTargetRate').value.trim();
+    const splitText = document.getElementById('intervalTargetSplit').value.trim();
+    const restText = document.getElementById('intervalRest').value.trim();
+
+    const targetRate = rateText ? parseInt(rateText) : null;
+    const targetSplit = splitText ? toSplitPer500(parseTimeInput(splitText), displaySettings.units) : null;
+    if (rateText && !(targetRate > 0)) throw new Error('Target rate is invalid');
+    if (splitText && !(targetSplit > 0)) throw new Error('Target split is invalid');
+
+    return buildIntervalPlan({
+        type: type,
+        repeats: parseInt(document.getElementById('intervalRepeats').value),
+        amount: type === 'distance' ? parseDistanceInput(amountText) : parseTimeInput(amountText),
+        rest: restText ? parseTimeInput(restText) : 0,
+        targetRate: targetRate,
+        targetSplit: targetSplit
+    });
+}
+
+/**
+ * Updates the piece length hint when the piece type changes
+ * Called when user changes the "Workout" dropdown
+ */
+function changeIntervalType() {
+    const type = document.getElementById('intervalType').value;
+    const amountInput = document.getElementById('intervalAmount');
+
+    document.getElementById('intervalFields').style.display = type === 'none' ? 'none' : 'block';
+    amountInput.placeholder = type === 'distance' ? '2000m' : '1:00';
+}
+
+/* =============================================================================
+ * RUNNING THE PLAN
+ * ============================================================================= */
+
+/**
+ * Starts the plan at the beginning of a workout
+ * @param {Object|null} plan - Interval plan, or null for an open session
+ */
+function startIntervals(plan) {
+    intervalPlan = plan;
+    intervalState = null;
+
+    const statusEl = document.getElementById('intervalStatus');
+    if (!plan) {
+        statusEl.style.display = 'none';
+        return;
+    }
+
+    intervalState = {
+        pieceIndex: 0,
+        phase: 'work',                 // 'work', 'rest' or 'done'
+        phaseStart: 0,                 // Elapsed seconds when the phase began
+        phaseStartDistance: 0,         // Workout distance when the phase began
+        results: [],                   // Finished piece results
+        laps: []                       // Every phase as {startTime, endTime, kind} (ms)
+    };
+    statusEl.style.display = 'block';
+
+    console.log(`⏱️ Interval plan started: ${plan.name}`);
+    beginPiece(0, 0);
+}
+
+/**
+ * Carries on with the plan of a resumed workout
+ * @param {Object|null} plan - Interval plan, or null for an open session
+ * @param {Object|null} state - Progress saved in the workout checkpoint
+ */
+function resumeIntervals(plan, state) {
+    intervalPlan = plan;
+    intervalState = plan ? state : null;
+    document.getElementById('intervalStatus').style.display = intervalState ? 'block' : 'none';
+}
+
+/**
+ * Starts the work phase of a piece
+ * @param {Number} index - Piece index (0-based)
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function beginPiece(index, elapsed) {
+    intervalState.pieceIndex = index;
+    beginIntervalPhase('work', elapsed);
+    speak(`Piece ${index + 1} of ${intervalPlan.pieces.length}, go`);
+}
+
+/**
+ * Marks the start of a new phase (closing the previous one as a lap)
+ * @param {String} phase - 'work', 'rest' or 'done'
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function beginIntervalPhase(phase, elapsed) {
+    const now = startTime + elapsed * 1000;
+    const laps = intervalState.laps;
+    if (laps.length > 0) laps[laps.length - 1].endTime = now;
+    laps.push({ startTime: now, endTime: null, kind: phase });
+
+    intervalState.phase = phase;
+    intervalState.phaseStart = elapsed;
+    intervalState.phaseStartDistance = workoutEngine.distance;
+}
+
+/**
+ * Records the result of the piece in progress
+ * @param {Number} elapsed - Seconds since workout started
+ * @param {Boolean} partial - True if the workout was stopped mid-piece
+ */
+function recordPieceResult(elapsed, partial) {
+    const piece = intervalPlan.pieces[intervalState.pieceIndex];
+    const phaseStartTime = startTime + intervalState.phaseStart * 1000;
+    const now = startTime + elapsed * 1000;
+    const strokes = filterStrokesByMethod(workoutEngine.strokeEvents, strokeRateMethod)
+        .filter(s => s.timestamp >= phaseStartTime && s.timestamp <= now).length;
+
+    const result = buildPieceResult(
+        piece,
+        intervalState.pieceIndex + 1,
+        elapsed - intervalState.phaseStart,
+        workoutEngine.distance - intervalState.phaseStartDistance,
+        strokes,
+        partial
+    );
+    intervalState.results.push(result);
+
+    console.log(`⏱️ Piece ${result.piece} ${partial ? 'stopped' : 'finished'}: ${Math.round(result.distance)}m in ${formatTime(result.duration)}`);
+}
+
+/**
+ * Advances the plan - called from updateDisplay every 100ms
+ * Ends pieces on distance or time, runs the rest and starts the next piece
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function updateIntervals(elapsed) {
+    if (!intervalState) return;
+
+    const pieces = intervalPlan.pieces;
+    const piece = pieces[intervalState.pieceIndex];
+    const phaseTime = elapsed - intervalState.phaseStart;
+    const phaseDistance = workoutEngine.distance - intervalState.phaseStartDistance;
+
+    if (intervalState.phase === 'work') {
+        const finished = piece.type === 'distance' ? phaseDistance >= piece.amount : phaseTime >= piece.amount;
+        if (finished) {
+            recordPieceResult(elapsed, false);
+
+            if (intervalState.pieceIndex === pieces.length - 1) {
+                beginIntervalPhase('done', elapsed);
+                speak('Intervals complete');
+            } else if (piece.rest > 0) {
+                beginIntervalPhase('rest', elapsed);
+                speak('Rest');
+            } else {
+                beginPiece(intervalState.pieceIndex + 1, elapsed);
+            }
+        }
+    } else if (intervalState.phase === 'rest' && phaseTime >= piece.rest) {
+        beginPiece(intervalState.pieceIndex + 1, elapsed);
+    }
+
+    renderIntervalStatus(elapsed);
+}
+
+/**
+ * Where the workout is in the plan
+ * @param {Number} elapsed - Seconds since workout started
+ * @returns {Object|null} {piece (1-based), pieces, phase, remainingDistance,
+ *          remainingTime, targetRate, targetSplit} - remaining values are null
+ *          when they don't apply - or null for an open session
+ */
+function getIntervalProgress(elapsed) {
+    if (!intervalState) return null;
+
+    const piece = intervalPlan.pieces[intervalState.pieceIndex];
+    const phaseTime = elapsed - intervalState.phaseStart;
+    const phase = intervalState.phase;
+
+    let remainingDistance = null;
+    let remainingTime = null;
+    if (phase === 'work' && piece.type === 'distance') {
+        remainingDistance = Math.max(0, piece.amount - (workoutEngine.distance - intervalState.phaseStartDistance));
+    } else if (phase === 'work') {
+        remainingTime = Math.max(0, piece.amount - phaseTime);
+    } else if (phase === 'rest') {
+        remainingTime = Math.max(0, piece.rest - phaseTime);
+    }
+
+    return {
+        piece: intervalState.pieceIndex + 1,
+        pieces: intervalPlan.pieces.length,
+        phase: phase,
+        remainingDistance: remainingDistance,
+        remainingTime: remainingTime,
+        targetRate: piece.targetRate,
+        targetSplit: piece.targetSplit
+    };
+}
+
+/**
+ * Shows piece number, what's left and the targets above the metrics
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function renderIntervalStatus(elapsed) {
+    const statusEl = document.getElementById('intervalStatus');
+    const progress = getIntervalProgress(elapsed);
+    const pieceLabel = `Piece ${progress.piece} of ${progress.pieces}`;
+
+    if (progress.phase === 'done') {
+        statusEl.textContent = `${intervalPlan.name} complete`;
+        return;
+    }
+
+    if (progress.phase === 'rest') {
+        statusEl.textContent = `Rest ${formatTime(progress.remainingTime)} · next: piece ${progress.piece + 1}`;
+        return;
+    }
+
+    const remaining = progress.remainingDistance !== null
+        ? `${Math.round(progress.remainingDistance)}m to go`
+        : `${formatTime(progress.remainingTime)} to go`;
+
+    const targets = [];
+    if (progress.targetRate) targets.push(`r${progress.targetRate}`);
+    if (progress.targetSplit) targets.push(formatSplit(progress.targetSplit, displaySettings.units));
+
+    statusEl.textContent = `${pieceLabel} · ${remaining}` + (targets.length > 0 ? ` · target ${targets.join(' ')}` : '');
+}
+
+/**
+ * Closes the plan when the workout stops
+ * A piece that was still in progress is kept as a partial result
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function stopIntervals(elapsed) {
+    if (!intervalState) return;
+
+    if (intervalState.phase === 'work' && elapsed > intervalState.phaseStart) {
+        recordPieceResult(elapsed, true);
+    }
+
+    const laps = intervalState.laps;
+    if (laps.length > 0) laps[laps.length - 1].endTime = startTime + elapsed * 1000;
+}
+
+/**
+ * Clears the plan progress and hides the status bar
+ * Called from resetWorkout()
+ */
+function resetIntervals() {
+    intervalState = null;
+    document.getElementById('intervalStatus').style.display = 'none';
+}
+
+/* =============================================================================
+ * SUMMARY
+ * ============================================================================= */
+
+/**
+ * Draws the per-piece results table in the workout summary
+ * @param {Array} results - Piece results (empty for an open session)
+ */
+function renderIntervalResults(results) {
+    const container = document.getElementById('intervalResults');
+    container.innerHTML = '';
+
+    if (!results || results.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = '<thead><tr><th>Piece</th><th>Time</th><th>Distance</th><th>Split</th><th>Rate</th></tr></thead>';
+
+    const body = document.createElement('tbody');
+    results.forEach(result => {
+        const row = document.createElement('tr');
+        const cells = [
+            result.piece + (result.partial ? '*' : ''),
+            formatTime(result.duration),
+            Math.round(result.distance) + 'm',
+            result.avgSplit !== null ? formatSplit(result.avgSplit, displaySettings.units) : '--:--',
+            result.avgStrokeRate !== null ? Math.round(result.avgStrokeRate) : '--'
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    container.appendChild(table);
+    container.style.display = 'block';
+}
@@ -0,0 +1,83 @@
+/**
+ * Speedcox - Mounting Calibration Controller
+ * Measures how the phone is mounted (gravity direction) while the boat
+ * sits still, for the boat-axis stroke detector
+ */
+
+const MOUNTING_STORAGE_KEY = 'speedcox-mounting';  // localStorage key
+const MOUNTING_DURATION = 3000;                    // ms of samples to average
+const MOUNTING_MAX_NOISE = 0.6;                    // m/s² - more than this means the phone moved
+
+let mountingCalibration = loadMountingCalibration();  // {gravity, noise, time} or null
+
+/**
+ * Loads the saved mounting calibration
+ * @returns {Object|null} Calibration, or null if the phone was never calibrated
+ */
+function loadMountingCalibration() {
+    try {
+        return JSON.parse(localStorage.getItem(MOUNTING_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Shows when the mounting was last calibrated
+ */
+function renderMountingStatus() {
+    const statusEl = document.getElementById('mountingStatus');
+    statusEl.textContent = mountingCalibration
+        ? 'Calibrated ' + new Date(mountingCalibration.time).toLocaleDateString()
+        : 'Not calibrated';
+}
+
+/**
+ * Records the phone's mounting orientation
+ * Called by the "Calibrate" button - the boat must be sitting still
+ */
+function calibrateMounting() {
+    if (!motionPermission) {
+        alert('Motion sensors not enabled. Click "Enable" button first.');
+        return;
+    }
+    if (isRunning) {
+        alert('Stop the workout before calibrating the mounting.');
+        return;
+    }
+
+    const samples = [];
+    const collect = (event) => {
+        const g = event.accelerationIncludingGravity;
+        if (g && g.x !== null) samples.push([g.x, g.y, g.z]);
+    };
+
+    document.getElementById('mountingStatus').textContent = 'Hold still...';
+    window.addEventListener('devicemotion', collect);
+
+    setTimeout(() => {
+        window.removeEventListener('devicemotion', collect);
+
+        let result;
+        try {
+            result = measureMounting(samples);
+        } catch (error) {
+            alert('Calibration failed: ' + error.message);
+            renderMountingStatus();
+            return;
+        }
+
+        if (result.noise > MOUNTING_MAX_NOISE) {
+            alert('The phone moved during calibration. Let the boat sit still and try again.');
+            renderMountingStatus();
+            return;
+        }
+
+        mountingCalibration = { gravity: result.gravity, noise: result.noise, time: Date.now() };
+        localStorage.setItem(MOUNTING_STORAGE_KEY, JSON.stringify(mountingCalibration));
+        renderMountingStatus();
+
+        console.log(`📐 Mounting calibrated: gravity [${result.gravity.map(g => g.toFixed(2)).join(', ')}], noise ${result.noise.toFixed(2)} m/s²`);
+        speak('Mounting calibrated');
+    }, MOUNTING_DURATION);
+}
@@ -0,0 +1,155 @@
+/**
+ * Speedcox - Rate Pacer Controller
+ * Metronome ticks at the target rate, spoken "up one" / "down one"
+ * corrections after each stroke, and time-in-band results for the summary
+ */
+
+let pacerTracker = null;    // Pacer record for the current (or last) workout, null when the pacer is off
+
+/* =============================================================================
+ * SETTINGS
+ * ============================================================================= */
+
+/**
+ * Reads the target rate from the Pacer panel
+ * @returns {Number|null} Target strokes per minute, or null if the pacer is off
+ * @throws {Error} If the target rate is out of range
+ */
+function readPacerTarget() {
+    if (!document.getElementById('pacerEnabled').checked) return null;
+
+    const rate = parseInt(document.getElementById('pacerRate').value);
+    if (!(rate >= 14 && rate <= 50)) throw new Error('Target rate should be between 14 and 50');
+    return rate;
+}
+
+/* =============================================================================
+ * DURING THE WORKOUT
+ * ============================================================================= */
+
+/**
+ * Gets the pacer ready for a new workout
+ * Called from startWorkout() - the Start tap also unlocks Web Audio for the ticks
+ * @param {Number|null} targetRate - Target from readPacerTarget() (null = pacer off)
+ * @param {Object|null} tracker - Tracker to carry on with (resuming a workout), or null for a fresh one
+ */
+function startPacer(targetRate, tracker = null) {
+    pacerTracker = targetRate !== null ? (tracker || createPacerTracker(targetRate)) : null;
+    if (pacerTracker) {
+        pacerTracker.lastSample = null;  // Time away doesn't count as in or out of band
+        getAudioContext();
+        console.log(`🥁 Pacer: target r${targetRate}`);
+    }
+}
+
+/**
+ * Target rate right now
+ * A piece's own target rate takes over from the panel's; the pacer is
+ * quiet during rest and after the last piece
+ * @param {Number} elapsed - Seconds since workout started
+ * @returns {Number|null} Target strokes per minute, or null if the pacer isn't active
+ */
+function getPacerTarget(elapsed) {
+    if (!pacerTracker) return null;
+
+    const progress = getIntervalProgress(elapsed);
+    if (progress && (progress.phase === 'rest' || progress.phase === 'done')) return null;
+    return progress && progress.targetRate ? progress.targetRate : pacerTracker.targetRate;
+}
+
+/**
+ * Keeps the ticks at the target rate and adds up time in band
+ * Called from updateDisplay every 100ms
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function updatePacer(elapsed) {
+    if (!pacerTracker) return;
+
+    const target = getPacerTarget(elapsed);
+    const ticks = document.getElementById('pacerTicks').value;
+
+    if (target !== null && ticks !== 'off') {
+        startMetronome(target, ticks === 'rhythm' ? PACER_DRIVE_FRACTION : null);
+    } else {
+        stopMetronome();
+    }
+
+    addPacerTime(pacerTracker, getCurrentStrokeRate(), target, elapsed);
+}
+
+/**
+ * Compares a detected stroke with the target and speaks a correction if needed
+ * Uses the stroke's own rate (from the time since the previous catch), so
+ * the correction follows each stroke rather than the averaged rate
+ * Called from handleEngineEvents() in app.js for each stroke of the selected method
+ * @param {Object} record - Stroke record from the engine event (rate is null on the first stroke)
+ */
+function checkPacerAfterStroke(record) {
+    if (!pacerTracker || record.rate === null) return;
+
+    const elapsed = (record.timestamp - startTime) / 1000;
+    const target = getPacerTarget(elapsed);
+    if (target === null) return;
+
+    const text = checkPacerStroke(pacerTracker, record.rate, target, elapsed);
+    if (text && document.getElementById('pacerFeedback').checked) {
+        speak(text, { key: 'pacer' });
+        console.log(`🥁 Pacer: "${text}" (stroke at ${Math.round(record.rate)}, target ${target})`);
+    }
+}
+
+/**
+ * Stops the ticks when the workout ends (the results stay for the summary)
+ */
+function stopPacer() {
+    stopMetronome();
+}
+
+/**
+ * Time-in-band results of the current (or last) workout
+ * @returns {Object|null} Result from getPacerSummary(), or null if the pacer was off
+ */
+function getPacerResults() {
+    return pacerTracker ? getPacerSummary(pacerTracker) : null;
+}
+
+/* =============================================================================
+ * SUMMARY
+ * ============================================================================= */
+
+/**
+ * Draws the time-in-band results in the workout summary
+ * @param {Object|null} pacer - Summary pacer result (null hides the table)
+ */
+function renderPacerResults(pacer) {
+    const container = document.getElementById('pacerResults');
+    container.innerHTML = '';
+
+    if (!pacer) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = '<thead><tr><th>Target</th><th>In Band</th><th>Below</th><th>Above</th></tr></thead>';
+
+    const row = document.createElement('tr');
+    const cells = [
+        `r${pacer.targetRate} ±${pacer.band}`,
+        Math.round(pacer.inBand) + '%',
+        Math.round(pacer.below) + '%',
+        Math.round(pacer.above) + '%'
+    ];
+    cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+    const body = document.createElement('tbody');
+    body.appendChild(row);
+    table.appendChild(body);
+
+    container.appendChild(table);
+    container.style.display = 'block';
+}
@@ -0,0 +1,58 @@
+/**
+ * Speedcox - Detection Profile Controller
+ * Lets the user pick which saved detection profile the next workout uses
+ */
+
+/**
+ * Fills the profile dropdown with the saved profiles
+ * "Default" (the built-in settings) is always the first option
+ */
+function renderProfileOptions() {
+    const select = document.getElementById('detectionProfile');
+    const activeName = getActiveProfileName();
+    select.innerHTML = '';
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default';
+    select.appendChild(defaultOption);
+
+    loadProfiles().forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+
+    select.value = activeName;
+    if (select.value !== activeName) select.value = '';  // Active profile was deleted
+}
+
+/**
+ * Switches to the profile picked in the dropdown
+ * Called when user changes the "Profile" dropdown (disabled while rowing)
+ */
+function changeDetectionProfile() {
+    const name = document.getElementById('detectionProfile').value;
+    setActiveProfileName(name);
+    detectionSettings = getActiveDetectionSettings();
+    console.log(`⚙️ Detection profile changed to: ${name || 'Default'}`);
+}
+
+/**
+ * Deletes the profile picked in the dropdown
+ * Called by the "Delete" button next to the dropdown
+ */
+function deleteSelectedProfile() {
+    const name = document.getElementById('detectionProfile').value;
+    if (!name) {
+        alert('The default settings cannot be deleted.');
+        return;
+    }
+    if (!confirm(`Delete profile "${name}"?`)) return;
+
+    deleteProfile(name);
+    detectionSettings = getActiveDetectionSettings();
+    renderProfileOptions();
+    console.log(`🗑️ Detection profile deleted: ${name}`);
+}
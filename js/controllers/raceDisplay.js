@@ -0,0 +1,254 @@
+/**
+ * Speedcox - Race Display Controller
+ * A full-screen, high-contrast display for racing: 1, 2 or 4 big fields
+ * per page, swipe to change page, hold (rather than tap) to start or stop,
+ * and a landscape layout for phones mounted on the rigger
+ *
+ * Shows the same values updateDisplay puts on the metric cards, in the
+ * card order from the Display panel
+ */
+
+const RACE_HOLD_TIME = 1000;        // ms to hold Start/Stop (matches the fill in styles.css)
+const RACE_SWIPE_DISTANCE = 50;     // px of sideways movement that counts as a swipe
+
+let raceState = null;       // {page, swipe, holdTimer} while the race display is open
+let raceValues = null;      // Latest values from getDisplayValues() (kept for when the display opens)
+
+/* =============================================================================
+ * SETTINGS
+ * ============================================================================= */
+
+/**
+ * Shows the race display settings in the Display panel
+ */
+function renderRaceSettings() {
+    const race = displaySettings.race;
+    fillDisplaySelect(document.getElementById('raceFieldCount'),
+        RACE_FIELD_COUNTS.map(count => [count, count === 1 ? '1 field' : `${count} fields`]), String(race.fields));
+    document.getElementById('raceTheme').value = race.theme;
+    document.getElementById('raceLandscape').checked = race.landscape;
+}
+
+/**
+ * Uses the race display settings picked in the panel
+ * Called when user changes "Fields Per Page", "Theme" or "Landscape"
+ */
+function changeRaceSettings() {
+    displaySettings.race = {
+        fields: parseInt(document.getElementById('raceFieldCount').value),
+        theme: document.getElementById('raceTheme').value,
+        landscape: document.getElementById('raceLandscape').checked
+    };
+    saveDisplaySettings(displaySettings);
+    console.log(`🏁 Race display: ${displaySettings.race.fields} per page, ${displaySettings.race.theme}${displaySettings.race.landscape ? ', landscape' : ''}`);
+}
+
+/* =============================================================================
+ * OPEN / CLOSE
+ * ============================================================================= */
+
+/**
+ * Opens the race display
+ * Called by the "Race Display" button
+ */
+function openRaceDisplay() {
+    const race = displaySettings.race;
+    const display = document.getElementById('raceDisplay');
+    display.className = `race-display race-${race.theme}` + (race.landscape ? ' race-landscape' : '');
+    display.style.display = 'flex';
+
+    raceState = { page: 0, swipe: null, holdTimer: null };
+    renderRacePage();
+    renderRaceHoldButton();
+
+    // Full screen hides the browser bars; a landscape lock needs it on most phones
+    if (display.requestFullscreen) {
+        display.requestFullscreen()
+            .then(() => race.landscape && screen.orientation && screen.orientation.lock ? screen.orientation.lock('landscape') : null)
+            .catch(error => console.log('Race display full screen unavailable:', error.message));
+    }
+    console.log('🏁 Race display opened');
+}
+
+/**
+ * Closes the race display
+ * Called by the "Exit" button
+ */
+function closeRaceDisplay() {
+    if (!raceState) return;
+
+    cancelRaceHold();
+    raceState = null;
+    document.getElementById('raceDisplay').style.display = 'none';
+
+    if (document.fullscreenElement && document.exitFullscreen) {
+        if (screen.orientation && screen.orientation.unlock) screen.orientation.unlock();
+        document.exitFullscreen().catch(() => {});
+    }
+    console.log('🏁 Race display closed');
+}
+
+/* =============================================================================
+ * FIELDS
+ * ============================================================================= */
+
+/**
+ * Draws the fields of the current page and the page dots
+ */
+function renderRacePage() {
+    const pages = getRacePages(displaySettings.cards, displaySettings.race.fields);
+    const container = document.getElementById('raceFieldsView');
+    container.className = `race-fields race-fields-${displaySettings.race.fields}`;
+    container.innerHTML = '';
+
+    pages[raceState.page].forEach(metric => {
+        const field = document.createElement('div');
+        field.className = 'race-field';
+
+        const label = document.createElement('div');
+        label.className = 'race-label';
+        label.textContent = getMetricLabel(metric, displaySettings.units);
+
+        const value = document.createElement('div');
+        value.className = 'race-value';
+        value.dataset.metric = metric;
+        value.textContent = raceValues ? raceValues[metric] : '--';
+
+        field.appendChild(label);
+        field.appendChild(value);
+        container.appendChild(field);
+    });
+
+    document.getElementById('racePages').textContent = pages.map((page, i) => i === raceState.page ? '●' : '○').join(' ');
+}
+
+/**
+ * Shows new values - called from updateDisplay every 100ms
+ * @param {Object} values - From getDisplayValues()
+ */
+function updateRaceDisplay(values) {
+    raceValues = values;
+    if (!raceState) return;
+
+    document.querySelectorAll('#raceFieldsView .race-value').forEach(element => {
+        const text = raceValues[element.dataset.metric];
+        if (element.textContent !== text) element.textContent = text;
+    });
+}
+
+/**
+ * Clears the values
+ * Called from resetWorkout()
+ */
+function resetRaceDisplay() {
+    raceValues = null;
+    if (raceState) renderRacePage();
+}
+
+/* =============================================================================
+ * GESTURES
+ * ============================================================================= */
+
+/**
+ * Moves to the next or previous page (wrapping round)
+ * @param {Number} step - 1 for next, -1 for previous
+ */
+function changeRacePage(step) {
+    const count = getRacePages(displaySettings.cards, displaySettings.race.fields).length;
+    raceState.page = (raceState.page + step + count) % count;
+    renderRacePage();
+}
+
+/**
+ * Whether the landscape layout is turned sideways on a portrait screen
+ * (the phone is on its side but the app is locked to portrait)
+ * @returns {Boolean} True if rotated
+ */
+function isRaceDisplayRotated() {
+    return displaySettings.race.landscape && window.innerHeight > window.innerWidth;
+}
+
+/**
+ * Remembers where a swipe started
+ * @param {PointerEvent} event - pointerdown on the fields
+ */
+function startRaceSwipe(event) {
+    raceState.swipe = { x: event.clientX, y: event.clientY };
+}
+
+/**
+ * Changes page if the pointer moved far enough sideways
+ * On the rotated landscape layout, sideways on the display is up/down on the screen
+ * @param {PointerEvent} event - pointerup on the fields
+ */
+function endRaceSwipe(event) {
+    const swipe = raceState && raceState.swipe;
+    if (!swipe) return;
+    raceState.swipe = null;
+
+    const rotated = isRaceDisplayRotated();
+    const along = rotated ? event.clientY - swipe.y : event.clientX - swipe.x;
+    const across = rotated ? event.clientX - swipe.x : event.clientY - swipe.y;
+    if (Math.abs(along) < RACE_SWIPE_DISTANCE || Math.abs(along) < Math.abs(across)) return;
+
+    changeRacePage(along < 0 ? 1 : -1);     // Swipe left for the next page
+}
+
+/**
+ * Starts holding Start/Stop - the workout starts or stops once it has been
+ * held for RACE_HOLD_TIME, so a knock or a splash doesn't end a race
+ * @param {PointerEvent} event - pointerdown on the button
+ */
+function startRaceHold(event) {
+    event.preventDefault();
+    cancelRaceHold();
+
+    const button = document.getElementById('raceHoldBtn');
+    button.classList.add('holding');
+    raceState.holdTimer = setTimeout(() => {
+        raceState.holdTimer = null;
+        button.classList.remove('holding');
+        if (navigator.vibrate) navigator.vibrate(100);
+
+        if (isRunning) stopWorkout();
+        else startWorkout();
+        renderRaceHoldButton();
+    }, RACE_HOLD_TIME);
+}
+
+/**
+ * Lets go of Start/Stop before it was held long enough
+ */
+function cancelRaceHold() {
+    if (!raceState) return;
+    if (raceState.holdTimer) clearTimeout(raceState.holdTimer);
+    raceState.holdTimer = null;
+    document.getElementById('raceHoldBtn').classList.remove('holding');
+}
+
+/**
+ * Labels the hold button for what it will do
+ * Called from startWorkout() and stopWorkout() as well (a replay ends by itself)
+ */
+function renderRaceHoldButton() {
+    if (!raceState) return;
+    document.getElementById('raceHoldLabel').textContent = isRunning ? 'Hold to Stop' : 'Hold to Start';
+    document.getElementById('raceHoldBtn').classList.toggle('race-hold-stop', isRunning);
+}
+
+/**
+ * Sets up the race display gestures and settings - called once when the page loads
+ */
+function initializeRaceDisplay() {
+    const fields = document.getElementById('raceFieldsView');
+    fields.addEventListener('pointerdown', startRaceSwipe);
+    fields.addEventListener('pointerup', endRaceSwipe);
+    fields.addEventListener('pointercancel', () => { if (raceState) raceState.swipe = null; });
+
+    const hold = document.getElementById('raceHoldBtn');
+    hold.addEventListener('pointerdown', startRaceHold);
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => hold.addEventListener(type, cancelRaceHold));
+    hold.addEventListener('contextmenu', event => event.preventDefault());     // Long press would open the menu
+
+    renderRaceSettings();
+}
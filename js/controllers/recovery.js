@@ -0,0 +1,194 @@
+/**
+ * Speedcox - Crash Recovery Controller
+ * Checkpoints the live workout every few seconds so a session survives the
+ * tab being killed or the page reloading, offers "Resume workout" on the
+ * next load, and marks gaps in the recording
+ */
+
+const CHECKPOINT_INTERVAL = 5000;   // ms between checkpoints
+const INTERRUPTION_MIN_GAP = 10000; // ms without any recording before it counts as interrupted
+
+let checkpointTimer = null;         // Checkpoint interval (null when not running)
+let lastAliveTime = null;           // Time of the previous display update (ms)
+let pendingCheckpoint = null;       // Checkpoint found on load, waiting for Resume / Discard
+let interruptionMessageTimer = null;
+
+/* =============================================================================
+ * CHECKPOINTS
+ * ============================================================================= */
+
+/**
+ * Writes the live workout to storage
+ * Replays aren't checkpointed - the log can simply be replayed again
+ */
+function writeCheckpoint() {
+    if (!isRunning || replayState) return;
+
+    saveCheckpoint(buildWorkoutCheckpoint())
+        .catch(error => {
+            console.log('Error saving workout checkpoint:', error);
+        });
+}
+
+/**
+ * Saves right away when the page is hidden - the phone may kill it next
+ */
+function checkpointWhenHidden() {
+    if (document.visibilityState === 'hidden') writeCheckpoint();
+}
+
+/**
+ * Starts checkpointing a workout
+ * Called from startWorkout() and resumeWorkout()
+ */
+function startCheckpointing() {
+    stopCheckpointTimer();
+    lastAliveTime = getCurrentTime();
+    checkpointTimer = setInterval(writeCheckpoint, CHECKPOINT_INTERVAL);
+    document.addEventListener('visibilitychange', checkpointWhenHidden);
+    window.addEventListener('pagehide', writeCheckpoint);
+    writeCheckpoint();
+}
+
+/**
+ * Stops the checkpoint timer and listeners
+ */
+function stopCheckpointTimer() {
+    clearInterval(checkpointTimer);
+    checkpointTimer = null;
+    document.removeEventListener('visibilitychange', checkpointWhenHidden);
+    window.removeEventListener('pagehide', writeCheckpoint);
+}
+
+/**
+ * Stops checkpointing and throws the checkpoint away - the workout ended normally
+ * Called from stopWorkout()
+ */
+function stopCheckpointing() {
+    stopCheckpointTimer();
+    clearCheckpoint().catch(error => {
+        console.log('Error clearing workout checkpoint:', error);
+    });
+}
+
+/* =============================================================================
+ * INTERRUPTIONS
+ * ============================================================================= */
+
+/**
+ * Notices when the page was frozen (phone locked, app switched)
+ * Called from updateDisplay every 100ms. Browsers slow timers down in the
+ * background while GPS keeps recording, so only the time after the last
+ * recorded sample counts as a gap.
+ * @param {Number} now - Current time (ms)
+ */
+function checkForInterruption(now) {
+    if (lastAliveTime !== null && now - lastAliveTime > INTERRUPTION_MIN_GAP) {
+        const start = Math.max(lastAliveTime, getLastRecordedTime());
+        if (now - start > INTERRUPTION_MIN_GAP) addInterruption(start, now);
+    }
+    lastAliveTime = now;
+}
+
+/**
+ * Marks a gap in the recording and tells the user how long it was
+ * The engine forgets its last fix, so the jump across the gap isn't a stroke
+ * @param {Number} start - Last moment recorded before the gap (ms)
+ * @param {Number} end - First moment recorded again (ms)
+ */
+function addInterruption(start, end) {
+    interruptions.push({ start: start, end: end });
+    markWorkoutEngineGap(workoutEngine);
+
+    const text = `Recording interrupted for ${formatTime((end - start) / 1000)}`;
+    console.log(`⚠️ ${text}`);
+    showRecoveryMessage(text);
+}
+
+/**
+ * Total time lost to gaps
+ * @param {Array} gaps - Interruptions {start, end} (ms)
+ * @returns {Number} Seconds
+ */
+function getInterruptedSeconds(gaps) {
+    return (gaps || []).reduce((sum, gap) => sum + (gap.end - gap.start) / 1000, 0);
+}
+
+/* =============================================================================
+ * RESUME BANNER
+ * ============================================================================= */
+
+/**
+ * Shows a short note in the recovery banner for a few seconds
+ * @param {String} text - Message
+ */
+function showRecoveryMessage(text) {
+    const banner = document.getElementById('resumeBanner');
+    document.getElementById('resumeText').textContent = text;
+    document.getElementById('resumeActions').style.display = 'none';
+    banner.style.display = 'flex';
+
+    clearTimeout(interruptionMessageTimer);
+    interruptionMessageTimer = setTimeout(() => {
+        banner.style.display = 'none';
+    }, 10000);
+}
+
+/**
+ * Offers "Resume workout" if the last workout never stopped
+ * Called once when the page loads
+ */
+function checkForInterruptedWorkout() {
+    getCheckpoint()
+        .then(checkpoint => {
+            // Older checkpoints without the engine state can't be resumed
+            if (!checkpoint || !checkpoint.engine || isRunning) return;
+            pendingCheckpoint = checkpoint;
+
+            const lastSeen = (checkpoint.savedAt - checkpoint.startTime) / 1000;
+            document.getElementById('resumeText').textContent =
+                `Workout from ${new Date(checkpoint.startTime).toLocaleTimeString()} was interrupted ` +
+                `(${Math.round(checkpoint.totalDistance)}m, ${formatTime(lastSeen)})`;
+            document.getElementById('resumeActions').style.display = 'flex';
+            document.getElementById('resumeBanner').style.display = 'flex';
+            console.log('♻️ Found an interrupted workout');
+        })
+        .catch(error => {
+            // e.g. storage blocked by another tab - say so rather than lose the workout quietly
+            console.log('Error reading workout checkpoint:', error);
+            showRecoveryMessage('Could not check for an interrupted workout: ' + error.message);
+        });
+}
+
+/**
+ * Carries on with the interrupted workout
+ * Called by the banner's "Resume" button
+ */
+function resumeInterruptedWorkout() {
+    if (!pendingCheckpoint) return;
+    if (isRunning) {
+        alert('Stop the current workout before resuming the old one.');
+        return;
+    }
+
+    const checkpoint = pendingCheckpoint;
+    pendingCheckpoint = null;
+    document.getElementById('resumeBanner').style.display = 'none';
+
+    resumeWorkout(checkpoint);
+    addInterruption(checkpoint.savedAt, getCurrentTime());
+}
+
+/**
+ * Throws the interrupted workout away
+ * Called by the banner's "Discard" button
+ */
+function discardInterruptedWorkout() {
+    if (!confirm('Discard the interrupted workout? It will not be saved.')) return;
+
+    pendingCheckpoint = null;
+    document.getElementById('resumeBanner').style.display = 'none';
+    clearCheckpoint().catch(error => {
+        console.log('Error clearing workout checkpoint:', error);
+    });
+}
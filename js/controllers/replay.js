@@ -0,0 +1,179 @@
+/**
+ * Speedcox - Sensor Log Replay Controller
+ * Feeds a recorded sensor log back through handleDeviceMotion and
+ * updatePosition, at real-time or accelerated speed, so detection
+ * thresholds can be tuned at a desk using a real outing
+ */
+
+/* =============================================================================
+ * REPLAY STATE
+ * ============================================================================= */
+
+let replayState = null;         // Active replay (null when not replaying)
+
+/**
+ * Current time inside the replayed outing
+ * While an event is being delivered this is exactly the time it was
+ * recorded, so the detectors see the original sample timing
+ * @returns {Number} Replayed timestamp (ms)
+ */
+function getReplayTime() {
+    return replayState.now;
+}
+
+/**
+ * How far the replay should have got by now
+ * Advances from the log's start time at the chosen replay speed
+ * @returns {Number} Replayed timestamp (ms)
+ */
+function getReplayTarget() {
+    return replayState.logStart + (Date.now() - replayState.realStart) * replayState.speed;
+}
+
+/**
+ * Merges the motion and GPS streams into one time-ordered event list
+ * @param {Object} log - Sensor log
+ * @returns {Array<Object>} Events {t, type: 'motion'|'gps', sample}
+ */
+function buildReplayEvents(log) {
+    const events = [
+        ...log.motion.map(sample => ({ t: sample.t, type: 'motion', sample })),
+        ...log.gps.map(sample => ({ t: sample.t, type: 'gps', sample }))
+    ];
+    return events.sort((a, b) => a.t - b.t);
+}
+
+/* =============================================================================
+ * REPLAY CONTROL
+ * ============================================================================= */
+
+/**
+ * Reads the chosen log file and starts replaying it
+ * Called by the "Replay" button
+ */
+function replaySensorLogFile() {
+    const fileInput = document.getElementById('replayFile');
+    const file = fileInput.files[0];
+    if (!file) {
+        alert('Choose a sensor log file first.');
+        return;
+    }
+
+    const speed = parseFloat(document.getElementById('replaySpeed').value);
+
+    file.text()
+        .then(text => startReplay(parseSensorLog(text), speed))
+        .catch(error => alert('Could not replay sensor log: ' + error.message));
+}
+
+/**
+ * Starts a workout driven by a recorded sensor log
+ * @param {Object} log - Parsed sensor log
+ * @param {Number} speed - Replay speed (1 = real time)
+ */
+function startReplay(log, speed) {
+    if (isRunning) {
+        alert('Stop the current workout before starting a replay.');
+        return;
+    }
+
+    // Start from a clean slate, like pressing Reset
+    resetWorkout();
+
+    replayState = {
+        log: log,
+        events: buildReplayEvents(log),
+        index: 0,
+        speed: speed,
+        logStart: log.startTime,
+        realStart: Date.now(),
+        now: log.startTime,
+        savedMotionPermission: motionPermission
+    };
+
+    // Recorded motion samples stand in for the live sensors
+    if (log.motion.length > 0) motionPermission = true;
+
+    console.log(`▶️ Replaying sensor log at ${speed}x: ${log.motion.length} motion samples, ${log.gps.length} GPS fixes`);
+
+    startWorkout();
+    replayTick();
+}
+
+/**
+ * Delivers every event that is due at the current replay time
+ * Reschedules itself until the log runs out or the workout is stopped
+ */
+function replayTick() {
+    if (!replayState) return;
+
+    // User pressed Stop (or Reset) during the replay
+    if (!isRunning) {
+        finishReplay();
+        return;
+    }
+
+    const now = getReplayTarget();
+    const events = replayState.events;
+
+    while (replayState.index < events.length && events[replayState.index].t <= now) {
+        const event = events[replayState.index];
+        replayState.now = event.t;
+        dispatchReplayEvent(event);
+        replayState.index++;
+    }
+    replayState.now = Math.max(replayState.now, now);
+
+    // End of the log - stop at the recorded stop time
+    const endTime = replayState.log.endTime || (events.length > 0 ? events[events.length - 1].t : replayState.logStart);
+    if (replayState.index >= events.length && now >= endTime) {
+        replayState.now = endTime;
+        stopWorkout();
+        finishReplay();
+        return;
+    }
+
+    setTimeout(replayTick, 20);
+}
+
+/**
+ * Sends one recorded sample into the normal sensor handlers
+ * @param {Object} event - Replay event {type, sample}
+ */
+function dispatchReplayEvent(event) {
+    const sample = event.sample;
+    const toXYZ = values => values ? { x: values[0], y: values[1], z: values[2] } : null;
+
+    if (event.type === 'motion') {
+        handleDeviceMotion({
+            accelerationIncludingGravity: toXYZ(sample.ig),
+            acceleration: toXYZ(sample.a),
+            rotationRate: sample.r ? { alpha: sample.r[0], beta: sample.r[1], gamma: sample.r[2] } : null,
+            interval: sample.interval
+        });
+    } else {
+        updatePosition({
+            timestamp: sample.timestamp,
+            coords: {
+                latitude: sample.latitude,
+                longitude: sample.longitude,
+                accuracy: sample.accuracy,
+                altitude: sample.altitude,
+                altitudeAccuracy: sample.altitudeAccuracy,
+                heading: sample.heading,
+                speed: sample.speed
+            }
+        });
+    }
+}
+
+/**
+ * Cleans up after a replay and gives back the live sensors
+ */
+function finishReplay() {
+    if (!replayState) return;
+
+    motionPermission = replayState.savedMotionPermission;
+    console.log(`⏏️ Replay finished after ${replayState.index} of ${replayState.events.length} events`);
+    replayState = null;
+}
@@ -0,0 +1,210 @@
+/**
+ * Speedcox - Sensors Controller
+ * Bluetooth heart rate straps and speed/stroke sensors (CSC impellers or
+ * FTMS machines): the Sensors panel, the live metric cards, and the latest
+ * values for recording with each GPS fix
+ */
+
+const SENSOR_STALE_TIME = 5000;     // ms - a value older than this is no longer shown or recorded
+
+let heartRateSensor = null;         // Sensor handle from connectBleSensor(), null when not connected
+let speedSensor = null;
+let simulatedBluetooth = null;      // Simulated adapter, created when first used
+let lastCscReading = null;          // Previous CSC measurement (speed comes from the difference)
+let sensorStatuses = { heartRate: 'off', speed: 'off' };
+let sensorValues = {};              // 'heartRate', 'speed' (m/s), 'strokeRate' (SPM) -> {value, received}
+
+/* =============================================================================
+ * CONNECTING
+ * ============================================================================= */
+
+/**
+ * Real Web Bluetooth, or the simulated adapter when "Simulated Sensors" is ticked
+ * @returns {Object|null} Adapter with requestDevice(), null if the browser has no Web Bluetooth
+ */
+function getBluetooth() {
+    if (document.getElementById('bleSimulated').checked) {
+        if (!simulatedBluetooth) simulatedBluetooth = createSimulatedBluetooth();
+        return simulatedBluetooth;
+    }
+    return navigator.bluetooth || null;
+}
+
+/**
+ * Connects a heart rate strap
+ * Called by the "Connect" button on the Heart Rate row
+ */
+function connectHeartRateSensor() {
+    connectSensor('heartRate');
+}
+
+/**
+ * Connects a speed/stroke sensor or rowing machine
+ * Called by the "Connect" button on the Speed / Cadence row
+ */
+function connectSpeedSensor() {
+    connectSensor('speed');
+}
+
+/**
+ * Shows the device picker and connects the chosen sensor (replacing one of the same kind)
+ * @param {String} kind - 'heartRate' or 'speed'
+ */
+function connectSensor(kind) {
+    const bluetooth = getBluetooth();
+    if (!bluetooth) {
+        alert('Bluetooth sensors need a browser with Web Bluetooth (e.g. Chrome on Android). Tick "Simulated Sensors" to try them out.');
+        return;
+    }
+
+    disconnectSensor(kind);
+    connectBleSensor(bluetooth, kind, handleSensorReading, status => changeSensorStatus(kind, status))
+        .then(sensor => {
+            if (kind === 'heartRate') heartRateSensor = sensor;
+            else speedSensor = sensor;
+            renderSensors();
+        })
+        .catch(error => {
+            changeSensorStatus(kind, 'off');
+            if (error.name === 'NotFoundError') return;    // Picker closed without choosing
+            alert('Could not connect the sensor: ' + error.message);
+        });
+}
+
+/**
+ * Disconnects one kind of sensor
+ * @param {String} kind - 'heartRate' or 'speed'
+ */
+function disconnectSensor(kind) {
+    const sensor = kind === 'heartRate' ? heartRateSensor : speedSensor;
+    if (!sensor) return;
+
+    if (kind === 'heartRate') heartRateSensor = null;
+    else speedSensor = null;
+    disconnectBleSensor(sensor);
+}
+
+/**
+ * Disconnects every sensor
+ * Called by the "Disconnect All" button
+ */
+function disconnectSensors() {
+    disconnectSensor('heartRate');
+    disconnectSensor('speed');
+}
+
+/**
+ * Notes a sensor's connection state
+ * Values from a sensor that has dropped out are cleared straight away
+ * @param {String} kind - 'heartRate' or 'speed'
+ * @param {String} status - 'connecting', 'connected', 'reconnecting' or 'off'
+ */
+function changeSensorStatus(kind, status) {
+    sensorStatuses[kind] = status;
+    if (status !== 'connected') {
+        if (kind === 'heartRate') {
+            delete sensorValues.heartRate;
+        } else {
+            delete sensorValues.speed;
+            delete sensorValues.strokeRate;
+            lastCscReading = null;
+        }
+    }
+    renderSensors();
+}
+
+/* =============================================================================
+ * READINGS
+ * ============================================================================= */
+
+/**
+ * Takes in a decoded measurement from any sensor
+ * @param {Object} reading - From one of the parsers in bleProtocols.js
+ */
+function handleSensorReading(reading) {
+    if (reading.kind === 'heartRate') {
+        if (reading.contact === false) delete sensorValues.heartRate;  // Strap not on the skin
+        else setSensorValue('heartRate', reading.bpm);
+    } else if (reading.kind === 'csc') {
+        handleCscReading(reading);
+    } else if (reading.kind === 'rower') {
+        if (reading.pace !== null) setSensorValue('speed', reading.pace > 0 ? 500 / reading.pace : 0);
+        if (reading.strokeRate !== null) setSensorValue('strokeRate', reading.strokeRate);
+        if (reading.heartRate > 0 && !heartRateSensor) setSensorValue('heartRate', reading.heartRate);
+    }
+    renderSensors();
+}
+
+/**
+ * Speed and stroke rate from an impeller / stroke sensor
+ * A measurement with no new revolution keeps the last value until it goes
+ * stale, then reads as stopped
+ * @param {Object} reading - From parseCscMeasurement()
+ */
+function handleCscReading(reading) {
+    const circumference = parseFloat(document.getElementById('sensorCircumference').value) || 0;
+    const rates = lastCscReading ? getCscRates(lastCscReading, reading, circumference) : { speed: null, cadence: null };
+    lastCscReading = reading;
+
+    if (rates.speed !== null) setSensorValue('speed', rates.speed);
+    else if (reading.wheelRevolutions !== null && getSensorValue('speed') === null) setSensorValue('speed', 0);
+
+    if (rates.cadence !== null) setSensorValue('strokeRate', rates.cadence);
+    else if (reading.crankRevolutions !== null && getSensorValue('strokeRate') === null) setSensorValue('strokeRate', 0);
+}
+
+/**
+ * Stores the latest value of a sensor metric
+ * @param {String} name - 'heartRate', 'speed' or 'strokeRate'
+ * @param {Number} value - New value
+ */
+function setSensorValue(name, value) {
+    sensorValues[name] = { value: value, received: Date.now() };
+}
+
+/**
+ * Latest value of a sensor metric
+ * @param {String} name - 'heartRate', 'speed' or 'strokeRate'
+ * @returns {Number|null} Value, or null if there's none or it's stale
+ */
+function getSensorValue(name) {
+    const entry = sensorValues[name];
+    return entry && Date.now() - entry.received <= SENSOR_STALE_TIME ? entry.value : null;
+}
+
+/**
+ * Heart rate to record with a GPS fix
+ * @returns {Number|null} bpm, or null without a live reading
+ */
+function getCurrentHeartRate() {
+    return getSensorValue('heartRate');
+}
+
+/* =============================================================================
+ * DISPLAY
+ * ============================================================================= */
+
+/**
+ * Updates the sensor metric cards and the Sensors panel status
+ */
+function renderSensors() {
+    const describe = (sensor, status) => sensor || status !== 'off' ? `${sensor ? sensor.name : 'Sensor'} - ${status}` : 'not connected';
+    document.getElementById('heartRateSensorStatus').textContent = describe(heartRateSensor, sensorStatuses.heartRate);
+    document.getElementById('speedSensorStatus').textContent = describe(speedSensor, sensorStatuses.speed);
+
+    // Heart rate card: a strap, or a rowing machine that passes on its heart rate
+    const heartRate = getSensorValue('heartRate');
+    document.getElementById('heartRateCard').style.display = heartRateSensor || heartRate !== null ? 'block' : 'none';
+    document.getElementById('heartRate').textContent = heartRate !== null ? heartRate : '--';
+    document.getElementById('heartRateDetail').textContent =
+        heartRateSensor && sensorStatuses.heartRate !== 'connected' ? sensorStatuses.heartRate : '';
+
+    // Sensor speed card: split and stroke rate from the speed sensor
+    const speed = getSensorValue('speed');
+    const strokeRate = getSensorValue('strokeRate');
+    document.getElementById('sensorSpeedCard').style.display = speedSensor ? 'block' : 'none';
+    document.getElementById('sensorSplit').textContent = speed > 0 ? formatSplit(500 / speed, displaySettings.units) : '--:--';
+    document.getElementById('sensorSpeedDetail').textContent = sensorStatuses.speed !== 'connected'
+        ? sensorStatuses.speed
+        : strokeRate !== null ? `${Math.round(strokeRate)} spm` : '';
+}
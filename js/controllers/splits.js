@@ -0,0 +1,229 @@
+/**
+ * Speedcox - Split Table Controller
+ * Records auto splits (every 250/500/1000m or every N minutes) and laps
+ * marked with the Lap button, shows the running table under the controls,
+ * announces each split and keeps the table for the summary
+ */
+
+let splitTracker = null;        // Splits and laps of the current (or last) workout
+
+/* =============================================================================
+ * SETTINGS
+ * ============================================================================= */
+
+/**
+ * Reads the auto split setting from the Splits panel
+ * @returns {Object} Interval {type: 'distance'|'time', amount (m or s)}
+ * @throws {Error} If the number of minutes is invalid
+ */
+function readSplitInterval() {
+    const value = document.getElementById('autoSplit').value;
+    if (value !== 'time') return { type: 'distance', amount: parseInt(value) };
+
+    const minutes = parseFloat(document.getElementById('autoSplitMinutes').value);
+    if (!(minutes >= 1 && minutes <= 60)) throw new Error('Minutes between splits should be between 1 and 60');
+    return { type: 'time', amount: Math.round(minutes * 60) };
+}
+
+/**
+ * Shows the minutes field for time splits
+ * Called when user changes the "Auto Split" dropdown
+ */
+function changeAutoSplit() {
+    const byTime = document.getElementById('autoSplit').value === 'time';
+    document.getElementById('autoSplitMinutesRow').style.display = byTime ? 'flex' : 'none';
+}
+
+/* =============================================================================
+ * DURING THE WORKOUT
+ * ============================================================================= */
+
+/**
+ * Starts the split table
+ * Called from startWorkout() and resumeWorkout()
+ * @param {Object} interval - From readSplitInterval()
+ * @param {Object|null} tracker - Splits to carry on with (resuming a workout)
+ */
+function startSplits(interval, tracker = null) {
+    splitTracker = tracker || createSplitTracker(interval);
+    document.getElementById('lapBtn').disabled = false;
+    console.log(`⏱️ Auto splits every ${describeSplitInterval(splitTracker.interval)}`);
+}
+
+/**
+ * Records and announces auto splits, and keeps the live table current
+ * Called from updateDisplay every 100ms
+ * @param {Number} elapsed - Seconds since workout started
+ * @param {Object} metrics - From getEngineMetrics()
+ */
+function updateSplits(elapsed, metrics) {
+    if (!splitTracker) return;
+
+    const second = Math.floor(splitTracker.last.elapsed);
+    const completed = updateSplitTracker(splitTracker, elapsed, metrics.distance, metrics.strokes);
+    completed.forEach(split => {
+        console.log(`⏱️ Split ${split.number}: ${formatTime(split.duration)} (${formatSplitAverage(split)})`);
+        if (document.getElementById('splitAnnounce').checked) speak(describeSplitForSpeech(split), { key: 'splits' });
+    });
+
+    // The row in progress only changes visibly once a second
+    if (completed.length > 0 || Math.floor(elapsed) !== second) {
+        renderSplitTable(document.getElementById('liveSplits'), getLiveSplits(elapsed, metrics.distance, metrics.strokes));
+    }
+}
+
+/**
+ * Marks a lap (e.g. the start or end of a piece)
+ * Called by the "Lap" button
+ */
+function markLap() {
+    if (!isRunning || !splitTracker) return;
+
+    const elapsed = (getCurrentTime() - startTime) / 1000;
+    const lap = markSplitLap(splitTracker, elapsed, workoutEngine.distance, workoutEngine.strokeLog.length);
+    speak(`Lap ${lap.number}, ${formatTime(lap.duration)}`, { key: 'splits' });
+    console.log(`⏱️ Lap ${lap.number}: ${Math.round(lap.distance)}m in ${formatTime(lap.duration)}`);
+
+    renderSplitTable(document.getElementById('liveSplits'), getLiveSplits(elapsed, workoutEngine.distance, workoutEngine.strokeLog.length));
+}
+
+/**
+ * Stops marking laps when the workout ends (the table stays for the summary)
+ */
+function stopSplits() {
+    document.getElementById('lapBtn').disabled = true;
+    document.getElementById('liveSplits').style.display = 'none';
+}
+
+/**
+ * Clears the split table
+ * Called from resetWorkout()
+ */
+function resetSplits() {
+    splitTracker = null;
+    stopSplits();
+}
+
+/**
+ * Split table of the current (or last) workout for the summary
+ * @param {Number} elapsed - Workout length (s)
+ * @returns {Object|null} From getSplitSummary(), or null before the first workout
+ */
+function getSplitResults(elapsed) {
+    return splitTracker ? getSplitSummary(splitTracker, elapsed, workoutEngine.distance, workoutEngine.strokeLog.length) : null;
+}
+
+/**
+ * Laps marked with the Lap button as workout laps for the exports and the map
+ * A tap doesn't say whether a piece or a rest starts, so every lap counts as
+ * work - only an interval plan marks rests
+ * @param {Object|null} result - From getSplitResults()
+ * @param {Number} workoutStart - Workout start time (ms)
+ * @returns {Array} Laps {startTime, endTime, kind: 'work'} (ms), empty if no lap was marked
+ */
+function getMarkedLaps(result, workoutStart) {
+    if (!result) return [];
+    return result.laps.map(lap => ({
+        startTime: workoutStart + (lap.elapsed - lap.duration) * 1000,
+        endTime: workoutStart + lap.elapsed * 1000,
+        kind: 'work'
+    }));
+}
+
+/**
+ * Finished splits and laps plus the ones in progress
+ * @param {Number} elapsed - Seconds since workout started
+ * @param {Number} distance - Workout distance (m)
+ * @param {Number} strokes - Strokes so far
+ * @returns {Object} {interval, splits, laps} for renderSplitTable()
+ */
+function getLiveSplits(elapsed, distance, strokes) {
+    const current = getSplitsInProgress(splitTracker, elapsed, distance, strokes);
+    return {
+        interval: splitTracker.interval,
+        splits: splitTracker.splits.concat([current.split]),
+        laps: current.lap ? splitTracker.laps.concat([current.lap]) : []
+    };
+}
+
+/* =============================================================================
+ * DISPLAY
+ * ============================================================================= */
+
+/**
+ * Average split, rate and distance per stroke of a split, for the log
+ * @param {Object} split - From buildSplitResult()
+ * @returns {String} e.g. "2:05/500m, 24 SPM, 9.8m/stroke" (split in the display units)
+ */
+function formatSplitAverage(split) {
+    return [
+        (split.avgSplit !== null ? formatSplit(split.avgSplit, displaySettings.units) : '--:--') + getSplitUnitLabel(displaySettings.units),
+        split.avgStrokeRate !== null ? Math.round(split.avgStrokeRate) + ' SPM' : '-- SPM',
+        split.dps !== null ? split.dps.toFixed(1) + 'm/stroke' : '--m/stroke'
+    ].join(', ');
+}
+
+/**
+ * What is said at an auto split, e.g. "Split 2, 2:04, average 2:04, rate 24"
+ * @param {Object} split - From buildSplitResult()
+ * @returns {String} Text to speak
+ */
+function describeSplitForSpeech(split) {
+    const parts = [`Split ${split.number}`, formatTime(split.duration)];
+    if (split.avgSplit !== null) parts.push(`average ${formatSplit(split.avgSplit, displaySettings.units)}`);
+    if (split.avgStrokeRate !== null) parts.push(`rate ${Math.round(split.avgStrokeRate)}`);
+    return parts.join(', ');
+}
+
+/**
+ * Draws the split table (and the lap table, if laps were marked)
+ * Rows still in progress (or cut short by the stop) are marked with *
+ * @param {HTMLElement} container - Where to draw it
+ * @param {Object|null} result - {interval, splits, laps} (null hides the table)
+ */
+function renderSplitTable(container, result) {
+    container.innerHTML = '';
+
+    if (!result || (result.splits.length === 0 && result.laps.length === 0)) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const sections = [[`Splits every ${describeSplitInterval(result.interval)}`, result.splits], ['Laps', result.laps]];
+    sections.forEach(([title, rows]) => {
+        if (rows.length === 0) return;
+
+        const label = document.createElement('div');
+        label.className = 'label';
+        label.textContent = title;
+        container.appendChild(label);
+
+        const table = document.createElement('table');
+        table.className = 'results-table';
+        table.innerHTML = '<thead><tr><th>#</th><th>Time</th><th>Distance</th><th>Split</th><th>Rate</th><th>Strokes</th><th>DPS</th></tr></thead>';
+
+        const body = document.createElement('tbody');
+        rows.forEach(split => {
+            const row = document.createElement('tr');
+            const cells = [
+                split.number + (split.partial ? '*' : ''),
+                formatTime(split.duration),
+                Math.round(split.distance) + 'm',
+                split.avgSplit !== null ? formatSplit(split.avgSplit, displaySettings.units) : '--:--',
+                split.avgStrokeRate !== null ? Math.round(split.avgStrokeRate) : '--',
+                split.strokeCount,
+                split.dps !== null ? split.dps.toFixed(1) + 'm' : '--'
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        container.appendChild(table);
+    });
+
+    container.style.display = 'block';
+}
@@ -0,0 +1,54 @@
+/**
+ * Speedcox - Stroke-by-Stroke Table
+ * Draws the per-stroke log in the workout summary
+ */
+
+/**
+ * Fills the per-stroke table in the summary panel
+ * @param {Array} strokeLog - Stroke records from buildStrokeRecord()
+ * @param {Number} workoutStart - Workout start time (ms), for the time column
+ */
+function renderStrokeTable(strokeLog, workoutStart) {
+    const container = document.getElementById('strokeResults');
+    container.innerHTML = '';
+
+    if (!strokeLog || strokeLog.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = '<thead><tr><th>#</th><th>Time</th><th>Rate</th><th>DPS</th><th>Speed</th><th>Ratio</th><th>Peak</th></tr></thead>';
+
+    const tableStart = workoutStart || strokeLog[0].timestamp;
+    const body = document.createElement('tbody');
+    strokeLog.forEach(stroke => {
+        const row = document.createElement('tr');
+        const cells = [
+            stroke.number,
+            formatTime((stroke.timestamp - tableStart) / 1000),
+            stroke.rate !== null ? Math.round(stroke.rate) : '--',
+            stroke.distance !== null ? stroke.distance.toFixed(1) + 'm' : '--',
+            stroke.speed !== null ? formatSpeed(stroke.speed, displaySettings.units) : '--',
+            stroke.driveRatio !== null ? '1:' + (1 / stroke.driveRatio).toFixed(1) : '--',
+            stroke.peakAcceleration !== null ? stroke.peakAcceleration.toFixed(1) : '--'
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    // Heading so the (long) table is clearly separate from the piece results
+    const heading = document.createElement('div');
+    heading.className = 'label';
+    heading.textContent = `Stroke by stroke (speed ${getSpeedUnitLabel(displaySettings.units)}, ratio drive:recovery, peak m/s²)`;
+
+    container.appendChild(heading);
+    container.appendChild(table);
+    container.style.display = 'block';
+}
@@ -0,0 +1,208 @@
+/**
+ * Speedcox - Offline & Sync Controller
+ * Registers the service worker, shows the "update available" prompt, and
+ * queues finished workouts for upload to the endpoint in the Sync panel
+ */
+
+const UPLOAD_ENDPOINT_STORAGE_KEY = 'speedcox-upload-endpoint';  // localStorage key for the upload URL
+
+let waitingServiceWorker = null;    // New app version installed and waiting for the user's OK
+
+/* =============================================================================
+ * SERVICE WORKER & UPDATES
+ * ============================================================================= */
+
+/**
+ * Registers sw.js so the app works offline, and watches for new versions
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('⊗ Service worker not supported - no offline mode');
+        return;
+    }
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            console.log('📦 Service worker registered');
+
+            // A version that finished installing while the page was closed
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdatePrompt(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // With no controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdatePrompt(worker);
+                    }
+                });
+            });
+        })
+        .catch(error => {
+            console.log('Service worker registration failed:', error);
+        });
+
+    // The new version took over - reload so the page matches its cache
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    // The worker reports back after a Background Sync upload
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'uploads-finished') renderUploadStatus();
+    });
+}
+
+/**
+ * Shows the "update available" banner
+ * @param {ServiceWorker} worker - Installed worker waiting to take over
+ */
+function showUpdatePrompt(worker) {
+    waitingServiceWorker = worker;
+    document.getElementById('updateBanner').style.display = 'flex';
+    console.log('📦 App update available');
+}
+
+/**
+ * Switches to the new version (the page reloads when it takes over)
+ * Called by the banner's "Reload" button
+ */
+function applyUpdate() {
+    if (!waitingServiceWorker) return;
+    if (isRunning) {
+        alert('Stop the workout before updating - the page will reload.');
+        return;
+    }
+    waitingServiceWorker.postMessage({ type: 'skip-waiting' });
+}
+
+/* =============================================================================
+ * WORKOUT UPLOAD
+ * ============================================================================= */
+
+/**
+ * Loads the saved upload endpoint into the Sync panel
+ */
+function loadUploadEndpoint() {
+    document.getElementById('uploadEndpoint').value = localStorage.getItem(UPLOAD_ENDPOINT_STORAGE_KEY) || '';
+}
+
+/**
+ * Saves the upload endpoint
+ * Called when user edits the "Upload URL" field
+ */
+function changeUploadEndpoint() {
+    const endpoint = document.getElementById('uploadEndpoint').value.trim();
+    if (endpoint && !/^https?:\/\//.test(endpoint)) {
+        alert('Upload URL should start with http:// or https://');
+        return;
+    }
+    localStorage.setItem(UPLOAD_ENDPOINT_STORAGE_KEY, endpoint);
+    console.log(endpoint ? `☁️ Workouts will upload to ${endpoint}` : '☁️ Workout upload off');
+}
+
+/**
+ * Queues a saved workout for upload (if an endpoint is set)
+ * Called after a finished workout is saved to history
+ * @param {Number} workoutId - ID of the saved workout
+ */
+function requestWorkoutUpload(workoutId) {
+    const endpoint = localStorage.getItem(UPLOAD_ENDPOINT_STORAGE_KEY);
+    if (!endpoint) return;
+
+    queueWorkoutUpload(workoutId, endpoint)
+        .then(() => {
+            renderUploadStatus();
+            scheduleUpload();
+        })
+        .catch(error => {
+            console.log('Error queueing workout upload:', error);
+        });
+}
+
+/**
+ * Asks the service worker to upload when there's a connection
+ * Browsers without Background Sync upload from the page instead, now if
+ * online and otherwise when the connection comes back
+ */
+function scheduleUpload() {
+    const uploadFromPage = () => {
+        if (navigator.onLine) uploadNow();
+    };
+
+    if (!('serviceWorker' in navigator)) {
+        uploadFromPage();
+        return;
+    }
+
+    navigator.serviceWorker.ready
+        .then(registration => {
+            if (!registration.sync) throw new Error('Background Sync not supported');
+            return registration.sync.register(UPLOAD_SYNC_TAG);
+        })
+        .then(() => console.log('☁️ Upload queued for Background Sync'))
+        .catch(uploadFromPage);
+}
+
+/**
+ * Uploads the queued workouts from the page
+ * Called by the "Upload Now" button and when the connection comes back
+ */
+function uploadNow() {
+    uploadPendingWorkouts()
+        .then(result => {
+            if (result.uploaded > 0) console.log(`☁️ Uploaded ${result.uploaded} workout(s)`);
+        })
+        .catch(error => {
+            console.log('Workout upload failed:', error.message);
+        })
+        .then(renderUploadStatus);
+}
+
+/**
+ * Shows how many workouts are waiting to upload
+ */
+function renderUploadStatus() {
+    const statusEl = document.getElementById('uploadStatus');
+
+    getPendingUploads()
+        .then(entries => {
+            if (entries.length === 0) {
+                statusEl.textContent = '';
+                return;
+            }
+            const last = entries[entries.length - 1];
+            statusEl.textContent = `${entries.length} waiting` + (last.lastError ? ` (${last.lastError})` : '');
+        })
+        .catch(() => {
+            statusEl.textContent = '';
+        });
+}
+
+/* =============================================================================
+ * INITIALIZATION
+ * ============================================================================= */
+
+/**
+ * Sets up offline mode and uploads
+ */
+function initializeSync() {
+    loadUploadEndpoint();
+    renderUploadStatus();
+    registerServiceWorker();
+
+    // Without Background Sync the page itself retries when the connection returns
+    if ('SyncManager' in window) return;
+    window.addEventListener('online', () => {
+        getPendingUploads()
+            .then(entries => {
+                if (entries.length > 0) uploadNow();
+            })
+            .catch(() => {});
+    });
+}
@@ -0,0 +1,143 @@
+/**
+ * Speedcox - Live Telemetry Controller
+ * Optionally publishes a compact frame every second during a workout
+ * (boat ID, rate, split, distance, position and piece state) to a relay
+ * on the local network, for the coach dashboard in the launch
+ */
+
+const TELEMETRY_STORAGE_KEY = 'speedcox-telemetry';    // localStorage key for {url, boatId}
+const TELEMETRY_INTERVAL = 1000;                        // ms between frames
+
+let telemetrySettings = { url: '', boatId: '' };
+let lastTelemetryFrame = 0;     // Time the last frame was built (ms)
+
+/* =============================================================================
+ * SETTINGS
+ * ============================================================================= */
+
+/**
+ * Loads the saved relay URL and boat ID into the Sync panel
+ */
+function loadTelemetrySettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TELEMETRY_STORAGE_KEY));
+        if (saved) telemetrySettings = { url: saved.url || '', boatId: saved.boatId || '' };
+    } catch (error) {
+        console.log('Error loading telemetry settings:', error);
+    }
+    document.getElementById('telemetryUrl').value = telemetrySettings.url;
+    document.getElementById('telemetryBoat').value = telemetrySettings.boatId;
+    renderTelemetryStatus('off');
+}
+
+/**
+ * Saves the relay URL and boat ID
+ * Called when user edits the "Telemetry URL" or "Boat ID" field
+ */
+function changeTelemetrySettings() {
+    const url = document.getElementById('telemetryUrl').value.trim();
+    const boatId = document.getElementById('telemetryBoat').value.trim();
+    if (url && !/^wss?:\/\//.test(url)) {
+        alert('Telemetry URL should start with ws:// or wss://');
+        return;
+    }
+
+    telemetrySettings = { url: url, boatId: boatId };
+    localStorage.setItem(TELEMETRY_STORAGE_KEY, JSON.stringify(telemetrySettings));
+    console.log(url ? `📡 Telemetry will stream to ${url} as "${getTelemetryBoatId()}"` : '📡 Telemetry off');
+}
+
+/**
+ * Boat ID sent with each frame ("Speedcox" if none is set)
+ * @returns {String} Boat ID
+ */
+function getTelemetryBoatId() {
+    return telemetrySettings.boatId || 'Speedcox';
+}
+
+/**
+ * Shows the link state next to the telemetry settings
+ * @param {String} status - 'off', 'connecting', 'connected' or 'disconnected'
+ */
+function renderTelemetryStatus(status) {
+    document.getElementById('telemetryStatus').textContent = {
+        off: '',
+        connecting: 'connecting...',
+        connected: 'live',
+        disconnected: 'no link - retrying'
+    }[status];
+}
+
+/* =============================================================================
+ * DURING THE WORKOUT
+ * ============================================================================= */
+
+/**
+ * Connects to the relay if telemetry is set up
+ * Called from startWorkout() and resumeWorkout()
+ */
+function startTelemetry() {
+    lastTelemetryFrame = 0;
+    if (!telemetrySettings.url || replayState) return;
+
+    openTelemetry(telemetrySettings.url, renderTelemetryStatus);
+    console.log(`📡 Telemetry: streaming to ${telemetrySettings.url}`);
+}
+
+/**
+ * Builds the frame for this moment
+ * Keys are kept short - the launch's Wi-Fi may be poor:
+ * b boat, t time (ms), s state, e elapsed (s), r rate (SPM), sp split (s/500m),
+ * d distance (m), la/ln position, p piece {n, of, ph phase, rd/rt remaining m/s}
+ * @param {Number} elapsed - Seconds since workout started
+ * @param {String} state - 'rowing' or 'stopped'
+ * @returns {Object} Telemetry frame
+ */
+function buildTelemetryFrame(elapsed, state) {
+    const metrics = getCoachingMetrics(elapsed);
+    const round = (value, places) => value === null || value === undefined ? null : Number(value.toFixed(places));
+
+    return {
+        b: getTelemetryBoatId(),
+        t: getCurrentTime(),
+        s: state,
+        e: Math.round(elapsed),
+        r: round(metrics.rate, 0),
+        sp: round(metrics.split, 1),
+        d: Math.round(metrics.distance),
+        la: workoutEngine.lastPosition ? round(workoutEngine.lastPosition.lat, 6) : null,
+        ln: workoutEngine.lastPosition ? round(workoutEngine.lastPosition.lng, 6) : null,
+        p: metrics.piece === null ? null : {
+            n: metrics.piece,
+            of: getIntervalProgress(elapsed).pieces,
+            ph: metrics.phase,
+            rd: round(metrics.remainingDistance, 0),
+            rt: round(metrics.remainingTime, 0)
+        }
+    };
+}
+
+/**
+ * Sends a frame once a second
+ * Called from updateDisplay every 100ms
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function publishTelemetry(elapsed) {
+    if (telemetryUrl === null) return;
+
+    const now = getCurrentTime();
+    if (now - lastTelemetryFrame < TELEMETRY_INTERVAL) return;
+    lastTelemetryFrame = now;
+    sendTelemetry(buildTelemetryFrame(elapsed, 'rowing'));
+}
+
+/**
+ * Sends a last "stopped" frame and closes the link
+ * Called from stopWorkout() before the summary is built
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function stopTelemetry(elapsed) {
+    if (telemetryUrl === null) return;
+    sendTelemetry(buildTelemetryFrame(elapsed, 'stopped'));
+    closeTelemetry();
+}
@@ -0,0 +1,222 @@
+/**
+ * Speedcox - Track Map Controller
+ * Draws the route of the workout in the summary panel as a plain vector
+ * map (no basemap tiles, so it works on the water with no signal),
+ * coloured by split or stroke rate, with piece and km markers
+ */
+
+const MAP_PADDING = 24;         // CSS pixels kept clear around the route
+const MAP_LEGEND_HEIGHT = 28;   // CSS pixels reserved under the route for the colour legend
+
+let mapState = null;    // {workout, projected, kmMarkers, pieceMarkers} while the map is open
+
+/* =============================================================================
+ * OPEN / CLOSE
+ * ============================================================================= */
+
+/**
+ * Opens the map for the workout shown in the summary panel
+ * Called by the "Map" button
+ */
+function openMap() {
+    if (!displayedWorkout) {
+        alert('No workout to map yet.');
+        return;
+    }
+    if (!displayedWorkout.track || displayedWorkout.track.filter(point => point.lat !== null).length < 2) {
+        alert('This workout has no GPS track to map.');
+        return;
+    }
+
+    const workout = displayedWorkout;
+    const projected = projectTrack(workout.track);
+    mapState = {
+        workout: workout,
+        projected: projected,
+        kmMarkers: getKmMarkers(workout, projected),
+        pieceMarkers: getPieceMarkers(workout, projected)
+    };
+
+    document.getElementById('mapPanel').style.display = 'block';
+    renderMap();
+    console.log(`🗺️ Map: ${workout.track.length} points, ${mapState.kmMarkers.length} km marker(s), ${mapState.pieceMarkers.length / 2} piece(s)`);
+}
+
+/**
+ * Hides the map
+ */
+function closeMap() {
+    mapState = null;
+    document.getElementById('mapPanel').style.display = 'none';
+}
+
+/**
+ * Redraws the map coloured by the other value
+ * Called when user changes the "Colour By" dropdown
+ */
+function changeMapColour() {
+    if (mapState) renderMap();
+}
+
+/* =============================================================================
+ * DRAWING
+ * ============================================================================= */
+
+/**
+ * Draws the route, markers, legend and scale bar
+ */
+function renderMap() {
+    const canvas = document.getElementById('mapCanvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return;
+
+    // Sharp lines on high-density screens
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    // Fit the route to the canvas, north up, same scale both ways
+    const points = mapState.projected;
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const maxY = Math.max(...ys);
+    const spanX = Math.max(...xs) - minX || 1;
+    const spanY = maxY - Math.min(...ys) || 1;
+    const areaWidth = width - 2 * MAP_PADDING;
+    const areaHeight = height - 2 * MAP_PADDING - MAP_LEGEND_HEIGHT;
+    const scale = Math.min(areaWidth / spanX, areaHeight / spanY);
+    const offsetX = MAP_PADDING + (areaWidth - spanX * scale) / 2;
+    const offsetY = MAP_PADDING + (areaHeight - spanY * scale) / 2;
+    const toPixel = p => [offsetX + (p.x - minX) * scale, offsetY + (maxY - p.y) * scale];
+
+    // Route, one segment per GPS fix in its colour
+    const mode = document.getElementById('mapColour').value;
+    const values = getTrackColourValues(mapState.workout, mode);
+    const range = getTrackColourRange(values);
+    const colourOf = value => {
+        if (value === null || !range) return 'rgba(255, 255, 255, 0.35)';
+        const fraction = (value - range[0]) / (range[1] - range[0] || 1);
+        return getTrackColour(mode === 'split' ? 1 - fraction : fraction);  // Low split = fast = green
+    };
+
+    context.lineWidth = 4;
+    context.lineCap = 'round';
+    const gaps = mapState.workout.interruptions || [];
+    for (let i = 1; i < points.length; i++) {
+        // Nothing was recorded during an interruption - don't draw a straight line across it
+        const from = mapState.workout.track[i - 1].timestamp;
+        const to = mapState.workout.track[i].timestamp;
+        if (gaps.some(gap => gap.start < to && gap.end > from)) continue;
+
+        const [x1, y1] = toPixel(points[i - 1]);
+        const [x2, y2] = toPixel(points[i]);
+        context.strokeStyle = colourOf(values[i]);
+        context.beginPath();
+        context.moveTo(x1, y1);
+        context.lineTo(x2, y2);
+        context.stroke();
+    }
+
+    // Start and finish
+    drawMapMarker(context, toPixel(points[0]), '#ffffff', 'Start');
+    drawMapMarker(context, toPixel(points[points.length - 1]), '#000000', 'Finish');
+
+    // Pieces (yellow start, orange end) and km
+    mapState.pieceMarkers.forEach(marker => {
+        drawMapMarker(context, toPixel(marker), marker.kind === 'start' ? '#ffd700' : '#ff8c00', marker.label);
+    });
+    mapState.kmMarkers.forEach(marker => drawMapMarker(context, toPixel(marker), '#66b3ff', marker.label));
+
+    drawMapLegend(context, width, height, mode, range);
+    drawMapScaleBar(context, width, height, scale);
+}
+
+/**
+ * Draws one marker dot with its label
+ * @param {CanvasRenderingContext2D} context - Map canvas context
+ * @param {Array<Number>} pixel - [x, y] position
+ * @param {String} fill - Dot colour
+ * @param {String} label - Text next to the dot
+ */
+function drawMapMarker(context, [x, y], fill, label) {
+    context.fillStyle = fill;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.arc(x, y, 5, 0, Math.PI * 2);
+    context.fill();
+    context.stroke();
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.font = '11px Arial';
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    context.fillText(label, x + 8, y);
+}
+
+/**
+ * Draws the colour scale under the route
+ * @param {CanvasRenderingContext2D} context - Map canvas context
+ * @param {Number} width - Canvas width (CSS pixels)
+ * @param {Number} height - Canvas height (CSS pixels)
+ * @param {String} mode - 'split' or 'rate'
+ * @param {Array<Number>|null} range - [low, high] colour range
+ */
+function drawMapLegend(context, width, height, mode, range) {
+    if (!range) return;
+
+    const left = MAP_PADDING + 40;
+    const right = width / 2;
+    const top = height - MAP_PADDING - 10;
+    const steps = 20;
+    for (let i = 0; i < steps; i++) {
+        context.fillStyle = getTrackColour(i / (steps - 1));
+        context.fillRect(left + (right - left) * i / steps, top, (right - left) / steps + 1, 8);
+    }
+
+    // Slow on the left, fast on the right
+    const units = displaySettings.units;
+    const format = mode === 'split' ? value => formatSplit(value, units) : value => 'r' + Math.round(value);
+    const [slow, fast] = mode === 'split' ? [range[1], range[0]] : range;
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.font = '11px Arial';
+    context.textBaseline = 'middle';
+    context.textAlign = 'right';
+    context.fillText(format(slow), left - 4, top + 4);
+    context.textAlign = 'left';
+    context.fillText(format(fast) + (mode === 'split' ? ' ' + getSplitUnitLabel(units) : ''), right + 4, top + 4);
+}
+
+/**
+ * Draws a scale bar in the bottom right corner
+ * @param {CanvasRenderingContext2D} context - Map canvas context
+ * @param {Number} width - Canvas width (CSS pixels)
+ * @param {Number} height - Canvas height (CSS pixels)
+ * @param {Number} scale - Pixels per meter
+ */
+function drawMapScaleBar(context, width, height, scale) {
+    const meters = getNiceStep(width / 4 / scale, 1);
+    const length = meters * scale;
+    const right = width - MAP_PADDING;
+    const y = height - MAP_PADDING - 6;
+
+    context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(right - length, y - 4);
+    context.lineTo(right - length, y);
+    context.lineTo(right, y);
+    context.lineTo(right, y - 4);
+    context.stroke();
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.font = '11px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillText(meters >= 1000 ? `${meters / 1000}km` : `${meters}m`, right - length / 2, y - 6);
+}
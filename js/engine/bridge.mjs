@@ -0,0 +1,16 @@
+/**
+ * Speedcox - Module Bridge
+ * The workout engine and the services it uses are ES modules; app.js and
+ * the controllers are still classic scripts that share globals. This puts
+ * the modules' exports on window for them. index.html loads it before
+ * app.js, which is deferred so it runs after the modules.
+ */
+
+import * as speedFilter from '../services/speedFilter.mjs';
+import * as strokeDetection from '../services/strokeDetection.mjs';
+import * as rateFusion from '../services/rateFusion.mjs';
+import * as strokeMetrics from '../models/strokeMetrics.mjs';
+import * as workoutEngine from './workoutEngine.mjs';
+import * as calibration from '../models/calibration.mjs';
+
+Object.assign(window, speedFilter, strokeDetection, rateFusion, strokeMetrics, workoutEngine, calibration);
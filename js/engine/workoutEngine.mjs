@@ -0,0 +1,661 @@
+/**
+ * Speedcox - Workout Engine
+ * The detection and metrics core: takes timestamped GPS fixes, motion
+ * samples and rowing machine readings, and keeps the distance, speed,
+ * stroke rates and per-stroke records of one workout
+ *
+ * Pure module - no DOM, no timers, no globals. Each add...() call returns
+ * the events it caused (so far only strokes) for the controller to act on,
+ * and getEngineMetrics() gives the live numbers for any moment. The same
+ * code runs in the app and in the Node tests (test/).
+ */
+
+import { createSpeedFilter, advanceSpeedFilter, updateSpeedFilter, getFilteredPosition, getWindowSpeed } from '../services/speedFilter.mjs';
+import { createAxisDetector, updateAxisDetector } from '../services/strokeDetection.mjs';
+import { buildStrokeRecord, getRecentDps, getAverageDps } from '../models/strokeMetrics.mjs';
+import { fuseStrokeRates } from '../services/rateFusion.mjs';
+import { estimateAutocorrelationRate } from '../services/autocorrelationRate.mjs';
+
+const EARTH_RADIUS = 6371000;           // meters
+const MAX_STROKE_RATE = 40;             // SPM - detected rates are capped here
+const MOTION_HISTORY_TIME = 10000;      // ms of acceleration kept for detection and stroke metrics
+const SPEED_HISTORY_TIME = 30000;       // ms of raw and filtered speeds kept
+const SPEED_PEAK_WINDOW = 30000;        // ms of speed peaks the GPS rate is taken from
+const AUTOCORR_RETRY_TIME = 1000;       // ms between autocorrelation attempts until it finds a rhythm
+
+// Detection settings the app has always used - profiles and calibration start from these
+export const DEFAULT_DETECTION_SETTINGS = {
+    spikeThreshold: 4,          // m/s² above baseline for a motion spike to count as a stroke
+    spikeLockout: 800,          // ms after a motion stroke before another can count
+    speedPeakThreshold: 0.10,   // fraction above average speed for a GPS speed peak
+    speedPeakGap: 1000,         // ms between GPS speed peaks
+    minGpsDistance: 3,          // meters - smaller moves between fixes are ignored by GPS stroke detection
+    minGpsSpeed: 0.5,           // m/s - slower moves are GPS drift (no distance, no GPS strokes)
+    axisCatchFactor: 0.8,       // boat-axis catch dip, in surge RMS
+    axisDriveFactor: 0.4,       // boat-axis drive push, in surge RMS
+    axisMinInterval: 1200       // ms between boat-axis strokes
+};
+
+/* =============================================================================
+ * ENGINE STATE
+ * ============================================================================= */
+
+/**
+ * Creates the engine for one workout
+ * @param {Object} options - Workout settings
+ * @param {String} options.method - Stroke rate method: 'gps', 'motion', 'autocorr', 'both', 'fused' or 'erg'
+ * @param {String} options.motionDetector - 'spike' (magnitude threshold) or 'axis' (boat-axis surge)
+ * @param {Object} options.settings - Detection settings (DEFAULT_DETECTION_SETTINGS, or a profile's)
+ * @param {Array<Number>|null} options.gravity - Calibrated mounting gravity for the axis detector
+ * @returns {Object} Engine state (plain data, safe to checkpoint)
+ */
+export function createWorkoutEngine(options) {
+    return {
+        method: options.method || 'gps',
+        motionDetector: options.motionDetector || 'spike',
+        settings: options.settings,
+        gravity: options.gravity || null,
+
+        // Totals and the recording kept with the saved workout
+        distance: 0,                // Meters rowed
+        strokeCount: 0,             // Strokes from either motion detector or the erg
+        track: [],                  // Every GPS fix (or erg sample) {lat, lng, timestamp, accuracy, speed, heartRate, distance}
+        strokeEvents: [],           // Every detected stroke {timestamp, rate, source}
+        speedSamples: [],           // Filtered speed at every fix (never pruned)
+        strokeLog: [],              // Per-stroke records of the selected method
+
+        // Motion
+        accelerationHistory: [],    // Last 10 s of {magnitude, timestamp, ig, surge?}
+        lastStrokeDetection: 0,     // Time of the last spike stroke (ms)
+        motionRate: 0,              // Latest motion stroke rate (SPM)
+        axisDetector: null,         // Boat-axis detector (created with the first sample)
+        autocorr: null,             // Latest estimateAutocorrelationRate() result ('autocorr' method only)
+        autocorrTime: 0,            // When it was last estimated (ms)
+
+        // GPS
+        speedFilter: createSpeedFilter(),
+        filteredSpeed: 0,           // Latest filtered boat speed (m/s, 0 when stationary)
+        distanceAnchor: null,       // Filtered position already counted in the distance
+        filteredSpeeds: [],         // Recent filtered speeds for the split window
+        lastPosition: null,         // Last fix {lat, lng, timestamp}
+        speedHistory: [],           // Recent raw fix-to-fix speeds for GPS stroke detection
+        speedPeaks: [],             // Recent speed peaks (stroke cycles)
+        lastSpeedPeak: 0,
+        gpsRate: 0,                 // Latest GPS stroke rate (SPM)
+
+        // Rowing machine
+        ergRate: 0                  // Latest rate reported by the monitor (SPM)
+    };
+}
+
+/**
+ * Changes settings during a workout
+ * A new detector or new settings mean the boat axis is learnt again
+ * @param {Object} engine - Engine state
+ * @param {Object} changes - Any of {method, motionDetector, settings, gravity}
+ */
+export function configureWorkoutEngine(engine, changes) {
+    Object.assign(engine, changes);
+    if (changes.motionDetector || changes.settings || changes.gravity !== undefined) engine.axisDetector = null;
+}
+
+/**
+ * Starts (or restarts after a stop) the recording
+ * Time spent stopped doesn't count as distance, and the phone may have
+ * been moved, so the speed filter and the boat axis start afresh
+ * @param {Object} engine - Engine state
+ */
+export function startWorkoutEngine(engine) {
+    engine.speedFilter = createSpeedFilter();
+    engine.filteredSpeed = 0;
+    engine.filteredSpeeds = [];
+    engine.distanceAnchor = null;
+    engine.axisDetector = null;
+}
+
+/**
+ * Engine state for a crash checkpoint
+ * The recent-history buffers only cover the last few seconds and are left out
+ * @param {Object} engine - Engine state
+ * @returns {Object} Checkpoint data for restoreWorkoutEngine()
+ */
+export function getEngineCheckpoint(engine) {
+    return { ...engine, accelerationHistory: [], speedHistory: [], filteredSpeeds: [], axisDetector: null };
+}
+
+/**
+ * Puts an engine back together from a checkpoint
+ * The speed filter carries on from its last fix, so distance across the
+ * gap is the straight line between the fixes either side of it
+ * @param {Object} saved - From getEngineCheckpoint()
+ * @returns {Object} Engine state
+ */
+export function restoreWorkoutEngine(saved) {
+    return { ...createWorkoutEngine(saved), ...saved, filteredSpeed: 0 };
+}
+
+/**
+ * Forgets the fix-to-fix history across a gap in the recording (page frozen,
+ * app restarted) - the first fix after it would otherwise be compared with
+ * the last one before it and show up as a speed peak
+ * Call before the first fix after the gap is added
+ * @param {Object} engine - Engine state
+ */
+export function markWorkoutEngineGap(engine) {
+    engine.lastPosition = null;
+    engine.speedHistory = [];
+    engine.speedPeaks = [];
+    engine.lastSpeedPeak = 0;
+}
+
+/* =============================================================================
+ * MOTION SAMPLES
+ * ============================================================================= */
+
+/**
+ * Total acceleration magnitude (combines x, y, z axes)
+ * Gives the overall "intensity" of movement regardless of phone orientation
+ * @param {Array<Number>} ig - Acceleration including gravity [x, y, z]
+ * @returns {Number} m/s²
+ */
+export function getMotionMagnitude(ig) {
+    return Math.sqrt(ig[0] * ig[0] + ig[1] * ig[1] + ig[2] * ig[2]);
+}
+
+/**
+ * Takes in one accelerometer sample
+ * @param {Object} engine - Engine state
+ * @param {Object} sample - {timestamp, ig: [x, y, z], a: [x, y, z] | null}
+ * @returns {Array} Events caused by the sample
+ */
+export function addMotionSample(engine, sample) {
+    const events = [];
+    if (!sample.ig) return events;
+
+    const timestamp = sample.timestamp;
+    const entry = { magnitude: getMotionMagnitude(sample.ig), timestamp: timestamp, ig: sample.ig };
+    engine.accelerationHistory.push(entry);
+
+    // Keep only the last 10 seconds (prevents memory issues)
+    engine.accelerationHistory = engine.accelerationHistory.filter(a => a.timestamp > timestamp - MOTION_HISTORY_TIME);
+
+    if (engine.motionDetector === 'axis') {
+        detectAxisStroke(engine, sample, entry, events);
+    } else {
+        detectStroke(engine, entry.magnitude, timestamp, events);
+    }
+    if (engine.method === 'autocorr') updateAutocorrelationRate(engine, timestamp);
+    return events;
+}
+
+/**
+ * Re-estimates the autocorrelation stroke rate once per stroke
+ * Runs every estimated stroke period (every second until there is one),
+ * so it keeps up even when the detectors miss strokes
+ * @param {Object} engine - Engine state
+ * @param {Number} timestamp - Latest sample time (ms)
+ */
+function updateAutocorrelationRate(engine, timestamp) {
+    const interval = engine.autocorr ? engine.autocorr.period * 1000 : AUTOCORR_RETRY_TIME;
+    if (timestamp - engine.autocorrTime < interval) return;
+
+    engine.autocorrTime = timestamp;
+    engine.autocorr = estimateAutocorrelationRate(engine.accelerationHistory);
+}
+
+/**
+ * Boat-axis stroke detection (orientation-aware mode)
+ * Removes gravity, projects onto the boat's fore-aft axis and looks for
+ * the catch/drive surge pattern - see services/strokeDetection.mjs
+ * @param {Object} engine - Engine state
+ * @param {Object} sample - Motion sample
+ * @param {Object} entry - This sample's accelerationHistory entry (gets the surge added)
+ * @param {Array} events - Events list to add to
+ */
+function detectAxisStroke(engine, sample, entry, events) {
+    if (!engine.axisDetector) {
+        engine.axisDetector = createAxisDetector(engine.gravity, {
+            catchFactor: engine.settings.axisCatchFactor,
+            driveFactor: engine.settings.axisDriveFactor,
+            minInterval: engine.settings.axisMinInterval
+        });
+    }
+
+    const stroke = updateAxisDetector(engine.axisDetector, sample);
+
+    // Keep surge with the sample so per-stroke metrics use the boat-axis curve
+    entry.surge = engine.axisDetector.surge;
+
+    // Surge also carries the filtered boat speed forward between GPS fixes
+    if (engine.axisDetector.principal) advanceSpeedFilter(engine.speedFilter, sample.timestamp, engine.axisDetector.surge);
+
+    if (stroke) registerMotionStroke(engine, stroke.timestamp, stroke.rate, events);
+}
+
+/**
+ * Analyze acceleration data to detect rowing strokes
+ *
+ * HOW STROKE DETECTION WORKS:
+ * 1. Collects acceleration data from phone's motion sensors
+ * 2. Looks for "spikes" in acceleration (sudden movements)
+ * 3. A spike that's significantly higher than baseline = one stroke
+ * 4. Prevents counting the same stroke twice with timing filter
+ *
+ * @param {Object} engine - Engine state
+ * @param {Number} magnitude - Current total acceleration (combining x,y,z axes)
+ * @param {Number} timestamp - When this measurement was taken (milliseconds)
+ * @param {Array} events - Events list to add to
+ */
+function detectStroke(engine, magnitude, timestamp, events) {
+    const history = engine.accelerationHistory;
+    const settings = engine.settings;
+
+    // STEP 1: Make sure we have enough data points to establish a baseline
+    // Need at least 20 data points (about 2 seconds of data)
+    if (history.length < 20) return;
+
+    // STEP 2: Calculate the "baseline" - what's normal boat movement?
+    // Take the last 20 acceleration readings and find their average
+    const recentData = history.slice(-20);
+    const avgMagnitude = recentData.reduce((sum, a) => sum + a.magnitude, 0) / recentData.length;
+
+    // STEP 3: Set detection threshold
+    // A stroke is detected when acceleration exceeds baseline by this amount
+    // (4 m/s² by default, fitted per boat by the sensitivity calibration)
+    const threshold = avgMagnitude + settings.spikeThreshold;
+
+    // STEP 4: Check if current movement qualifies as a stroke
+    // Two conditions must be met:
+    // A) Current acceleration is much higher than baseline (indicates a stroke)
+    // B) The lockout (800ms by default) has passed since last stroke
+    if (magnitude > threshold && timestamp - engine.lastStrokeDetection > settings.spikeLockout) {
+        engine.lastStrokeDetection = timestamp;
+
+        // STEP 5: Calculate CURRENT stroke rate (strokes per minute)
+        // Count how much significant motion happened in the last 10 seconds, then extrapolate
+        const windowSize = 10000;
+        const recentStrokes = history.filter(
+            a => a.timestamp > timestamp - windowSize &&
+            a.magnitude > (avgMagnitude + settings.spikeThreshold - 1)  // Lower threshold for counting
+        ).length;
+        const rate = Math.min(Math.round((recentStrokes / (windowSize / 1000)) * 60), MAX_STROKE_RATE);
+
+        // STEP 6: Count the stroke and store its rate
+        registerMotionStroke(engine, timestamp, rate, events);
+    }
+}
+
+/**
+ * Books a stroke found by either motion detector
+ * With the 'autocorr' method the stroke carries the autocorrelation rate
+ * (0 until there is one), so averages and exports use it rather than the
+ * detector's own estimate
+ * @param {Object} engine - Engine state
+ * @param {Number} timestamp - When the stroke happened (ms)
+ * @param {Number} rate - Current stroke rate (SPM, 0 if not known yet)
+ * @param {Array} events - Events list to add to
+ */
+function registerMotionStroke(engine, timestamp, rate, events) {
+    engine.strokeCount++;
+    engine.motionRate = rate;
+    let strokeRate = rate;
+    if (engine.method === 'autocorr') strokeRate = engine.autocorr ? Math.round(engine.autocorr.rate) : 0;
+    engine.strokeEvents.push({ timestamp, rate: strokeRate, source: 'motion' });
+
+    const record = recordStrokeMetrics(engine, timestamp, 'motion', estimateDistanceAt(engine, timestamp));
+    events.push({ type: 'stroke', source: 'motion', timestamp: timestamp, rate: strokeRate, record: record });
+}
+
+/* =============================================================================
+ * GPS FIXES
+ * ============================================================================= */
+
+/**
+ * Takes in one GPS fix
+ *
+ * HOW GPS DISTANCE TRACKING WORKS:
+ * 1. A Kalman filter smooths the fixes into a boat speed (weighted by each
+ *    fix's accuracy and the phone's own Doppler speed)
+ * 2. Distance follows the filtered track, but only while the boat is
+ *    clearly moving - GPS drift at rest adds nothing
+ * 3. The raw fix-to-fix speed still feeds GPS stroke detection, which needs
+ *    the speed surges that the filter smooths away
+ *
+ * @param {Object} engine - Engine state
+ * @param {Object} position - {timestamp, coords: {latitude, longitude, accuracy, speed, heading}} as from the Geolocation API
+ * @param {Number|null} heartRate - bpm to record with the fix (null without a sensor)
+ * @returns {Array} Events caused by the fix
+ */
+export function addGpsFix(engine, position, heartRate = null) {
+    const events = [];
+    const settings = engine.settings;
+    const currentPos = {
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        timestamp: position.timestamp
+    };
+
+    // Record every fix for the saved track (before any noise filtering)
+    const trackPoint = {
+        ...currentPos,
+        accuracy: position.coords.accuracy,  // Reported accuracy radius in meters
+        speed: position.coords.speed,        // Device-reported speed (may be null)
+        heartRate: heartRate,
+        distance: engine.distance            // Total distance so far (updated below)
+    };
+    engine.track.push(trackPoint);
+
+    // STEP 1: FILTERED SPEED AND DISTANCE
+    const filtered = updateSpeedFilter(engine.speedFilter, position);
+
+    // Moving = faster than the drift limit and clearly more than the filter's uncertainty
+    const moving = filtered.speed >= settings.minGpsSpeed && filtered.speed > 2 * filtered.speedStdDev;
+    engine.filteredSpeed = moving ? filtered.speed : 0;
+
+    // Distance follows the filtered position while moving; at rest the anchor
+    // just follows the (drifting) position without adding anything
+    const filteredPosition = getFilteredPosition(engine.speedFilter);
+    if (moving && engine.distanceAnchor) {
+        engine.distance += Math.hypot(filteredPosition[0] - engine.distanceAnchor[0], filteredPosition[1] - engine.distanceAnchor[1]);
+    }
+    engine.distanceAnchor = filteredPosition;
+
+    addSpeedSample(engine, engine.filteredSpeed, currentPos.timestamp);
+
+    // STEP 2: RAW SPEED FOR GPS STROKE DETECTION
+    // GPS drifts ±5-10 meters even when stationary, so only a fix that moved
+    // far enough (3 m by default) counts; fixes slower than the drift limit
+    // (0.5 m/s) don't go into the speed history but can still be a peak
+    if (engine.lastPosition) {
+        const distance = calculateDistance(engine.lastPosition, currentPos);
+        const timeDiff = (currentPos.timestamp - engine.lastPosition.timestamp) / 1000;
+
+        if (distance > settings.minGpsDistance && timeDiff > 0) {
+            const speed = distance / timeDiff;
+            if (speed >= settings.minGpsSpeed) {
+                engine.speedHistory.push({ speed, timestamp: currentPos.timestamp });
+                engine.speedHistory = engine.speedHistory.filter(s => s.timestamp > currentPos.timestamp - SPEED_HISTORY_TIME);
+            }
+            analyzeSpeedForStrokeRate(engine, speed, currentPos.timestamp, events);
+        }
+    }
+
+    engine.lastPosition = currentPos;
+
+    // Remember the total at this fix so exports match the display
+    trackPoint.distance = engine.distance;
+    return events;
+}
+
+/**
+ * Analyzes GPS speed patterns to estimate stroke rate
+ *
+ * HOW GPS-BASED STROKE RATE WORKS (NK SpeedCoach Method):
+ * 1. During each rowing stroke, boat speed fluctuates in a pattern
+ * 2. Speed increases during drive phase (pulling the oar)
+ * 3. Speed decreases during recovery phase (returning to catch)
+ * 4. By detecting these speed peaks, we can count strokes
+ * 5. Calculate strokes per minute from the timing between peaks
+ *
+ * @param {Object} engine - Engine state
+ * @param {Number} speed - Current boat speed in m/s
+ * @param {Number} timestamp - When this speed was measured
+ * @param {Array} events - Events list to add to
+ */
+function analyzeSpeedForStrokeRate(engine, speed, timestamp, events) {
+    // Need at least some speed history to detect patterns
+    if (engine.speedHistory.length < 5) return;
+
+    // STEP 1: Average of the last 10 speed readings
+    const recentSpeeds = engine.speedHistory.slice(-10);
+    const avgSpeed = recentSpeeds.reduce((sum, s) => sum + s.speed, 0) / recentSpeeds.length;
+
+    // STEP 2: A peak is speed well above the recent average (10% by default) -
+    // the drive phase of a stroke
+    const isPeak = speed > avgSpeed * (1 + engine.settings.speedPeakThreshold);
+
+    // STEP 3: Must be at least 1 second (by default) since the last peak (prevents double-counting)
+    if (isPeak && timestamp - engine.lastSpeedPeak > engine.settings.speedPeakGap) {
+        engine.speedPeaks.push({ speed, timestamp });
+        engine.lastSpeedPeak = timestamp;
+        engine.speedPeaks = engine.speedPeaks.filter(p => p.timestamp > timestamp - SPEED_PEAK_WINDOW);
+
+        // STEP 4: Strokes per minute over the peaks of the last 30 seconds
+        const peaks = engine.speedPeaks;
+        if (peaks.length >= 2) {
+            const timeSpan = (peaks[peaks.length - 1].timestamp - peaks[0].timestamp) / 1000;
+            const strokes = peaks.length - 1;   // -1 because first peak is starting point
+            engine.gpsRate = Math.min(Math.round((strokes / timeSpan) * 60), MAX_STROKE_RATE);
+
+            engine.strokeEvents.push({ timestamp, rate: engine.gpsRate, source: 'gps' });
+            const record = recordStrokeMetrics(engine, timestamp, 'gps', engine.distance);
+            events.push({ type: 'stroke', source: 'gps', timestamp: timestamp, rate: engine.gpsRate, record: record, speed: speed });
+        }
+    }
+}
+
+/**
+ * Calculates distance between two GPS coordinates
+ * Uses the Haversine formula to account for Earth's curvature
+ * @param {Object} pos1 - First position {lat, lng}
+ * @param {Object} pos2 - Second position {lat, lng}
+ * @returns {Number} Distance in meters
+ */
+export function calculateDistance(pos1, pos2) {
+    const dLat = (pos2.lat - pos1.lat) * Math.PI / 180;
+    const dLng = (pos2.lng - pos1.lng) * Math.PI / 180;
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(pos1.lat * Math.PI / 180) * Math.cos(pos2.lat * Math.PI / 180) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/* =============================================================================
+ * ROWING MACHINE
+ * ============================================================================= */
+
+/**
+ * Takes in distance and speed from a rowing machine
+ * Stands in for GPS indoors; recorded as a track without positions
+ * @param {Object} engine - Engine state
+ * @param {Object} sample - {timestamp, distance (m since start), speed (m/s), strokeRate, power (W), heartRate}
+ * @returns {Array} Events caused by the sample
+ */
+export function addErgSample(engine, sample) {
+    engine.distance = sample.distance;
+    engine.filteredSpeed = sample.speed;
+    engine.ergRate = sample.strokeRate || 0;
+    addSpeedSample(engine, sample.speed, sample.timestamp);
+
+    engine.track.push({
+        lat: null,                          // No position indoors
+        lng: null,
+        timestamp: sample.timestamp,
+        accuracy: null,
+        speed: sample.speed,
+        distance: engine.distance,
+        heartRate: sample.heartRate === undefined ? null : sample.heartRate,
+        power: sample.power
+    });
+    return [];
+}
+
+/**
+ * Books a stroke reported by the rowing machine
+ * The monitor measures drive length, power and drive/recovery times
+ * directly, so they replace the motion-based estimates in the stroke record
+ * @param {Object} engine - Engine state
+ * @param {Number} timestamp - When the stroke was reported (ms)
+ * @param {Object} stroke - Completed stroke from applyErgReading()
+ * @param {Number|null} rate - Monitor's current stroke rate (SPM)
+ * @returns {Array} Events caused by the stroke
+ */
+export function addErgStroke(engine, timestamp, stroke, rate) {
+    engine.strokeCount++;
+    engine.strokeEvents.push({ timestamp, rate: rate || 0, source: 'erg' });
+
+    const record = recordStrokeMetrics(engine, timestamp, 'erg', engine.distance);
+    if (record) {
+        record.power = stroke.power;
+        record.driveLength = stroke.driveLength;
+        if (stroke.driveTime > 0 && stroke.recoveryTime > 0) record.driveRatio = stroke.driveTime / stroke.recoveryTime;
+    }
+    return [{ type: 'stroke', source: 'erg', timestamp: timestamp, rate: rate || 0, record: record }];
+}
+
+/* =============================================================================
+ * SHARED STEPS
+ * ============================================================================= */
+
+/**
+ * Keeps a filtered speed for the split window and the saved workout
+ * @param {Object} engine - Engine state
+ * @param {Number} speed - m/s
+ * @param {Number} timestamp - ms
+ */
+function addSpeedSample(engine, speed, timestamp) {
+    engine.filteredSpeeds.push({ speed: speed, timestamp: timestamp });
+    engine.filteredSpeeds = engine.filteredSpeeds.filter(s => s.timestamp > timestamp - SPEED_HISTORY_TIME);
+    engine.speedSamples.push({ speed: speed, timestamp: timestamp });
+}
+
+/**
+ * Keeps a per-stroke record for every stroke from the selected method
+ * Called by every detector; strokes from the others are skipped so each
+ * stroke is only logged once
+ * @param {Object} engine - Engine state
+ * @param {Number} timestamp - Catch time (ms)
+ * @param {String} source - 'motion', 'gps' or 'erg'
+ * @param {Number} distance - Boat distance at the catch (meters)
+ * @returns {Object|null} The new stroke record, or null if the stroke was skipped
+ */
+function recordStrokeMetrics(engine, timestamp, source, distance) {
+    if (source !== getStrokeSource(engine.method)) return null;
+
+    const log = engine.strokeLog;
+    const previous = log.length > 0 ? log[log.length - 1] : null;
+
+    // Acceleration over the stroke cycle that just ended (previous catch to this one)
+    // Boat-axis surge is used when the orientation-aware detector provided it
+    const samples = previous
+        ? engine.accelerationHistory
+            .filter(a => a.timestamp >= previous.timestamp && a.timestamp <= timestamp)
+            .map(a => a.surge !== undefined ? { magnitude: a.surge, timestamp: a.timestamp } : a)
+        : [];
+
+    const record = buildStrokeRecord({
+        number: log.length + 1,
+        timestamp: timestamp,
+        distance: distance,
+        previous: previous,
+        accelerationSamples: samples,
+        source: source
+    });
+    log.push(record);
+    return record;
+}
+
+/**
+ * Estimates the boat's distance at a moment between GPS fixes
+ * Extends the total from the last fix using the latest speed (at most 2 s),
+ * so motion-detected strokes get a usable distance per stroke
+ * @param {Object} engine - Engine state
+ * @param {Number} timestamp - Moment to estimate (ms)
+ * @returns {Number} Distance in meters
+ */
+export function estimateDistanceAt(engine, timestamp) {
+    if (!engine.lastPosition) return engine.distance;
+
+    const sinceFix = Math.min(Math.max((timestamp - engine.lastPosition.timestamp) / 1000, 0), 2);
+    return engine.distance + engine.filteredSpeed * sinceFix;
+}
+
+/**
+ * Which detector's strokes count for a stroke rate method
+ * 'both' and 'fused' count the GPS strokes so each stroke is only counted once;
+ * 'autocorr' counts the motion detector's strokes
+ * @param {String} method - 'gps', 'motion', 'autocorr', 'both', 'fused' or 'erg'
+ * @returns {String} 'motion', 'gps' or 'erg'
+ */
+export function getStrokeSource(method) {
+    if (method === 'motion' || method === 'erg') return method;
+    if (method === 'autocorr') return 'motion';
+    return 'gps';
+}
+
+/**
+ * Picks the stroke events from the selected detection method
+ * @param {Array} strokes - Stroke events {timestamp, rate, source}
+ * @param {String} method - 'gps', 'motion', 'autocorr', 'both', 'fused' or 'erg'
+ * @returns {Array} Stroke events from one source
+ */
+export function filterStrokesByMethod(strokes, method) {
+    const source = getStrokeSource(method);
+    return strokes.filter(s => s.source === source);
+}
+
+/* =============================================================================
+ * METRICS
+ * ============================================================================= */
+
+/**
+ * Live numbers at a moment
+ * @param {Object} engine - Engine state
+ * @param {Number} now - Current time (ms)
+ * @param {Number} splitWindow - Split smoothing window in seconds (1, 5 or 10)
+ * @returns {Object} {distance, speed, split, rate, gpsRate, motionRate, ergRate,
+ *          fused, autocorr, dps, strokes} - values that aren't known yet are null
+ */
+export function getEngineMetrics(engine, now, splitWindow) {
+    const speed = getWindowSpeed(engine.filteredSpeeds, now, splitWindow);
+    const gpsRate = engine.gpsRate > 0 ? engine.gpsRate : null;
+    const motionRate = engine.motionRate > 0 ? engine.motionRate : null;
+    const ergRate = engine.ergRate > 0 ? engine.ergRate : null;
+    const fused = engine.method === 'fused' ? fuseStrokeRates(engine.strokeEvents, now) : null;
+
+    // An estimate goes stale once its samples have left the history (motion stopped)
+    const autocorr = engine.method === 'autocorr' && engine.autocorr &&
+        now - engine.autocorr.timestamp < MOTION_HISTORY_TIME ? engine.autocorr : null;
+
+    let rate = gpsRate;
+    if (engine.method === 'motion') rate = motionRate;
+    else if (engine.method === 'fused') rate = fused ? fused.rate : null;
+    else if (engine.method === 'autocorr') rate = autocorr ? Math.round(autocorr.rate) : null;
+    else if (engine.method === 'erg') rate = ergRate;
+    else if (engine.method === 'both') rate = gpsRate !== null ? gpsRate : motionRate;
+
+    return {
+        distance: engine.distance,
+        speed: speed,                                       // m/s over the split window
+        split: speed > 0 ? 500 / speed : null,              // seconds per 500m
+        rate: rate,                                         // SPM from the selected method
+        gpsRate: gpsRate,
+        motionRate: motionRate,
+        ergRate: ergRate,
+        fused: fused,                                       // From fuseStrokeRates() ('fused' method only)
+        autocorr: autocorr,                                 // From estimateAutocorrelationRate() ('autocorr' method only)
+        dps: getRecentDps(engine.strokeLog, 5),             // Average of the last 5 strokes
+        strokes: engine.strokeLog.length
+    };
+}
+
+/**
+ * Whole-workout averages
+ * @param {Object} engine - Engine state
+ * @param {Number} duration - Seconds since the workout started
+ * @returns {Object} {distance, duration, avgSplit, avgStrokeRate, strokeCount, avgDps}
+ */
+export function getEngineSummary(engine, duration) {
+    // Average stroke rate from every stroke of the selected method
+    const rates = filterStrokesByMethod(engine.strokeEvents, engine.method).filter(s => s.rate > 0);
+
+    return {
+        distance: engine.distance,      // meters
+        duration: duration,             // seconds
+        avgSplit: engine.distance > 0 && duration > 0 ? 500 / (engine.distance / duration) : null,    // seconds per 500m
+        avgStrokeRate: rates.length > 0 ? rates.reduce((sum, s) => sum + s.rate, 0) / rates.length : null,
+        strokeCount: engine.strokeCount,
+        avgDps: getAverageDps(engine.strokeLog)     // meters per stroke
+    };
+}
@@ -0,0 +1,231 @@
+/**
+ * Speedcox - Session Analysis Model
+ * Turns a saved workout into chart series (split, stroke rate and DPS
+ * against time or distance), statistics for any time range, and the hard
+ * pieces found in the session
+ */
+
+const ANALYSIS_SPEED_WINDOW = 5;        // Seconds of filtered speed averaged into each split point
+const ANALYSIS_STROKE_SMOOTHING = 3;    // Strokes averaged into each rate / DPS point
+const ANALYSIS_MIN_RATE = 10;           // SPM - a longer "stroke" is a pause, not a stroke
+const PIECE_SPEED_WINDOW = 10;          // Seconds of speed averaged when looking for pieces
+const PIECE_MIN_CONTRAST = 0.12;        // Hard speed must be at least 12% above paddling speed
+const PIECE_MIN_DURATION = 30;          // Seconds - shorter bursts aren't pieces
+const PIECE_MERGE_GAP = 15;             // Seconds - a shorter easy patch doesn't end a piece
+
+/* =============================================================================
+ * TIME AND DISTANCE
+ * ============================================================================= */
+
+/**
+ * Time and distance at every GPS fix, for converting between the two
+ * @param {Array} track - Recorded GPS points
+ * @returns {Object} {times, distances} - rising arrays (ms, meters)
+ */
+function buildDistanceLookup(track) {
+    return {
+        times: track.map(point => point.timestamp),
+        distances: getDistanceStream(track)
+    };
+}
+
+/**
+ * Boat distance at any moment, interpolated between GPS fixes
+ * @param {Object} lookup - From buildDistanceLookup()
+ * @param {Number} timestamp - Moment (ms)
+ * @returns {Number} Meters from the start
+ */
+function getDistanceAtTime(lookup, timestamp) {
+    return interpolateStream(lookup.times, lookup.distances, timestamp);
+}
+
+/**
+ * Moment the boat reached a distance, interpolated between GPS fixes
+ * @param {Object} lookup - From buildDistanceLookup()
+ * @param {Number} distance - Meters from the start
+ * @returns {Number} Timestamp (ms)
+ */
+function getTimeAtDistance(lookup, distance) {
+    return interpolateStream(lookup.distances, lookup.times, distance);
+}
+
+/**
+ * Linear interpolation in a rising stream (binary search, so long sessions stay quick)
+ * @param {Array<Number>} xs - Rising x values
+ * @param {Array<Number>} ys - Matching y values
+ * @param {Number} x - Where to look
+ * @returns {Number} y at x (clamped to the ends, 0 for an empty stream)
+ */
+function interpolateStream(xs, ys, x) {
+    if (xs.length === 0) return 0;
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+
+    // First index with xs[i] >= x
+    let lo = 1;
+    let hi = xs.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (xs[mid] >= x) hi = mid; else lo = mid + 1;
+    }
+    const i = lo;
+    const span = xs[i] - xs[i - 1];
+    const fraction = span > 0 ? (x - xs[i - 1]) / span : 0;
+    return ys[i - 1] + fraction * (ys[i] - ys[i - 1]);
+}
+
+/* =============================================================================
+ * CHART SERIES
+ * ============================================================================= */
+
+/**
+ * Averages a value over a trailing time window
+ * @param {Array} samples - {timestamp, value} oldest first
+ * @param {Number} windowSeconds - Window length
+ * @returns {Array} {timestamp, value} with the window average at each sample
+ */
+function smoothOverTime(samples, windowSeconds) {
+    let start = 0;
+    let sum = 0;
+    return samples.map((sample, i) => {
+        sum += sample.value;
+        while (samples[start].timestamp <= sample.timestamp - windowSeconds * 1000) {
+            sum -= samples[start].value;
+            start++;
+        }
+        return { timestamp: sample.timestamp, value: sum / (i - start + 1) };
+    });
+}
+
+/**
+ * Strokes with a real stroke cycle behind them
+ * Skips the first stroke (no interval yet) and the first stroke after a stop
+ * @param {Array} strokeLog - Stroke records
+ * @returns {Array} Stroke records
+ */
+function getRowingStrokes(strokeLog) {
+    return (strokeLog || []).filter(s => s.rate !== null && s.rate >= ANALYSIS_MIN_RATE);
+}
+
+/**
+ * Builds the chart series for a workout
+ * Each point has its time (ms) and distance (m) so the charts can switch axes
+ * @param {Object} workout - Saved workout record
+ * @returns {Object} {split, rate, dps} - arrays of {timestamp, distance, value}
+ */
+function buildAnalysisSeries(workout) {
+    const lookup = buildDistanceLookup(workout.track || []);
+    const speeds = smoothOverTime((workout.speeds || []).map(s => ({ timestamp: s.timestamp, value: s.speed })), ANALYSIS_SPEED_WINDOW);
+
+    // Split only where the boat was moving - a stopped boat has no split
+    const split = speeds
+        .filter(s => s.value > 0.5)
+        .map(s => ({ timestamp: s.timestamp, distance: getDistanceAtTime(lookup, s.timestamp), value: 500 / s.value }));
+
+    // Rate and DPS per stroke, lightly smoothed
+    const strokes = getRowingStrokes(workout.strokeLog);
+    const strokeSeries = key => strokes.map((stroke, i) => {
+        const recent = strokes.slice(Math.max(0, i - ANALYSIS_STROKE_SMOOTHING + 1), i + 1);
+        return {
+            timestamp: stroke.timestamp,
+            distance: stroke.totalDistance,
+            value: recent.reduce((sum, s) => sum + s[key], 0) / recent.length
+        };
+    });
+
+    return { split: split, rate: strokeSeries('rate'), dps: strokeSeries('distance') };
+}
+
+/* =============================================================================
+ * RANGE STATISTICS
+ * ============================================================================= */
+
+/**
+ * Statistics for part of a workout
+ * @param {Object} workout - Saved workout record
+ * @param {Number} from - Range start (ms)
+ * @param {Number} to - Range end (ms)
+ * @returns {Object} {duration, distance, avgSplit, avgRate, avgDps, strokes} (null where unknown)
+ */
+function getRangeStats(workout, from, to) {
+    const lookup = buildDistanceLookup(workout.track || []);
+    const duration = (to - from) / 1000;
+    const distance = getDistanceAtTime(lookup, to) - getDistanceAtTime(lookup, from);
+    const strokes = getRowingStrokes(workout.strokeLog).filter(s => s.timestamp > from && s.timestamp <= to);
+
+    return {
+        duration: duration,
+        distance: distance,
+        avgSplit: distance > 0 && duration > 0 ? 500 / (distance / duration) : null,
+        avgRate: strokes.length > 0 ? strokes.reduce((sum, s) => sum + s.rate, 0) / strokes.length : null,
+        avgDps: strokes.length > 0 ? distance / strokes.length : null,
+        strokes: strokes.length
+    };
+}
+
+/* =============================================================================
+ * PIECE DETECTION
+ * ============================================================================= */
+
+/**
+ * Splits moving speeds into "paddling" and "hard" groups (1-D two-means)
+ * @param {Array<Number>} values - Speeds while moving
+ * @returns {Object|null} {low, high, threshold} group centres and the boundary, or null if too few values
+ */
+function splitSpeedGroups(values) {
+    if (values.length < 10) return null;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    let low = sorted[Math.floor(sorted.length * 0.25)];
+    let high = sorted[Math.floor(sorted.length * 0.9)];
+
+    for (let i = 0; i < 20; i++) {
+        const threshold = (low + high) / 2;
+        const lows = sorted.filter(v => v < threshold);
+        const highs = sorted.filter(v => v >= threshold);
+        if (lows.length === 0 || highs.length === 0) break;
+        low = lows.reduce((sum, v) => sum + v, 0) / lows.length;
+        high = highs.reduce((sum, v) => sum + v, 0) / highs.length;
+    }
+
+    return { low: low, high: high, threshold: (low + high) / 2 };
+}
+
+/**
+ * Finds the hard pieces in a session (as opposed to paddling and rests)
+ *
+ * HOW IT WORKS:
+ * 1. Average the filtered speed over 10 s so single strokes don't count
+ * 2. Split the moving speeds into a slow (paddling) and a fast (hard) group
+ * 3. If the groups are close the whole outing was one pace - no pieces
+ * 4. Runs of fast speed are pieces; short easy patches inside a run are
+ *    bridged, and runs under 30 s are dropped
+ *
+ * @param {Object} workout - Saved workout record
+ * @returns {Array} Pieces {from, to (ms), stats from getRangeStats()}
+ */
+function detectHardPieces(workout) {
+    const speeds = smoothOverTime((workout.speeds || []).map(s => ({ timestamp: s.timestamp, value: s.speed })), PIECE_SPEED_WINDOW);
+    const groups = splitSpeedGroups(speeds.map(s => s.value).filter(v => v > 0.5));
+    if (!groups || groups.high < groups.low * (1 + PIECE_MIN_CONTRAST)) return [];
+
+    // Runs of hard speed
+    const runs = [];
+    speeds.forEach(s => {
+        if (s.value < groups.threshold) return;
+        const last = runs[runs.length - 1];
+        if (last && s.timestamp - last.to <= PIECE_MERGE_GAP * 1000) {
+            last.to = s.timestamp;
+        } else {
+            runs.push({ from: s.timestamp, to: s.timestamp });
+        }
+    });
+
+    // The trailing smoothing window lags the speed, so a run is found about
+    // half a window late - both ends move back by that much
+    const lag = PIECE_SPEED_WINDOW * 500;
+    return runs
+        .map(run => ({ from: Math.max(workout.startTime, run.from - lag), to: run.to - lag }))
+        .filter(run => (run.to - run.from) / 1000 >= PIECE_MIN_DURATION)
+        .map(run => ({ ...run, stats: getRangeStats(workout, run.from, run.to) }));
+}
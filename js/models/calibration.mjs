@@ -0,0 +1,184 @@
+/**
+ * Speedcox - Sensitivity Calibration Model
+ * Fits the stroke detection settings to a calibration run: the rower takes a
+ * known number of strokes at a known rate, and the recorded data is replayed
+ * through the workout engine with a range of settings to find the ones that
+ * count the right number of strokes
+ */
+
+import { createWorkoutEngine, addMotionSample, addGpsFix, calculateDistance } from '../engine/workoutEngine.mjs';
+
+export const CALIBRATION_STROKES = 20;     // Strokes the rower takes during calibration
+
+/* =============================================================================
+ * REPLAYS - The recorded data run through a new workout engine with the
+ * settings being tried, so calibration counts strokes exactly as a workout would
+ * ============================================================================= */
+
+/**
+ * Replays motion samples through one of the engine's motion detectors
+ * @param {Array} samples - {timestamp, ig, a} motion samples
+ * @param {String} motionDetector - 'spike' or 'axis'
+ * @param {Array<Number>|null} gravity - Mounting calibration gravity, if any
+ * @param {Object} settings - Detection settings to try
+ * @returns {Array<Number>} Stroke timestamps (ms)
+ */
+function replayMotionStrokes(samples, motionDetector, gravity, settings) {
+    const engine = createWorkoutEngine({ method: 'motion', motionDetector, settings, gravity });
+    return samples.flatMap(sample => addMotionSample(engine, sample))
+        .filter(event => event.type === 'stroke')
+        .map(event => event.timestamp);
+}
+
+/**
+ * Replays GPS fixes through the engine's speed-peak detector
+ * @param {Array} fixes - Recorded track points {lat, lng, timestamp, accuracy, speed}
+ * @param {Object} settings - Detection settings to try
+ * @returns {Array<Number>} Stroke timestamps (ms)
+ */
+function replayGpsStrokes(fixes, settings) {
+    const engine = createWorkoutEngine({ method: 'gps', settings });
+    return fixes.flatMap(fix => addGpsFix(engine, {
+        timestamp: fix.timestamp,
+        coords: { latitude: fix.lat, longitude: fix.lng, accuracy: fix.accuracy, speed: fix.speed }
+    }))
+        .filter(event => event.type === 'stroke')
+        .map(event => event.timestamp);
+}
+
+/**
+ * Distance and speed from each fix to the next
+ * @param {Array} fixes - {lat, lng, timestamp} GPS fixes in order
+ * @returns {Array} {distance (m), speed (m/s)} for every fix after the first
+ */
+function getFixMoves(fixes) {
+    const moves = [];
+    for (let i = 1; i < fixes.length; i++) {
+        const distance = calculateDistance(fixes[i - 1], fixes[i]);
+        const timeDiff = (fixes[i].timestamp - fixes[i - 1].timestamp) / 1000;
+        if (timeDiff > 0) moves.push({ distance, speed: distance / timeDiff });
+    }
+    return moves;
+}
+
+/* =============================================================================
+ * FITTING
+ * ============================================================================= */
+
+/**
+ * Evenly spaced candidate values
+ * @param {Number} from - First value
+ * @param {Number} to - Last value
+ * @param {Number} step - Spacing
+ * @returns {Array<Number>} Candidates
+ */
+function candidateRange(from, to, step) {
+    const values = [];
+    for (let v = from; v <= to + step / 2; v += step) values.push(Math.round(v * 1000) / 1000);
+    return values;
+}
+
+/**
+ * Picks the setting that counts closest to the expected number of strokes
+ * When several values count equally well, the middle one is chosen so the
+ * setting has the most margin on both sides
+ * @param {Array<Number>} candidates - Values to try, in order
+ * @param {Function} countStrokes - value => stroke timestamps inside the calibration window
+ * @param {Number} expected - Strokes the rower took
+ * @returns {Object} {value, count}
+ */
+function fitSetting(candidates, countStrokes, expected) {
+    const scored = candidates.map(value => ({ value, count: countStrokes(value).length }));
+    const bestError = Math.min(...scored.map(s => Math.abs(s.count - expected)));
+    const best = scored.filter(s => Math.abs(s.count - expected) === bestError);
+    return best[Math.floor(best.length / 2)];
+}
+
+/**
+ * Value at a percentile of a list of numbers
+ * @param {Array<Number>} values - Numbers
+ * @param {Number} fraction - 0-1
+ * @returns {Number} Percentile value
+ */
+function percentile(values, fraction) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+/**
+ * Fits every detector to a calibration run
+ *
+ * HOW IT WORKS:
+ * 1. Lockouts come from the target rate - long enough to never count one
+ *    stroke twice, short enough to follow a rate well above the target
+ * 2. GPS noise filters are lowered if the boat moved less per fix than the
+ *    default filters allow (slow boats, fast GPS)
+ * 3. Each threshold is swept over its range and the value that counts the
+ *    expected number of strokes is kept
+ * Detectors that saw no strokes at any setting (no motion sensor, no GPS)
+ * keep their current thresholds.
+ *
+ * @param {Object} run - Calibration run
+ * @param {Number} run.targetRate - Rate the rower was asked to row (SPM)
+ * @param {Number} run.startTime - Start of the calibration window (ms)
+ * @param {Number} run.endTime - End of the calibration window (ms)
+ * @param {Array} run.samples - {timestamp, ig, a} motion samples in the window
+ * @param {Array} run.fixes - Track points {lat, lng, timestamp, accuracy, speed} (may start before the window)
+ * @param {Array<Number>|null} run.gravity - Mounting calibration gravity
+ * @param {Object} baseSettings - Settings to start from
+ * @returns {Object} {settings, report: {spike, axis, gps}} - each report entry is
+ *          {value, count, expected} or null if that detector saw no strokes
+ */
+export function fitDetectionSettings(run, baseSettings) {
+    const expected = CALIBRATION_STROKES;
+    const strokeInterval = 60000 / run.targetRate;
+    const lockout = (min, max) => Math.round(Math.min(max, Math.max(min, strokeInterval * 0.6)));
+    const inWindow = strokes => strokes.filter(t => t >= run.startTime && t <= run.endTime);
+
+    const settings = { ...baseSettings };
+    const report = { spike: null, axis: null, gps: null };
+
+    // Motion detectors
+    const samples = run.samples.filter(sample => sample.ig);
+    if (samples.length >= 30) {
+        settings.spikeLockout = lockout(400, 1500);
+        const spike = fitSetting(candidateRange(0.5, 10, 0.25),
+            value => inWindow(replayMotionStrokes(samples, 'spike', run.gravity, { ...settings, spikeThreshold: value })), expected);
+        if (spike.count > 0) {
+            settings.spikeThreshold = spike.value;
+            report.spike = { ...spike, expected };
+        }
+
+        settings.axisMinInterval = lockout(1000, 1500);
+        const axis = fitSetting(candidateRange(0.3, 2.0, 0.1),
+            value => inWindow(replayMotionStrokes(samples, 'axis', run.gravity,
+                { ...settings, axisCatchFactor: value, axisDriveFactor: Math.round(value * 50) / 100 })), expected);
+        if (axis.count > 0) {
+            settings.axisCatchFactor = axis.value;
+            settings.axisDriveFactor = Math.round(axis.value * 50) / 100;  // Drive push at half the catch dip
+            report.axis = { ...axis, expected };
+        }
+    }
+
+    // GPS detector
+    const firstFix = Math.max(0, run.fixes.findIndex(fix => fix.timestamp >= run.startTime) - 1);
+    const moves = getFixMoves(run.fixes.slice(firstFix));
+    const rowing = moves.filter(move => move.distance > 0);
+    if (rowing.length >= 5) {
+        // Half of the shortest normal move still rejects drift at rest
+        settings.minGpsDistance = Math.max(1, Math.min(baseSettings.minGpsDistance,
+            Math.round(percentile(moves.map(move => move.distance), 0.1) * 5) / 10));
+        settings.minGpsSpeed = Math.max(0.2, Math.min(baseSettings.minGpsSpeed,
+            Math.round(percentile(rowing.map(move => move.speed), 0.1) * 5) / 10));
+        settings.speedPeakGap = lockout(800, 1500);
+
+        const gps = fitSetting(candidateRange(0.02, 0.30, 0.01),
+            value => inWindow(replayGpsStrokes(run.fixes, { ...settings, speedPeakThreshold: value })), expected);
+        if (gps.count > 0) {
+            settings.speedPeakThreshold = gps.value;
+            report.gps = { ...gps, expected };
+        }
+    }
+
+    return { settings, report };
+}
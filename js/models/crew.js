@@ -0,0 +1,104 @@
+/**
+ * Speedcox - Crew Model
+ * Clock matching between the cox's phone and each seat's phone, and the
+ * per-seat rate and catch timing shown on the cox display
+ */
+
+const CREW_CLOCK_SAMPLES = 8;       // Ping round trips kept per seat for the clock offset
+const CREW_OFFSET_STROKES = 5;      // Recent strokes averaged into each seat's catch offset
+const CREW_MATCH_FRACTION = 0.4;    // A seat's catch must be within 40% of a stroke cycle of the stroke seat's
+const CREW_STALE_TIME = 6000;       // ms - a seat with no stroke for this long shows no rate
+
+/* =============================================================================
+ * CLOCK MATCHING
+ * ============================================================================= */
+
+/**
+ * Creates the clock matching state for one seat
+ * @returns {Object} {samples} - recent ping round trips
+ */
+function createClockSync() {
+    return { samples: [] };
+}
+
+/**
+ * Adds one ping round trip
+ * Assumes the reply took as long to come back as the ping took to get
+ * there, so the seat read its clock halfway through the round trip
+ * @param {Object} sync - From createClockSync()
+ * @param {Number} sent - Cox clock when the ping left (ms)
+ * @param {Number} remote - Seat clock when it replied (ms)
+ * @param {Number} received - Cox clock when the reply arrived (ms)
+ */
+function addClockSample(sync, sent, remote, received) {
+    sync.samples.push({ roundTrip: received - sent, offset: remote - (sent + received) / 2 });
+    if (sync.samples.length > CREW_CLOCK_SAMPLES) sync.samples.shift();
+}
+
+/**
+ * Seat clock minus cox clock
+ * The quickest round trip has the least room for delay in one direction, so it's trusted most
+ * @param {Object} sync - From createClockSync()
+ * @returns {Number|null} Offset in ms, or null before the first round trip
+ */
+function getClockOffset(sync) {
+    if (sync.samples.length === 0) return null;
+    return sync.samples.reduce((best, s) => s.roundTrip < best.roundTrip ? s : best).offset;
+}
+
+/* =============================================================================
+ * CREW SYNCHRONISATION
+ * ============================================================================= */
+
+/**
+ * How early or late each seat catches compared with the stroke seat
+ *
+ * HOW IT WORKS:
+ * 1. Take the stroke seat's last few catches (all on the cox's clock)
+ * 2. For each, find every other seat's nearest catch - within 40% of a
+ *    stroke cycle, otherwise that seat missed the stroke (or it wasn't detected)
+ * 3. Average the differences; positive = late, negative = early
+ *
+ * Every phone detects the catch from its own accelerometer at the same
+ * point of the stroke, so the detector's own delay cancels out as long as
+ * the phones are mounted the same way
+ *
+ * @param {Array} seats - {seat, catches: [cox clock ms, oldest first]} per connected seat
+ * @param {Number} strokeSeat - Seat everyone follows
+ * @returns {Object} Average offset in ms per seat number (null if no matched strokes; 0 for the stroke seat)
+ */
+function getCatchOffsets(seats, strokeSeat) {
+    const reference = seats.find(s => s.seat === strokeSeat);
+    const offsets = {};
+    if (!reference) return offsets;
+
+    const references = reference.catches.slice(-CREW_OFFSET_STROKES - 1);
+    seats.forEach(s => {
+        if (s.seat === strokeSeat) {
+            offsets[s.seat] = references.length > 0 ? 0 : null;
+            return;
+        }
+
+        const differences = [];
+        references.forEach((catchTime, i) => {
+            const cycle = i > 0 ? catchTime - references[i - 1] : references[i + 1] - catchTime;
+            if (!(cycle > 0)) return;
+            const nearest = s.catches.reduce((best, t) => Math.abs(t - catchTime) < Math.abs(best - catchTime) ? t : best, Infinity);
+            if (Math.abs(nearest - catchTime) <= cycle * CREW_MATCH_FRACTION) differences.push(nearest - catchTime);
+        });
+
+        const recent = differences.slice(-CREW_OFFSET_STROKES);
+        offsets[s.seat] = recent.length > 0 ? recent.reduce((sum, d) => sum + d, 0) / recent.length : null;
+    });
+    return offsets;
+}
+
+/**
+ * Spread between the earliest and latest seat
+ * @param {Object} offsets - From getCatchOffsets()
+ * @returns {Number|null} ms, or null with fewer than two seats matched
+ */
+function getCatchSpread(offsets) {
+    const known = Object.values(offsets).filter(offset => offset !== null);
+    return known.length >= 2 ? Math.max(...known) - Math.min(...known) : null;
+}
@@ -0,0 +1,207 @@
+/**
+ * Speedcox - Coaching Cue Model
+ * Templated announcements ("rate {rate}, {split}, {remaining} to go") that
+ * fire on time, distance, stroke count or piece boundaries, and threshold
+ * alerts for a stroke rate band and a target split
+ */
+
+const CUE_TRIGGERS = ['time', 'distance', 'strokes', 'piece'];
+const ALERT_DELAY = 5;          // Seconds out of band before an alert fires
+const ALERT_REPEAT = 20;        // Seconds between repeats while still out of band
+const SPLIT_ALERT_MARGIN = 1;   // Seconds slower than target before the split alert counts
+
+/* =============================================================================
+ * CUE DEFINITIONS
+ * ============================================================================= */
+
+/**
+ * Builds a cue from user input
+ * @param {String} template - Text with {placeholders}
+ * @param {String} trigger - 'time', 'distance', 'strokes' or 'piece'
+ * @param {Number} every - Seconds, meters or strokes between cues (ignored for 'piece')
+ * @returns {Object} Cue {id, template, trigger, every}
+ * @throws {Error} If the template is empty or the spacing is invalid
+ */
+function buildCue(template, trigger, every) {
+    if (!template || !template.trim()) throw new Error('Cue text is empty');
+    if (!CUE_TRIGGERS.includes(trigger)) throw new Error(`Unknown cue trigger "${trigger}"`);
+    if (trigger !== 'piece' && !(every > 0)) throw new Error('Enter how often the cue should play');
+
+    return {
+        id: `${trigger}-${every || 0}-${template.trim()}`,
+        template: template.trim(),
+        trigger: trigger,
+        every: trigger === 'piece' ? null : every
+    };
+}
+
+/**
+ * Describes a cue's trigger for the cue list
+ * @param {Object} cue - Cue
+ * @returns {String} e.g. "every 500m", "every 2:00", "every 20 strokes"
+ */
+function describeCueTrigger(cue) {
+    if (cue.trigger === 'piece') return 'each piece';
+    if (cue.trigger === 'time') return `every ${formatTime(cue.every)}`;
+    if (cue.trigger === 'distance') return `every ${cue.every}m`;
+    return `every ${cue.every} strokes`;
+}
+
+/* =============================================================================
+ * TEMPLATES
+ * ============================================================================= */
+
+/**
+ * Fills in a cue template
+ * The template is read as comma-separated parts and a part whose values
+ * aren't known yet is left out, so "rate {rate}, {split}, {remaining} to go"
+ * becomes "rate 28, 1:52" in an open session without pieces
+ * @param {String} template - Text with {placeholders}
+ * @param {Object} values - Spoken value for each placeholder (null = not known)
+ * @returns {String} Text to speak ('' if nothing is known)
+ */
+function renderCueTemplate(template, values) {
+    return template.split(',')
+        .filter(part => (part.match(/\{(\w+)\}/g) || []).every(p => {
+            const value = values[p.slice(1, -1)];
+            return value !== null && value !== undefined;
+        }))
+        .map(part => part.replace(/\{(\w+)\}/g, (match, name) => values[name]).trim())
+        .filter(part => part.length > 0)
+        .join(', ');
+}
+
+/**
+ * Spoken values for the template placeholders
+ * Split and speed are spoken in the units picked in the Display panel
+ * @param {Object} metrics - Live metrics from getCoachingMetrics()
+ * @param {Object} units - {speed, split} from the display settings
+ * @returns {Object} Placeholder values as text (null when not known)
+ */
+function getCueValues(metrics, units) {
+    let remaining = null;
+    if (metrics.remainingDistance !== null) remaining = String(Math.round(metrics.remainingDistance));
+    if (metrics.remainingTime !== null) remaining = formatTime(metrics.remainingTime);
+
+    return {
+        rate: metrics.rate !== null ? String(Math.round(metrics.rate)) : null,
+        split: metrics.split !== null ? formatSplit(metrics.split, units) : null,
+        speed: metrics.speed !== null ? formatSpeed(metrics.speed, units) : null,
+        distance: String(Math.round(metrics.distance)),
+        time: formatTime(metrics.elapsed),
+        strokes: String(metrics.strokes),
+        dps: metrics.dps !== null ? metrics.dps.toFixed(1) : null,
+        piece: metrics.piece !== null ? String(metrics.piece) : null,
+        remaining: remaining
+    };
+}
+
+/* =============================================================================
+ * TRIGGERS
+ * ============================================================================= */
+
+/**
+ * Creates the per-workout record of which cues and alerts have fired
+ * @returns {Object} Tracker for collectDueCues() and collectAlerts()
+ */
+function createCueTracker() {
+    return {
+        counters: {},       // Last counter value per cue id
+        pieceKey: null,     // Piece and phase at the previous check
+        alerts: {}          // {since, lastFired} per alert kind (elapsed seconds)
+    };
+}
+
+/**
+ * Finds the cues that are due
+ * Time, distance and stroke cues fire each time the count passes another
+ * multiple of their spacing; piece cues fire when a piece or rest begins
+ * (not when the plan finishes)
+ * @param {Array} cues - Cues
+ * @param {Object} tracker - Tracker from createCueTracker()
+ * @param {Object} metrics - Live metrics
+ * @returns {Array} Cues to play now
+ */
+function collectDueCues(cues, tracker, metrics) {
+    const pieceChanged = metrics.pieceKey !== null && metrics.pieceKey !== tracker.pieceKey && metrics.phase !== 'done';
+    tracker.pieceKey = metrics.pieceKey;
+
+    return cues.filter(cue => {
+        if (cue.trigger === 'piece') return pieceChanged;
+
+        const total = cue.trigger === 'time' ? metrics.elapsed
+            : cue.trigger === 'distance' ? metrics.distance
+            : metrics.strokes;
+        const counter = Math.floor(total / cue.every);
+        const previous = tracker.counters[cue.id] || 0;
+        tracker.counters[cue.id] = counter;
+        return counter > previous;
+    });
+}
+
+/**
+ * Checks one alert condition, with a delay before it fires and a pause between repeats
+ * @param {Object} tracker - Tracker from createCueTracker()
+ * @param {String} kind - Alert kind
+ * @param {Boolean} active - Is the condition true right now?
+ * @param {Number} elapsed - Seconds since workout started
+ * @returns {Boolean} True if the alert should play now
+ */
+function checkAlert(tracker, kind, active, elapsed) {
+    const alert = tracker.alerts[kind] || (tracker.alerts[kind] = { since: null, lastFired: -Infinity });
+    if (!active) {
+        alert.since = null;
+        return false;
+    }
+    if (alert.since === null) alert.since = elapsed;
+
+    if (elapsed - alert.since >= ALERT_DELAY && elapsed - alert.lastFired >= ALERT_REPEAT) {
+        alert.lastFired = elapsed;
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Finds the threshold alerts that should play
+ * @param {Object} targets - {minRate, maxRate, targetSplit} (each may be null)
+ * @param {Object} tracker - Tracker from createCueTracker()
+ * @param {Object} metrics - Live metrics
+ * @param {Object} units - {speed, split} the split is spoken in
+ * @returns {Array} Alerts {kind: 'rateLow'|'rateHigh'|'splitSlow', text}
+ */
+function collectAlerts(targets, tracker, metrics, units) {
+    const alerts = [];
+    const rate = metrics.rate;
+    const split = metrics.split;
+
+    if (checkAlert(tracker, 'rateLow', rate !== null && targets.minRate !== null && rate < targets.minRate, metrics.elapsed)) {
+        alerts.push({ kind: 'rateLow', text: `Rate low, ${Math.round(rate)}` });
+    }
+    if (checkAlert(tracker, 'rateHigh', rate !== null && targets.maxRate !== null && rate > targets.maxRate, metrics.elapsed)) {
+        alerts.push({ kind: 'rateHigh', text: `Rate high, ${Math.round(rate)}` });
+    }
+    if (checkAlert(tracker, 'splitSlow', split !== null && targets.targetSplit !== null &&
+            split > targets.targetSplit + SPLIT_ALERT_MARGIN, metrics.elapsed)) {
+        alerts.push({ kind: 'splitSlow', text: `Split slow, ${formatSplit(split, units)}` });
+    }
+    return alerts;
+}
+
+/**
+ * Parses a rate band typed by the user, e.g. "26-28" or "20"
+ * @param {String} text - User input
+ * @returns {Object|null} {minRate, maxRate}, or null if the field is empty
+ * @throws {Error} If the input isn't a rate band
+ */
+function parseRateBand(text) {
+    const value = String(text).trim();
+    if (!value) return null;
+
+    const match = value.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!match) throw new Error('Rate band should look like "26-28"');
+    const minRate = parseInt(match[1]);
+    const maxRate = match[2] ? parseInt(match[2]) : minRate;
+    if (maxRate < minRate) throw new Error('Rate band is backwards');
+    return { minRate, maxRate };
+}
@@ -0,0 +1,263 @@
+/**
+ * Speedcox - Display Settings
+ * Units (speed in m/s, km/h or knots; splits per 500m or 1000m), which
+ * metric each card shows, sport presets that set both at once, and the
+ * race display layout - saved in localStorage
+ *
+ * Everything is still measured in m/s and seconds per 500m; these settings
+ * only change how the numbers are shown and spoken
+ */
+
+const SPEED_UNITS = {
+    ms: { label: 'm/s', factor: 1, decimals: 2 },
+    kmh: { label: 'km/h', factor: 3.6, decimals: 1 },
+    knots: { label: 'kn', factor: 3600 / 1852, decimals: 1 }
+};
+
+const SPLIT_DISTANCES = [500, 1000];    // Meters a split is given for
+
+// Metrics a card can show {name, card (element id)}
+const METRIC_CARDS = {
+    rate: { name: 'Stroke Rate', card: 'rateCard' },
+    split: { name: 'Split', card: 'splitCard' },
+    speed: { name: 'Speed', card: 'speedCard' },
+    avgSplit: { name: 'Avg Split', card: 'avgSplitCard' },
+    dps: { name: 'Dist / Stroke', card: 'dpsCard' },
+    strokes: { name: 'Strokes', card: 'strokesCard' },
+    distance: { name: 'Distance', card: 'distanceCard' },
+    time: { name: 'Time', card: 'timeCard' }
+};
+
+const METRIC_CARD_SLOTS = 6;    // Cards on the display (the sensor cards come after them)
+
+const SPORT_PRESETS = {
+    sweep: {
+        name: 'Sweep / Scull',
+        cards: ['rate', 'split', 'dps', 'strokes', 'distance', 'time'],
+        units: { speed: 'ms', split: 500 }
+    },
+    kayak: {
+        name: 'Kayak / Canoe',
+        cards: ['speed', 'rate', 'split', 'dps', 'distance', 'time'],
+        units: { speed: 'kmh', split: 1000 }
+    },
+    outrigger: {
+        name: 'Outrigger',
+        cards: ['speed', 'rate', 'strokes', 'dps', 'distance', 'time'],
+        units: { speed: 'knots', split: 1000 }
+    },
+    dragonboat: {
+        name: 'Dragon Boat',
+        cards: ['rate', 'speed', 'split', 'strokes', 'distance', 'time'],
+        units: { speed: 'kmh', split: 500 }
+    }
+};
+
+const DEFAULT_SPORT = 'sweep';  // What the app showed before these settings existed
+
+const RACE_FIELD_COUNTS = [1, 2, 4];    // Fields per race display page
+const RACE_THEMES = ['light', 'dark'];  // Black on white (bright sun) or white on black
+const DEFAULT_RACE_SETTINGS = { fields: 2, theme: 'light', landscape: false };
+const DISPLAY_SETTINGS_STORAGE_KEY = 'speedcox-display';   // localStorage key for the settings
+
+/* =============================================================================
+ * UNITS
+ * ============================================================================= */
+
+/**
+ * Converts a speed from m/s
+ * @param {Number} speed - Speed (m/s)
+ * @param {Object} units - {speed: 'ms'|'kmh'|'knots', split: 500|1000}
+ * @returns {Number} Speed in the chosen unit
+ */
+function convertSpeed(speed, units) {
+    return speed * SPEED_UNITS[units.speed].factor;
+}
+
+/**
+ * Speed as text in the chosen unit, without the unit
+ * @param {Number} speed - Speed (m/s)
+ * @param {Object} units - {speed, split}
+ * @returns {String} e.g. "14.2" (km/h) or "3.95" (m/s)
+ */
+function formatSpeed(speed, units) {
+    return convertSpeed(speed, units).toFixed(SPEED_UNITS[units.speed].decimals);
+}
+
+/**
+ * Formats time in seconds to MM:SS format
+ * @param {Number} seconds - Time in seconds
+ * @returns {String} Formatted time string (e.g., "2:30")
+ */
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`; // Ensures 2-digit seconds
+}
+
+/**
+ * Split as text for the chosen split distance
+ * @param {Number} split - Seconds per 500m
+ * @param {Object} units - {speed, split}
+ * @returns {String} Time for the split distance, e.g. "4:10" per 1000m
+ */
+function formatSplit(split, units) {
+    return formatTime(split * units.split / 500);
+}
+
+/**
+ * Converts a split typed for the chosen split distance (e.g. a target)
+ * @param {Number} time - Seconds per 500m or 1000m
+ * @param {Object} units - {speed, split}
+ * @returns {Number} Seconds per 500m
+ */
+function toSplitPer500(time, units) {
+    return time * 500 / units.split;
+}
+
+/**
+ * Unit of speed for labels
+ * @param {Object} units - {speed, split}
+ * @returns {String} e.g. "km/h"
+ */
+function getSpeedUnitLabel(units) {
+    return SPEED_UNITS[units.speed].label;
+}
+
+/**
+ * Split distance for labels
+ * @param {Object} units - {speed, split}
+ * @returns {String} e.g. "/1000m"
+ */
+function getSplitUnitLabel(units) {
+    return `/${units.split}m`;
+}
+
+/**
+ * Short label of a metric with its unit, for the race display
+ * @param {String} metric - Key of METRIC_CARDS
+ * @param {Object} units - {speed, split}
+ * @returns {String} e.g. "Split /1000m" or "Speed km/h"
+ */
+function getMetricLabel(metric, units) {
+    if (metric === 'split' || metric === 'avgSplit') return `${METRIC_CARDS[metric].name} ${getSplitUnitLabel(units)}`;
+    if (metric === 'speed') return `Speed ${getSpeedUnitLabel(units)}`;
+    return METRIC_CARDS[metric].name;
+}
+
+/**
+ * The live numbers as text, in the chosen units
+ * Used by the metric cards and the race display
+ * @param {Number} elapsed - Seconds since workout started
+ * @param {Object} metrics - From getEngineMetrics()
+ * @param {Object} units - {speed, split}
+ * @returns {Object} Text for each metric in METRIC_CARDS - "--" or "--:--" for
+ *          what isn't known (no recent GPS speed, no strokes yet)
+ */
+function getDisplayValues(elapsed, metrics, units) {
+    return {
+        rate: metrics.rate !== null ? String(Math.round(metrics.rate)) : '--',
+        split: metrics.split !== null ? formatSplit(metrics.split, units) : '--:--',    // Stopped or no recent fix
+        speed: metrics.speed !== null ? formatSpeed(metrics.speed, units) : '--',
+        avgSplit: metrics.distance > 0 && elapsed > 0 ? formatSplit(500 * elapsed / metrics.distance, units) : '--:--',
+        dps: metrics.dps !== null ? metrics.dps.toFixed(1) + 'm' : '--',
+        strokes: String(metrics.strokes),
+        distance: Math.round(metrics.distance) + 'm',
+        time: formatTime(elapsed)
+    };
+}
+
+/* =============================================================================
+ * RACE DISPLAY
+ * ============================================================================= */
+
+/**
+ * Splits the card metrics into race display pages
+ * @param {Array<String>} cards - Metrics in card order
+ * @param {Number} fields - Fields per page (1, 2 or 4)
+ * @returns {Array<Array<String>>} Metrics on each page (the last may be short)
+ */
+function getRacePages(cards, fields) {
+    const pages = [];
+    for (let i = 0; i < cards.length; i += fields) pages.push(cards.slice(i, i + fields));
+    return pages;
+}
+
+/* =============================================================================
+ * SETTINGS
+ * ============================================================================= */
+
+/**
+ * Settings of a sport preset
+ * @param {String} sport - Key of SPORT_PRESETS
+ * @param {Object} race - Race display layout to keep (presets don't change it)
+ * @returns {Object} Settings {sport, cards, units, race}
+ */
+function createDisplaySettings(sport, race = DEFAULT_RACE_SETTINGS) {
+    const preset = SPORT_PRESETS[sport] || SPORT_PRESETS[DEFAULT_SPORT];
+    return {
+        sport: SPORT_PRESETS[sport] ? sport : DEFAULT_SPORT,
+        cards: preset.cards.slice(),
+        units: { ...preset.units },
+        race: { ...race }
+    };
+}
+
+/**
+ * Checks saved settings, falling back to the preset for anything unknown
+ * (e.g. a metric that was renamed)
+ * @param {Object} saved - Settings from storage
+ * @returns {Object} Settings {sport, cards, units, race}
+ */
+function normalizeDisplaySettings(saved) {
+    const settings = createDisplaySettings(saved && saved.sport);
+    if (!saved) return settings;
+
+    if (saved.units && SPEED_UNITS[saved.units.speed]) settings.units.speed = saved.units.speed;
+    if (saved.units && SPLIT_DISTANCES.includes(saved.units.split)) settings.units.split = saved.units.split;
+
+    const cards = Array.isArray(saved.cards) ? saved.cards : [];
+    const valid = cards.length === METRIC_CARD_SLOTS && cards.every(key => METRIC_CARDS[key]) &&
+        new Set(cards).size === cards.length;
+    if (valid) settings.cards = cards.slice();
+
+    const race = saved.race || {};
+    if (RACE_FIELD_COUNTS.includes(race.fields)) settings.race.fields = race.fields;
+    if (RACE_THEMES.includes(race.theme)) settings.race.theme = race.theme;
+    settings.race.landscape = race.landscape === true;
+    return settings;
+}
+
+/**
+ * Puts a metric on a card
+ * A metric is only shown once, so if another card had it the two swap
+ * @param {Object} settings - Settings (changed in place)
+ * @param {Number} slot - Card position (0-based)
+ * @param {String} metric - Key of METRIC_CARDS
+ */
+function assignMetricCard(settings, slot, metric) {
+    const previous = settings.cards[slot];
+    const other = settings.cards.indexOf(metric);
+    if (other !== -1) settings.cards[other] = previous;
+    settings.cards[slot] = metric;
+}
+
+/**
+ * Loads the saved settings
+ * @returns {Object} Settings {sport, cards, units, race} (the default preset if none are saved)
+ */
+function loadDisplaySettings() {
+    try {
+        return normalizeDisplaySettings(JSON.parse(localStorage.getItem(DISPLAY_SETTINGS_STORAGE_KEY)));
+    } catch (error) {
+        return createDisplaySettings(DEFAULT_SPORT);
+    }
+}
+
+/**
+ * Saves the settings
+ * @param {Object} settings - {sport, cards, units, race}
+ */
+function saveDisplaySettings(settings) {
+    localStorage.setItem(DISPLAY_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,105 @@
+/**
+ * Speedcox - Erg Model
+ * Turns the PM5's separate status and stroke messages into workout
+ * distance, speed and one record per stroke. Distance counts from the
+ * moment the Speedcox workout started, whatever the monitor shows.
+ */
+
+/**
+ * Creates the state for one connection to a rowing machine
+ * @returns {Object} Erg session
+ */
+function createErgSession() {
+    return {
+        monitorDistance: null,  // Last distance on the monitor (m)
+        distanceOffset: null,   // Monitor distance at our distance 0 (null until the first status)
+        startDistance: 0,       // Our distance when the offset is next set (0, or the total when resuming)
+        distance: 0,            // Meters since the workout started
+        speed: null,            // m/s
+        strokeRate: null,       // SPM from the monitor
+        heartRate: null,        // bpm from a strap paired with the monitor
+        power: null,            // Watts of the latest stroke
+        driveLength: null,      // Meters of the latest stroke
+        pendingStroke: null,    // Stroke whose second message hasn't arrived yet
+        lastStrokeCount: null   // Monitor's count for the last completed stroke
+    };
+}
+
+/**
+ * Counts distance from here on
+ * @param {Object} session - From createErgSession()
+ * @param {Number} distance - Distance to carry on from (0 for a new workout)
+ */
+function restartErgDistance(session, distance) {
+    session.distanceOffset = null;
+    session.startDistance = distance;
+    session.distance = distance;
+}
+
+/**
+ * Takes in one message from the monitor
+ * Stroke data and stroke power come as two messages per stroke; the stroke
+ * is complete once both have arrived (or the next stroke starts)
+ * @param {Object} session - From createErgSession()
+ * @param {Object} reading - From one of the parsePm5...() functions
+ * @returns {Object} {moved: true when the distance was updated, stroke: completed stroke or null}
+ */
+function applyErgReading(session, reading) {
+    const result = { moved: false, stroke: null };
+
+    if (reading.kind === 'pm5Status') {
+        if (session.distanceOffset === null) {
+            session.distanceOffset = reading.distance - session.startDistance;
+        } else if (reading.distance < session.monitorDistance) {
+            // Monitor reset or a new piece started on it - carry on from our total
+            session.distanceOffset = reading.distance - session.distance;
+        }
+        session.monitorDistance = reading.distance;
+        session.distance = Math.max(0, reading.distance - session.distanceOffset);
+        result.moved = true;
+    } else if (reading.kind === 'pm5Pace') {
+        session.speed = reading.speed;
+        session.strokeRate = reading.strokeRate;
+        session.heartRate = reading.heartRate;
+    } else if (reading.kind === 'pm5Stroke' || reading.kind === 'pm5StrokePower') {
+        if (reading.strokeCount === session.lastStrokeCount) return result;    // Already complete
+
+        let stroke = session.pendingStroke;
+        if (!stroke || stroke.strokeCount !== reading.strokeCount) {
+            result.stroke = stroke;     // The previous stroke never got its second message
+            stroke = session.pendingStroke = { strokeCount: reading.strokeCount, driveLength: null, driveTime: null, recoveryTime: null, power: null };
+        }
+
+        if (reading.kind === 'pm5Stroke') {
+            stroke.driveLength = session.driveLength = reading.driveLength;
+            stroke.driveTime = reading.driveTime;
+            stroke.recoveryTime = reading.recoveryTime;
+        } else {
+            stroke.power = session.power = reading.power;
+        }
+
+        if (stroke.driveLength !== null && stroke.power !== null) {
+            session.pendingStroke = null;
+            session.lastStrokeCount = stroke.strokeCount;
+            result.stroke = stroke;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Average power and drive length over a workout's erg strokes
+ * @param {Array} strokeLog - Per-stroke records
+ * @returns {Object|null} {power (W), driveLength (m)}, or null if no stroke came from a rowing machine
+ */
+function getErgSummary(strokeLog) {
+    const strokes = strokeLog.filter(stroke => stroke.power > 0);
+    if (strokes.length === 0) return null;
+
+    const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    return {
+        power: average(strokes.map(stroke => stroke.power)),
+        driveLength: average(strokes.map(stroke => stroke.driveLength).filter(length => length > 0))
+    };
+}
@@ -0,0 +1,156 @@
+/**
+ * Speedcox - Ghost Model
+ * A "ghost" boat to race: a saved session replayed by distance over time,
+ * or an even pace at a target split. Gives the gap in meters and seconds
+ * and the split-by-split difference.
+ */
+
+const GHOST_SPLIT_DISTANCE = 500;   // Meters between split comparisons (and announcements)
+
+/* =============================================================================
+ * GHOSTS
+ * ============================================================================= */
+
+/**
+ * Ghost rowing an even pace
+ * @param {Number} split - Seconds per 500m
+ * @param {Object} units - {speed, split} the name gives the pace in
+ * @returns {Object} Ghost {kind: 'split', name, split}
+ */
+function createSplitGhost(split, units) {
+    return { kind: 'split', name: `${formatSplit(split, units)}${getSplitUnitLabel(units)} pace`, split: split };
+}
+
+/**
+ * Ghost following a saved session
+ * Uses the distance recorded live, so it matches what the screen showed that day
+ * @param {Object} workout - Saved workout record
+ * @returns {Object} Ghost {kind: 'session', name, times (s from start), distances (m)}
+ */
+function createSessionGhost(workout) {
+    const track = workout.track || [];
+    return {
+        kind: 'session',
+        name: workout.name,
+        times: track.map(point => (point.timestamp - workout.startTime) / 1000),
+        distances: getDistanceStream(track)
+    };
+}
+
+/**
+ * Where the ghost is after some time
+ * A session ghost stops where that session ended
+ * @param {Object} ghost - From createSplitGhost() or createSessionGhost()
+ * @param {Number} elapsed - Seconds since the start
+ * @returns {Number} Meters from the start
+ */
+function getGhostDistance(ghost, elapsed) {
+    if (ghost.kind === 'split') return elapsed * 500 / ghost.split;
+    return interpolateStream(ghost.times, ghost.distances, elapsed);
+}
+
+/**
+ * When the ghost reached a distance
+ * @param {Object} ghost - Ghost
+ * @param {Number} distance - Meters from the start
+ * @returns {Number|null} Seconds from the start, or null if a session ghost never got that far
+ */
+function getGhostTime(ghost, distance) {
+    if (ghost.kind === 'split') return distance * ghost.split / 500;
+
+    const total = ghost.distances.length > 0 ? ghost.distances[ghost.distances.length - 1] : 0;
+    if (distance > total) return null;
+    return interpolateStream(ghost.distances, ghost.times, distance);
+}
+
+/**
+ * Gap to the ghost
+ * @param {Object} ghost - Ghost
+ * @param {Number} elapsed - Seconds since the start
+ * @param {Number} distance - Our distance (m)
+ * @returns {Object} {meters, seconds} - positive = ahead of the ghost; seconds is null past the end of a session ghost
+ */
+function getGhostGap(ghost, elapsed, distance) {
+    const ghostTime = getGhostTime(ghost, distance);
+    return {
+        meters: distance - getGhostDistance(ghost, elapsed),
+        seconds: ghostTime !== null ? ghostTime - elapsed : null
+    };
+}
+
+/**
+ * Spoken / displayed form of a gap, e.g. "3.2 seconds ahead, 14 meters"
+ * @param {Object} gap - From getGhostGap()
+ * @returns {String} Description
+ */
+function describeGhostGap(gap) {
+    const side = gap.meters >= 0 ? 'ahead' : 'behind';
+    const meters = `${Math.abs(Math.round(gap.meters))} meters`;
+    if (gap.seconds === null) return `${meters} ${side}`;
+    return `${Math.abs(gap.seconds).toFixed(1)} seconds ${side}, ${meters}`;
+}
+
+/* =============================================================================
+ * SPLIT-BY-SPLIT COMPARISON
+ * ============================================================================= */
+
+/**
+ * Creates the record of one race against a ghost
+ * @param {Object} ghost - Ghost
+ * @returns {Object} Tracker {ghost, splits, nextMark, lastElapsed, lastDistance}
+ */
+function createGhostTracker(ghost) {
+    return { ghost: ghost, splits: [], nextMark: GHOST_SPLIT_DISTANCE, lastElapsed: 0, lastDistance: 0 };
+}
+
+/**
+ * Notes our time at each 500m mark and compares it with the ghost's
+ * The crossing time is interpolated between updates
+ * @param {Object} tracker - From createGhostTracker()
+ * @param {Number} elapsed - Seconds since the start
+ * @param {Number} distance - Our distance (m)
+ * @returns {Object|null} Split just completed {distance, time, ghostTime, delta, splitDelta}, or null
+ */
+function updateGhostTracker(tracker, elapsed, distance) {
+    let completed = null;
+
+    while (distance >= tracker.nextMark) {
+        const mark = tracker.nextMark;
+        const span = distance - tracker.lastDistance;
+        const time = span > 0
+            ? tracker.lastElapsed + (mark - tracker.lastDistance) / span * (elapsed - tracker.lastElapsed)
+            : elapsed;
+        const ghostTime = getGhostTime(tracker.ghost, mark);
+        const previous = tracker.splits[tracker.splits.length - 1];
+        const delta = ghostTime !== null ? ghostTime - time : null;
+
+        completed = {
+            distance: mark,
+            time: time,
+            ghostTime: ghostTime,
+            delta: delta,   // Cumulative - positive = ahead
+            splitDelta: delta !== null ? delta - (previous ? previous.delta || 0 : 0) : null   // Gained (+) or lost (-) this split
+        };
+        tracker.splits.push(completed);
+        tracker.nextMark += GHOST_SPLIT_DISTANCE;
+    }
+
+    tracker.lastElapsed = elapsed;
+    tracker.lastDistance = distance;
+    return completed;
+}
+
+/**
+ * Race result for the workout summary
+ * @param {Object} tracker - From createGhostTracker()
+ * @param {Number} elapsed - Workout length (s)
+ * @param {Number} distance - Workout distance (m)
+ * @returns {Object} {name, splits, finalGap}
+ */
+function getGhostSummary(tracker, elapsed, distance) {
+    return {
+        name: tracker.ghost.name,
+        splits: tracker.splits.slice(),
+        finalGap: getGhostGap(tracker.ghost, elapsed, distance)
+    };
+}
@@ -0,0 +1,111 @@
+/**
+ * Speedcox - Interval Workout Model
+ * Describes structured workouts (e.g. 4x2000m r5:00, 8x1:00 on/1:00 off)
+ * as a list of pieces, each with its own rest and optional targets
+ */
+
+/* =============================================================================
+ * INPUT PARSING
+ * ============================================================================= */
+
+/**
+ * Parses a time typed by the user
+ * Accepts "m:ss" (e.g. "5:00", "1:52.5") or plain seconds (e.g. "90")
+ * @param {String} text - User input
+ * @returns {Number} Seconds, or NaN if the input isn't a time
+ */
+function parseTimeInput(text) {
+    const value = String(text).trim();
+    const match = value.match(/^(\d+):([0-5]?\d(?:\.\d+)?)$/);
+    if (match) {
+        return parseInt(match[1]) * 60 + parseFloat(match[2]);
+    }
+    return /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : NaN;
+}
+
+/**
+ * Parses a distance typed by the user, e.g. "2000" or "2000m"
+ * @param {String} text - User input
+ * @returns {Number} Meters, or NaN if the input isn't a distance
+ */
+function parseDistanceInput(text) {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*m?$/i);
+    return match ? parseFloat(match[1]) : NaN;
+}
+
+/* =============================================================================
+ * WORKOUT PLANS
+ * ============================================================================= */
+
+/**
+ * Builds an interval plan of identical pieces
+ * @param {Object} options - Plan settings
+ * @param {String} options.type - 'distance' or 'time'
+ * @param {Number} options.repeats - Number of pieces
+ * @param {Number} options.amount - Piece length (meters or seconds)
+ * @param {Number} options.rest - Rest after each piece (seconds, 0 = none)
+ * @param {Number|null} options.targetRate - Target stroke rate (SPM)
+ * @param {Number|null} options.targetSplit - Target split (seconds per 500m)
+ * @returns {Object} Plan {name, pieces: [{type, amount, rest, targetRate, targetSplit}]}
+ * @throws {Error} If a setting is out of range
+ */
+function buildIntervalPlan(options) {
+    const { type, repeats, amount, rest, targetRate, targetSplit } = options;
+
+    if (type !== 'distance' && type !== 'time') throw new Error('Unknown piece type: ' + type);
+    if (!Number.isInteger(repeats) || repeats < 1) throw new Error('Number of pieces must be at least 1');
+    if (!(amount > 0)) throw new Error(type === 'distance' ? 'Piece distance is invalid' : 'Piece time is invalid');
+    if (!(rest >= 0)) throw new Error('Rest time is invalid');
+
+    const pieces = [];
+    for (let i = 0; i < repeats; i++) {
+        pieces.push({
+            type: type,
+            amount: amount,
+            rest: i < repeats - 1 ? rest : 0,  // No rest after the last piece
+            targetRate: targetRate || null,
+            targetSplit: targetSplit || null
+        });
+    }
+
+    return { name: describeIntervalPlan(pieces[0], repeats, rest), pieces: pieces };
+}
+
+/**
+ * Short coach-style name for a plan, e.g. "4x2000m r5:00" or "8x1:00 r1:00"
+ * @param {Object} piece - First piece of the plan
+ * @param {Number} repeats - Number of pieces
+ * @param {Number} rest - Rest between pieces (seconds)
+ * @returns {String} Plan name
+ */
+function describeIntervalPlan(piece, repeats, rest) {
+    const length = piece.type === 'distance' ? `${Math.round(piece.amount)}m` : formatTime(piece.amount);
+    const restText = rest > 0 ? ` r${formatTime(rest)}` : '';
+    return `${repeats}x${length}${restText}`;
+}
+
+/**
+ * Summarizes one finished (or stopped) piece
+ * @param {Object} piece - Planned piece
+ * @param {Number} number - Piece number (1-based)
+ * @param {Number} duration - Seconds rowed
+ * @param {Number} distance - Meters rowed
+ * @param {Number} strokes - Strokes taken
+ * @param {Boolean} partial - True if the workout was stopped mid-piece
+ * @returns {Object} Piece result
+ */
+function buildPieceResult(piece, number, duration, distance, strokes, partial) {
+    return {
+        piece: number,
+        type: piece.type,
+        amount: piece.amount,
+        duration: duration,
+        distance: distance,
+        strokeCount: strokes,
+        avgSplit: distance > 0 && duration > 0 ? 500 / (distance / duration) : null,
+        avgStrokeRate: strokes > 0 && duration > 0 ? strokes / duration * 60 : null,
+        targetRate: piece.targetRate,
+        targetSplit: piece.targetSplit,
+        partial: partial
+    };
+}
@@ -0,0 +1,111 @@
+/**
+ * Speedcox - Rate Pacer Model
+ * Compares the crew's stroke rate with a target rate: "up one" / "down one"
+ * feedback after each stroke and the time spent in, below and above the band
+ */
+
+const PACER_BAND = 1;               // SPM either side of the target that counts as "on rate"
+const PACER_FEEDBACK_STROKES = 3;   // Strokes off rate in a row before feedback is spoken
+const PACER_FEEDBACK_REPEAT = 10;   // Seconds between spoken corrections
+const PACER_DRIVE_FRACTION = 1 / 3; // Finish tick at a 1:2 drive:recovery ratio
+const PACER_NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five'];
+
+/* =============================================================================
+ * TRACKER
+ * ============================================================================= */
+
+/**
+ * Creates the per-workout pacer record
+ * @param {Number} targetRate - Target strokes per minute from the Pacer panel
+ * @returns {Object} Tracker for checkPacerStroke() and addPacerTime()
+ */
+function createPacerTracker(targetRate) {
+    return {
+        targetRate: targetRate,     // Panel target (a piece's target rate takes over)
+        offStrokes: 0,              // Strokes in a row off rate in the same direction
+        offDirection: 0,            // +1 = rate needs to come up, -1 = down
+        lastFeedback: -Infinity,    // Elapsed seconds of the last spoken correction
+        time: { inBand: 0, below: 0, above: 0 },   // Seconds with a known rate
+        lastSample: null            // Elapsed seconds at the previous addPacerTime()
+    };
+}
+
+/* =============================================================================
+ * STROKE FEEDBACK
+ * ============================================================================= */
+
+/**
+ * Checks one detected stroke against the target
+ * Corrections are whole strokes per minute and are only given once the rate
+ * has been off in the same direction for a few strokes, so a single rushed
+ * or missed stroke doesn't set the voice off
+ * @param {Object} tracker - Tracker from createPacerTracker()
+ * @param {Number} rate - Rate of this stroke (SPM)
+ * @param {Number} target - Target stroke rate (SPM)
+ * @param {Number} elapsed - Seconds since workout started
+ * @returns {String|null} Text to speak ("up one", "down two"), or null
+ */
+function checkPacerStroke(tracker, rate, target, elapsed) {
+    const difference = Math.round(target - rate);
+    const direction = Math.sign(difference);
+
+    if (direction === 0) {
+        tracker.offStrokes = 0;
+        tracker.offDirection = 0;
+        return null;
+    }
+
+    tracker.offStrokes = direction === tracker.offDirection ? tracker.offStrokes + 1 : 1;
+    tracker.offDirection = direction;
+
+    if (tracker.offStrokes < PACER_FEEDBACK_STROKES) return null;
+    if (elapsed - tracker.lastFeedback < PACER_FEEDBACK_REPEAT) return null;
+
+    tracker.lastFeedback = elapsed;
+    const amount = Math.abs(difference);
+    return `${direction > 0 ? 'Up' : 'Down'} ${PACER_NUMBER_WORDS[amount] || amount}`;
+}
+
+/* =============================================================================
+ * TIME IN BAND
+ * ============================================================================= */
+
+/**
+ * Adds the time since the previous call to the in-band, below or above total
+ * @param {Object} tracker - Tracker from createPacerTracker()
+ * @param {Number|null} rate - Current stroke rate (null = no rate, or no target right now)
+ * @param {Number|null} target - Target stroke rate (null = pacer not active right now)
+ * @param {Number} elapsed - Seconds since workout started
+ */
+function addPacerTime(tracker, rate, target, elapsed) {
+    const dt = tracker.lastSample !== null ? elapsed - tracker.lastSample : 0;
+    tracker.lastSample = elapsed;
+    if (rate === null || target === null || dt <= 0) return;
+
+    if (rate < target - PACER_BAND) {
+        tracker.time.below += dt;
+    } else if (rate > target + PACER_BAND) {
+        tracker.time.above += dt;
+    } else {
+        tracker.time.inBand += dt;
+    }
+}
+
+/**
+ * Time-in-band percentages for the workout summary
+ * @param {Object} tracker - Tracker from createPacerTracker()
+ * @returns {Object|null} {targetRate, band, inBand, below, above} (percent), or null without paced time
+ */
+function getPacerSummary(tracker) {
+    const { inBand, below, above } = tracker.time;
+    const total = inBand + below + above;
+    if (total <= 0) return null;
+
+    return {
+        targetRate: tracker.targetRate,
+        band: PACER_BAND,
+        inBand: inBand / total * 100,
+        below: below / total * 100,
+        above: above / total * 100
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * Speedcox - Detection Profiles
+ * Named sets of stroke detection and GPS filter settings (e.g. "1x Empacher",
+ * "8+ bow seat"), saved in localStorage and picked before Start
+ *
+ * DEFAULT_DETECTION_SETTINGS come from the workout engine (engine/workoutEngine.mjs)
+ */
+
+const PROFILES_STORAGE_KEY = 'speedcox-profiles';           // localStorage key for saved profiles
+const ACTIVE_PROFILE_STORAGE_KEY = 'speedcox-active-profile'; // localStorage key for the chosen name
+
+/* =============================================================================
+ * PROFILE STORAGE
+ * ============================================================================= */
+
+/**
+ * Loads every saved profile
+ * @returns {Array<Object>} Profiles {name, settings, createdAt}
+ */
+function loadProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Saves a profile, replacing any existing profile with the same name
+ * @param {Object} profile - {name, settings, createdAt}
+ */
+function saveProfile(profile) {
+    const profiles = loadProfiles().filter(p => p.name !== profile.name);
+    profiles.push(profile);
+    profiles.sort((a, b) => a.name.localeCompare(b.name));
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Removes a saved profile
+ * @param {String} name - Profile name
+ */
+function deleteProfile(name) {
+    const profiles = loadProfiles().filter(p => p.name !== name);
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+
+    if (getActiveProfileName() === name) setActiveProfileName('');
+}
+
+/**
+ * Name of the profile picked for the next workout
+ * @returns {String} Profile name ('' = default settings)
+ */
+function getActiveProfileName() {
+    return localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || '';
+}
+
+/**
+ * Remembers which profile to use
+ * @param {String} name - Profile name ('' = default settings)
+ */
+function setActiveProfileName(name) {
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, name);
+}
+
+/**
+ * Detection settings for the picked profile
+ * Missing values (profiles saved by older versions) fall back to the defaults
+ * @returns {Object} Detection settings
+ */
+function getActiveDetectionSettings() {
+    const profile = loadProfiles().find(p => p.name === getActiveProfileName());
+    return { ...DEFAULT_DETECTION_SETTINGS, ...(profile ? profile.settings : {}) };
+}
@@ -0,0 +1,157 @@
+/**
+ * Speedcox - Split Table Model
+ * Records a split automatically every fixed distance (250m, 500m, 1000m)
+ * or every N minutes, plus laps marked by hand, each with its time,
+ * average split, rate, stroke count and distance per stroke
+ */
+
+const DEFAULT_SPLIT_INTERVAL = { type: 'distance', amount: 500 };   // For checkpoints saved before splits were recorded
+
+/* =============================================================================
+ * SPLIT INTERVALS
+ * ============================================================================= */
+
+/**
+ * Short name of a split interval, e.g. "500m" or "2:00"
+ * @param {Object} interval - {type: 'distance'|'time', amount (m or s)}
+ * @returns {String} Name
+ */
+function describeSplitInterval(interval) {
+    return interval.type === 'distance' ? `${interval.amount}m` : formatTime(interval.amount);
+}
+
+/* =============================================================================
+ * TRACKER
+ * ============================================================================= */
+
+/**
+ * Creates the split and lap record of one workout
+ * @param {Object} interval - {type: 'distance'|'time', amount (m or s)}
+ * @returns {Object} Tracker {interval, splits, laps, nextMark, splitStart, lapStart, last}
+ */
+function createSplitTracker(interval) {
+    const start = { elapsed: 0, distance: 0, strokes: 0 };
+    return {
+        interval: interval,
+        splits: [],                 // Finished auto splits
+        laps: [],                   // Finished laps (Lap button)
+        nextMark: interval.amount,  // Meters or seconds of the next auto split
+        splitStart: start,          // Where the split in progress began {elapsed, distance, strokes}
+        lapStart: start,            // Where the lap in progress began
+        last: start                 // Latest update
+    };
+}
+
+/**
+ * Numbers for one stretch of the workout
+ * @param {Number} number - Split or lap number (1-based)
+ * @param {Object} from - {elapsed, distance, strokes} at its start
+ * @param {Object} to - {elapsed, distance, strokes} at its end
+ * @param {Boolean} partial - True if the workout stopped before it was complete
+ * @returns {Object} {number, elapsed (s at the end), duration, distance, avgSplit,
+ *          avgStrokeRate, strokeCount, dps, partial} - averages are null when unknown
+ */
+function buildSplitResult(number, from, to, partial) {
+    const duration = to.elapsed - from.elapsed;
+    const distance = to.distance - from.distance;
+    const strokes = to.strokes - from.strokes;
+
+    return {
+        number: number,
+        elapsed: to.elapsed,
+        duration: duration,
+        distance: distance,
+        avgSplit: distance > 0 && duration > 0 ? 500 / (distance / duration) : null,
+        avgStrokeRate: strokes > 0 && duration > 0 ? strokes / duration * 60 : null,
+        strokeCount: strokes,
+        dps: strokes > 0 && distance > 0 ? distance / strokes : null,
+        partial: partial
+    };
+}
+
+/**
+ * Records an auto split each time a mark is passed
+ * The moment and distance of the mark are interpolated between updates
+ * @param {Object} tracker - From createSplitTracker()
+ * @param {Number} elapsed - Seconds since the start
+ * @param {Number} distance - Workout distance (m)
+ * @param {Number} strokes - Strokes so far
+ * @returns {Array} Splits just completed (usually none; more than one after a gap)
+ */
+function updateSplitTracker(tracker, elapsed, distance, strokes) {
+    const now = { elapsed: elapsed, distance: distance, strokes: strokes };
+    const byDistance = tracker.interval.type === 'distance';
+    const completed = [];
+
+    while ((byDistance ? distance : elapsed) >= tracker.nextMark) {
+        const last = tracker.last;
+        const span = byDistance ? distance - last.distance : elapsed - last.elapsed;
+        const fraction = span > 0 ? (tracker.nextMark - (byDistance ? last.distance : last.elapsed)) / span : 1;
+        const mark = {
+            elapsed: last.elapsed + fraction * (elapsed - last.elapsed),
+            distance: last.distance + fraction * (distance - last.distance),
+            strokes: strokes
+        };
+
+        const split = buildSplitResult(tracker.splits.length + 1, tracker.splitStart, mark, false);
+        tracker.splits.push(split);
+        completed.push(split);
+        tracker.splitStart = mark;
+        tracker.nextMark += tracker.interval.amount;
+    }
+
+    tracker.last = now;
+    return completed;
+}
+
+/**
+ * Ends the lap in progress and starts the next
+ * @param {Object} tracker - From createSplitTracker()
+ * @param {Number} elapsed - Seconds since the start
+ * @param {Number} distance - Workout distance (m)
+ * @param {Number} strokes - Strokes so far
+ * @returns {Object} The finished lap
+ */
+function markSplitLap(tracker, elapsed, distance, strokes) {
+    const now = { elapsed: elapsed, distance: distance, strokes: strokes };
+    const lap = buildSplitResult(tracker.laps.length + 1, tracker.lapStart, now, false);
+    tracker.laps.push(lap);
+    tracker.lapStart = now;
+    return lap;
+}
+
+/**
+ * The split and lap still in progress
+ * @param {Object} tracker - From createSplitTracker()
+ * @param {Number} elapsed - Seconds since the start
+ * @param {Number} distance - Workout distance (m)
+ * @param {Number} strokes - Strokes so far
+ * @returns {Object} {split, lap} - lap is null until the Lap button has been used
+ */
+function getSplitsInProgress(tracker, elapsed, distance, strokes) {
+    const now = { elapsed: elapsed, distance: distance, strokes: strokes };
+    return {
+        split: buildSplitResult(tracker.splits.length + 1, tracker.splitStart, now, true),
+        lap: tracker.laps.length > 0 ? buildSplitResult(tracker.laps.length + 1, tracker.lapStart, now, true) : null
+    };
+}
+
+/**
+ * Split table for the workout summary
+ * The split and lap in progress when the workout stopped are kept as
+ * partial rows (if anything was rowed in them)
+ * @param {Object} tracker - From createSplitTracker()
+ * @param {Number} elapsed - Workout length (s)
+ * @param {Number} distance - Workout distance (m)
+ * @param {Number} strokes - Strokes in the workout
+ * @returns {Object} {interval, splits, laps}
+ */
+function getSplitSummary(tracker, elapsed, distance, strokes) {
+    const current = getSplitsInProgress(tracker, elapsed, distance, strokes);
+    const splits = tracker.splits.slice();
+    const laps = tracker.laps.slice();
+    if (current.split.distance > 0) splits.push(current.split);
+    if (current.lap && current.lap.distance > 0) laps.push(current.lap);
+
+    return { interval: tracker.interval, splits: splits, laps: laps };
+}
@@ -0,0 +1,131 @@
+/**
+ * Speedcox - Per-Stroke Metrics Model
+ * Turns each detected stroke into a record with interval, distance per
+ * stroke (DPS), boat speed, peak acceleration and an estimated
+ * drive:recovery ratio
+ */
+
+/* =============================================================================
+ * STROKE RECORDS
+ * ============================================================================= */
+
+/**
+ * Builds the record for one detected stroke
+ * Interval, distance and speed are measured from the previous catch, so the
+ * first stroke of a workout only has its start time
+ * @param {Object} options - Stroke data
+ * @param {Number} options.number - Stroke number in the workout (1-based)
+ * @param {Number} options.timestamp - Catch time (ms)
+ * @param {Number} options.distance - Boat distance at the catch (meters)
+ * @param {Object|null} options.previous - Previous stroke record
+ * @param {Array} options.accelerationSamples - {magnitude, timestamp} samples since the previous catch
+ * @param {String} options.source - 'motion', 'gps' or 'erg'
+ * @returns {Object} Stroke record
+ */
+export function buildStrokeRecord(options) {
+    const { number, timestamp, distance, previous, accelerationSamples, source } = options;
+
+    const record = {
+        number: number,
+        timestamp: timestamp,
+        totalDistance: distance,        // Boat distance at this catch
+        interval: null,                 // Seconds since previous catch
+        rate: null,                     // 60 / interval (SPM)
+        distance: null,                 // Meters since previous catch (DPS)
+        speed: null,                    // Average boat speed over the stroke (m/s)
+        peakAcceleration: getPeakAcceleration(accelerationSamples),
+        driveRatio: null,               // Drive time / recovery time
+        source: source
+    };
+
+    if (previous) {
+        record.interval = (timestamp - previous.timestamp) / 1000;
+        if (record.interval > 0) {
+            record.rate = 60 / record.interval;
+            record.distance = Math.max(0, distance - previous.totalDistance);
+            record.speed = record.distance / record.interval;
+        }
+        record.driveRatio = estimateDriveRatio(accelerationSamples, previous.timestamp, timestamp);
+    }
+
+    return record;
+}
+
+/**
+ * Peak acceleration over a stroke, above the stroke's own average
+ * (removes the constant gravity part of accelerationIncludingGravity)
+ * @param {Array} samples - {magnitude, timestamp} samples
+ * @returns {Number|null} Peak in m/s², or null without motion data
+ */
+function getPeakAcceleration(samples) {
+    if (!samples || samples.length === 0) return null;
+
+    const mean = samples.reduce((sum, s) => sum + s.magnitude, 0) / samples.length;
+    return samples.reduce((peak, s) => Math.max(peak, s.magnitude - mean), 0);
+}
+
+/**
+ * Estimates the drive:recovery ratio from the acceleration curve
+ *
+ * HOW IT WORKS:
+ * 1. Smooth the acceleration over the stroke cycle (catch to next catch)
+ * 2. The drive is the stretch after the catch where the boat is being pushed,
+ *    i.e. the smoothed acceleration stays above the cycle average
+ * 3. Everything after that until the next catch is recovery
+ *
+ * @param {Array} samples - {magnitude, timestamp} samples for the cycle
+ * @param {Number} catchTime - Start of the cycle (ms)
+ * @param {Number} nextCatchTime - End of the cycle (ms)
+ * @returns {Number|null} Drive time divided by recovery time, or null if unclear
+ */
+function estimateDriveRatio(samples, catchTime, nextCatchTime) {
+    const cycle = (samples || []).filter(s => s.timestamp >= catchTime && s.timestamp < nextCatchTime);
+    if (cycle.length < 10) return null;
+
+    // 5-sample moving average to take out sensor jitter
+    const smoothed = cycle.map((s, i) => {
+        const window = cycle.slice(Math.max(0, i - 2), i + 3);
+        return window.reduce((sum, w) => sum + w.magnitude, 0) / window.length;
+    });
+    const mean = smoothed.reduce((sum, v) => sum + v, 0) / smoothed.length;
+
+    // Drive starts at the first push above average and ends when it drops back below
+    const driveStart = smoothed.findIndex(v => v > mean);
+    if (driveStart === -1) return null;
+    let driveEnd = smoothed.findIndex((v, i) => i > driveStart && v <= mean);
+    if (driveEnd === -1) driveEnd = smoothed.length - 1;
+
+    const driveTime = cycle[driveEnd].timestamp - catchTime;
+    const recoveryTime = nextCatchTime - cycle[driveEnd].timestamp;
+
+    // Drive shorter than 10% or longer than 90% of the cycle means the curve didn't show a stroke
+    const cycleTime = nextCatchTime - catchTime;
+    if (driveTime < cycleTime * 0.1 || driveTime > cycleTime * 0.9) return null;
+
+    return driveTime / recoveryTime;
+}
+
+/* =============================================================================
+ * AGGREGATES
+ * ============================================================================= */
+
+/**
+ * Distance per stroke over the most recent strokes
+ * @param {Array} strokeLog - Stroke records
+ * @param {Number} count - How many recent strokes to average
+ * @returns {Number|null} Meters per stroke, or null before the second stroke
+ */
+export function getRecentDps(strokeLog, count) {
+    const recent = strokeLog.slice(-count).filter(s => s.distance !== null);
+    if (recent.length === 0) return null;
+    return recent.reduce((sum, s) => sum + s.distance, 0) / recent.length;
+}
+
+/**
+ * Average distance per stroke for a whole workout
+ * @param {Array} strokeLog - Stroke records
+ * @returns {Number|null} Meters per stroke, or null without strokes
+ */
+export function getAverageDps(strokeLog) {
+    return getRecentDps(strokeLog, strokeLog.length);
+}
@@ -0,0 +1,114 @@
+/**
+ * Speedcox - Track Map Model
+ * Turns a workout's GPS track into flat map coordinates, a colour value
+ * per point (split or stroke rate) and markers for pieces and each km.
+ * No map tiles are involved, so it works with no signal.
+ */
+
+const MAP_SPEED_WINDOW = 5;     // Seconds of speed averaged for the split colour
+const MAP_MIN_SPEED = 0.5;      // m/s - slower points have no split (drawn grey)
+
+/**
+ * Projects the track onto a flat plane in meters (east, north)
+ * Plenty accurate over the few kilometers of an outing
+ * @param {Array} track - Recorded GPS points {lat, lng}
+ * @returns {Array} Points {x, y} in meters from the first fix
+ */
+function projectTrack(track) {
+    if (track.length === 0) return [];
+    const origin = { lat: track[0].lat, lng: track[0].lng };
+    return track.map(point => {
+        const [x, y] = toLocalMeters(origin, point.lat, point.lng);
+        return { x, y };
+    });
+}
+
+/**
+ * The value each track point is coloured by
+ * @param {Object} workout - Saved workout record
+ * @param {String} mode - 'split' (seconds per 500m) or 'rate' (SPM)
+ * @returns {Array<Number|null>} Value per GPS point (null = not rowing / unknown)
+ */
+function getTrackColourValues(workout, mode) {
+    const streams = getExportStreams(workout);
+
+    if (mode === 'rate') return streams.cadences.map(rate => rate > 0 ? rate : null);
+
+    const speeds = smoothOverTime(workout.track.map((point, i) => ({ timestamp: point.timestamp, value: streams.speeds[i] })), MAP_SPEED_WINDOW);
+    return speeds.map(s => s.value >= MAP_MIN_SPEED ? 500 / s.value : null);
+}
+
+/**
+ * Colour for a value within the session's range - red (slow / low) to green (fast / high)
+ * @param {Number} fraction - 0 = worst, 1 = best
+ * @returns {String} CSS colour
+ */
+function getTrackColour(fraction) {
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    return `hsl(${Math.round(clamped * 120)}, 85%, 55%)`;
+}
+
+/**
+ * Range used for the colour scale (5th to 95th percentile, so one wild point doesn't wash out the rest)
+ * @param {Array<Number|null>} values - Colour values
+ * @returns {Array<Number>|null} [low, high], or null without values
+ */
+function getTrackColourRange(values) {
+    const known = values.filter(v => v !== null).sort((a, b) => a - b);
+    if (known.length === 0) return null;
+    return [known[Math.floor((known.length - 1) * 0.05)], known[Math.ceil((known.length - 1) * 0.95)]];
+}
+
+/**
+ * Position at a moment, interpolated between GPS fixes
+ * @param {Array} track - Recorded GPS points
+ * @param {Array} projected - Output of projectTrack()
+ * @param {Number} timestamp - Moment (ms)
+ * @returns {Object} {x, y} in meters
+ */
+function getProjectedPositionAt(track, projected, timestamp) {
+    const times = track.map(point => point.timestamp);
+    return {
+        x: interpolateStream(times, projected.map(p => p.x), timestamp),
+        y: interpolateStream(times, projected.map(p => p.y), timestamp)
+    };
+}
+
+/**
+ * Markers at every whole kilometer
+ * @param {Object} workout - Saved workout record
+ * @param {Array} projected - Output of projectTrack()
+ * @returns {Array} Markers {x, y, label}
+ */
+function getKmMarkers(workout, projected) {
+    const lookup = buildDistanceLookup(workout.track);
+    const total = lookup.distances.length > 0 ? lookup.distances[lookup.distances.length - 1] : 0;
+    const markers = [];
+    for (let km = 1000; km <= total; km += 1000) {
+        const position = getProjectedPositionAt(workout.track, projected, getTimeAtDistance(lookup, km));
+        markers.push({ ...position, label: `${km / 1000}k` });
+    }
+    return markers;
+}
+
+/**
+ * Markers at the start and end of each piece
+ * Uses the work laps (interval plan phases, or pieces marked with the Lap
+ * button), or the hard pieces found by the analysis for a session without them
+ * @param {Object} workout - Saved workout record
+ * @param {Array} projected - Output of projectTrack()
+ * @returns {Array} Markers {x, y, label, kind: 'start'|'end'}
+ */
+function getPieceMarkers(workout, projected) {
+    const planned = (workout.laps || []).filter(lap => lap.kind === 'work' && lap.endTime);
+    const pieces = planned.length > 0
+        ? planned.map(lap => ({ from: lap.startTime, to: lap.endTime }))
+        : detectHardPieces(workout);
+
+    const markers = [];
+    pieces.forEach((piece, index) => {
+        markers.push({ ...getProjectedPositionAt(workout.track, projected, piece.from), label: `P${index + 1}`, kind: 'start' });
+        markers.push({ ...getProjectedPositionAt(workout.track, projected, piece.to), label: `P${index + 1}`, kind: 'end' });
+    });
+    return markers;
+}
@@ -0,0 +1,241 @@
+/**
+ * Speedcox - Audio Output
+ * One queue for everything the app says, so announcements never talk over
+ * each other, plus Web Audio tones for beep cues and metronome ticks
+ */
+
+const SPEECH_MAX_AGE = 8000;        // ms - a queued cue older than this is out of date, drop it
+const SPEECH_MAX_QUEUE = 4;         // Normal-priority items kept waiting
+
+/* =============================================================================
+ * SPEECH QUEUE
+ * ============================================================================= */
+
+let speechQueue = [];               // Waiting items {text, rate, priority, key, queuedAt}
+let speechActive = null;            // Item being spoken (null when quiet)
+let speechWatchdog = null;          // Timer in case the browser never reports the end
+
+/**
+ * Adds text to the speech queue
+ * High-priority items (alerts) go ahead of normal ones. An item with a key
+ * replaces a waiting item with the same key, so a repeated alert doesn't
+ * pile up behind itself.
+ * @param {String} text - Text to speak
+ * @param {Object} options - {rate: voice speed, priority: 'normal'|'high', key}
+ */
+function queueSpeech(text, options = {}) {
+    if (!('speechSynthesis' in window)) return;
+
+    const item = {
+        text: text,
+        rate: options.rate || 1.0,
+        priority: options.priority || 'normal',
+        key: options.key || null,
+        queuedAt: Date.now()
+    };
+
+    if (item.key) speechQueue = speechQueue.filter(q => q.key !== item.key);
+    if (item.priority === 'high') {
+        const firstNormal = speechQueue.findIndex(q => q.priority !== 'high');
+        speechQueue.splice(firstNormal === -1 ? speechQueue.length : firstNormal, 0, item);
+    } else {
+        speechQueue.push(item);
+        // Too much waiting - the oldest normal cue is the least useful
+        const normal = speechQueue.filter(q => q.priority !== 'high');
+        if (normal.length > SPEECH_MAX_QUEUE) speechQueue.splice(speechQueue.indexOf(normal[0]), 1);
+    }
+
+    playNextSpeech();
+}
+
+/**
+ * Speaks the next queued item once the previous one has finished
+ */
+function playNextSpeech() {
+    if (speechActive) return;
+
+    // Skip cues that waited so long they no longer describe the boat
+    speechQueue = speechQueue.filter(q => Date.now() - q.queuedAt < SPEECH_MAX_AGE);
+    const item = speechQueue.shift();
+    if (!item) return;
+
+    speechActive = item;
+    const utterance = new SpeechSynthesisUtterance(item.text);
+    utterance.rate = item.rate;
+    utterance.volume = 0.8; // Slightly quieter than max
+    utterance.onend = () => finishSpeech(item);
+    utterance.onerror = () => finishSpeech(item);
+
+    // Some browsers drop the end event - assume ~12 characters a second plus a margin
+    speechWatchdog = setTimeout(() => finishSpeech(item), (item.text.length / 12 / item.rate + 2) * 1000);
+    speechSynthesis.speak(utterance);
+}
+
+/**
+ * Moves on after an item has been spoken
+ * @param {Object} item - The item that finished
+ */
+function finishSpeech(item) {
+    if (speechActive !== item) return;  // Already handled (end event and watchdog both fired)
+    clearTimeout(speechWatchdog);
+    speechActive = null;
+    playNextSpeech();
+}
+
+/* =============================================================================
+ * TONES
+ * ============================================================================= */
+
+let audioContext = null;            // Web Audio context (created on first use)
+
+const TONE_PATTERNS = {
+    cue: [[880, 120]],                                  // Single short beep
+    rateLow: [[660, 150], [990, 150]],                  // Rising - rate up
+    rateHigh: [[990, 150], [660, 150]],                 // Falling - rate down
+    splitSlow: [[440, 200], [440, 200], [440, 200]]     // Three low beeps - push
+};
+
+/**
+ * Gets the Web Audio context, creating or waking it if needed
+ * Browsers only allow sound after a tap, so call this from a button handler first
+ * @returns {AudioContext|null} Context, or null if Web Audio isn't supported
+ */
+function getAudioContext() {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        audioContext = new AudioContextClass();
+    }
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+}
+
+/**
+ * Plays a short sine beep
+ * @param {Number} frequency - Hz
+ * @param {Number} duration - ms
+ * @param {Number} delay - ms from now
+ * @param {Number} volume - 0-1
+ */
+function playTone(frequency, duration, delay = 0, volume = 0.3) {
+    const context = getAudioContext();
+    if (!context) return;
+
+    scheduleTone(context, frequency, duration, context.currentTime + delay / 1000, volume);
+}
+
+/**
+ * Schedules a sine beep at an exact time on the audio clock
+ * @param {AudioContext} context - Web Audio context
+ * @param {Number} frequency - Hz
+ * @param {Number} duration - ms
+ * @param {Number} start - Start time in seconds on context.currentTime's clock
+ * @param {Number} volume - 0-1
+ */
+function scheduleTone(context, frequency, duration, start, volume) {
+    const end = start + duration / 1000;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.frequency.value = frequency;
+    // Short fade in and out so the beep doesn't click
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + 0.01);
+    gain.gain.setValueAtTime(volume, end - 0.02);
+    gain.gain.linearRampToValueAtTime(0, end);
+
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(end);
+}
+
+/**
+ * Plays one of the TONE_PATTERNS
+ * @param {String} name - Pattern name
+ * @returns {Number} Length of the pattern in ms
+ */
+function playTonePattern(name) {
+    let delay = 0;
+    TONE_PATTERNS[name].forEach(([frequency, duration]) => {
+        playTone(frequency, duration, delay);
+        delay += duration + 80;
+    });
+    return delay;
+}
+
+/**
+ * Plays metronome ticks at a stroke rate
+ * @param {Number} rate - Strokes per minute
+ * @param {Number} count - Number of ticks
+ * @param {Number} delay - ms before the first tick
+ */
+function playMetronomeTicks(rate, count, delay = 0) {
+    const interval = 60000 / rate;
+    for (let i = 0; i < count; i++) {
+        playTone(1320, 60, delay + i * interval, 0.4);
+    }
+}
+
+/* =============================================================================
+ * METRONOME
+ * ============================================================================= */
+
+const METRONOME_LOOKAHEAD = 0.2;    // s - ticks are scheduled this far ahead on the audio clock
+const METRONOME_POLL = 50;          // ms between scheduling passes
+
+let metronome = null;               // {rate, driveFraction, nextCatch, timer} while ticking
+
+/**
+ * Starts continuous metronome ticks, or changes the rate of running ones
+ * Ticks are scheduled on the Web Audio clock rather than with timers, so the
+ * rhythm stays even when the page is busy
+ * @param {Number} rate - Strokes per minute
+ * @param {Number|null} driveFraction - Where in the stroke cycle to play a
+ *        softer finish tick (e.g. 1/3 for a 1:2 drive:recovery rhythm), or null for catch ticks only
+ * @returns {Boolean} False if Web Audio isn't supported
+ */
+function startMetronome(rate, driveFraction = null) {
+    const context = getAudioContext();
+    if (!context) return false;
+
+    if (metronome) {
+        // Keep the current beat - the next catch comes at the new spacing
+        metronome.rate = rate;
+        metronome.driveFraction = driveFraction;
+        return true;
+    }
+
+    metronome = { rate: rate, driveFraction: driveFraction, nextCatch: context.currentTime + 0.1, timer: null };
+    metronome.timer = setInterval(scheduleMetronomeTicks, METRONOME_POLL);
+    scheduleMetronomeTicks();
+    return true;
+}
+
+/**
+ * Schedules the ticks that fall inside the look-ahead window
+ */
+function scheduleMetronomeTicks() {
+    if (!metronome) return;
+
+    // Catch up after the page was suspended rather than playing a burst of old ticks
+    if (metronome.nextCatch < audioContext.currentTime) metronome.nextCatch = audioContext.currentTime + 0.05;
+
+    while (metronome.nextCatch < audioContext.currentTime + METRONOME_LOOKAHEAD) {
+        const cycle = 60 / metronome.rate;
+        scheduleTone(audioContext, 1320, 60, metronome.nextCatch, 0.4);
+        if (metronome.driveFraction) {
+            scheduleTone(audioContext, 880, 40, metronome.nextCatch + cycle * metronome.driveFraction, 0.2);
+        }
+        metronome.nextCatch += cycle;
+    }
+}
+
+/**
+ * Stops the metronome (ticks already scheduled still play)
+ */
+function stopMetronome() {
+    if (!metronome) return;
+    clearInterval(metronome.timer);
+    metronome = null;
+}
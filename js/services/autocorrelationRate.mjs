@@ -0,0 +1,148 @@
+/**
+ * Speedcox - Autocorrelation Stroke Rate
+ * Finds the stroke rate as the period the boat's acceleration repeats at,
+ * rather than by counting spikes
+ *
+ * The recent acceleration is resampled onto an even grid and correlated
+ * with itself at every lag between the periods of 50 and 14 SPM. Rowing
+ * repeats once per stroke, so the best-matching lag is the stroke period,
+ * and how well it matches (the correlation, 0-1) is the confidence. One
+ * missed or doubled spike barely moves it, unlike a peak detector.
+ */
+
+const AUTOCORR_SAMPLE_INTERVAL = 50;    // ms per point of the resampled signal (20 Hz)
+const AUTOCORR_MIN_RATE = 14;           // SPM
+const AUTOCORR_MAX_RATE = 50;           // SPM
+const AUTOCORR_MIN_CORRELATION = 0.2;   // Below this there's no rhythm to report
+const AUTOCORR_OCTAVE_TOLERANCE = 0.9;  // A shorter period this close to the best peak wins (the best is often 2 strokes)
+
+/* =============================================================================
+ * SIGNAL
+ * ============================================================================= */
+
+/**
+ * The values one sample contributes to the signal
+ * Boat-axis surge where the orientation-aware detector provided it, or else
+ * all three axes - the surge of the stroke shows up on whichever axes lie
+ * along the boat, while the total magnitude hardly changes with it
+ * @param {Object} sample - Acceleration history entry {magnitude, timestamp, ig?, surge?}
+ * @returns {Array<Number>} 1 or 3 channels
+ */
+function getChannels(sample) {
+    if (sample.surge !== undefined) return [sample.surge];
+    return sample.ig || [sample.magnitude];
+}
+
+/**
+ * Resamples acceleration onto an even time grid with each channel's mean
+ * (gravity, for the three axes) removed
+ * @param {Array} samples - Acceleration history, oldest first
+ * @returns {Array<Array<Number>>} One point per AUTOCORR_SAMPLE_INTERVAL
+ */
+function resampleSignal(samples) {
+    const start = samples[0].timestamp;
+    const count = Math.floor((samples[samples.length - 1].timestamp - start) / AUTOCORR_SAMPLE_INTERVAL) + 1;
+    const width = getChannels(samples[samples.length - 1]).length;
+    const sums = Array.from({ length: count }, () => new Array(width).fill(0));
+    const counts = new Array(count).fill(0);
+
+    samples.forEach(sample => {
+        const channels = getChannels(sample);
+        if (channels.length !== width) return;      // Before the boat axis was found
+        const i = Math.floor((sample.timestamp - start) / AUTOCORR_SAMPLE_INTERVAL);
+        channels.forEach((value, c) => { sums[i][c] += value; });
+        counts[i]++;
+    });
+
+    // Average each bin; a bin without samples repeats the one before it
+    const signal = [];
+    for (let i = 0; i < count; i++) {
+        if (counts[i] > 0) signal.push(sums[i].map(sum => sum / counts[i]));
+        else signal.push(signal.length > 0 ? signal[signal.length - 1] : null);
+    }
+    const points = signal.filter(point => point !== null);
+
+    const means = Array.from({ length: width }, (unused, c) => points.reduce((sum, point) => sum + point[c], 0) / points.length);
+    return points.map(point => point.map((value, c) => value - means[c]));
+}
+
+/**
+ * Normalized correlation of a signal with itself shifted by a lag
+ * @param {Array<Array<Number>>} signal - Zero-mean signal
+ * @param {Number} lag - Shift in points
+ * @returns {Number} -1 to 1 (1 = repeats exactly after the lag)
+ */
+function correlationAt(signal, lag) {
+    let product = 0;
+    let energyA = 0;
+    let energyB = 0;
+    for (let i = 0; i + lag < signal.length; i++) {
+        const a = signal[i];
+        const b = signal[i + lag];
+        for (let c = 0; c < a.length; c++) {
+            product += a[c] * b[c];
+            energyA += a[c] * a[c];
+            energyB += b[c] * b[c];
+        }
+    }
+    return energyA > 0 && energyB > 0 ? product / Math.sqrt(energyA * energyB) : 0;
+}
+
+/* =============================================================================
+ * ESTIMATE
+ * ============================================================================= */
+
+/**
+ * Estimates the stroke rate from the recent acceleration
+ *
+ * HOW IT WORKS:
+ * 1. Needs two of the slowest strokes (about 8.6 s) so every lag is
+ *    compared over at least one full stroke
+ * 2. Correlates the signal with itself at each lag from 1.2 s (50 SPM) to
+ *    4.3 s (14 SPM) and takes the local peaks
+ * 3. The strongest peak wins, except that a shorter peak nearly as strong
+ *    is preferred - a signal that repeats every stroke also repeats every
+ *    two strokes
+ * 4. The peak's position is refined between grid points with a parabola
+ *
+ * @param {Array} samples - Acceleration history {magnitude, timestamp, ig?, surge?}, oldest first
+ * @returns {Object|null} {rate (SPM), period (s), confidence (0-1), timestamp},
+ *          or null with too little data or no clear rhythm
+ */
+export function estimateAutocorrelationRate(samples) {
+    const minLag = Math.floor(60000 / AUTOCORR_MAX_RATE / AUTOCORR_SAMPLE_INTERVAL);
+    const maxLag = Math.ceil(60000 / AUTOCORR_MIN_RATE / AUTOCORR_SAMPLE_INTERVAL);
+    if (samples.length < 2) return null;
+    if (samples[samples.length - 1].timestamp - samples[0].timestamp < 2 * maxLag * AUTOCORR_SAMPLE_INTERVAL) return null;
+
+    const signal = resampleSignal(samples);
+    const correlations = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        correlations[lag] = correlationAt(signal, lag);
+    }
+
+    const peaks = [];
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const r = correlations[lag];
+        if (r > correlations[lag - 1] && r >= correlations[lag + 1]) peaks.push({ lag, r });
+    }
+    if (peaks.length === 0) return null;
+
+    const strongest = peaks.reduce((best, peak) => peak.r > best.r ? peak : best);
+    if (strongest.r < AUTOCORR_MIN_CORRELATION) return null;
+    const peak = peaks.find(p => p.r >= strongest.r * AUTOCORR_OCTAVE_TOLERANCE);
+
+    // Parabola through the peak and its neighbours
+    const before = correlations[peak.lag - 1];
+    const after = correlations[peak.lag + 1];
+    const curvature = before - 2 * peak.r + after;
+    const offset = curvature < 0 ? 0.5 * (before - after) / curvature : 0;
+
+    const period = (peak.lag + offset) * AUTOCORR_SAMPLE_INTERVAL / 1000;
+    return {
+        rate: Math.min(Math.max(60 / period, AUTOCORR_MIN_RATE), AUTOCORR_MAX_RATE),
+        period: period,
+        confidence: Math.min(peak.r, 1),
+        timestamp: samples[samples.length - 1].timestamp
+    };
+}
@@ -0,0 +1,236 @@
+/**
+ * Speedcox - Bluetooth Sensor Protocols
+ * Decodes the standard GATT measurements Speedcox reads: Heart Rate
+ * (0x180D), Cycling Speed and Cadence (0x1816, used by impellers and
+ * stroke sensors) and Fitness Machine rower data (0x1826) - plus the
+ * Concept2 PM5's own rowing service
+ */
+
+// Service and characteristic UUIDs (16-bit assigned numbers)
+const BLE_HEART_RATE_SERVICE = 0x180D;
+const BLE_HEART_RATE_MEASUREMENT = 0x2A37;
+const BLE_CSC_SERVICE = 0x1816;
+const BLE_CSC_MEASUREMENT = 0x2A5B;
+const BLE_FTMS_SERVICE = 0x1826;
+const BLE_FTMS_ROWER_DATA = 0x2AD1;
+
+// Concept2 PM5 (128-bit UUIDs from the PM5 Bluetooth interface definition)
+const PM5_DISCOVERY_SERVICE = 'ce060000-43e5-11e4-916c-0800200c9a66';     // Advertised
+const PM5_ROWING_SERVICE = 'ce060030-43e5-11e4-916c-0800200c9a66';
+const PM5_GENERAL_STATUS = 'ce060031-43e5-11e4-916c-0800200c9a66';
+const PM5_ADDITIONAL_STATUS = 'ce060032-43e5-11e4-916c-0800200c9a66';
+const PM5_STROKE_DATA = 'ce060035-43e5-11e4-916c-0800200c9a66';
+const PM5_ADDITIONAL_STROKE_DATA = 'ce060036-43e5-11e4-916c-0800200c9a66';
+
+const BLE_EVENT_TIME_UNIT = 1024;   // CSC event times count 1/1024 s and wrap at 65536
+
+/* =============================================================================
+ * HEART RATE
+ * ============================================================================= */
+
+/**
+ * Decodes a Heart Rate Measurement
+ * @param {DataView} data - Characteristic value
+ * @returns {Object} {kind: 'heartRate', bpm, contact (true/false, null if not reported), rrIntervals (s)}
+ */
+function parseHeartRateMeasurement(data) {
+    const flags = data.getUint8(0);
+    let offset = 1;
+
+    const bpm = flags & 0x01 ? data.getUint16(offset, true) : data.getUint8(offset);
+    offset += flags & 0x01 ? 2 : 1;
+    if (flags & 0x08) offset += 2;  // Energy expended - not used
+
+    const rrIntervals = [];
+    if (flags & 0x10) {
+        for (; offset + 1 < data.byteLength; offset += 2) rrIntervals.push(data.getUint16(offset, true) / 1024);
+    }
+
+    return {
+        kind: 'heartRate',
+        bpm: bpm,
+        contact: flags & 0x04 ? (flags & 0x02) !== 0 : null,
+        rrIntervals: rrIntervals
+    };
+}
+
+/* =============================================================================
+ * CYCLING SPEED AND CADENCE
+ * ============================================================================= */
+
+/**
+ * Decodes a CSC Measurement (cumulative revolutions and the time of the last one)
+ * @param {DataView} data - Characteristic value
+ * @returns {Object} {kind: 'csc', wheelRevolutions, wheelTime, crankRevolutions, crankTime} (null where not sent)
+ */
+function parseCscMeasurement(data) {
+    const flags = data.getUint8(0);
+    let offset = 1;
+    const reading = { kind: 'csc', wheelRevolutions: null, wheelTime: null, crankRevolutions: null, crankTime: null };
+
+    if (flags & 0x01) {
+        reading.wheelRevolutions = data.getUint32(offset, true);
+        reading.wheelTime = data.getUint16(offset + 4, true);
+        offset += 6;
+    }
+    if (flags & 0x02) {
+        reading.crankRevolutions = data.getUint16(offset, true);
+        reading.crankTime = data.getUint16(offset + 2, true);
+    }
+    return reading;
+}
+
+/**
+ * Speed and cadence between two CSC readings
+ * Counters wrap (wheel at 2^32, crank and times at 2^16). A reading with
+ * no new revolution gives null - the caller keeps the last value until it goes stale.
+ * @param {Object} previous - Earlier parseCscMeasurement() result
+ * @param {Object} current - Latest parseCscMeasurement() result
+ * @param {Number} circumference - Meters per wheel / impeller revolution
+ * @returns {Object} {speed (m/s), cadence (per minute)} - null where there's nothing new
+ */
+function getCscRates(previous, current, circumference) {
+    const rate = (revs, previousRevs, time, previousTime, wrap) => {
+        if (revs === null || previousRevs === null) return null;
+        const count = (revs - previousRevs + wrap) % wrap;
+        const seconds = ((time - previousTime + 65536) % 65536) / BLE_EVENT_TIME_UNIT;
+        return count > 0 && seconds > 0 ? count / seconds : null;
+    };
+
+    const wheelRate = rate(current.wheelRevolutions, previous.wheelRevolutions, current.wheelTime, previous.wheelTime, 4294967296);
+    const crankRate = rate(current.crankRevolutions, previous.crankRevolutions, current.crankTime, previous.crankTime, 65536);
+    return {
+        speed: wheelRate !== null ? wheelRate * circumference : null,
+        cadence: crankRate !== null ? crankRate * 60 : null
+    };
+}
+
+/* =============================================================================
+ * FITNESS MACHINE - ROWER DATA
+ * ============================================================================= */
+
+/**
+ * Decodes FTMS Rower Data
+ * Fields are present according to the flags, in a fixed order. Bit 0 is
+ * inverted: stroke rate and count are sent when it is clear.
+ * @param {DataView} data - Characteristic value
+ * @returns {Object} {kind: 'rower', strokeRate, strokeCount, distance, pace, power, heartRate, elapsed} (null where not sent)
+ */
+function parseRowerData(data) {
+    const flags = data.getUint16(0, true);
+    let offset = 2;
+    const reading = { kind: 'rower', strokeRate: null, strokeCount: null, distance: null, pace: null, power: null, heartRate: null, elapsed: null };
+
+    if (!(flags & 0x0001)) {
+        reading.strokeRate = data.getUint8(offset) / 2;
+        reading.strokeCount = data.getUint16(offset + 1, true);
+        offset += 3;
+    }
+    if (flags & 0x0002) offset += 1;    // Average stroke rate
+    if (flags & 0x0004) {
+        reading.distance = data.getUint16(offset, true) + (data.getUint8(offset + 2) << 16);
+        offset += 3;
+    }
+    if (flags & 0x0008) {
+        reading.pace = data.getUint16(offset, true);
+        offset += 2;
+    }
+    if (flags & 0x0010) offset += 2;    // Average pace
+    if (flags & 0x0020) {
+        reading.power = data.getInt16(offset, true);
+        offset += 2;
+    }
+    if (flags & 0x0040) offset += 2;    // Average power
+    if (flags & 0x0080) offset += 2;    // Resistance level
+    if (flags & 0x0100) offset += 5;    // Energy: total, per hour, per minute
+    if (flags & 0x0200) {
+        reading.heartRate = data.getUint8(offset);
+        offset += 1;
+    }
+    if (flags & 0x0400) offset += 1;    // Metabolic equivalent
+    if (flags & 0x0800) {
+        reading.elapsed = data.getUint16(offset, true);
+    }
+    return reading;
+}
+
+/* =============================================================================
+ * CONCEPT2 PM5
+ * ============================================================================= */
+
+/**
+ * Reads the PM5's 3-byte little-endian numbers (times in 0.01 s, distances in 0.1 m)
+ * @param {DataView} data - Characteristic value
+ * @param {Number} offset - First byte
+ * @returns {Number} Unsigned value
+ */
+function getPm5Uint24(data, offset) {
+    return data.getUint16(offset, true) + (data.getUint8(offset + 2) << 16);
+}
+
+/**
+ * Decodes PM5 General Status (sent twice a second)
+ * @param {DataView} data - Characteristic value
+ * @returns {Object} {kind: 'pm5Status', elapsed (s), distance (m), workoutState, rowingState, dragFactor}
+ */
+function parsePm5GeneralStatus(data) {
+    return {
+        kind: 'pm5Status',
+        elapsed: getPm5Uint24(data, 0) / 100,
+        distance: getPm5Uint24(data, 3) / 10,
+        workoutState: data.getUint8(8),
+        rowingState: data.getUint8(9),      // 0 inactive, 1 active
+        dragFactor: data.getUint8(18)
+    };
+}
+
+/**
+ * Decodes PM5 Additional Status (sent twice a second)
+ * @param {DataView} data - Characteristic value
+ * @returns {Object} {kind: 'pm5Pace', elapsed (s), speed (m/s), strokeRate, heartRate (null if none), pace (s/500m)}
+ */
+function parsePm5AdditionalStatus(data) {
+    const heartRate = data.getUint8(6);
+    return {
+        kind: 'pm5Pace',
+        elapsed: getPm5Uint24(data, 0) / 100,
+        speed: data.getUint16(3, true) / 1000,
+        strokeRate: data.getUint8(5),
+        heartRate: heartRate > 0 && heartRate < 255 ? heartRate : null,
+        pace: data.getUint16(7, true) / 100
+    };
+}
+
+/**
+ * Decodes PM5 Stroke Data (sent once per stroke, after the drive)
+ * @param {DataView} data - Characteristic value
+ * @returns {Object} {kind: 'pm5Stroke', elapsed (s), distance (m), driveLength (m), driveTime (s), recoveryTime (s), strokeDistance (m), peakForce (lbf), averageForce (lbf), strokeCount}
+ */
+function parsePm5StrokeData(data) {
+    return {
+        kind: 'pm5Stroke',
+        elapsed: getPm5Uint24(data, 0) / 100,
+        distance: getPm5Uint24(data, 3) / 10,
+        driveLength: data.getUint8(6) / 100,
+        driveTime: data.getUint8(7) / 100,
+        recoveryTime: data.getUint16(8, true) / 100,
+        strokeDistance: data.getUint16(10, true) / 100,
+        peakForce: data.getUint16(12, true) / 10,
+        averageForce: data.getUint16(14, true) / 10,
+        strokeCount: data.getUint16(18, true)
+    };
+}
+
+/**
+ * Decodes PM5 Additional Stroke Data (sent once per stroke)
+ * @param {DataView} data - Characteristic value
+ * @returns {Object} {kind: 'pm5StrokePower', elapsed (s), power (W), strokeCount}
+ */
+function parsePm5AdditionalStrokeData(data) {
+    return {
+        kind: 'pm5StrokePower',
+        elapsed: getPm5Uint24(data, 0) / 100,
+        power: data.getUint16(3, true),
+        strokeCount: data.getUint16(7, true)
+    };
+}
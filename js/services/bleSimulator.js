@@ -0,0 +1,296 @@
+/**
+ * Speedcox - Simulated Bluetooth Sensors
+ * Stands in for navigator.bluetooth so sensor support can be tried without
+ * hardware (and in browsers without Web Bluetooth). Offers a heart rate
+ * strap, a speed/stroke sensor, an FTMS rowing machine and a Concept2 PM5
+ * that send correctly encoded measurements.
+ *
+ * dropSimulatedSensors(seconds) in the console cuts every simulated sensor
+ * off for a while, to watch them reconnect.
+ */
+
+const BLE_SIMULATED_INTERVAL = 1000;    // ms between measurements
+const BLE_SIMULATED_REVOLUTIONS = 6;    // Speed sensor revolutions per second
+const BLE_SIMULATED_RATE = 24;          // Strokes per minute
+const BLE_SIMULATED_PACE = 120;         // Rowing machine seconds per 500m
+const BLE_SIMULATED_DRIVE_LENGTH = 1.42; // PM5 meters of handle travel per drive
+
+let bleSimulatedDevices = [];           // Devices handed out, for dropSimulatedSensors()
+
+/**
+ * Creates the simulated adapter
+ * @returns {Object} Object with the requestDevice() of navigator.bluetooth
+ */
+function createSimulatedBluetooth() {
+    return {
+        requestDevice: options => {
+            const services = options.filters.map(filter => filter.services[0]);
+            let device;
+            if (services.includes(BLE_HEART_RATE_SERVICE)) {
+                device = createSimulatedDevice('Simulated HR', BLE_HEART_RATE_SERVICE, [
+                    { id: BLE_HEART_RATE_MEASUREMENT, encode: encodeSimulatedHeartRate }
+                ]);
+            } else if (services.includes(BLE_CSC_SERVICE)) {
+                device = createSimulatedDevice('Simulated Speed', BLE_CSC_SERVICE, [
+                    { id: BLE_CSC_MEASUREMENT, encode: encodeSimulatedCsc }
+                ]);
+            } else if (services.includes(BLE_FTMS_SERVICE)) {
+                device = createSimulatedDevice('Simulated Rower', BLE_FTMS_SERVICE, [
+                    { id: BLE_FTMS_ROWER_DATA, encode: encodeSimulatedRower }
+                ]);
+            } else if (services.includes(PM5_DISCOVERY_SERVICE)) {
+                // Stroke data only goes out when there's a new stroke
+                device = createSimulatedDevice('PM5 Simulated', PM5_ROWING_SERVICE, [
+                    { id: PM5_GENERAL_STATUS, encode: encodeSimulatedPm5Status },
+                    { id: PM5_ADDITIONAL_STATUS, encode: encodeSimulatedPm5Pace },
+                    { id: PM5_STROKE_DATA, encode: encodeSimulatedPm5Stroke, changesOnly: true },
+                    { id: PM5_ADDITIONAL_STROKE_DATA, encode: encodeSimulatedPm5StrokePower, changesOnly: true }
+                ]);
+            } else {
+                return Promise.reject(new Error('No simulated device offers that service'));
+            }
+            bleSimulatedDevices.push(device);
+            return Promise.resolve(device);
+        }
+    };
+}
+
+/**
+ * Creates a device with one service and its notifying characteristics
+ * Shaped like a Web Bluetooth BluetoothDevice, as far as Speedcox uses it
+ * @param {String} name - Device name
+ * @param {Number|String} serviceId - Service UUID
+ * @param {Array} specs - Characteristics {id, encode, changesOnly}: encode(seconds since
+ *                        connected) returns the measurement DataView (or null for nothing
+ *                        to send); changesOnly skips a value that's the same as the last one
+ * @returns {Object} Simulated device
+ */
+function createSimulatedDevice(name, serviceId, specs) {
+    const device = new EventTarget();
+    const characteristics = specs.map(spec => createSimulatedCharacteristic(spec));
+    const service = {
+        getCharacteristic: id => {
+            const characteristic = characteristics.find(c => c.id === id);
+            return characteristic ? Promise.resolve(characteristic) : Promise.reject(new Error('No such characteristic'));
+        }
+    };
+    const server = {
+        getPrimaryService: id => id === serviceId
+            ? Promise.resolve(service)
+            : Promise.reject(new Error('No such service'))
+    };
+
+    device.name = name;
+    device.id = `simulated-${bleSimulatedDevices.length + 1}`;
+    device.offlineUntil = 0;
+
+    device.gatt = {
+        connected: false,
+        connect: () => {
+            if (Date.now() < device.offlineUntil) return Promise.reject(new Error('Device out of range'));
+            device.gatt.connected = true;
+            return Promise.resolve(server);
+        },
+        disconnect: () => {
+            if (!device.gatt.connected) return;
+            characteristics.forEach(characteristic => clearInterval(characteristic.timer));
+            device.gatt.connected = false;
+            device.dispatchEvent(new Event('gattserverdisconnected'));
+        }
+    };
+    return device;
+}
+
+/**
+ * Creates one notifying characteristic
+ * @param {Object} spec - {id, encode, changesOnly} (see createSimulatedDevice)
+ * @returns {Object} Simulated characteristic
+ */
+function createSimulatedCharacteristic(spec) {
+    const characteristic = new EventTarget();
+    const startTime = Date.now();
+    let last = '';
+
+    characteristic.id = spec.id;
+    characteristic.value = null;
+    characteristic.timer = null;
+    characteristic.startNotifications = () => {
+        clearInterval(characteristic.timer);
+        characteristic.timer = setInterval(() => {
+            const value = spec.encode((Date.now() - startTime) / 1000);
+            if (!value) return;
+
+            const bytes = new Uint8Array(value.buffer).join();
+            if (spec.changesOnly && bytes === last) return;
+            last = bytes;
+
+            characteristic.value = value;
+            characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+        }, BLE_SIMULATED_INTERVAL);
+        return Promise.resolve(characteristic);
+    };
+    return characteristic;
+}
+
+/**
+ * Cuts every connected simulated sensor off, as if it went out of range
+ * @param {Number} seconds - How long they refuse to reconnect
+ */
+function dropSimulatedSensors(seconds = 3) {
+    bleSimulatedDevices.forEach(device => {
+        device.offlineUntil = Date.now() + seconds * 1000;
+        device.gatt.disconnect();
+    });
+}
+
+/* =============================================================================
+ * MEASUREMENTS
+ * ============================================================================= */
+
+/**
+ * Heart rate rising from rest towards steady state, with RR intervals
+ * @param {Number} t - Seconds since connected
+ * @returns {DataView} Heart Rate Measurement
+ */
+function encodeSimulatedHeartRate(t) {
+    const bpm = Math.round(95 + 70 * (1 - Math.exp(-t / 90)) + 3 * Math.sin(t / 7));
+    const data = new DataView(new ArrayBuffer(4));
+    data.setUint8(0, 0x16);     // 8-bit HR, contact detected, RR intervals
+    data.setUint8(1, bpm);
+    data.setUint16(2, Math.round(60 / bpm * 1024), true);
+    return data;
+}
+
+/**
+ * Steady impeller revolutions and strokes (crank = stroke sensor)
+ * @param {Number} t - Seconds since connected
+ * @returns {DataView} CSC Measurement
+ */
+function encodeSimulatedCsc(t) {
+    const wheelRevolutions = Math.floor(t * BLE_SIMULATED_REVOLUTIONS);
+    const crankRevolutions = Math.floor(t * BLE_SIMULATED_RATE / 60);
+    const eventTime = (revolutions, perSecond) => Math.round(revolutions / perSecond * 1024) % 65536;
+
+    const data = new DataView(new ArrayBuffer(11));
+    data.setUint8(0, 0x03);     // Wheel and crank data
+    data.setUint32(1, wheelRevolutions, true);
+    data.setUint16(5, eventTime(wheelRevolutions, BLE_SIMULATED_REVOLUTIONS), true);
+    data.setUint16(7, crankRevolutions % 65536, true);
+    data.setUint16(9, eventTime(crankRevolutions, BLE_SIMULATED_RATE / 60), true);
+    return data;
+}
+
+/**
+ * Rowing machine at a steady pace and rate
+ * @param {Number} t - Seconds since connected
+ * @returns {DataView} FTMS Rower Data
+ */
+function encodeSimulatedRower(t) {
+    const distance = Math.floor(t * 500 / BLE_SIMULATED_PACE);
+    const power = Math.round(2.8 / Math.pow(BLE_SIMULATED_PACE / 500, 3));   // Concept2 pace-to-watts
+    const heartRate = Math.round(95 + 70 * (1 - Math.exp(-t / 90)));
+
+    const data = new DataView(new ArrayBuffer(13));
+    data.setUint16(0, 0x022C, true);    // Rate and count, distance, pace, power, heart rate
+    data.setUint8(2, BLE_SIMULATED_RATE * 2);
+    data.setUint16(3, Math.floor(t * BLE_SIMULATED_RATE / 60), true);
+    data.setUint16(5, distance & 0xffff, true);
+    data.setUint8(7, distance >> 16);
+    data.setUint16(8, BLE_SIMULATED_PACE, true);
+    data.setInt16(10, power, true);
+    data.setUint8(12, heartRate);
+    return data;
+}
+
+/**
+ * PM5 stroke count and the time of the latest stroke
+ * @param {Number} t - Seconds since connected
+ * @returns {Object} {count, time (s)}
+ */
+function getSimulatedPm5Stroke(t) {
+    const count = Math.floor(t * BLE_SIMULATED_RATE / 60);
+    return { count: count, time: count * 60 / BLE_SIMULATED_RATE };
+}
+
+/**
+ * Writes a PM5 3-byte little-endian number
+ * @param {DataView} data - Measurement being built
+ * @param {Number} offset - First byte
+ * @param {Number} value - Unsigned value
+ */
+function setPm5Uint24(data, offset, value) {
+    data.setUint16(offset, value & 0xffff, true);
+    data.setUint8(offset + 2, (value >> 16) & 0xff);
+}
+
+/**
+ * PM5 General Status: time and distance
+ * @param {Number} t - Seconds since connected
+ * @returns {DataView} Measurement
+ */
+function encodeSimulatedPm5Status(t) {
+    const data = new DataView(new ArrayBuffer(19));
+    setPm5Uint24(data, 0, Math.round(t * 100));
+    setPm5Uint24(data, 3, Math.round(t * 500 / BLE_SIMULATED_PACE * 10));
+    data.setUint8(8, 1);        // Workout rowing
+    data.setUint8(9, 1);        // Rowing active
+    data.setUint8(18, 120);     // Drag factor
+    return data;
+}
+
+/**
+ * PM5 Additional Status: speed, rate, heart rate and pace
+ * @param {Number} t - Seconds since connected
+ * @returns {DataView} Measurement
+ */
+function encodeSimulatedPm5Pace(t) {
+    const data = new DataView(new ArrayBuffer(17));
+    setPm5Uint24(data, 0, Math.round(t * 100));
+    data.setUint16(3, Math.round(500 / BLE_SIMULATED_PACE * 1000), true);
+    data.setUint8(5, BLE_SIMULATED_RATE);
+    data.setUint8(6, Math.round(95 + 70 * (1 - Math.exp(-t / 90))));
+    data.setUint16(7, BLE_SIMULATED_PACE * 100, true);
+    data.setUint16(9, BLE_SIMULATED_PACE * 100, true);
+    return data;
+}
+
+/**
+ * PM5 Stroke Data for the latest stroke
+ * @param {Number} t - Seconds since connected
+ * @returns {DataView|null} Measurement, null before the first stroke
+ */
+function encodeSimulatedPm5Stroke(t) {
+    const stroke = getSimulatedPm5Stroke(t);
+    if (stroke.count === 0) return null;
+
+    const cycle = 60 / BLE_SIMULATED_RATE;
+    const data = new DataView(new ArrayBuffer(20));
+    setPm5Uint24(data, 0, Math.round(stroke.time * 100));
+    setPm5Uint24(data, 3, Math.round(stroke.time * 500 / BLE_SIMULATED_PACE * 10));
+    data.setUint8(6, Math.round(BLE_SIMULATED_DRIVE_LENGTH * 100));
+    data.setUint8(7, Math.round(cycle / 3 * 100));                       // Drive a third of the cycle
+    data.setUint16(8, Math.round(cycle * 2 / 3 * 100), true);
+    data.setUint16(10, Math.round(cycle * 500 / BLE_SIMULATED_PACE * 100), true);
+    data.setUint16(12, 2200, true);     // Peak force 220 lbf
+    data.setUint16(14, 1400, true);     // Average force 140 lbf
+    data.setUint16(16, 8800, true);     // Work 880 J
+    data.setUint16(18, stroke.count, true);
+    return data;
+}
+
+/**
+ * PM5 Additional Stroke Data (power) for the latest stroke
+ * @param {Number} t - Seconds since connected
+ * @returns {DataView|null} Measurement, null before the first stroke
+ */
+function encodeSimulatedPm5StrokePower(t) {
+    const stroke = getSimulatedPm5Stroke(t);
+    if (stroke.count === 0) return null;
+
+    const data = new DataView(new ArrayBuffer(15));
+    setPm5Uint24(data, 0, Math.round(stroke.time * 100));
+    data.setUint16(3, Math.round(2.8 / Math.pow(BLE_SIMULATED_PACE / 500, 3)), true);
+    data.setUint16(5, 1100, true);      // kcal/hour
+    data.setUint16(7, stroke.count, true);
+    return data;
+}
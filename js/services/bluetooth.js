@@ -0,0 +1,146 @@
+/**
+ * Speedcox - Bluetooth Sensor Service
+ * Connects to a Web Bluetooth sensor, subscribes to its measurements and
+ * keeps it connected: when the link drops (out of range, strap dried out)
+ * it reconnects by itself until disconnectBleSensor() is called.
+ */
+
+const BLE_RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];  // ms - then every 30s
+
+// What to ask for and how to read it, per kind of sensor. The first
+// service the device offers is used; 'advertised' is the service to look
+// for in the picker when the device doesn't advertise the one it's read from.
+const BLE_SENSOR_PROFILES = {
+    heartRate: [
+        { service: BLE_HEART_RATE_SERVICE, characteristics: [{ id: BLE_HEART_RATE_MEASUREMENT, parse: parseHeartRateMeasurement }] }
+    ],
+    speed: [
+        { service: BLE_CSC_SERVICE, characteristics: [{ id: BLE_CSC_MEASUREMENT, parse: parseCscMeasurement }] },
+        { service: BLE_FTMS_SERVICE, characteristics: [{ id: BLE_FTMS_ROWER_DATA, parse: parseRowerData }] }
+    ],
+    erg: [
+        {
+            service: PM5_ROWING_SERVICE,
+            advertised: PM5_DISCOVERY_SERVICE,
+            characteristics: [
+                { id: PM5_GENERAL_STATUS, parse: parsePm5GeneralStatus },
+                { id: PM5_ADDITIONAL_STATUS, parse: parsePm5AdditionalStatus },
+                { id: PM5_STROKE_DATA, parse: parsePm5StrokeData },
+                { id: PM5_ADDITIONAL_STROKE_DATA, parse: parsePm5AdditionalStrokeData }
+            ]
+        }
+    ]
+};
+
+/**
+ * Asks the user to pick a sensor, then connects to it
+ * Must be called from a tap (browsers only show the picker for a user gesture)
+ * @param {Object} bluetooth - navigator.bluetooth or a simulated adapter
+ * @param {String} kind - 'heartRate', 'speed' or 'erg'
+ * @param {Function} onData - Called with each decoded reading
+ * @param {Function} onStatus - Called with 'connecting', 'connected', 'reconnecting' or 'off'
+ * @returns {Promise<Object>} Sensor handle {kind, device, name, ...} once connected
+ */
+function connectBleSensor(bluetooth, kind, onData, onStatus) {
+    const profiles = BLE_SENSOR_PROFILES[kind];
+
+    return bluetooth.requestDevice({
+        filters: profiles.map(profile => ({ services: [profile.advertised || profile.service] })),
+        optionalServices: profiles.map(profile => profile.service)
+    })
+        .then(device => {
+            const sensor = {
+                kind: kind,
+                device: device,
+                name: device.name || 'Sensor',
+                onData: onData,
+                onStatus: onStatus,
+                subscriptions: [],      // {characteristic, listener} currently notifying
+                attempts: 0,
+                reconnectTimer: null,
+                stopped: false
+            };
+            sensor.handleDisconnect = () => scheduleBleReconnect(sensor);
+            device.addEventListener('gattserverdisconnected', sensor.handleDisconnect);
+
+            return openBleSensor(sensor).then(() => sensor);
+        });
+}
+
+/**
+ * Connects GATT and subscribes to the measurements (first time and on each reconnect)
+ * @param {Object} sensor - Sensor handle
+ * @returns {Promise} Resolves once notifications are on
+ */
+function openBleSensor(sensor) {
+    sensor.onStatus('connecting');
+    sensor.subscriptions.forEach(({ characteristic, listener }) =>
+        characteristic.removeEventListener('characteristicvaluechanged', listener));
+    sensor.subscriptions = [];
+
+    return sensor.device.gatt.connect()
+        .then(server => findBleProfile(server, BLE_SENSOR_PROFILES[sensor.kind]))
+        .then(({ profile, service }) => Promise.all(profile.characteristics.map(({ id, parse }) =>
+            service.getCharacteristic(id).then(characteristic => {
+                const listener = event => sensor.onData(parse(event.target.value));
+                characteristic.addEventListener('characteristicvaluechanged', listener);
+                sensor.subscriptions.push({ characteristic: characteristic, listener: listener });
+                return characteristic.startNotifications();
+            })
+        )))
+        .then(() => {
+            sensor.attempts = 0;
+            sensor.onStatus('connected');
+            console.log(`📶 Sensor connected: ${sensor.name}`);
+        });
+}
+
+/**
+ * Finds the first profile whose service the device offers
+ * @param {Object} server - Connected GATT server
+ * @param {Array} profiles - Candidates from BLE_SENSOR_PROFILES
+ * @returns {Promise<Object>} {profile, service}
+ */
+function findBleProfile(server, profiles) {
+    return profiles.reduce(
+        (found, profile) => found.catch(() => server.getPrimaryService(profile.service)
+            .then(service => ({ profile: profile, service: service }))),
+        Promise.reject(new Error('Sensor has no supported service'))
+    );
+}
+
+/**
+ * Tries to reconnect after a dropout, backing off while the sensor stays away
+ * @param {Object} sensor - Sensor handle
+ */
+function scheduleBleReconnect(sensor) {
+    if (sensor.stopped || sensor.reconnectTimer) return;
+
+    const delay = BLE_RECONNECT_DELAYS[Math.min(sensor.attempts, BLE_RECONNECT_DELAYS.length - 1)];
+    sensor.attempts++;
+    sensor.onStatus('reconnecting');
+    console.log(`📶 Sensor lost: ${sensor.name} - retrying in ${delay / 1000}s`);
+
+    sensor.reconnectTimer = setTimeout(() => {
+        sensor.reconnectTimer = null;
+        if (sensor.stopped) return;
+        openBleSensor(sensor).catch(error => {
+            console.log('Sensor reconnection failed:', error.message);
+            if (sensor.device.gatt.connected) sensor.device.gatt.disconnect();
+            else scheduleBleReconnect(sensor);
+        });
+    }, delay);
+}
+
+/**
+ * Disconnects a sensor and stops reconnecting to it
+ * @param {Object} sensor - Sensor handle
+ */
+function disconnectBleSensor(sensor) {
+    sensor.stopped = true;
+    clearTimeout(sensor.reconnectTimer);
+    sensor.reconnectTimer = null;
+    sensor.device.removeEventListener('gattserverdisconnected', sensor.handleDisconnect);
+    if (sensor.device.gatt.connected) sensor.device.gatt.disconnect();
+    sensor.onStatus('off');
+}
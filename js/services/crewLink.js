@@ -0,0 +1,143 @@
+/**
+ * Speedcox - Crew Link Service
+ * Peer-to-peer WebRTC data channels between the cox's phone and each
+ * seat's phone. There is no signalling server: the offer and answer are
+ * passed by hand as a QR code or copied text, and only local network
+ * candidates are used, so a phone hotspot is all the crew needs.
+ */
+
+const CREW_SIGNAL_APP = 'speedcox-crew';    // Marks a connection code as ours
+const CREW_ICE_TIMEOUT = 5000;              // ms to wait for network candidates before giving up on more
+
+/* =============================================================================
+ * CONNECTION CODES
+ * ============================================================================= */
+
+/**
+ * Turns a session description into a code to show or copy
+ * @param {RTCSessionDescription} description - Complete offer or answer (candidates included)
+ * @param {Number} seat - Seat the connection is for
+ * @returns {String} Connection code
+ */
+function encodeCrewSignal(description, seat) {
+    return JSON.stringify({ app: CREW_SIGNAL_APP, seat: seat, type: description.type, sdp: description.sdp });
+}
+
+/**
+ * Reads a connection code
+ * @param {String} text - Scanned or pasted code
+ * @returns {Object} {seat, description: {type, sdp}}
+ * @throws {Error} If the text isn't a crew connection code
+ */
+function decodeCrewSignal(text) {
+    let signal;
+    try {
+        signal = JSON.parse(text.trim());
+    } catch (error) {
+        throw new Error('Not a crew connection code');
+    }
+    if (!signal || signal.app !== CREW_SIGNAL_APP || !['offer', 'answer'].includes(signal.type) || !signal.sdp) {
+        throw new Error('Not a crew connection code');
+    }
+    return { seat: signal.seat, description: { type: signal.type, sdp: signal.sdp } };
+}
+
+/* =============================================================================
+ * CONNECTING
+ * ============================================================================= */
+
+/**
+ * Creates a peer connection for the crew link (no STUN/TURN - local network only)
+ * @returns {RTCPeerConnection} New connection
+ * @throws {Error} If the browser has no WebRTC
+ */
+function createCrewPeer() {
+    if (typeof RTCPeerConnection === 'undefined') throw new Error('WebRTC is not supported by this browser');
+    return new RTCPeerConnection({ iceServers: [] });
+}
+
+/**
+ * Waits until the connection has found its network candidates
+ * The code is only passed across once, so it has to carry all of them
+ * @param {RTCPeerConnection} peer - Connection being set up
+ * @returns {Promise} Resolves when gathering is complete (or after CREW_ICE_TIMEOUT)
+ */
+function waitForIceGathering(peer) {
+    if (peer.iceGatheringState === 'complete') return Promise.resolve();
+
+    return new Promise(resolve => {
+        const timer = setTimeout(done, CREW_ICE_TIMEOUT);
+        function done() {
+            clearTimeout(timer);
+            peer.removeEventListener('icegatheringstatechange', check);
+            resolve();
+        }
+        function check() {
+            if (peer.iceGatheringState === 'complete') done();
+        }
+        peer.addEventListener('icegatheringstatechange', check);
+    });
+}
+
+/**
+ * Cox side, step 1: creates the offer for a seat
+ * @param {Number} seat - Seat number
+ * @returns {Promise<Object>} {peer, channel, code} - show the code to the seat's phone
+ */
+function createCrewOffer(seat) {
+    let peer;
+    try {
+        peer = createCrewPeer();
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    const channel = peer.createDataChannel('strokes');
+
+    return peer.createOffer()
+        .then(offer => peer.setLocalDescription(offer))
+        .then(() => waitForIceGathering(peer))
+        .then(() => ({ peer, channel, code: encodeCrewSignal(peer.localDescription, seat) }));
+}
+
+/**
+ * Seat side: answers the cox's offer
+ * The data channel arrives later through the peer's 'datachannel' event
+ * @param {Object} signal - Decoded offer from decodeCrewSignal()
+ * @returns {Promise<Object>} {peer, code} - show the code to the cox's phone
+ */
+function answerCrewOffer(signal) {
+    let peer;
+    try {
+        peer = createCrewPeer();
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    return peer.setRemoteDescription(signal.description)
+        .then(() => peer.createAnswer())
+        .then(answer => peer.setLocalDescription(answer))
+        .then(() => waitForIceGathering(peer))
+        .then(() => ({ peer, code: encodeCrewSignal(peer.localDescription, signal.seat) }));
+}
+
+/**
+ * Cox side, step 2: completes the connection with the seat's answer
+ * @param {RTCPeerConnection} peer - Connection from createCrewOffer()
+ * @param {Object} signal - Decoded answer from decodeCrewSignal()
+ * @returns {Promise} Resolves once the answer is applied (the channel opens shortly after)
+ */
+function acceptCrewAnswer(peer, signal) {
+    return peer.setRemoteDescription(signal.description);
+}
+
+/**
+ * Sends a message if the channel is open
+ * @param {RTCDataChannel|null} channel - Crew data channel
+ * @param {Object} message - Message to send as JSON
+ * @returns {Boolean} True if sent
+ */
+function sendCrewMessage(channel, message) {
+    if (!channel || channel.readyState !== 'open') return false;
+    channel.send(JSON.stringify(message));
+    return true;
+}
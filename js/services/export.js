@@ -0,0 +1,565 @@
+/**
+ * Speedcox - Workout Export Service
+ * Converts saved workouts into GPX, TCX and FIT files for Strava,
+ * Garmin Connect and TrainingPeaks
+ */
+
+/* =============================================================================
+ * SHARED HELPERS - Streams used by every export format
+ * ============================================================================= */
+
+/**
+ * Builds the cumulative distance for every GPS point
+ * Uses the distance recorded live (same filtered haversine total the screen
+ * showed) so exported totals match the app. Older sessions without it fall
+ * back to summing calculateDistance between points.
+ * @param {Array} track - Recorded GPS points
+ * @returns {Array<Number>} Distance in meters at each point
+ */
+function getDistanceStream(track) {
+    let distance = 0;
+    return track.map((point, i) => {
+        if (typeof point.distance === 'number') {
+            distance = point.distance;
+        } else if (i > 0) {
+            distance += calculateDistance(track[i - 1], point);
+        }
+        return distance;
+    });
+}
+
+/**
+ * Builds the boat speed at every GPS point from the distance stream
+ * @param {Array} track - Recorded GPS points
+ * @param {Array<Number>} distances - Output of getDistanceStream()
+ * @returns {Array<Number>} Speed in m/s at each point
+ */
+function getSpeedStream(track, distances) {
+    return track.map((point, i) => {
+        if (i === 0) return 0;
+        const timeDiff = (point.timestamp - track[i - 1].timestamp) / 1000;
+        return timeDiff > 0 ? (distances[i] - distances[i - 1]) / timeDiff : 0;
+    });
+}
+
+/**
+ * Returns the stroke events from the method the workout was rowed with
+ * @param {Object} workout - Saved workout record
+ * @returns {Array} Stroke events {timestamp, rate, source}
+ */
+function getWorkoutStrokes(workout) {
+    return filterStrokesByMethod(workout.strokes, workout.strokeRateMethod || 'gps');
+}
+
+/**
+ * Looks up the stroke rate at every GPS point
+ * Uses the most recent stroke event; strokes older than 10 seconds
+ * count as "not rowing" (rate 0)
+ * @param {Object} workout - Saved workout record
+ * @returns {Array<Number>} Stroke rate (SPM) at each point
+ */
+function getCadenceStream(workout) {
+    const strokes = getWorkoutStrokes(workout);
+    const maxAge = 10000; // 10 seconds
+
+    let strokeIndex = -1;
+    return workout.track.map(point => {
+        // Advance to the last stroke at or before this point
+        while (strokeIndex + 1 < strokes.length && strokes[strokeIndex + 1].timestamp <= point.timestamp) {
+            strokeIndex++;
+        }
+        const stroke = strokes[strokeIndex];
+        if (!stroke || point.timestamp - stroke.timestamp > maxAge) return 0;
+        return Math.round(stroke.rate);
+    });
+}
+
+/**
+ * Builds every per-point stream the exporters need
+ * @param {Object} workout - Saved workout record
+ * @returns {Object} {distances, speeds, cadences}, one entry per GPS point
+ */
+function getExportStreams(workout) {
+    const distances = getDistanceStream(workout.track);
+    return {
+        distances,
+        speeds: getSpeedStream(workout.track, distances),
+        cadences: getCadenceStream(workout)
+    };
+}
+
+/**
+ * Average and highest heart rate over some GPS points
+ * @param {Array} points - GPS points (workouts without a heart rate sensor have no heartRate)
+ * @returns {Object|null} {avg, max} in bpm, or null if no point has a heart rate
+ */
+function getHeartRateStats(points) {
+    const rates = points.map(point => point.heartRate).filter(bpm => bpm > 0);
+    if (rates.length === 0) return null;
+    return {
+        avg: Math.round(rates.reduce((sum, bpm) => sum + bpm, 0) / rates.length),
+        max: rates.reduce((max, bpm) => Math.max(max, bpm), 0)
+    };
+}
+
+/**
+ * Returns the laps to export
+ * A workout without recorded laps is exported as a single lap
+ * @param {Object} workout - Saved workout record
+ * @returns {Array<Object>} Laps as {startTime, endTime}
+ */
+function getExportLaps(workout) {
+    const laps = (workout.laps && workout.laps.length > 0)
+        ? workout.laps.map(lap => ({ ...lap }))
+        : [{ startTime: workout.startTime, endTime: workout.endTime }];
+    
+    // GPS fixes may be up to a second older than the Start press (maximumAge),
+    // so stretch the outer laps to cover the whole track
+    const track = workout.track;
+    if (track.length > 0) {
+        laps[0].startTime = Math.min(laps[0].startTime, track[0].timestamp);
+        laps[laps.length - 1].endTime = Math.max(laps[laps.length - 1].endTime, track[track.length - 1].timestamp);
+    }
+    return laps;
+}
+
+/**
+ * Collects everything the exporters need for one lap
+ * @param {Object} workout - Saved workout record
+ * @param {Object} lap - Lap {startTime, endTime}
+ * @param {Object} streams - {distances, speeds, cadences} for the whole track
+ * @returns {Object} Lap totals and the indices of its GPS points
+ */
+function getLapStats(workout, lap, streams) {
+    const indices = [];
+    workout.track.forEach((point, i) => {
+        if (point.timestamp >= lap.startTime && point.timestamp <= lap.endTime) indices.push(i);
+    });
+
+    const first = indices[0];
+    const last = indices[indices.length - 1];
+    const duration = (lap.endTime - lap.startTime) / 1000;
+    const distance = indices.length > 0 ? streams.distances[last] - (first > 0 ? streams.distances[first - 1] : 0) : 0;
+    const strokes = getWorkoutStrokes(workout).filter(s => s.timestamp >= lap.startTime && s.timestamp <= lap.endTime);
+    const rowingCadences = indices.map(i => streams.cadences[i]).filter(c => c > 0);
+
+    return {
+        indices,
+        duration,
+        distance,
+        strokeCount: strokes.length,
+        avgSpeed: duration > 0 ? distance / duration : 0,
+        maxSpeed: indices.reduce((max, i) => Math.max(max, streams.speeds[i]), 0),
+        avgCadence: rowingCadences.length > 0
+            ? Math.round(rowingCadences.reduce((sum, c) => sum + c, 0) / rowingCadences.length)
+            : 0,
+        heartRate: getHeartRateStats(indices.map(i => workout.track[i]))   // null without a sensor
+    };
+}
+
+/**
+ * Splits a run of GPS points wherever the recording was interrupted
+ * @param {Array} points - GPS points (or anything with a timestamp), oldest first
+ * @param {Array} interruptions - Gaps {start, end} (ms), may be missing on older workouts
+ * @returns {Array<Array>} Runs of points with no gap inside them
+ */
+function splitAtInterruptions(points, interruptions) {
+    const gaps = interruptions || [];
+    const segments = [];
+    points.forEach((point, i) => {
+        const previous = points[i - 1];
+        const afterGap = previous && gaps.some(gap => gap.start < point.timestamp && gap.end > previous.timestamp);
+        if (i === 0 || afterGap) segments.push([]);
+        segments[segments.length - 1].push(point);
+    });
+    return segments;
+}
+
+/**
+ * Escapes text for use inside XML
+ * @param {String} text - Raw text
+ * @returns {String} XML-safe text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/* =============================================================================
+ * GPX EXPORT - Plain GPS track
+ * ============================================================================= */
+
+/**
+ * Builds a GPX 1.1 track from a saved workout
+ * @param {Object} workout - Saved workout record
+ * @returns {String} GPX document
+ */
+function buildGpx(workout) {
+    // One segment per stretch of uninterrupted recording (erg workouts have no positions)
+    const positions = workout.track.filter(point => point.lat !== null);
+    const segments = splitAtInterruptions(positions, workout.interruptions).map(points => [
+        '    <trkseg>',
+        ...points.map(point =>
+            `      <trkpt lat="${point.lat.toFixed(7)}" lon="${point.lng.toFixed(7)}">` +
+            `<time>${new Date(point.timestamp).toISOString()}</time>` +
+            (point.heartRate > 0
+                ? `<extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>${point.heartRate}</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>`
+                : '') +
+            '</trkpt>'
+        ),
+        '    </trkseg>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Speedcox" xmlns="http://www.topografix.com/GPX/1/1"',
+        '    xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+        '  <metadata>',
+        `    <name>${escapeXml(workout.name)}</name>`,
+        `    <time>${new Date(workout.startTime).toISOString()}</time>`,
+        '  </metadata>',
+        '  <trk>',
+        `    <name>${escapeXml(workout.name)}</name>`,
+        '    <type>rowing</type>',
+        ...segments,
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+/* =============================================================================
+ * TCX EXPORT - Activity with laps and cadence (stroke rate) per trackpoint
+ * ============================================================================= */
+
+/**
+ * Text for the TCX notes: the workout name, plus its distance, time,
+ * average split and speed in the units it was rowed in
+ * @param {Object} workout - Saved workout record
+ * @returns {String} e.g. "Workout 1/5/2026 · 5000m in 22:30 · 4:30 /1000m · 13.3 km/h"
+ */
+function getWorkoutNotes(workout) {
+    const summary = workout.summary;
+    if (!workout.units || !summary || !(summary.distance > 0 && summary.duration > 0)) return workout.name;
+
+    return [
+        workout.name,
+        `${Math.round(summary.distance)}m in ${formatTime(summary.duration)}`,
+        `${formatSplit(500 * summary.duration / summary.distance, workout.units)} ${getSplitUnitLabel(workout.units)}`,
+        `${formatSpeed(summary.distance / summary.duration, workout.units)} ${getSpeedUnitLabel(workout.units)}`
+    ].join(' · ');
+}
+
+/**
+ * Builds a TCX activity from a saved workout
+ * TCX has no rowing sport, so the activity is marked "Other"; the notes
+ * carry the totals in the units the workout was rowed in
+ * @param {Object} workout - Saved workout record
+ * @returns {String} TCX document
+ */
+function buildTcx(workout) {
+    const streams = getExportStreams(workout);
+
+    const laps = getExportLaps(workout).map(lap => {
+        const stats = getLapStats(workout, lap, streams);
+        const trackpoints = stats.indices.map(i => {
+            const point = workout.track[i];
+            return { timestamp: point.timestamp, xml: [
+                '          <Trackpoint>',
+                `            <Time>${new Date(point.timestamp).toISOString()}</Time>`,
+                ...(point.lat !== null ? [
+                    '            <Position>',
+                    `              <LatitudeDegrees>${point.lat.toFixed(7)}</LatitudeDegrees>`,
+                    `              <LongitudeDegrees>${point.lng.toFixed(7)}</LongitudeDegrees>`,
+                    '            </Position>'
+                ] : []),
+                `            <DistanceMeters>${streams.distances[i].toFixed(1)}</DistanceMeters>`,
+                ...(point.heartRate > 0 ? [`            <HeartRateBpm><Value>${point.heartRate}</Value></HeartRateBpm>`] : []),
+                `            <Cadence>${Math.min(streams.cadences[i], 254)}</Cadence>`,
+                '            <Extensions>',
+                `              <ns3:TPX><ns3:Speed>${streams.speeds[i].toFixed(2)}</ns3:Speed></ns3:TPX>`,
+                '            </Extensions>',
+                '          </Trackpoint>'
+            ].join('\n') };
+        });
+        
+        // A new Track after each gap in the recording
+        const tracks = splitAtInterruptions(trackpoints, workout.interruptions).map(points => [
+            '        <Track>',
+            ...points.map(point => point.xml),
+            '        </Track>'
+        ].join('\n'));
+
+        return [
+            `      <Lap StartTime="${new Date(lap.startTime).toISOString()}">`,
+            `        <TotalTimeSeconds>${stats.duration.toFixed(1)}</TotalTimeSeconds>`,
+            `        <DistanceMeters>${stats.distance.toFixed(1)}</DistanceMeters>`,
+            `        <MaximumSpeed>${stats.maxSpeed.toFixed(2)}</MaximumSpeed>`,
+            '        <Calories>0</Calories>',
+            ...(stats.heartRate ? [
+                `        <AverageHeartRateBpm><Value>${stats.heartRate.avg}</Value></AverageHeartRateBpm>`,
+                `        <MaximumHeartRateBpm><Value>${stats.heartRate.max}</Value></MaximumHeartRateBpm>`
+            ] : []),
+            '        <Intensity>Active</Intensity>',
+            `        <Cadence>${Math.min(stats.avgCadence, 254)}</Cadence>`,
+            '        <TriggerMethod>Manual</TriggerMethod>',
+            ...tracks,
+            '      </Lap>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"',
+        '    xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+        '  <Activities>',
+        '    <Activity Sport="Other">',
+        `      <Id>${new Date(workout.startTime).toISOString()}</Id>`,
+        ...laps,
+        `      <Notes>${escapeXml(getWorkoutNotes(workout))}</Notes>`,
+        '    </Activity>',
+        '  </Activities>',
+        '</TrainingCenterDatabase>',
+        ''
+    ].join('\n');
+}
+
+/* =============================================================================
+ * FIT EXPORT - Binary Garmin activity file
+ * ============================================================================= */
+
+// FIT timestamps count seconds from 1989-12-31 00:00:00 UTC
+const FIT_EPOCH_OFFSET = 631065600;
+
+// FIT base types: [type byte, size in bytes, invalid value]
+const FIT_TYPES = {
+    enum:   [0x00, 1, 0xFF],
+    uint8:  [0x02, 1, 0xFF],
+    uint16: [0x84, 2, 0xFFFF],
+    sint32: [0x85, 4, 0x7FFFFFFF],
+    uint32: [0x86, 4, 0xFFFFFFFF]
+};
+
+// FIT profile values used below
+const FIT_SPORT_ROWING = 15;
+const FIT_SPORTS = { sweep: FIT_SPORT_ROWING, kayak: 41, outrigger: 19, dragonboat: 19 };  // Sport preset -> FIT sport (19 = paddling)
+const FIT_SUB_SPORT_INDOOR_ROWING = 14;
+const FIT_EVENT = { timer: 0, session: 8, lap: 9, activity: 26 };
+const FIT_EVENT_TYPE = { start: 0, stop: 1, stopAll: 4 };
+
+// Message layouts: global message number plus [field number, base type, name]
+const FIT_MESSAGES = {
+    fileId: { global: 0, fields: [[0, 'enum', 'type'], [1, 'uint16', 'manufacturer'], [2, 'uint16', 'product'], [4, 'uint32', 'timeCreated']] },
+    event: { global: 21, fields: [[253, 'uint32', 'timestamp'], [0, 'enum', 'event'], [1, 'enum', 'eventType']] },
+    record: { global: 20, fields: [[253, 'uint32', 'timestamp'], [0, 'sint32', 'lat'], [1, 'sint32', 'lng'], [5, 'uint32', 'distance'], [6, 'uint16', 'speed'], [4, 'uint8', 'cadence'], [3, 'uint8', 'heartRate']] },
+    lap: { global: 19, fields: [[253, 'uint32', 'timestamp'], [254, 'uint16', 'messageIndex'], [0, 'enum', 'event'], [1, 'enum', 'eventType'], [2, 'uint32', 'startTime'], [7, 'uint32', 'totalElapsedTime'], [8, 'uint32', 'totalTimerTime'], [9, 'uint32', 'totalDistance'], [10, 'uint32', 'totalCycles'], [13, 'uint16', 'avgSpeed'], [14, 'uint16', 'maxSpeed'], [15, 'uint8', 'avgHeartRate'], [16, 'uint8', 'maxHeartRate'], [17, 'uint8', 'avgCadence'], [25, 'enum', 'sport']] },
+    session: { global: 18, fields: [[253, 'uint32', 'timestamp'], [254, 'uint16', 'messageIndex'], [0, 'enum', 'event'], [1, 'enum', 'eventType'], [2, 'uint32', 'startTime'], [5, 'enum', 'sport'], [6, 'enum', 'subSport'], [7, 'uint32', 'totalElapsedTime'], [8, 'uint32', 'totalTimerTime'], [9, 'uint32', 'totalDistance'], [10, 'uint32', 'totalCycles'], [14, 'uint16', 'avgSpeed'], [15, 'uint16', 'maxSpeed'], [16, 'uint8', 'avgHeartRate'], [17, 'uint8', 'maxHeartRate'], [18, 'uint8', 'avgCadence'], [25, 'uint16', 'firstLapIndex'], [26, 'uint16', 'numLaps']] },
+    activity: { global: 34, fields: [[253, 'uint32', 'timestamp'], [0, 'uint32', 'totalTimerTime'], [1, 'uint16', 'numSessions'], [2, 'enum', 'type'], [3, 'enum', 'event'], [4, 'enum', 'eventType']] }
+};
+
+/**
+ * Computes the FIT CRC-16 over a byte range
+ * @param {Uint8Array} bytes - Data to check
+ * @param {Number} start - First byte
+ * @param {Number} end - One past the last byte
+ * @returns {Number} CRC value
+ */
+function fitCrc(bytes, start, end) {
+    const table = [
+        0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+        0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+    ];
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        const byte = bytes[i];
+        let tmp = table[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ table[byte & 0xF];
+        tmp = table[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ table[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+/**
+ * Converts degrees to FIT semicircles
+ * @param {Number} degrees - Latitude or longitude
+ * @returns {Number} Semicircles
+ */
+function toSemicircles(degrees) {
+    return Math.round(degrees * (Math.pow(2, 31) / 180));
+}
+
+/**
+ * Converts a JavaScript timestamp (ms) to a FIT timestamp (s since FIT epoch)
+ * @param {Number} ms - Milliseconds since 1970
+ * @returns {Number} FIT timestamp
+ */
+function toFitTime(ms) {
+    return Math.round(ms / 1000) - FIT_EPOCH_OFFSET;
+}
+
+/**
+ * Builds a binary FIT activity from a saved workout
+ * Contains file_id, timer events, one record per GPS point (with cadence,
+ * speed, distance and heart rate), one lap message per lap, a session (rowing,
+ * kayaking or paddling, from the sport preset) and the closing activity message
+ * @param {Object} workout - Saved workout record
+ * @returns {Uint8Array} FIT file bytes
+ */
+function buildFit(workout) {
+    const streams = getExportStreams(workout);
+    const sport = FIT_SPORTS[workout.sport] || FIT_SPORT_ROWING;    // Rowing for workouts saved before sport presets
+
+    const body = [];           // Data bytes (everything between header and CRC)
+    const localTypes = {};     // Message name -> local message type already defined
+
+    // Writes a value as little-endian bytes (missing values use the FIT "invalid" marker)
+    const writeValue = (typeName, value) => {
+        const [, size, invalid] = FIT_TYPES[typeName];
+        let v = (value === null || value === undefined || Number.isNaN(value)) ? invalid : Math.round(value);
+        if (typeName === 'sint32' && v < 0) v = v >>> 0;
+        for (let i = 0; i < size; i++) {
+            body.push(v & 0xFF);
+            v = Math.floor(v / 256);
+        }
+    };
+
+    // Writes a message, emitting its definition the first time it is used
+    const writeMessage = (name, values) => {
+        const message = FIT_MESSAGES[name];
+        if (!(name in localTypes)) {
+            const localType = Object.keys(localTypes).length;
+            localTypes[name] = localType;
+            body.push(0x40 | localType, 0, 0, message.global & 0xFF, message.global >> 8, message.fields.length);
+            message.fields.forEach(([num, typeName]) => {
+                const [baseType, size] = FIT_TYPES[typeName];
+                body.push(num, size, baseType);
+            });
+        }
+        body.push(localTypes[name]);
+        message.fields.forEach(([, typeName, field]) => writeValue(typeName, values[field]));
+    };
+
+    const laps = getExportLaps(workout);
+    const sessionStart = laps[0].startTime;
+    const sessionEnd = laps[laps.length - 1].endTime;
+    const startTime = toFitTime(sessionStart);
+    const endTime = toFitTime(sessionEnd);
+
+    writeMessage('fileId', { type: 4, manufacturer: 255, product: 0, timeCreated: startTime });
+    writeMessage('event', { timestamp: startTime, event: FIT_EVENT.timer, eventType: FIT_EVENT_TYPE.start });
+
+    // One record per GPS point
+    workout.track.forEach((point, i) => {
+        writeMessage('record', {
+            timestamp: toFitTime(point.timestamp),
+            lat: point.lat !== null ? toSemicircles(point.lat) : null,   // None on an erg
+            lng: point.lng !== null ? toSemicircles(point.lng) : null,
+            distance: streams.distances[i] * 100,       // scale 100 (cm)
+            speed: streams.speeds[i] * 1000,            // scale 1000 (mm/s)
+            cadence: Math.min(streams.cadences[i], 254),
+            heartRate: point.heartRate > 0 ? Math.min(point.heartRate, 254) : null
+        });
+    });
+
+    writeMessage('event', { timestamp: endTime, event: FIT_EVENT.timer, eventType: FIT_EVENT_TYPE.stopAll });
+
+    // Laps
+    laps.forEach((lap, index) => {
+        const stats = getLapStats(workout, lap, streams);
+        writeMessage('lap', {
+            timestamp: toFitTime(lap.endTime),
+            messageIndex: index,
+            event: FIT_EVENT.lap,
+            eventType: FIT_EVENT_TYPE.stop,
+            startTime: toFitTime(lap.startTime),
+            totalElapsedTime: stats.duration * 1000,
+            totalTimerTime: stats.duration * 1000,
+            totalDistance: stats.distance * 100,
+            totalCycles: stats.strokeCount,
+            avgSpeed: stats.avgSpeed * 1000,
+            maxSpeed: stats.maxSpeed * 1000,
+            avgHeartRate: stats.heartRate ? stats.heartRate.avg : null,
+            maxHeartRate: stats.heartRate ? stats.heartRate.max : null,
+            avgCadence: stats.avgCadence,
+            sport: sport
+        });
+    });
+
+    // Session covering the whole workout
+    const duration = (sessionEnd - sessionStart) / 1000;
+    const total = getLapStats(workout, { startTime: sessionStart, endTime: sessionEnd }, streams);
+    writeMessage('session', {
+        timestamp: endTime,
+        messageIndex: 0,
+        event: FIT_EVENT.session,
+        eventType: FIT_EVENT_TYPE.stop,
+        startTime: startTime,
+        sport: sport,
+        subSport: workout.strokeRateMethod === 'erg' && sport === FIT_SPORT_ROWING ? FIT_SUB_SPORT_INDOOR_ROWING : 0,
+        totalElapsedTime: duration * 1000,
+        totalTimerTime: duration * 1000,
+        totalDistance: total.distance * 100,
+        totalCycles: total.strokeCount,
+        avgSpeed: total.avgSpeed * 1000,
+        maxSpeed: total.maxSpeed * 1000,
+        avgHeartRate: total.heartRate ? total.heartRate.avg : null,
+        maxHeartRate: total.heartRate ? total.heartRate.max : null,
+        avgCadence: total.avgCadence,
+        firstLapIndex: 0,
+        numLaps: laps.length
+    });
+
+    writeMessage('activity', {
+        timestamp: endTime,
+        totalTimerTime: duration * 1000,
+        numSessions: 1,
+        type: 0,
+        event: FIT_EVENT.activity,
+        eventType: FIT_EVENT_TYPE.stop
+    });
+
+    // Assemble header (14 bytes) + data + file CRC (2 bytes)
+    const headerSize = 14;
+    const bytes = new Uint8Array(headerSize + body.length + 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, headerSize);
+    view.setUint8(1, 0x20);                  // Protocol version 2.0
+    view.setUint16(2, 2132, true);           // Profile version 21.32
+    view.setUint32(4, body.length, true);    // Data size
+    bytes.set([0x2E, 0x46, 0x49, 0x54], 8);  // ".FIT"
+    view.setUint16(12, fitCrc(bytes, 0, 12), true);
+    bytes.set(body, headerSize);
+    view.setUint16(headerSize + body.length, fitCrc(bytes, 0, headerSize + body.length), true);
+
+    return bytes;
+}
+
+/* =============================================================================
+ * DOWNLOAD
+ * ============================================================================= */
+
+/**
+ * Exports a workout and downloads the file
+ * @param {Object} workout - Saved workout record
+ * @param {String} format - 'gpx', 'tcx' or 'fit'
+ */
+function downloadWorkout(workout, format) {
+    const exporters = {
+        gpx: { build: buildGpx, type: 'application/gpx+xml' },
+        tcx: { build: buildTcx, type: 'application/vnd.garmin.tcx+xml' },
+        fit: { build: buildFit, type: 'application/vnd.ant.fit' }
+    };
+    const exporter = exporters[format];
+    if (!exporter) throw new Error('Unknown export format: ' + format);
+
+    const fileName = `speedcox-${getFileTimestamp(workout.startTime)}.${format}`;
+    downloadFile(exporter.build(workout), exporter.type, fileName);
+
+    console.log(`📤 Exported ${workout.track.length} GPS points as ${fileName}`);
+}
@@ -0,0 +1,100 @@
+/**
+ * Speedcox - Stroke Rate Fusion
+ * Combines the GPS speed-peak and motion sensor stroke detectors into one
+ * stroke rate with a confidence value
+ *
+ * Each source's rate comes from the spacing of its recent strokes. A source
+ * whose strokes arrive at a steady rhythm gets more weight than one whose
+ * intervals jump around (missed or doubled strokes), and a source that has
+ * stopped reporting drops out until it recovers.
+ */
+
+const FUSION_WINDOW = 15000;            // ms of recent strokes used for each source
+const FUSION_MIN_INTERVALS = 2;         // Intervals needed before a source is used
+const FUSION_DISAGREEMENT_SPM = 3;      // Sources further apart than this are flagged
+const FUSION_RATE_VARIANCE_FLOOR = 1;   // SPM² - stops a perfectly steady source taking all the weight
+
+/* =============================================================================
+ * PER-SOURCE ESTIMATES
+ * ============================================================================= */
+
+/**
+ * Estimates the stroke rate from one source's recent strokes
+ * @param {Array} strokes - Stroke events {timestamp, source} from that source, oldest first
+ * @param {Number} now - Current time (ms)
+ * @returns {Object|null} {rate, variance, consistency, count}, or null if the
+ *          source has too few recent strokes or has gone quiet
+ */
+function estimateSourceRate(strokes, now) {
+    const recent = strokes.filter(s => s.timestamp > now - FUSION_WINDOW && s.timestamp <= now);
+    if (recent.length < FUSION_MIN_INTERVALS + 1) return null;
+
+    const rates = [];
+    for (let i = 1; i < recent.length; i++) {
+        const interval = (recent[i].timestamp - recent[i - 1].timestamp) / 1000;
+        if (interval > 0) rates.push(60 / interval);
+    }
+    if (rates.length < FUSION_MIN_INTERVALS) return null;
+
+    // Median is robust to a single missed or doubled stroke
+    const sorted = rates.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const rate = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+    // A source that hasn't seen a stroke for 2.5 intervals has dropped out
+    const lastStroke = recent[recent.length - 1].timestamp;
+    if (now - lastStroke > 2.5 * 60000 / rate) return null;
+
+    const spread = rates.reduce((sum, r) => sum + Math.pow(r - rate, 2), 0) / rates.length;
+
+    return {
+        rate: rate,
+        variance: (spread + FUSION_RATE_VARIANCE_FLOOR) / rates.length,   // Uncertainty of the rate itself
+        consistency: Math.max(0, 1 - Math.sqrt(spread) / (rate * 0.25)),  // 1 = metronome, 0 = ±25% or worse
+        count: rates.length
+    };
+}
+
+/* =============================================================================
+ * FUSION
+ * ============================================================================= */
+
+/**
+ * Combines the two sources into one stroke rate
+ *
+ * HOW IT WORKS:
+ * 1. Each source is weighted by 1 / variance of its rate, so the steadier
+ *    and better-sampled source counts for more
+ * 2. With only one source live, its rate is used as it is
+ * 3. Confidence starts from the sources' consistency and is halved when the
+ *    two sources disagree by more than FUSION_DISAGREEMENT_SPM
+ *
+ * @param {Array} strokeEvents - Stroke events {timestamp, source} from both detectors
+ * @param {Number} now - Current time (ms)
+ * @returns {Object|null} {rate, confidence (0-1), disagreement, gpsRate, motionRate},
+ *          or null if neither source has a rate yet
+ */
+export function fuseStrokeRates(strokeEvents, now) {
+    const gps = estimateSourceRate(strokeEvents.filter(s => s.source === 'gps'), now);
+    const motion = estimateSourceRate(strokeEvents.filter(s => s.source === 'motion'), now);
+    if (!gps && !motion) return null;
+
+    const live = [gps, motion].filter(Boolean);
+    const totalWeight = live.reduce((sum, s) => sum + 1 / s.variance, 0);
+    const rate = live.reduce((sum, s) => sum + s.rate / s.variance, 0) / totalWeight;
+    let confidence = live.reduce((sum, s) => sum + s.consistency / s.variance, 0) / totalWeight;
+
+    // A handful of intervals is not much evidence yet
+    confidence *= Math.min(1, live.reduce((sum, s) => sum + s.count, 0) / 6);
+
+    const disagreement = Boolean(gps && motion && Math.abs(gps.rate - motion.rate) > FUSION_DISAGREEMENT_SPM);
+    if (disagreement) confidence *= 0.5;
+
+    return {
+        rate: rate,
+        confidence: confidence,
+        disagreement: disagreement,
+        gpsRate: gps ? gps.rate : null,
+        motionRate: motion ? motion.rate : null
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * Speedcox - Raw Sensor Recorder
+ * Captures the devicemotion and geolocation streams exactly as the app
+ * receives them, so an outing can be replayed later through the real
+ * detection pipeline
+ */
+
+/* =============================================================================
+ * RECORDING STATE
+ * ============================================================================= */
+
+const SENSOR_LOG_FORMAT = 'speedcox-sensor-log';  // Marker checked on import
+const SENSOR_LOG_VERSION = 1;
+
+let sensorLog = null;           // Log being recorded (null when not recording)
+
+/**
+ * Starts a new sensor log
+ * @param {Number} startTime - Workout start timestamp (ms)
+ * @param {String} method - Stroke rate method selected at start
+ */
+function startSensorRecording(startTime, method) {
+    sensorLog = {
+        format: SENSOR_LOG_FORMAT,
+        version: SENSOR_LOG_VERSION,
+        startTime: startTime,
+        strokeRateMethod: method,
+        userAgent: navigator.userAgent,
+        motion: [],
+        gps: []
+    };
+    console.log('⏺️ Sensor recording started');
+}
+
+/**
+ * Converts an {x, y, z} style sensor reading to a compact array
+ * @param {Object} reading - Sensor reading (may be null)
+ * @param {Array<String>} keys - Property names to keep
+ * @returns {Array<Number>|null} Values in key order, or null if missing
+ */
+function compactReading(reading, keys) {
+    if (!reading || reading[keys[0]] === null || reading[keys[0]] === undefined) return null;
+    return keys.map(key => reading[key]);
+}
+
+/**
+ * Records one devicemotion event
+ * @param {DeviceMotionEvent} event - Raw motion event
+ * @param {Number} timestamp - When the app received it (ms)
+ */
+function recordMotionSample(event, timestamp) {
+    if (!sensorLog) return;
+
+    sensorLog.motion.push({
+        t: timestamp,
+        ig: compactReading(event.accelerationIncludingGravity, ['x', 'y', 'z']),
+        a: compactReading(event.acceleration, ['x', 'y', 'z']),
+        r: compactReading(event.rotationRate, ['alpha', 'beta', 'gamma']),
+        interval: event.interval
+    });
+}
+
+/**
+ * Records one geolocation fix
+ * @param {Position} position - Raw position from watchPosition
+ * @param {Number} timestamp - When the app received it (ms)
+ */
+function recordGpsSample(position, timestamp) {
+    if (!sensorLog) return;
+
+    const coords = position.coords;
+    sensorLog.gps.push({
+        t: timestamp,
+        timestamp: position.timestamp,
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        accuracy: coords.accuracy,
+        altitude: coords.altitude,
+        altitudeAccuracy: coords.altitudeAccuracy,
+        heading: coords.heading,
+        speed: coords.speed
+    });
+}
+
+/**
+ * Ends the recording
+ * @param {Number} endTime - Workout stop timestamp (ms)
+ * @returns {Object|null} The finished log, or null if nothing was recording
+ */
+function finishSensorRecording(endTime) {
+    if (!sensorLog) return null;
+
+    const log = sensorLog;
+    log.endTime = endTime;
+    sensorLog = null;
+
+    console.log(`⏹️ Sensor recording finished: ${log.motion.length} motion samples, ${log.gps.length} GPS fixes`);
+    return log;
+}
+
+/* =============================================================================
+ * LOG FILES
+ * ============================================================================= */
+
+/**
+ * Downloads a sensor log as a JSON file
+ * @param {Object} log - Finished sensor log
+ */
+function downloadSensorLog(log) {
+    const fileName = `speedcox-sensors-${getFileTimestamp(log.startTime)}.json`;
+    downloadFile(JSON.stringify(log), 'application/json', fileName);
+}
+
+/**
+ * Parses and checks an imported sensor log file
+ * @param {String} text - File contents
+ * @returns {Object} Sensor log
+ * @throws {Error} If the file is not a Speedcox sensor log
+ */
+function parseSensorLog(text) {
+    let log;
+    try {
+        log = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (!log || log.format !== SENSOR_LOG_FORMAT) {
+        throw new Error('File is not a Speedcox sensor log');
+    }
+    if (log.version > SENSOR_LOG_VERSION) {
+        throw new Error(`Sensor log version ${log.version} is newer than this app supports`);
+    }
+    if (!Array.isArray(log.motion) || !Array.isArray(log.gps) || typeof log.startTime !== 'number') {
+        throw new Error('Sensor log is missing data');
+    }
+
+    return log;
+}
@@ -0,0 +1,209 @@
+/**
+ * Speedcox - GPS Speed Filter
+ * Kalman filter over GPS fixes that gives a smooth, low-lag boat speed and
+ * distance without the drift that raw fixes show when the boat is still
+ *
+ * The boat is modelled as moving at constant velocity in a flat local frame
+ * (x east, y north, meters). Each fix corrects the position, weighted by the
+ * fix's reported accuracy, and the Doppler speed the phone reports (when it
+ * has one) corrects the velocity directly. Between fixes the boat-axis surge
+ * from the motion sensor, when available, pushes the velocity along the
+ * direction of travel.
+ */
+
+const FILTER_EARTH_RADIUS = 6371000;      // meters (same as calculateDistance)
+const FILTER_ACCEL_NOISE = 0.25;          // (m/s²)² - how fast the boat speed can change
+const FILTER_SURGE_ACCEL_NOISE = 0.05;    // (m/s²)² - smaller when the surge is measured
+const FILTER_DEFAULT_ACCURACY = 10;       // meters, for fixes without an accuracy
+const FILTER_DOPPLER_NOISE = 0.3;         // m/s - accuracy of the phone's own speed
+const FILTER_LAST_SPEED_AGE = 3000;       // ms the last speed stands in for an empty split window (about one fix interval)
+
+/* =============================================================================
+ * FILTER STATE
+ * ============================================================================= */
+
+/**
+ * Creates an empty speed filter (it starts at the first fix)
+ * @returns {Object} Filter state for updateSpeedFilter()
+ */
+export function createSpeedFilter() {
+    return {
+        origin: null,           // {lat, lng} of the first fix - local frame origin
+        axes: null,             // Per-axis state {p, v, P: [[pp, pv], [pv, vv]]} for x and y
+        timestamp: null,        // Time the state refers to (ms)
+        surgeUsed: false        // Surge drove the last prediction (lower process noise)
+    };
+}
+
+/**
+ * Converts a latitude/longitude to meters from the filter's origin
+ * @param {Object} origin - {lat, lng}
+ * @param {Number} lat - Latitude
+ * @param {Number} lng - Longitude
+ * @returns {Array<Number>} [x east, y north] in meters
+ */
+export function toLocalMeters(origin, lat, lng) {
+    const toRad = Math.PI / 180;
+    return [
+        FILTER_EARTH_RADIUS * (lng - origin.lng) * toRad * Math.cos(origin.lat * toRad),
+        FILTER_EARTH_RADIUS * (lat - origin.lat) * toRad
+    ];
+}
+
+/* =============================================================================
+ * KALMAN STEPS - x and y are filtered independently (state: position, velocity)
+ * ============================================================================= */
+
+/**
+ * Moves one axis forward in time
+ * @param {Object} axis - {p, v, P}
+ * @param {Number} dt - Seconds
+ * @param {Number} accel - Known acceleration along this axis (m/s²)
+ * @param {Number} q - Acceleration noise ((m/s²)²)
+ */
+function predictAxis(axis, dt, accel, q) {
+    axis.p += axis.v * dt + 0.5 * accel * dt * dt;
+    axis.v += accel * dt;
+
+    const [[pp, pv], [, vv]] = axis.P;
+    const npp = pp + 2 * dt * pv + dt * dt * vv + q * Math.pow(dt, 4) / 4;
+    const npv = pv + dt * vv + q * Math.pow(dt, 3) / 2;
+    const nvv = vv + q * dt * dt;
+    axis.P = [[npp, npv], [npv, nvv]];
+}
+
+/**
+ * Corrects one axis with a measurement of its position (index 0) or velocity (index 1)
+ * @param {Object} axis - {p, v, P}
+ * @param {Number} index - 0 for position, 1 for velocity
+ * @param {Number} value - Measured value
+ * @param {Number} variance - Measurement variance
+ */
+function correctAxis(axis, index, value, variance) {
+    const P = axis.P;
+    const innovation = value - (index === 0 ? axis.p : axis.v);
+    const s = P[index][index] + variance;
+    const k0 = P[0][index] / s;
+    const k1 = P[1][index] / s;
+
+    axis.p += k0 * innovation;
+    axis.v += k1 * innovation;
+
+    const h0 = P[index][0];
+    const h1 = P[index][1];
+    axis.P = [
+        [P[0][0] - k0 * h0, P[0][1] - k0 * h1],
+        [P[1][0] - k1 * h0, P[1][1] - k1 * h1]
+    ];
+}
+
+/**
+ * Advances the filter to a time, optionally pushed by a measured surge
+ * @param {Object} filter - Filter state
+ * @param {Number} timestamp - Time to advance to (ms)
+ * @param {Number} surge - Acceleration along the direction of travel (m/s², 0 if unknown)
+ */
+export function advanceSpeedFilter(filter, timestamp, surge = 0) {
+    if (!filter.axes || timestamp <= filter.timestamp) return;
+
+    const dt = (timestamp - filter.timestamp) / 1000;
+    const [x, y] = filter.axes;
+    const speed = Math.hypot(x.v, y.v);
+
+    // Surge only has a direction once the boat is moving
+    const useSurge = surge !== 0 && speed > 0.5;
+    const ax = useSurge ? surge * x.v / speed : 0;
+    const ay = useSurge ? surge * y.v / speed : 0;
+    const q = useSurge ? FILTER_SURGE_ACCEL_NOISE : FILTER_ACCEL_NOISE;
+
+    predictAxis(x, dt, ax, q);
+    predictAxis(y, dt, ay, q);
+    filter.timestamp = timestamp;
+    filter.surgeUsed = useSurge;
+}
+
+/**
+ * Feeds one GPS fix into the filter
+ * @param {Object} filter - Filter state
+ * @param {Position} position - GPS position object from browser
+ * @returns {Object} {speed, speedStdDev} - filtered speed (m/s) and its uncertainty
+ */
+export function updateSpeedFilter(filter, position) {
+    const coords = position.coords;
+    const accuracy = coords.accuracy > 0 ? coords.accuracy : FILTER_DEFAULT_ACCURACY;
+
+    if (!filter.axes) {
+        // First fix - start at rest with a wide velocity uncertainty
+        filter.origin = { lat: coords.latitude, lng: coords.longitude };
+        filter.axes = [0, 1].map(() => ({ p: 0, v: 0, P: [[accuracy * accuracy, 0], [0, 4]] }));
+        filter.timestamp = position.timestamp;
+    } else {
+        advanceSpeedFilter(filter, position.timestamp);
+    }
+
+    // Position correction, trusted according to the fix's accuracy
+    const [mx, my] = toLocalMeters(filter.origin, coords.latitude, coords.longitude);
+    const [x, y] = filter.axes;
+    correctAxis(x, 0, mx, accuracy * accuracy);
+    correctAxis(y, 0, my, accuracy * accuracy);
+
+    // Doppler velocity correction - a reported 0 needs no heading and pins the boat at rest
+    const doppler = FILTER_DOPPLER_NOISE * FILTER_DOPPLER_NOISE;
+    if (coords.speed === 0) {
+        correctAxis(x, 1, 0, doppler);
+        correctAxis(y, 1, 0, doppler);
+    } else if (coords.speed > 0 && Number.isFinite(coords.heading)) {
+        const heading = coords.heading * Math.PI / 180;  // Clockwise from north
+        correctAxis(x, 1, coords.speed * Math.sin(heading), doppler);
+        correctAxis(y, 1, coords.speed * Math.cos(heading), doppler);
+    }
+
+    return getFilteredSpeed(filter);
+}
+
+/**
+ * Current filtered speed
+ * @param {Object} filter - Filter state
+ * @returns {Object} {speed, speedStdDev} in m/s (0 before the first fix)
+ */
+export function getFilteredSpeed(filter) {
+    if (!filter.axes) return { speed: 0, speedStdDev: 0 };
+    const [x, y] = filter.axes;
+    return {
+        speed: Math.hypot(x.v, y.v),
+        speedStdDev: Math.sqrt((x.P[1][1] + y.P[1][1]) / 2)
+    };
+}
+
+/**
+ * Current filtered position
+ * @param {Object} filter - Filter state
+ * @returns {Array<Number>|null} [x east, y north] in meters from the first fix, or null before it
+ */
+export function getFilteredPosition(filter) {
+    return filter.axes ? [filter.axes[0].p, filter.axes[1].p] : null;
+}
+
+/* =============================================================================
+ * SPLIT SMOOTHING
+ * ============================================================================= */
+
+/**
+ * Average speed over the split smoothing window
+ * @param {Array} speeds - {speed, timestamp} filtered speeds, oldest first
+ * @param {Number} now - Current time (ms)
+ * @param {Number} windowSeconds - Smoothing window (1, 5 or 10 s)
+ * @returns {Number|null} Speed in m/s, or null without recent speeds
+ */
+export function getWindowSpeed(speeds, now, windowSeconds) {
+    if (speeds.length === 0) return null;
+
+    const recent = speeds.filter(s => s.timestamp > now - windowSeconds * 1000);
+    if (recent.length === 0) {
+        // Window shorter than the fix interval - but once fixes stop coming
+        // the last speed is stale, not the boat's speed
+        const last = speeds[speeds.length - 1];
+        return now - last.timestamp <= FILTER_LAST_SPEED_AGE ? last.speed : null;
+    }
+    return recent.reduce((sum, s) => sum + s.speed, 0) / recent.length;
+}
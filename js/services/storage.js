@@ -0,0 +1,262 @@
+/**
+ * Speedcox - Workout Storage Service
+ * Saves finished workouts to IndexedDB so sessions survive a page reload
+ * Also loaded by the service worker (sw.js), so only `self` is used, never `window`
+ */
+
+/* =============================================================================
+ * DATABASE SETUP
+ * ============================================================================= */
+
+const STORAGE_DB_NAME = 'speedcox';      // IndexedDB database name
+const STORAGE_DB_VERSION = 3;            // Bump when the object stores change
+const WORKOUT_STORE = 'workouts';        // Object store holding saved sessions
+const UPLOAD_STORE = 'uploads';          // Object store holding workouts waiting to upload
+const CHECKPOINT_STORE = 'checkpoint';   // Object store holding the live workout's latest checkpoint
+const CHECKPOINT_KEY = 'live';           // The single checkpoint record's key
+
+let workoutDbPromise = null;             // Shared connection (opened on first use)
+
+/**
+ * Opens (or creates) the workout database
+ * The connection is opened once and reused for every later call, and
+ * closed when another tab or the service worker needs to upgrade it
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openWorkoutDatabase() {
+    if (workoutDbPromise) return workoutDbPromise;
+
+    workoutDbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in self)) {
+            reject(new Error('IndexedDB not supported by this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+
+        // First run (or version bump) - create the object stores
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(WORKOUT_STORE)) {
+                const store = db.createObjectStore(WORKOUT_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('startTime', 'startTime');
+            }
+            if (!db.objectStoreNames.contains(UPLOAD_STORE)) {
+                db.createObjectStore(UPLOAD_STORE, { keyPath: 'workoutId' });
+            }
+            if (!db.objectStoreNames.contains(CHECKPOINT_STORE)) {
+                db.createObjectStore(CHECKPOINT_STORE);
+            }
+        };
+
+        // Another tab (or the service worker) still has the old version open
+        // and didn't close it - fail now rather than leave every caller waiting
+        let blocked = false;
+        request.onblocked = () => {
+            blocked = true;
+            reject(new Error('Speedcox is open in another tab - close it and reload this page'));
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            if (blocked) {
+                db.close();     // Opened after all, but the caller has been told it failed - the next call reopens
+                return;
+            }
+
+            // A newer version of the app wants to upgrade - step aside so it isn't blocked
+            db.onversionchange = () => {
+                db.close();
+                workoutDbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call if opening failed
+    workoutDbPromise.catch(() => { workoutDbPromise = null; });
+
+    return workoutDbPromise;
+}
+
+/**
+ * Runs a single request against one object store
+ * @param {String} storeName - WORKOUT_STORE, UPLOAD_STORE or CHECKPOINT_STORE
+ * @param {String} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+function runStoreRequest(storeName, mode, operation) {
+    return openWorkoutDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        // Resolve once the transaction commits so writes are really on disk
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Runs a single request against the workout store
+ * @param {String} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+function runWorkoutRequest(mode, operation) {
+    return runStoreRequest(WORKOUT_STORE, mode, operation);
+}
+
+/* =============================================================================
+ * WORKOUT RECORDS
+ * ============================================================================= */
+
+/**
+ * Saves a finished workout
+ * @param {Object} workout - Workout record (summary, track, strokes, speeds)
+ * @returns {Promise<Number>} ID of the saved workout
+ */
+function saveWorkout(workout) {
+    return runWorkoutRequest('readwrite', store => store.add(workout));
+}
+
+/**
+ * Replaces an existing workout record (same id)
+ * @param {Object} workout - Full workout record including its id
+ * @returns {Promise<Number>} ID of the updated workout
+ */
+function updateWorkout(workout) {
+    return runWorkoutRequest('readwrite', store => store.put(workout));
+}
+
+/**
+ * Loads one saved workout
+ * @param {Number} id - Workout ID
+ * @returns {Promise<Object|undefined>} Workout record, or undefined if missing
+ */
+function getWorkout(id) {
+    return runWorkoutRequest('readonly', store => store.get(id));
+}
+
+/**
+ * Loads every saved workout, newest first
+ * @returns {Promise<Array>} Workout records
+ */
+function getAllWorkouts() {
+    return runWorkoutRequest('readonly', store => store.index('startTime').getAll())
+        .then(workouts => workouts.reverse());
+}
+
+/**
+ * Gives a saved workout a new name
+ * @param {Number} id - Workout ID
+ * @param {String} name - New display name
+ * @returns {Promise<Object>} Updated workout record
+ */
+function renameWorkout(id, name) {
+    return getWorkout(id).then(workout => {
+        if (!workout) throw new Error(`Workout ${id} not found`);
+        workout.name = name;
+        return updateWorkout(workout).then(() => workout);
+    });
+}
+
+/**
+ * Permanently removes a saved workout
+ * @param {Number} id - Workout ID
+ * @returns {Promise<void>}
+ */
+function deleteWorkout(id) {
+    return runWorkoutRequest('readwrite', store => store.delete(id));
+}
+
+/* =============================================================================
+ * UPLOAD QUEUE
+ * ============================================================================= */
+
+/**
+ * Adds (or replaces) a workout in the upload queue
+ * @param {Object} entry - {workoutId, endpoint, queuedAt, attempts, lastError, sendingSince}
+ * @returns {Promise<Number>} Workout ID
+ */
+function putPendingUpload(entry) {
+    return runStoreRequest(UPLOAD_STORE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Loads every workout waiting to upload, oldest first
+ * @returns {Promise<Array>} Queue entries
+ */
+function getPendingUploads() {
+    return runStoreRequest(UPLOAD_STORE, 'readonly', store => store.getAll())
+        .then(entries => entries.sort((a, b) => a.queuedAt - b.queuedAt));
+}
+
+/**
+ * Marks a queued workout as being sent, unless a send is already under way
+ * The check and the mark are one transaction, so when the page and the
+ * service worker both go through the queue only one of them gets the entry
+ * @param {Number} workoutId - Workout ID
+ * @param {Number} staleAfter - ms after which an unfinished send is taken to have died
+ * @returns {Promise<Object|null>} The entry (now marked with sendingSince), or
+ *          null if it is gone or someone else is sending it
+ */
+function claimPendingUpload(workoutId, staleAfter) {
+    return openWorkoutDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(UPLOAD_STORE, 'readwrite');
+        const store = transaction.objectStore(UPLOAD_STORE);
+        const now = Date.now();
+        let claimed = null;
+
+        store.get(workoutId).onsuccess = event => {
+            const entry = event.target.result;
+            if (!entry || (entry.sendingSince && now - entry.sendingSince < staleAfter)) return;
+            claimed = { ...entry, sendingSince: now };
+            store.put(claimed);
+        };
+
+        transaction.oncomplete = () => resolve(claimed);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Removes a workout from the upload queue
+ * @param {Number} workoutId - Workout ID
+ * @returns {Promise<void>}
+ */
+function deletePendingUpload(workoutId) {
+    return runStoreRequest(UPLOAD_STORE, 'readwrite', store => store.delete(workoutId));
+}
+
+/* =============================================================================
+ * LIVE WORKOUT CHECKPOINT
+ * ============================================================================= */
+
+/**
+ * Saves the live workout's state, replacing the previous checkpoint
+ * @param {Object} checkpoint - State from buildWorkoutCheckpoint()
+ * @returns {Promise<String>} Checkpoint key
+ */
+function saveCheckpoint(checkpoint) {
+    return runStoreRequest(CHECKPOINT_STORE, 'readwrite', store => store.put(checkpoint, CHECKPOINT_KEY));
+}
+
+/**
+ * Loads the checkpoint of a workout that never stopped
+ * @returns {Promise<Object|undefined>} Checkpoint, or undefined if the last workout ended normally
+ */
+function getCheckpoint() {
+    return runStoreRequest(CHECKPOINT_STORE, 'readonly', store => store.get(CHECKPOINT_KEY));
+}
+
+/**
+ * Removes the checkpoint (the workout stopped normally, or was discarded)
+ * @returns {Promise<void>}
+ */
+function clearCheckpoint() {
+    return runStoreRequest(CHECKPOINT_STORE, 'readwrite', store => store.delete(CHECKPOINT_KEY));
+}
@@ -0,0 +1,247 @@
+/**
+ * Speedcox - Orientation-Aware Stroke Detection
+ * Detects strokes from surge (acceleration along the boat's direction of
+ * travel) instead of the raw acceleration magnitude, so heave and rolling
+ * in chop don't count as strokes
+ */
+
+/* =============================================================================
+ * VECTOR HELPERS - Sensor readings are [x, y, z] arrays in the phone's frame
+ * ============================================================================= */
+
+const STANDARD_GRAVITY = 9.80665;   // m/s²
+
+function vecDot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function vecScale(a, k) { return [a[0] * k, a[1] * k, a[2] * k]; }
+function vecSubtract(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+function vecLength(a) { return Math.sqrt(vecDot(a, a)); }
+function vecNormalize(a) { const len = vecLength(a); return len > 0 ? vecScale(a, 1 / len) : a; }
+function vecCross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * Converts a DeviceMotionEvent reading to an [x, y, z] array
+ * @param {Object|null} reading - {x, y, z} from the event (fields may be null)
+ * @returns {Array<Number>|null} Vector, or null if the browser didn't provide it
+ */
+export function toVector(reading) {
+    return (reading && reading.x !== null && reading.x !== undefined) ? [reading.x, reading.y, reading.z] : null;
+}
+
+/**
+ * Smoothing factor for an exponential moving average with a time constant
+ * Works at any sensor rate (60 Hz on iOS, often 50 or 100 Hz on Android)
+ * @param {Number} dt - Seconds since the previous sample
+ * @param {Number} tau - Time constant in seconds
+ * @returns {Number} Weight for the new sample (0-1)
+ */
+function emaWeight(dt, tau) {
+    return 1 - Math.exp(-dt / tau);
+}
+
+/* =============================================================================
+ * MOUNTING CALIBRATION - Gravity direction measured with the boat at rest
+ * ============================================================================= */
+
+/**
+ * Works out the phone's mounting from samples taken at rest
+ * @param {Array<Array<Number>>} samples - accelerationIncludingGravity readings [x, y, z]
+ * @returns {Object} {gravity: [x, y, z], noise} - noise is the spread of the
+ *          readings in m/s² (high means the phone moved during calibration)
+ * @throws {Error} If there are too few samples
+ */
+export function measureMounting(samples) {
+    if (samples.length < 30) throw new Error('Not enough motion samples - is the motion sensor enabled?');
+
+    const sum = samples.reduce((acc, s) => [acc[0] + s[0], acc[1] + s[1], acc[2] + s[2]], [0, 0, 0]);
+    const gravity = vecScale(sum, 1 / samples.length);
+
+    const spread = samples.reduce((acc, s) => acc + Math.pow(vecLength(vecSubtract(s, gravity)), 2), 0);
+    return { gravity: gravity, noise: Math.sqrt(spread / samples.length) };
+}
+
+/* =============================================================================
+ * SURGE DETECTOR
+ * ============================================================================= */
+
+/**
+ * Creates the state for the boat-axis stroke detector
+ * @param {Array<Number>|null} gravity - Calibrated gravity vector, or null to learn it on the water
+ * @param {Object} settings - Detector tuning (all optional)
+ * @returns {Object} Detector state for updateAxisDetector()
+ */
+export function createAxisDetector(gravity, settings = {}) {
+    return {
+        gravity: gravity ? gravity.slice() : null,  // Gravity in the phone's frame (tracked slowly)
+        axisCov: [0, 0, 0],             // Horizontal acceleration covariance [xx, xy, yy]
+        principal: null,                // Fore-aft axis, sign not yet decided
+        skew: 0,                        // Running third moment along that axis (decides the sign)
+        surge: 0,                       // Low-pass filtered surge (m/s²)
+        surgeEnergy: 0.25,              // Running mean of surge² (sets adaptive thresholds)
+        phase: 'recovery',              // 'recovery', 'catch' or 'drive'
+        catchTime: 0,                   // When the current catch started (ms)
+        lastTimestamp: null,
+        lastStrokeTime: 0,
+        intervals: [],                  // Recent stroke intervals (s) for the rate
+        minInterval: settings.minInterval || 1200,      // ms - 50 SPM
+        catchFactor: settings.catchFactor || 0.8,       // catch dip, in surge RMS
+        driveFactor: settings.driveFactor || 0.4,       // drive push, in surge RMS
+        minThreshold: settings.minThreshold || 0.3      // m/s² - ignore tiny movements at rest
+    };
+}
+
+/**
+ * Unit vectors spanning the horizontal plane (perpendicular to gravity)
+ * The first one starts from the phone's long (y) axis, which points along
+ * the boat for the usual portrait mount
+ * @param {Array<Number>} gravity - Gravity vector in the phone's frame
+ * @returns {Array<Array<Number>>} [u, v] horizontal unit vectors
+ */
+function getHorizontalBasis(gravity) {
+    const down = vecNormalize(gravity);
+    let reference = [0, 1, 0];
+    if (Math.abs(vecDot(reference, down)) > 0.9) reference = [1, 0, 0];  // Phone lying along the boat axis
+
+    const u = vecNormalize(vecSubtract(reference, vecScale(down, vecDot(reference, down))));
+    const v = vecCross(down, u);
+    return [u, v];
+}
+
+/**
+ * Works out the boat's fore-aft axis in the phone's frame
+ * The axis is the direction with the most horizontal acceleration (surge
+ * dominates a rowing boat). Its sign is kept continuous between samples so
+ * the running skew stays meaningful.
+ * @param {Object} state - Detector state
+ * @param {Array<Array<Number>>} basis - Horizontal unit vectors [u, v]
+ * @returns {Array<Number>} Unit vector along the boat (bow or stern)
+ */
+function updatePrincipalAxis(state, basis) {
+    const [u, v] = basis;
+    const [cxx, cxy, cyy] = state.axisCov;
+    const angle = 0.5 * Math.atan2(2 * cxy, cxx - cyy);
+
+    let axis = vecNormalize([
+        u[0] * Math.cos(angle) + v[0] * Math.sin(angle),
+        u[1] * Math.cos(angle) + v[1] * Math.sin(angle),
+        u[2] * Math.cos(angle) + v[2] * Math.sin(angle)
+    ]);
+    if (state.principal && vecDot(axis, state.principal) < 0) axis = vecScale(axis, -1);
+
+    state.principal = axis;
+    return axis;
+}
+
+/**
+ * Feeds one motion sample into the boat-axis detector
+ *
+ * HOW IT WORKS:
+ * 1. Remove gravity - use the sensor's own linear acceleration when the
+ *    browser provides it, otherwise subtract the tracked gravity vector
+ * 2. Project onto the boat's fore-aft axis to get surge
+ * 3. Look for the stroke pattern: the catch (sharp deceleration) followed
+ *    by the drive (acceleration) within a second
+ * 4. Rate comes from the time between catches, not from counting samples
+ *
+ * @param {Object} state - Detector state from createAxisDetector()
+ * @param {Object} sample - {timestamp, ig: [x, y, z], a: [x, y, z] | null}
+ * @returns {Object|null} {timestamp, rate} when a stroke completes, otherwise null
+ */
+export function updateAxisDetector(state, sample) {
+    const dt = state.lastTimestamp === null ? 0.016 : Math.max((sample.timestamp - state.lastTimestamp) / 1000, 0.001);
+    state.lastTimestamp = sample.timestamp;
+
+    // STEP 1: Gravity and linear acceleration
+    // (a phone that only reports linear acceleration is assumed to lie flat)
+    if (!sample.ig && !sample.a) return null;
+    if (!state.gravity) state.gravity = sample.ig ? sample.ig.slice() : [0, 0, STANDARD_GRAVITY];
+    let linear;
+    if (sample.a) {
+        linear = sample.a;
+        if (sample.ig) {
+            const measured = vecSubtract(sample.ig, sample.a);
+            const w = emaWeight(dt, 0.5);
+            state.gravity = state.gravity.map((g, i) => g + (measured[i] - g) * w);
+        }
+    } else {
+        const w = emaWeight(dt, 5.0); // Gravity changes slowly (5 s), strokes change fast
+        state.gravity = state.gravity.map((g, i) => g + (sample.ig[i] - g) * w);
+        linear = vecSubtract(sample.ig, state.gravity);
+    }
+
+    // STEP 2: Learn the fore-aft axis from horizontal acceleration (20 s memory)
+    const basis = getHorizontalBasis(state.gravity);
+    const hx = vecDot(linear, basis[0]);
+    const hy = vecDot(linear, basis[1]);
+    const wAxis = emaWeight(dt, 20);
+    state.axisCov[0] += (hx * hx - state.axisCov[0]) * wAxis;
+    state.axisCov[1] += (hx * hy - state.axisCov[1]) * wAxis;
+    state.axisCov[2] += (hy * hy - state.axisCov[2]) * wAxis;
+
+    // The catch is the biggest, sharpest dip in a stroke, so surge is
+    // negatively skewed - point the axis whichever way makes that true
+    const along = vecDot(linear, updatePrincipalAxis(state, basis));
+    state.skew += (Math.pow(along, 3) - state.skew) * wAxis;
+    const rawSurge = state.skew > 0 ? -along : along;
+
+    // Low-pass at ~4 Hz - keeps the catch, drops vibration
+    state.surge += (rawSurge - state.surge) * emaWeight(dt, 0.04);
+    state.surgeEnergy += (state.surge * state.surge - state.surgeEnergy) * emaWeight(dt, 5);
+
+    // STEP 3: Catch/drive pattern with thresholds scaled to how hard the crew is rowing
+    const rms = Math.sqrt(state.surgeEnergy);
+    const catchThreshold = -Math.max(state.minThreshold, state.catchFactor * rms);
+    const driveThreshold = Math.max(state.minThreshold / 2, state.driveFactor * rms);
+    const t = sample.timestamp;
+
+    if (state.phase === 'recovery') {
+        if (state.surge < catchThreshold && t - state.lastStrokeTime > state.minInterval) {
+            state.phase = 'catch';
+            state.catchTime = t;
+        }
+        return null;
+    }
+
+    if (state.phase === 'catch') {
+        if (state.surge > driveThreshold) {
+            // Catch followed by drive - this is a stroke
+            state.phase = 'drive';
+            return registerAxisStroke(state, state.catchTime);
+        }
+        if (t - state.catchTime > 1000) {
+            state.phase = 'recovery'; // A dip without a drive (wave, crab) - not a stroke
+        }
+        return null;
+    }
+
+    // Drive: the finish is where the boat stops accelerating
+    if (state.surge < 0) state.phase = 'recovery';
+    return null;
+}
+
+/**
+ * Books a detected stroke and updates the rate from recent intervals
+ * @param {Object} state - Detector state
+ * @param {Number} catchTime - Catch timestamp (ms)
+ * @returns {Object} {timestamp, rate}
+ */
+function registerAxisStroke(state, catchTime) {
+    if (state.lastStrokeTime > 0) {
+        const interval = (catchTime - state.lastStrokeTime) / 1000;
+
+        // More than 5 s means the crew stopped - start the rate afresh
+        if (interval < 5) {
+            state.intervals.push(interval);
+            if (state.intervals.length > 4) state.intervals.shift();
+        } else {
+            state.intervals = [];
+        }
+    }
+    state.lastStrokeTime = catchTime;
+
+    const meanInterval = state.intervals.length > 0
+        ? state.intervals.reduce((sum, i) => sum + i, 0) / state.intervals.length
+        : 0;
+    return { timestamp: catchTime, rate: meanInterval > 0 ? Math.round(60 / meanInterval) : 0 };
+}
@@ -0,0 +1,88 @@
+/**
+ * Speedcox - Telemetry Service
+ * WebSocket connection to a telemetry relay (see tools/telemetry-relay.js).
+ * Frames are live data, so nothing is queued: a frame sent while the link
+ * is down is dropped, and the link reconnects by itself.
+ */
+
+const TELEMETRY_RECONNECT_DELAY = 5000;         // ms between reconnection attempts
+const TELEMETRY_MAX_BUFFERED = 64 * 1024;       // Bytes - skip frames while a slow link catches up
+
+let telemetrySocket = null;         // Open (or opening) WebSocket, null when off
+let telemetryUrl = null;            // Relay the link should stay connected to
+let telemetryReconnectTimer = null;
+let telemetryStatusListener = null; // Called with 'connecting', 'connected', 'disconnected' or 'off'
+
+/**
+ * Connects to a relay and keeps the connection up until closeTelemetry()
+ * @param {String} url - ws:// or wss:// address of the relay
+ * @param {Function} onStatus - Called whenever the connection status changes
+ */
+function openTelemetry(url, onStatus) {
+    closeTelemetry();
+    telemetryUrl = url;
+    telemetryStatusListener = onStatus;
+    connectTelemetrySocket();
+}
+
+/**
+ * Opens the WebSocket (again)
+ */
+function connectTelemetrySocket() {
+    telemetryReconnectTimer = null;
+    telemetryStatusListener('connecting');
+
+    let socket;
+    try {
+        socket = new WebSocket(telemetryUrl);
+    } catch (error) {
+        console.log('Telemetry connection failed:', error.message);
+        scheduleTelemetryReconnect();
+        return;
+    }
+    telemetrySocket = socket;
+
+    socket.addEventListener('open', () => {
+        if (telemetrySocket === socket) telemetryStatusListener('connected');
+    });
+    socket.addEventListener('close', () => {
+        if (telemetrySocket !== socket) return;  // Closed on purpose
+        telemetrySocket = null;
+        scheduleTelemetryReconnect();
+    });
+}
+
+/**
+ * Tries again after a pause (the launch may just be out of Wi-Fi range)
+ */
+function scheduleTelemetryReconnect() {
+    telemetryStatusListener('disconnected');
+    telemetryReconnectTimer = setTimeout(connectTelemetrySocket, TELEMETRY_RECONNECT_DELAY);
+}
+
+/**
+ * Sends one frame
+ * @param {Object} frame - Frame to send as JSON
+ * @returns {Boolean} True if sent, false if the link is down or backed up
+ */
+function sendTelemetry(frame) {
+    const socket = telemetrySocket;
+    if (!socket || socket.readyState !== WebSocket.OPEN || socket.bufferedAmount > TELEMETRY_MAX_BUFFERED) return false;
+    socket.send(JSON.stringify(frame));
+    return true;
+}
+
+/**
+ * Closes the connection and stops reconnecting
+ * Frames already sent still go out before the socket closes
+ */
+function closeTelemetry() {
+    clearTimeout(telemetryReconnectTimer);
+    telemetryReconnectTimer = null;
+
+    const socket = telemetrySocket;
+    telemetrySocket = null;
+    if (socket) socket.close();
+    if (telemetryStatusListener) telemetryStatusListener('off');
+    telemetryUrl = null;
+}
@@ -0,0 +1,89 @@
+/**
+ * Speedcox - Workout Upload Service
+ * Sends finished workouts to the upload endpoint set in the Sync panel.
+ * Workouts wait in an IndexedDB queue until the upload succeeds, so a
+ * session rowed out of signal goes up once the phone is back online.
+ * Also loaded by the service worker (sw.js) to upload from Background Sync.
+ */
+
+const UPLOAD_SYNC_TAG = 'speedcox-upload';  // Background Sync tag (sw.js listens for it)
+const UPLOAD_SEND_TIMEOUT = 120000;         // ms before a send that never finished (page closed) may be retried
+
+/**
+ * Puts a saved workout in the upload queue
+ * @param {Number} workoutId - ID of the saved workout
+ * @param {String} endpoint - URL the workout is POSTed to
+ * @returns {Promise<Number>} Workout ID
+ */
+function queueWorkoutUpload(workoutId, endpoint) {
+    return putPendingUpload({
+        workoutId: workoutId,
+        endpoint: endpoint,
+        queuedAt: Date.now(),
+        attempts: 0,
+        lastError: null,
+        sendingSince: null          // When a page or the service worker started sending it
+    });
+}
+
+/**
+ * POSTs one workout as JSON
+ * @param {Object} workout - Workout record
+ * @param {String} endpoint - Upload URL
+ * @returns {Promise<void>} Rejects if the server doesn't accept it
+ * @throws {Error} On a network error or a non-2xx response
+ */
+function postWorkout(workout, endpoint) {
+    return fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(workout)
+    }).then(response => {
+        if (!response.ok) throw new Error(`Server answered ${response.status}`);
+    });
+}
+
+/**
+ * Uploads every queued workout, one at a time
+ * Each workout is marked as being sent before it goes, so the page and
+ * Background Sync never send the same one twice. A workout that fails
+ * stays queued with its error; one deleted from history since it was
+ * queued is dropped
+ * @returns {Promise<Object>} {uploaded, failed} counts - rejects if any upload
+ *          failed, so Background Sync tries again later
+ */
+function uploadPendingWorkouts() {
+    const result = { uploaded: 0, failed: 0 };
+
+    return getPendingUploads()
+        .then(entries => entries.reduce((chain, queued) => chain
+            .then(() => claimPendingUpload(queued.workoutId, UPLOAD_SEND_TIMEOUT))
+            .then(entry => {
+                if (!entry) return null;     // Already being sent from elsewhere
+
+                return getWorkout(entry.workoutId).then(workout => {
+                    if (!workout) return deletePendingUpload(entry.workoutId);
+
+                    return postWorkout(workout, entry.endpoint)
+                        .then(() => {
+                            result.uploaded++;
+                            return deletePendingUpload(entry.workoutId);
+                        })
+                        .catch(error => {
+                            result.failed++;
+                            entry.attempts++;
+                            entry.lastError = error.message;
+                            entry.sendingSince = null;
+                            return putPendingUpload(entry);
+                        });
+                });
+            }), Promise.resolve()))
+        .then(() => {
+            if (result.failed > 0) {
+                const error = new Error(`${result.failed} workout upload(s) failed`);
+                error.result = result;
+                throw error;
+            }
+            return result;
+        });
+}
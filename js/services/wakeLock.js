@@ -0,0 +1,64 @@
+/**
+ * Speedcox - Screen Wake Lock
+ * Keeps the screen on while a workout is running. The browser drops the
+ * lock whenever the page is hidden, so it is taken again when the page
+ * comes back into view.
+ */
+
+let wakeLock = null;            // Active WakeLockSentinel (null when not held)
+let wakeLockWanted = false;     // Should the screen stay on? (true while a workout runs)
+let wakeLockPending = false;    // A request is waiting for the browser (a second one would take a second lock)
+
+/**
+ * Asks the browser to keep the screen on
+ */
+function acquireWakeLock() {
+    if (!('wakeLock' in navigator) || wakeLock || wakeLockPending) return;
+
+    wakeLockPending = true;
+    navigator.wakeLock.request('screen')
+        .then(lock => {
+            wakeLockPending = false;
+
+            // The workout may have stopped while the request was pending
+            if (!wakeLockWanted) {
+                lock.release();
+                return;
+            }
+            wakeLock = lock;
+            lock.addEventListener('release', () => {
+                wakeLock = null;
+            });
+            console.log('💡 Screen wake lock on');
+        })
+        .catch(error => {
+            wakeLockPending = false;
+            console.log('Screen wake lock unavailable:', error.message);
+        });
+}
+
+/**
+ * Keeps the screen on until releaseWakeLock()
+ * Called from startWorkout() (the Start tap satisfies the browser's gesture rule)
+ */
+function requestWakeLock() {
+    wakeLockWanted = true;
+    acquireWakeLock();
+}
+
+/**
+ * Lets the screen turn off again
+ */
+function releaseWakeLock() {
+    wakeLockWanted = false;
+    if (wakeLock) {
+        wakeLock.release();
+        wakeLock = null;
+        console.log('💡 Screen wake lock off');
+    }
+}
+
+// Take the lock again after the phone was locked or the user switched apps
+document.addEventListener('visibilitychange', () => {
+    if (wakeLockWanted && document.visibilityState === 'visible') acquireWakeLock();
+});
@@ -0,0 +1,147 @@
+/**
+ * Speedcox - Canvas Line Chart
+ * Small line chart drawn straight onto a <canvas>, so the analysis view
+ * works offline without a charting library
+ */
+
+const CHART_PADDING = { left: 48, right: 10, top: 22, bottom: 22 };  // CSS pixels around the plot
+
+/**
+ * Rounds an axis step to 1, 2 or 5 times a power of ten
+ * @param {Number} span - Value range to cover
+ * @param {Number} count - Roughly how many ticks
+ * @returns {Number} Tick spacing
+ */
+function getNiceStep(span, count) {
+    const raw = span / count;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const fraction = raw / power;
+    return (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10) * power;
+}
+
+/**
+ * Value range to show, ignoring the odd wild point (2nd to 98th percentile)
+ * @param {Array<Number>} values - Values in view
+ * @returns {Array<Number>} [min, max], padded a little
+ */
+function getChartValueRange(values) {
+    if (values.length === 0) return [0, 1];
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    let min = sorted[Math.floor((sorted.length - 1) * 0.02)];
+    let max = sorted[Math.ceil((sorted.length - 1) * 0.98)];
+    if (max - min < 1e-6) {
+        min -= 1;
+        max += 1;
+    }
+    const pad = (max - min) * 0.08;
+    return [min - pad, max + pad];
+}
+
+/**
+ * Draws a line chart
+ * @param {HTMLCanvasElement} canvas - Target canvas (sized to its CSS box)
+ * @param {Object} options - Chart options
+ * @param {Array} options.points - {x, y} points, x rising
+ * @param {Array<Number>} options.xRange - [min, max] of the x axis
+ * @param {String} options.title - Label drawn in the corner
+ * @param {String} options.color - Line colour
+ * @param {Function} options.formatX - Tick label for an x value
+ * @param {Function} options.formatY - Tick label for a y value
+ * @param {Boolean} options.invertY - Draw small values at the top (splits: faster is higher)
+ * @param {Array} options.shading - Highlighted x ranges {from, to} (e.g. hard pieces)
+ * @param {Object|null} options.selection - x range being dragged {from, to}
+ * @returns {Object|null} {pixelToX} for turning pointer positions into x values, or null without canvas support
+ */
+function drawLineChart(canvas, options) {
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return null;
+
+    // Sharp lines on high-density screens
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    const plot = {
+        left: CHART_PADDING.left,
+        right: width - CHART_PADDING.right,
+        top: CHART_PADDING.top,
+        bottom: height - CHART_PADDING.bottom
+    };
+    const [xMin, xMax] = options.xRange;
+    const visible = options.points.filter(p => p.x >= xMin && p.x <= xMax);
+    const [yMin, yMax] = getChartValueRange(visible.map(p => p.y));
+
+    const xToPixel = x => plot.left + (x - xMin) / (xMax - xMin || 1) * (plot.right - plot.left);
+    const yToPixel = y => {
+        const fraction = (y - yMin) / (yMax - yMin);
+        return options.invertY
+            ? plot.top + fraction * (plot.bottom - plot.top)
+            : plot.bottom - fraction * (plot.bottom - plot.top);
+    };
+
+    // Shaded ranges (pieces) and the selection being dragged
+    const shade = (range, fill) => {
+        const from = Math.max(plot.left, xToPixel(range.from));
+        const to = Math.min(plot.right, xToPixel(range.to));
+        if (to <= from) return;
+        context.fillStyle = fill;
+        context.fillRect(from, plot.top, to - from, plot.bottom - plot.top);
+    };
+    (options.shading || []).forEach(range => shade(range, 'rgba(255, 215, 0, 0.15)'));
+    if (options.selection) shade(options.selection, 'rgba(255, 255, 255, 0.25)');
+
+    // Grid and tick labels
+    context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    context.font = '11px Arial';
+    context.lineWidth = 1;
+
+    const yStep = getNiceStep(yMax - yMin, 4);
+    context.textAlign = 'right';
+    context.textBaseline = 'middle';
+    for (let y = Math.ceil(yMin / yStep) * yStep; y <= yMax; y += yStep) {
+        const py = yToPixel(y);
+        context.beginPath();
+        context.moveTo(plot.left, py);
+        context.lineTo(plot.right, py);
+        context.stroke();
+        context.fillText(options.formatY(y), plot.left - 4, py);
+    }
+
+    const xStep = getNiceStep(xMax - xMin || 1, 5);
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    for (let x = Math.ceil(xMin / xStep) * xStep; x <= xMax; x += xStep) {
+        context.fillText(options.formatX(x), xToPixel(x), plot.bottom + 4);
+    }
+
+    // Title
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillText(options.title, plot.left, 4);
+
+    // Line (clipped to the plot so zoomed-out points don't spill over the labels)
+    context.save();
+    context.beginPath();
+    context.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+    context.clip();
+    context.strokeStyle = options.color;
+    context.lineWidth = 1.5;
+    context.beginPath();
+    options.points.forEach((p, i) => {
+        if (i === 0) context.moveTo(xToPixel(p.x), yToPixel(p.y));
+        else context.lineTo(xToPixel(p.x), yToPixel(p.y));
+    });
+    context.stroke();
+    context.restore();
+
+    return {
+        pixelToX: px => xMin + (Math.min(Math.max(px, plot.left), plot.right) - plot.left) /
+            (plot.right - plot.left) * (xMax - xMin)
+    };
+}
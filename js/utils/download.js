@@ -0,0 +1,36 @@
+/**
+ * Speedcox - File Download Helpers
+ * Shared by the workout exporters and the sensor recorder
+ */
+
+/**
+ * Formats a timestamp for use in file names, e.g. "2025-09-30-0715"
+ * @param {Number} ms - Timestamp in milliseconds
+ * @returns {String} Local date and time without separators that files dislike
+ */
+function getFileTimestamp(ms) {
+    const date = new Date(ms);
+    const pad = n => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * Saves data to the user's device as a file
+ * @param {String|Uint8Array} content - File contents
+ * @param {String} type - MIME type
+ * @param {String} fileName - Suggested file name
+ */
+function downloadFile(content, type, fileName) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
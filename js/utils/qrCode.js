@@ -0,0 +1,351 @@
+/**
+ * Speedcox - QR Code Encoder
+ * Turns text into a QR code (byte mode, error correction level L) and
+ * draws it on a <canvas>, so crew connection codes can be passed between
+ * phones with no internet. Versions 1-20 (up to 858 bytes) are supported,
+ * which is plenty for a WebRTC offer or answer.
+ */
+
+// Error correction level L, versions 1-20: [EC codewords per block, [blocks, data codewords per block]...]
+const QR_BLOCKS = [
+    null,
+    [7, [1, 19]], [10, [1, 34]], [15, [1, 55]], [20, [1, 80]], [26, [1, 108]],
+    [18, [2, 68]], [20, [2, 78]], [24, [2, 97]], [30, [2, 116]], [18, [2, 68], [2, 69]],
+    [20, [4, 81]], [24, [2, 92], [2, 93]], [26, [4, 107]], [30, [3, 115], [1, 116]], [22, [5, 87], [1, 88]],
+    [24, [5, 98], [1, 99]], [28, [1, 107], [5, 108]], [30, [5, 120], [1, 121]], [28, [3, 113], [4, 114]], [28, [3, 107], [5, 108]]
+];
+
+// Alignment pattern centres for versions 1-20
+const QR_ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50], [6, 30, 54], [6, 32, 58], [6, 34, 62],
+    [6, 26, 46, 66], [6, 26, 48, 70], [6, 26, 50, 74], [6, 30, 54, 78], [6, 30, 56, 82], [6, 30, 58, 86], [6, 34, 62, 90]
+];
+
+// Data masks - module (x, y) is flipped where the mask is true
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+/* =============================================================================
+ * REED-SOLOMON (GF(256), polynomial 0x11D)
+ * ============================================================================= */
+
+/**
+ * Multiplies two numbers in GF(256)
+ * @param {Number} a - Field element
+ * @param {Number} b - Field element
+ * @returns {Number} Product
+ */
+function qrMultiply(a, b) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+        result = (result << 1) ^ ((result >>> 7) * 0x11D);
+        result ^= ((b >>> i) & 1) * a;
+    }
+    return result;
+}
+
+/**
+ * Error correction codewords for one block
+ * @param {Array<Number>} data - Data codewords
+ * @param {Number} degree - Number of EC codewords
+ * @returns {Array<Number>} EC codewords
+ */
+function getQrErrorCorrection(data, degree) {
+    // Generator polynomial (x - 1)(x - 2)(x - 4)... without its leading 1
+    const generator = new Array(degree).fill(0);
+    generator[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            generator[j] = qrMultiply(generator[j], root) ^ (j + 1 < degree ? generator[j + 1] : 0);
+        }
+        root = qrMultiply(root, 2);
+    }
+
+    // Remainder of data / generator
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        generator.forEach((coefficient, i) => {
+            remainder[i] ^= qrMultiply(coefficient, factor);
+        });
+    });
+    return remainder;
+}
+
+/* =============================================================================
+ * ENCODING
+ * ============================================================================= */
+
+/**
+ * Data codewords available in a version
+ * @param {Number} version - QR version (1-20)
+ * @returns {Number} Codeword count
+ */
+function getQrDataCapacity(version) {
+    return QR_BLOCKS[version].slice(1).reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+}
+
+/**
+ * Builds the codeword sequence (data and EC, interleaved) for some bytes
+ * @param {Uint8Array} bytes - Text as UTF-8
+ * @param {Number} version - QR version
+ * @returns {Array<Number>} Codewords in placement order
+ */
+function buildQrCodewords(bytes, version) {
+    const capacity = getQrDataCapacity(version);
+
+    // Mode (byte), length, data, terminator, then pad to whole bytes
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+    // Split into blocks, add error correction, then interleave
+    const [ecLength, ...groups] = QR_BLOCKS[version];
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const blockData = data.slice(offset, offset + size);
+            blocks.push({ data: blockData, ec: getQrErrorCorrection(blockData, ecLength) });
+            offset += size;
+        }
+    });
+
+    const codewords = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) codewords.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => codewords.push(block.ec[i]));
+    }
+    return codewords;
+}
+
+/**
+ * Format bits (error correction level L and the mask) with their BCH code
+ * @param {Number} mask - Mask number (0-7)
+ * @returns {Number} 15 format bits
+ */
+function getQrFormatBits(mask) {
+    const data = (0b01 << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+/**
+ * Version bits with their BCH code (versions 7 and up)
+ * @param {Number} version - QR version
+ * @returns {Number} 18 version bits
+ */
+function getQrVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    return (version << 12) | remainder;
+}
+
+/**
+ * Penalty score for a masked symbol (lower reads better)
+ * Runs of one colour, 2x2 blocks and dark/light balance - the finder-lookalike
+ * rule is left out, which only makes the mask choice a little less picky
+ * @param {Array<Array<Boolean>>} modules - Finished symbol
+ * @returns {Number} Penalty
+ */
+function getQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    for (let a = 0; a < size; a++) {
+        let rowRun = 1;
+        let columnRun = 1;
+        for (let b = 0; b < size; b++) {
+            if (modules[a][b]) dark++;
+            if (b === 0) continue;
+
+            rowRun = modules[a][b] === modules[a][b - 1] ? rowRun + 1 : 1;
+            columnRun = modules[b][a] === modules[b - 1][a] ? columnRun + 1 : 1;
+            if (rowRun === 5) penalty += 3; else if (rowRun > 5) penalty++;
+            if (columnRun === 5) penalty += 3; else if (columnRun > 5) penalty++;
+
+            const colour = modules[a][b];
+            if (a > 0 && modules[a - 1][b] === colour && modules[a - 1][b - 1] === colour && modules[a][b - 1] === colour) {
+                penalty += 3;
+            }
+        }
+    }
+
+    return penalty + Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+}
+
+/**
+ * Encodes text as a QR code
+ * @param {String} text - Text to encode
+ * @returns {Array<Array<Boolean>>} Modules [row][column], true = dark
+ * @throws {Error} If the text is too long for a version 20 code
+ */
+function encodeQrCode(text) {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    while (version < QR_BLOCKS.length && getQrDataCapacity(version) * 8 < 4 + (version < 10 ? 8 : 16) + bytes.length * 8) {
+        version++;
+    }
+    if (version >= QR_BLOCKS.length) throw new Error(`Too much data for a QR code (${bytes.length} bytes)`);
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their light separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const ring = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, ring !== 2 && ring !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns (not where they would sit on a finder)
+    const centres = QR_ALIGNMENT[version];
+    const last = centres.length - 1;
+    centres.forEach((cy, i) => centres.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Format and version areas
+    const drawFormat = mask => {
+        const bits = getQrFormatBits(mask);
+        const bit = i => ((bits >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+        setFunction(8, size - 8, true);  // Always-dark module
+    };
+    drawFormat(0);
+
+    if (version >= 7) {
+        const bits = getQrVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Data, zig-zagging up and down two columns at a time from the bottom right
+    const codewords = buildQrCodewords(bytes, version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;  // Skip the vertical timing pattern
+        const upward = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (let x = right; x > right - 2; x--) {
+                if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+
+    // Try every mask and keep the one that reads best
+    const applyMask = mask => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+    let best = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((_, mask) => {
+        applyMask(mask);
+        drawFormat(mask);
+        const penalty = getQrPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(mask);  // Masks are XOR - applying again undoes it
+    });
+    applyMask(best);
+    drawFormat(best);
+
+    return modules;
+}
+
+/**
+ * Draws text as a QR code filling a canvas (with the 4-module quiet zone)
+ * @param {HTMLCanvasElement} canvas - Target canvas (sized to its CSS box)
+ * @param {String} text - Text to encode
+ * @returns {Boolean} True if drawn; false without canvas support
+ * @throws {Error} If the text is too long for a QR code
+ */
+function drawQrCode(canvas, text) {
+    const modules = encodeQrCode(text);
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return false;
+
+    const count = modules.length + 8;
+    const scale = Math.max(1, Math.floor(Math.min(canvas.clientWidth, canvas.clientHeight) * (window.devicePixelRatio || 1) / count));
+    canvas.width = count * scale;
+    canvas.height = count * scale;
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000000';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) context.fillRect((x + 4) * scale, (y + 4) * scale, scale, scale);
+    }));
+    return true;
+}
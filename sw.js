@@ -1,41 +1,92 @@
-const CACHE_NAME = 'rowing-speedcoach-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/icon-192.png',
-  '/icon-512.png'
-];
+/**
+ * Speedcox - Service Worker
+ * Keeps the whole app in a cache so it runs with no signal on the water,
+ * and uploads finished workouts through Background Sync once online
+ *
+ * The asset list and cache version come from asset-manifest.js, which
+ * tools/build-manifest.js regenerates from the files the app loads. Any
+ * change to an asset changes the version, which makes the browser install
+ * this worker again with a fresh cache; the page then offers the update.
+ */
 
+importScripts('asset-manifest.js', 'js/services/storage.js', 'js/services/upload.js');
+
+const CACHE_PREFIX = 'speedcox-';
+const CACHE_NAME = CACHE_PREFIX + self.ASSET_MANIFEST.version;
+
+/* =============================================================================
+ * INSTALL & ACTIVATE
+ * ============================================================================= */
+
+// Precache every asset - a missing file fails the install, so a broken
+// version never replaces a working one
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        return cache.addAll(urlsToCache);
-      })
-  );
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(self.ASSET_MANIFEST.assets.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+// Remove caches from older versions (including the old 'rowing-speedcoach-v1')
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(cacheNames => Promise.all(
+                cacheNames
+                    .filter(cacheName => cacheName !== CACHE_NAME)
+                    .map(cacheName => caches.delete(cacheName))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page's "Reload" button - take over from the old version now
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
 });
 
+/* =============================================================================
+ * FETCH
+ * ============================================================================= */
+
+// Cache first for the app's own files; everything else (uploads, other
+// sites) goes straight to the network
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Return cached version or fetch from network
-        return response || fetch(event.request);
-      })
-  );
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache => cache.match(request, { ignoreSearch: true })
+            .then(cached => cached || fetch(request).catch(error => {
+                // Offline page loads fall back to the cached app
+                if (request.mode === 'navigate') return cache.match('index.html');
+                throw error;
+            })))
+    );
 });
 
-self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
-  );
+/* =============================================================================
+ * BACKGROUND SYNC
+ * ============================================================================= */
+
+/**
+ * Tells open pages that an upload run finished (so they refresh the queue count)
+ * @param {Object} result - {uploaded, failed}
+ */
+function notifyUploadsFinished(result) {
+    return self.clients.matchAll().then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'uploads-finished', result: result }));
+    });
+}
+
+// A rejected promise makes the browser retry the sync later
+self.addEventListener('sync', (event) => {
+    if (event.tag !== UPLOAD_SYNC_TAG) return;
+
+    event.waitUntil(
+        uploadPendingWorkouts()
+            .then(result => notifyUploadsFinished(result))
+            .catch(error => notifyUploadsFinished(error.result || { uploaded: 0, failed: 0 })
+                .then(() => { throw error; }))
+    );
 });
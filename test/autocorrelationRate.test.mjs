@@ -0,0 +1,83 @@
+/**
+ * Speedcox - Autocorrelation Stroke Rate Tests
+ * Feeds the estimator acceleration histories with a known period
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateAutocorrelationRate } from '../js/services/autocorrelationRate.mjs';
+
+/**
+ * Acceleration history like the engine keeps (10 s, oldest first)
+ * @param {Function} shape - Returns the magnitude at t seconds
+ * @param {Object} options - {seconds, hz, jitter (ms of uneven sample timing)}
+ * @returns {Array} {magnitude, timestamp}
+ */
+function history(shape, { seconds = 10, hz = 60, jitter = 0 } = {}) {
+    const samples = [];
+    for (let i = 0; i < seconds * hz; i++) {
+        const t = i / hz;
+        samples.push({ magnitude: 9.81 + shape(t), timestamp: Math.round(t * 1000 + jitter * Math.sin(i * 12.9898)) });
+    }
+    return samples;
+}
+
+/**
+ * A stroke-like pulse: a sharp catch then a longer, weaker drive
+ * @param {Number} rate - SPM
+ * @param {Number} width - Seconds the catch spike lasts
+ * @returns {Function} Magnitude offset at t seconds
+ */
+function strokeShape(rate, width = 0.2) {
+    const period = 60 / rate;
+    return t => {
+        const sinceCatch = t % period;
+        if (sinceCatch < width) return 6 * Math.sin(Math.PI * sinceCatch / width);
+        if (sinceCatch < width + 0.6) return 1.5 * Math.sin(Math.PI * (sinceCatch - width) / 0.6);
+        return 0;
+    };
+}
+
+describe('estimateAutocorrelationRate', () => {
+    test('finds the stroke rate across the range', () => {
+        for (const rate of [14, 18, 24, 32, 40, 50]) {
+            const estimate = estimateAutocorrelationRate(history(strokeShape(rate), { jitter: 4 }));
+            assert.ok(estimate, `${rate} SPM`);
+            assert.ok(Math.abs(estimate.rate - rate) < 0.5, `${estimate.rate} at ${rate} SPM`);
+            assert.ok(Math.abs(estimate.period - 60 / rate) < 0.05);
+            assert.ok(estimate.confidence > 0.8 && estimate.confidence <= 1, `confidence ${estimate.confidence}`);
+        }
+    });
+
+    test('does not lock onto two strokes', () => {
+        // Alternating strong and weak strokes still repeat every stroke
+        const shape = strokeShape(24);
+        const estimate = estimateAutocorrelationRate(history(t => shape(t) * (Math.floor(t / 2.5) % 2 ? 0.8 : 1)));
+        assert.ok(Math.abs(estimate.rate - 24) < 0.5, `rate ${estimate.rate}`);
+    });
+
+    test('a wide catch spike is still one stroke', () => {
+        const estimate = estimateAutocorrelationRate(history(strokeShape(22, 0.4)));
+        assert.ok(Math.abs(estimate.rate - 22) < 0.5, `rate ${estimate.rate}`);
+    });
+
+    test('needs two of the slowest strokes of data', () => {
+        assert.equal(estimateAutocorrelationRate([]), null);
+        assert.equal(estimateAutocorrelationRate(history(strokeShape(24), { seconds: 6 })), null);
+    });
+
+    test('no rhythm gives no rate', () => {
+        let state = 1;
+        const noise = () => {
+            state = (state * 16807) % 2147483647;
+            return state / 2147483647 - 0.5;
+        };
+        assert.equal(estimateAutocorrelationRate(history(noise)), null);
+        assert.equal(estimateAutocorrelationRate(history(() => 0)), null);
+    });
+
+    test('the estimate is stamped with the latest sample', () => {
+        const samples = history(strokeShape(20));
+        assert.equal(estimateAutocorrelationRate(samples).timestamp, samples[samples.length - 1].timestamp);
+    });
+});
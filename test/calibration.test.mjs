@@ -0,0 +1,97 @@
+/**
+ * Speedcox - Sensitivity Calibration Tests
+ * Fits the detection settings to made-up calibration runs, then rows the
+ * same run through a workout engine with the fitted settings to check a
+ * workout counts what the calibration report says. Run with:
+ *
+ *     node --test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CALIBRATION_STROKES, fitDetectionSettings } from '../js/models/calibration.mjs';
+import { createWorkoutEngine, addGpsFix, addMotionSample, DEFAULT_DETECTION_SETTINGS as SETTINGS } from '../js/engine/workoutEngine.mjs';
+import { START, gpsTrace, surgeTrace } from './helpers.mjs';
+
+const RATE = 24;
+const WARM_UP = 10;     // Seconds rowed before the calibration starts
+
+/* =============================================================================
+ * CALIBRATION RUN
+ * ============================================================================= */
+
+/**
+ * A calibration run at RATE after WARM_UP seconds of rowing: a phone lying
+ * flat with its y axis along the boat (with a jolt at each drive for the
+ * spike detector) and a GPS track whose speed surges once per stroke
+ * @returns {Object} Run for fitDetectionSettings(), plus {positions} as from the Geolocation API
+ */
+function calibrationRun() {
+    const startTime = START + WARM_UP * 1000;
+    const endTime = startTime + CALIBRATION_STROKES * 60000 / RATE;
+    const seconds = (endTime - START) / 1000;
+    const samples = surgeTrace({ seconds, rate: RATE, jolt: 6 }).filter(sample => sample.timestamp >= startTime);
+    const positions = gpsTrace({ seconds, rate: RATE }).fixes;
+
+    // The controller hands over the engine's track points
+    const fixes = positions.map(position => ({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        timestamp: position.timestamp,
+        accuracy: position.coords.accuracy,
+        speed: position.coords.speed
+    }));
+    return { targetRate: RATE, startTime, endTime, samples, fixes, gravity: null, positions };
+}
+
+/**
+ * Strokes a workout engine counts in the calibration window
+ * @param {Object} run - From calibrationRun()
+ * @param {Object} options - {method, motionDetector}
+ * @param {Object} settings - Detection settings
+ * @returns {Number} Strokes
+ */
+function countWorkoutStrokes(run, options, settings) {
+    const engine = createWorkoutEngine({ ...options, settings });
+    const events = options.method === 'gps'
+        ? run.positions.flatMap(position => addGpsFix(engine, position))
+        : run.samples.flatMap(sample => addMotionSample(engine, sample));
+    return events.filter(event => event.timestamp >= run.startTime && event.timestamp <= run.endTime).length;
+}
+
+/* =============================================================================
+ * TESTS
+ * ============================================================================= */
+
+describe('fitDetectionSettings', () => {
+    const run = calibrationRun();
+    const { settings, report } = fitDetectionSettings(run, SETTINGS);
+
+    test('every detector finds the calibration strokes', () => {
+        for (const detector of ['spike', 'axis', 'gps']) {
+            assert.ok(report[detector], `${detector} saw no strokes`);
+            assert.equal(report[detector].expected, CALIBRATION_STROKES);
+            assert.equal(report[detector].count, CALIBRATION_STROKES, detector);
+        }
+    });
+
+    test('lockouts follow the target rate', () => {
+        // 0.6 of the 2.5 s stroke, within each detector's limits
+        assert.equal(settings.spikeLockout, 1500);
+        assert.equal(settings.axisMinInterval, 1500);
+        assert.equal(settings.speedPeakGap, 1500);
+    });
+
+    test('a workout with the fitted settings counts what the report says', () => {
+        assert.equal(countWorkoutStrokes(run, { method: 'motion', motionDetector: 'spike' }, settings), report.spike.count);
+        assert.equal(countWorkoutStrokes(run, { method: 'motion', motionDetector: 'axis' }, settings), report.axis.count);
+        assert.equal(countWorkoutStrokes(run, { method: 'gps' }, settings), report.gps.count);
+    });
+
+    test('detectors without data keep their settings', () => {
+        const fitted = fitDetectionSettings({ ...run, samples: [], fixes: [] }, SETTINGS);
+        assert.deepEqual(fitted.report, { spike: null, axis: null, gps: null });
+        assert.equal(fitted.settings.spikeThreshold, SETTINGS.spikeThreshold);
+        assert.equal(fitted.settings.speedPeakThreshold, SETTINGS.speedPeakThreshold);
+    });
+});
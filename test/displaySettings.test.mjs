@@ -0,0 +1,44 @@
+/**
+ * Speedcox - Display Values Tests
+ * models/displaySettings.js is a classic script (its functions are page
+ * globals), so it is run in a context of its own here and its functions
+ * are called from there
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { createWorkoutEngine, addGpsFix, getEngineMetrics, DEFAULT_DETECTION_SETTINGS } from '../js/engine/workoutEngine.mjs';
+import { START, gpsTrace, feed } from './helpers.mjs';
+
+const display = vm.createContext({});
+vm.runInContext(fs.readFileSync(new URL('../js/models/displaySettings.js', import.meta.url), 'utf8'), display);
+
+const UNITS = { speed: 'ms', split: 500 };
+
+describe('getDisplayValues', () => {
+    const engine = createWorkoutEngine({ method: 'gps', settings: DEFAULT_DETECTION_SETTINGS });
+    feed(engine, addGpsFix, gpsTrace({ seconds: 30 }).fixes);
+
+    test('shows the split and speed while fixes come in', () => {
+        const values = display.getDisplayValues(30, getEngineMetrics(engine, START + 30000, 5), UNITS);
+        assert.match(values.split, /^2:0\d$/);
+        assert.match(values.speed, /^[34]\.\d\d$/);
+        assert.equal(values.time, '0:30');
+    });
+
+    test('blanks the split and speed once the last fix is stale', () => {
+        const values = display.getDisplayValues(40, getEngineMetrics(engine, START + 40000, 1), UNITS);
+        assert.equal(values.split, '--:--');
+        assert.equal(values.speed, '--');
+        assert.equal(values.distance, Math.round(engine.distance) + 'm');
+    });
+
+    test('uses the chosen units', () => {
+        const values = display.getDisplayValues(30, { ...getEngineMetrics(engine, START + 30000, 5), split: 125, speed: 4 },
+            { speed: 'kmh', split: 1000 });
+        assert.equal(values.split, '4:10');
+        assert.equal(values.speed, '14.4');
+    });
+});
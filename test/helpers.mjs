@@ -0,0 +1,107 @@
+/**
+ * Speedcox - Test Helpers
+ * Made-up GPS and accelerometer traces shared by the tests, and a way to
+ * feed them into an engine
+ */
+
+export const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+export const START = Date.UTC(2026, 4, 1, 7, 0, 0);
+
+/* =============================================================================
+ * TRACES
+ * ============================================================================= */
+
+/**
+ * Small repeatable random numbers for GPS noise
+ * @param {Number} seed - Any positive integer
+ * @returns {Function} Returns -0.5 to 0.5
+ */
+export function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647 - 0.5;
+    };
+}
+
+/**
+ * GPS fixes of a boat rowing due north, its speed surging once per stroke
+ * @param {Object} options - {seconds, rate (SPM), speed (m/s), noise (m), stopped}
+ * @returns {Object} {fixes, distance (m actually rowed)}
+ */
+export function gpsTrace({ seconds, rate = 20, speed = 4, noise = 0, stopped = false }) {
+    const random = createRandom(7);
+    const fixes = [];
+    let north = 0;
+
+    for (let ms = 0; ms <= seconds * 1000; ms += 50) {
+        const phase = (ms / 1000 * rate / 60) % 1;
+        if (!stopped) north += speed * (1 + 0.2 * Math.sin(2 * Math.PI * phase)) * 0.05;
+        if (ms % 1000 === 0) {
+            fixes.push({
+                timestamp: START + ms,
+                coords: {
+                    latitude: 51.5 + (north + noise * random()) / METERS_PER_DEGREE,
+                    longitude: -0.1 + noise * random() / METERS_PER_DEGREE / Math.cos(51.5 * Math.PI / 180),
+                    accuracy: 5,
+                    speed: null,
+                    heading: null
+                }
+            });
+        }
+    }
+    return { fixes: fixes, distance: north };
+}
+
+/**
+ * Accelerometer samples from a phone lying flat, its y axis along the boat:
+ * a sharp check at each catch, then the drive, then a slow recovery
+ * @param {Object} options - {seconds, rate (SPM), hz, jolt (m/s² up, 0.5 s into the drive)}
+ * @returns {Array} Motion samples {timestamp, ig, a}
+ */
+export function surgeTrace({ seconds, rate, hz = 50, jolt = 0 }) {
+    const period = 60 / rate;
+    const samples = [];
+
+    for (let i = 0; i <= seconds * hz; i++) {
+        const t = i / hz;
+        const sinceCatch = t % period;
+        let surge;
+        if (sinceCatch < 0.15) surge = -4 * Math.sin(Math.PI * sinceCatch / 0.15);
+        else if (sinceCatch < 0.85) surge = 2.5 * Math.sin(Math.PI * (sinceCatch - 0.15) / 0.7);
+        else surge = -0.6 * Math.sin(Math.PI * (sinceCatch - 0.85) / (period - 0.85));
+        let heave = 0.3 * Math.sin(2 * Math.PI * 0.7 * t);
+        if (sinceCatch >= 0.5 && sinceCatch < 0.5 + 1 / hz) heave += jolt;
+
+        samples.push({ timestamp: START + Math.round(t * 1000), ig: [0, surge, 9.81 + heave], a: [0, surge, heave] });
+    }
+    return samples;
+}
+
+/**
+ * Accelerometer samples with one jolt per stroke (no linear acceleration reported)
+ * @param {Object} options - {seconds, rate (SPM), hz, width (s, one sample by default)}
+ * @returns {Array} Motion samples {timestamp, ig, a}
+ */
+export function joltTrace({ seconds, rate, hz = 50, width = 1 / hz }) {
+    const period = 60 / rate;
+    const samples = [];
+
+    for (let i = 0; i <= seconds * hz; i++) {
+        const t = i / hz;
+        const jolt = t % period < width ? 6 : 0;
+        samples.push({ timestamp: START + Math.round(t * 1000), ig: [0, 0.5 * Math.sin(2 * Math.PI * t / period), 9.81 + jolt], a: null });
+    }
+    return samples;
+}
+
+/**
+ * Feeds samples into an engine
+ * @param {Object} engine - Engine state
+ * @param {Function} add - addGpsFix or addMotionSample
+ * @param {Array} samples - Samples in time order
+ * @returns {Array} Every event the engine reported
+ */
+export function feed(engine, add, samples) {
+    return samples.flatMap(sample => add(engine, sample));
+}
@@ -0,0 +1,123 @@
+/**
+ * Speedcox - Workout Engine Tests (sensor logs)
+ * Replays every sensor log in test/fixtures through the engine, the way
+ * the Replay panel does in the app. Each log is checked for sane output;
+ * logs listed in EXPECTED are also checked against what was rowed.
+ *
+ * single-20spm.json is a generated outing in the recorder's format (phone
+ * tilted on its mount, 8 s at rest, 45 s at 20 SPM, 7 s easy, 193.5 m).
+ * Logs saved with "Record Sensor Log" can be dropped into test/fixtures too.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    createWorkoutEngine, addGpsFix, addMotionSample, getEngineMetrics, getEngineSummary,
+    DEFAULT_DETECTION_SETTINGS as SETTINGS
+} from '../js/engine/workoutEngine.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// What was rowed in the logs we know: distance (m), strokes and rate (SPM) as [min, max]
+const EXPECTED = {
+    'single-20spm.json': {
+        distance: [184, 203],
+        motionStrokes: [17, 18],
+        motionRate: [19, 21],
+        autocorrRate: [19, 21],
+        gpsRate: [14, 22]
+    }
+};
+
+/**
+ * Runs a sensor log through a new engine
+ * Motion and GPS samples are merged in the order the app received them
+ * @param {Object} log - Sensor log (see services/sensorRecorder.js)
+ * @param {Object} options - {method, motionDetector}
+ * @returns {Object} {engine, events}
+ */
+function replayLog(log, options) {
+    const engine = createWorkoutEngine({ ...options, settings: SETTINGS });
+    const samples = [
+        ...log.motion.map(sample => ({ t: sample.t, type: 'motion', sample })),
+        ...log.gps.map(sample => ({ t: sample.t, type: 'gps', sample }))
+    ].sort((a, b) => a.t - b.t);
+
+    const events = samples.flatMap(({ type, sample }) => type === 'motion'
+        ? addMotionSample(engine, { timestamp: sample.t, ig: sample.ig, a: sample.a })
+        : addGpsFix(engine, {
+            timestamp: sample.timestamp,
+            coords: {
+                latitude: sample.latitude,
+                longitude: sample.longitude,
+                accuracy: sample.accuracy,
+                speed: sample.speed,
+                heading: sample.heading
+            }
+        }));
+    return { engine, events };
+}
+
+/**
+ * Checks a value is within [min, max]
+ * @param {Number} value - Value to check
+ * @param {Array<Number>} range - [min, max]
+ * @param {String} name - For the failure message
+ */
+function assertWithin(value, range, name) {
+    assert.ok(value >= range[0] && value <= range[1], `${name} ${value} not in ${range[0]}-${range[1]}`);
+}
+
+const logFiles = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.json'));
+
+for (const file of logFiles) {
+    const log = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+    const duration = ((log.endTime || log.startTime) - log.startTime) / 1000;
+
+    describe(file, () => {
+        for (const motionDetector of ['spike', 'axis']) {
+            test(`gives sane numbers with the ${motionDetector} detector`, () => {
+                const { engine, events } = replayLog(log, { method: 'fused', motionDetector: motionDetector });
+
+                // Distance never goes backwards along the track
+                engine.track.forEach((point, i) => {
+                    if (i > 0) assert.ok(point.distance >= engine.track[i - 1].distance, `track point ${i}`);
+                });
+                assert.equal(engine.track.length, log.gps.length);
+
+                // Rates are capped, strokes are logged once
+                assert.ok(engine.strokeEvents.every(stroke => stroke.rate >= 0 && stroke.rate <= 40));
+                assert.ok(engine.strokeLog.every(record => record.source === 'gps'));
+                assert.equal(events.length, engine.strokeEvents.length);
+
+                const metrics = getEngineMetrics(engine, log.endTime || log.startTime, 5);
+                assert.ok(Number.isFinite(metrics.distance));
+                assert.ok(metrics.fused === null || (metrics.fused.confidence >= 0 && metrics.fused.confidence <= 1));
+
+                const summary = getEngineSummary(engine, duration);
+                assert.ok(summary.avgSplit === null || summary.avgSplit > 0);
+            });
+        }
+
+        const expected = EXPECTED[file];
+        if (!expected) return;
+
+        test('matches what was rowed', () => {
+            const gps = replayLog(log, { method: 'gps', motionDetector: 'spike' });
+            assertWithin(gps.engine.distance, expected.distance, 'distance');
+            assertWithin(getEngineMetrics(gps.engine, log.endTime, 5).rate, expected.gpsRate, 'GPS rate');
+
+            const motion = replayLog(log, { method: 'motion', motionDetector: 'axis' });
+            assertWithin(motion.engine.strokeLog.length, expected.motionStrokes, 'motion strokes');
+            assertWithin(getEngineMetrics(motion.engine, log.endTime, 5).rate, expected.motionRate, 'motion rate');
+            assertWithin(motion.engine.distance, expected.distance, 'distance with surge');
+
+            // From the repeating acceleration, even where the spike detector sees no strokes
+            const autocorr = replayLog(log, { method: 'autocorr', motionDetector: 'spike' });
+            assertWithin(getEngineMetrics(autocorr.engine, log.endTime, 5).rate, expected.autocorrRate, 'autocorrelation rate');
+        });
+    });
+}
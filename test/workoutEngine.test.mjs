@@ -0,0 +1,284 @@
+/**
+ * Speedcox - Workout Engine Tests (synthetic traces)
+ * Rows made-up boats through the engine: GPS fixes from a boat whose speed
+ * surges with each stroke, accelerometer samples with a catch/drive surge
+ * or a jolt per stroke, and rowing machine readings. Run with:
+ *
+ *     node --test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createWorkoutEngine, configureWorkoutEngine, startWorkoutEngine, getEngineCheckpoint, restoreWorkoutEngine, markWorkoutEngineGap,
+    addGpsFix, addMotionSample, addErgSample, addErgStroke, calculateDistance, getEngineMetrics, getEngineSummary,
+    DEFAULT_DETECTION_SETTINGS as SETTINGS
+} from '../js/engine/workoutEngine.mjs';
+import { START, gpsTrace, surgeTrace, joltTrace, feed } from './helpers.mjs';
+
+/* =============================================================================
+ * TESTS
+ * ============================================================================= */
+
+describe('calculateDistance', () => {
+    test('one degree of latitude is about 111 km', () => {
+        const distance = calculateDistance({ lat: 51, lng: 0 }, { lat: 52, lng: 0 });
+        assert.ok(Math.abs(distance - 111195) < 1, `got ${distance}`);
+    });
+
+    test('the same point is no distance', () => {
+        assert.equal(calculateDistance({ lat: 51.5, lng: -0.1 }, { lat: 51.5, lng: -0.1 }), 0);
+    });
+});
+
+describe('GPS fixes', () => {
+    test('distance, speed and split follow a steady row', () => {
+        const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        const trace = gpsTrace({ seconds: 60 });
+        feed(engine, addGpsFix, trace.fixes);
+
+        // The filter starts at rest, so the first couple of seconds come up short
+        assert.ok(engine.distance > trace.distance * 0.95 && engine.distance <= trace.distance, `got ${engine.distance}m of ${trace.distance}m`);
+
+        const metrics = getEngineMetrics(engine, START + 60000, 5);
+        assert.ok(Math.abs(metrics.speed - 4) < 0.1, `speed ${metrics.speed}`);
+        assert.ok(Math.abs(metrics.split - 125) < 3, `split ${metrics.split}`);
+        assert.equal(engine.track.length, trace.fixes.length);
+        assert.equal(engine.track[engine.track.length - 1].distance, engine.distance);
+    });
+
+    test('speed peaks give the stroke rate', () => {
+        for (const rate of [20, 30]) {
+            const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+            const strokes = feed(engine, addGpsFix, gpsTrace({ seconds: 60, rate: rate }).fixes);
+
+            assert.equal(getEngineMetrics(engine, START + 60000, 5).rate, rate);
+            assert.ok(strokes.length >= rate - 5, `${strokes.length} strokes at ${rate} SPM`);
+            assert.ok(strokes.every(event => event.type === 'stroke' && event.source === 'gps' && event.record));
+            assert.equal(engine.strokeLog.length, strokes.length);
+        }
+    });
+
+    test('drift at rest adds no distance and no strokes', () => {
+        const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        const strokes = feed(engine, addGpsFix, gpsTrace({ seconds: 60, stopped: true, noise: 4 }).fixes);
+
+        assert.ok(engine.distance < 5, `drifted ${engine.distance}m`);
+        assert.equal(getEngineMetrics(engine, START + 60000, 5).split, null);
+        assert.ok(strokes.length <= 2, `${strokes.length} strokes at rest`);
+    });
+
+    test('speed and split go blank once fixes stop', () => {
+        const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        feed(engine, addGpsFix, gpsTrace({ seconds: 30 }).fixes);
+
+        // A 1 s window is shorter than the fix interval, so the last fix stands in for a moment
+        assert.ok(getEngineMetrics(engine, START + 31500, 1).speed > 3.5);
+        assert.equal(getEngineMetrics(engine, START + 40000, 1).speed, null);
+        assert.equal(getEngineMetrics(engine, START + 40000, 1).split, null);
+    });
+
+    test('heart rate is recorded with each fix', () => {
+        const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        gpsTrace({ seconds: 3 }).fixes.forEach(fix => addGpsFix(engine, fix, 142));
+        assert.ok(engine.track.every(point => point.heartRate === 142));
+    });
+});
+
+describe('motion samples', () => {
+    test('the boat-axis detector finds each catch', () => {
+        for (const rate of [20, 24, 32]) {
+            const engine = createWorkoutEngine({ method: 'motion', motionDetector: 'axis', settings: SETTINGS });
+            const strokes = feed(engine, addMotionSample, surgeTrace({ seconds: 60, rate: rate }));
+
+            // The first catch comes before the detector has learnt the axis
+            assert.ok(strokes.length >= rate - 1 && strokes.length <= rate, `${strokes.length} strokes at ${rate} SPM`);
+            assert.equal(getEngineMetrics(engine, START + 60000, 5).rate, rate);
+            assert.equal(engine.strokeLog.length, strokes.length);
+        }
+    });
+
+    test('the spike detector counts one stroke per jolt', () => {
+        const engine = createWorkoutEngine({ method: 'motion', motionDetector: 'spike', settings: SETTINGS });
+        const strokes = feed(engine, addMotionSample, joltTrace({ seconds: 60, rate: 24 }));
+
+        assert.equal(strokes.length, 24);
+        assert.ok(Math.abs(engine.motionRate - 24) <= 2, `rate ${engine.motionRate}`);
+        assert.ok(strokes.every(event => event.source === 'motion'));
+    });
+
+    test('the spike lockout stops one stroke counting twice', () => {
+        const engine = createWorkoutEngine({ method: 'motion', motionDetector: 'spike', settings: { ...SETTINGS, spikeLockout: 5000 } });
+        const strokes = feed(engine, addMotionSample, joltTrace({ seconds: 60, rate: 24 }));
+        assert.ok(strokes.length <= 12, `${strokes.length} strokes`);
+    });
+
+    test('only the last 10 seconds of acceleration are kept', () => {
+        const engine = createWorkoutEngine({ method: 'motion', motionDetector: 'axis', settings: SETTINGS });
+        feed(engine, addMotionSample, surgeTrace({ seconds: 30, rate: 24 }));
+        assert.ok(engine.accelerationHistory[0].timestamp > START + 20000);
+    });
+});
+
+describe('stroke rate methods', () => {
+    /**
+     * GPS and motion traces of the same outing, in time order
+     * @returns {Array} [add function, sample] pairs
+     */
+    function combinedTrace() {
+        const gps = gpsTrace({ seconds: 60, rate: 20 }).fixes.map(fix => [addGpsFix, fix, fix.timestamp]);
+        const motion = surgeTrace({ seconds: 60, rate: 20 }).map(sample => [addMotionSample, sample, sample.timestamp]);
+        return gps.concat(motion).sort((a, b) => a[2] - b[2]);
+    }
+
+    test('strokes are logged once, from the selected source', () => {
+        for (const [method, source] of [['gps', 'gps'], ['motion', 'motion'], ['autocorr', 'motion'], ['both', 'gps'], ['fused', 'gps']]) {
+            const engine = createWorkoutEngine({ method: method, motionDetector: 'axis', settings: SETTINGS });
+            const events = combinedTrace().flatMap(([add, sample]) => add(engine, sample));
+
+            assert.ok(engine.strokeLog.length > 0);
+            assert.ok(engine.strokeLog.every(record => record.source === source), method);
+            assert.equal(events.filter(event => event.record).length, engine.strokeLog.length);
+            assert.equal(engine.strokeEvents.length, events.length);
+        }
+    });
+
+    test('the fused rate combines both sources', () => {
+        const engine = createWorkoutEngine({ method: 'fused', motionDetector: 'axis', settings: SETTINGS });
+        combinedTrace().forEach(([add, sample]) => add(engine, sample));
+
+        const metrics = getEngineMetrics(engine, START + 60000, 5);
+        assert.ok(metrics.fused);
+        assert.ok(Math.abs(metrics.rate - 20) < 1, `rate ${metrics.rate}`);
+        assert.equal(metrics.fused.disagreement, false);
+    });
+
+    test('the autocorrelation rate follows the rhythm, including above 40 SPM', () => {
+        for (const rate of [18, 28, 46]) {
+            const engine = createWorkoutEngine({ method: 'autocorr', motionDetector: 'axis', settings: SETTINGS });
+            feed(engine, addMotionSample, surgeTrace({ seconds: 30, rate: rate }));
+
+            const metrics = getEngineMetrics(engine, START + 30000, 5);
+            assert.equal(metrics.rate, rate);
+            assert.ok(metrics.autocorr.confidence > 0.8, `confidence ${metrics.autocorr.confidence}`);
+        }
+    });
+
+    test('the autocorrelation rate is not thrown off by wide spikes', () => {
+        // Each 0.3 s jolt is many samples over the threshold, which the spike detector counts
+        const trace = joltTrace({ seconds: 30, rate: 22, width: 0.3 });
+        const spike = createWorkoutEngine({ method: 'motion', motionDetector: 'spike', settings: SETTINGS });
+        const autocorr = createWorkoutEngine({ method: 'autocorr', motionDetector: 'spike', settings: SETTINGS });
+        feed(spike, addMotionSample, trace);
+        const strokes = feed(autocorr, addMotionSample, trace);
+
+        assert.equal(getEngineMetrics(spike, START + 30000, 5).rate, 40);
+        assert.equal(getEngineMetrics(autocorr, START + 30000, 5).rate, 22);
+
+        // Strokes carry the autocorrelation rate once there is one, so the summary does too
+        assert.ok(strokes.every(stroke => stroke.rate === 0 || stroke.rate === 22));
+        assert.equal(getEngineSummary(autocorr, 30).avgStrokeRate, 22);
+    });
+
+    test('the autocorrelation rate goes stale when motion stops', () => {
+        const engine = createWorkoutEngine({ method: 'autocorr', motionDetector: 'axis', settings: SETTINGS });
+        feed(engine, addMotionSample, surgeTrace({ seconds: 30, rate: 24 }));
+        assert.equal(getEngineMetrics(engine, START + 45000, 5).rate, null);
+    });
+
+    test('changing the method mid-workout logs the new source from then on', () => {
+        const engine = createWorkoutEngine({ method: 'gps', motionDetector: 'axis', settings: SETTINGS });
+        const trace = combinedTrace();
+        trace.slice(0, trace.length / 2).forEach(([add, sample]) => add(engine, sample));
+        configureWorkoutEngine(engine, { method: 'motion' });
+        trace.slice(trace.length / 2).forEach(([add, sample]) => add(engine, sample));
+
+        const sources = engine.strokeLog.map(record => record.source);
+        assert.ok(sources.includes('gps') && sources.includes('motion'));
+        assert.equal(sources.lastIndexOf('gps') < sources.indexOf('motion'), true);
+    });
+});
+
+describe('rowing machine', () => {
+    test('monitor distance, strokes and power go into the workout', () => {
+        const engine = createWorkoutEngine({ method: 'erg', settings: SETTINGS });
+        for (let i = 1; i <= 30; i++) {
+            const timestamp = START + i * 2500;
+            addErgSample(engine, { timestamp: timestamp, distance: i * 10, speed: 4, strokeRate: 24, power: 200, heartRate: 150 });
+            addErgStroke(engine, timestamp, { power: 200 + i, driveLength: 1.4, driveTime: 0.8, recoveryTime: 1.6 }, 24);
+        }
+
+        const metrics = getEngineMetrics(engine, START + 75000, 5);
+        assert.equal(metrics.distance, 300);
+        assert.equal(metrics.rate, 24);
+        assert.equal(metrics.split, 125);
+        assert.equal(engine.track[0].lat, null);
+        assert.equal(engine.track[0].heartRate, 150);
+
+        const last = engine.strokeLog[engine.strokeLog.length - 1];
+        assert.equal(last.power, 230);
+        assert.equal(last.driveRatio, 0.5);
+        assert.equal(last.distance, 10);
+        assert.equal(getEngineSummary(engine, 75).strokeCount, 30);
+    });
+});
+
+describe('summary and checkpoints', () => {
+    test('summary averages the whole workout', () => {
+        const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        feed(engine, addGpsFix, gpsTrace({ seconds: 60, rate: 30 }).fixes);
+
+        const summary = getEngineSummary(engine, 60);
+        assert.equal(summary.distance, engine.distance);
+        assert.ok(Math.abs(summary.avgSplit - 30000 / engine.distance) < 1e-9);
+        assert.ok(summary.avgStrokeRate > 25 && summary.avgStrokeRate <= 30, `rate ${summary.avgStrokeRate}`);
+        assert.ok(summary.avgDps > 6 && summary.avgDps < 10, `dps ${summary.avgDps}`);
+    });
+
+    test('an empty workout has no averages', () => {
+        const summary = getEngineSummary(createWorkoutEngine({ settings: SETTINGS }), 0);
+        assert.equal(summary.avgSplit, null);
+        assert.equal(summary.avgStrokeRate, null);
+        assert.equal(summary.avgDps, null);
+    });
+
+    test('a restored checkpoint carries on where it left off', () => {
+        const fixes = gpsTrace({ seconds: 60 }).fixes;
+        const straight = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        feed(straight, addGpsFix, fixes);
+
+        const first = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        feed(first, addGpsFix, fixes.slice(0, 30));
+        const saved = JSON.parse(JSON.stringify(getEngineCheckpoint(first)));
+        assert.equal(saved.accelerationHistory.length, 0);
+
+        const resumed = restoreWorkoutEngine(saved);
+        feed(resumed, addGpsFix, fixes.slice(30));
+        assert.equal(resumed.track.length, fixes.length);
+        assert.ok(Math.abs(resumed.distance - straight.distance) < 2, `${resumed.distance}m vs ${straight.distance}m`);
+    });
+
+    test('the stroke rate starts afresh after a gap in the recording', () => {
+        const fixes = gpsTrace({ seconds: 90, rate: 20 }).fixes;
+        const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        feed(engine, addGpsFix, fixes.slice(0, 30));
+
+        // The page froze for 15 s - no fix is compared across the gap
+        markWorkoutEngineGap(engine);
+        const strokes = feed(engine, addGpsFix, fixes.slice(45));
+
+        assert.ok(engine.speedPeaks.every(peak => peak.timestamp > START + 45000));
+        assert.ok(strokes.every(event => event.rate >= 18 && event.rate <= 22), strokes.map(event => event.rate).join(' '));
+    });
+
+    test('restarting after a stop keeps the totals but not the speed', () => {
+        const engine = createWorkoutEngine({ method: 'gps', settings: SETTINGS });
+        feed(engine, addGpsFix, gpsTrace({ seconds: 20 }).fixes);
+        const distance = engine.distance;
+
+        startWorkoutEngine(engine);
+        assert.equal(engine.distance, distance);
+        assert.equal(engine.filteredSpeed, 0);
+        assert.equal(getEngineMetrics(engine, START + 20000, 5).speed, null);
+    });
+});
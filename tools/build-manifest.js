@@ -0,0 +1,104 @@
+/**
+ * Speedcox - Build Manifest Generator
+ * Writes asset-manifest.js, the list of files the service worker precaches
+ * and a version hash of their contents. Run after changing any app file:
+ *
+ *     node tools/build-manifest.js
+ *
+ * The assets are the scripts and stylesheets index.html loads (and the ES
+ * modules those import), the web app manifest and its icons (those that
+ * exist), and the service worker's own imports.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = 'asset-manifest.js';
+
+/**
+ * Local files referenced by src="..." and href="..." in an HTML page
+ * @param {String} html - Page source
+ * @returns {Array<String>} Relative paths
+ */
+function findPageAssets(html) {
+    const assets = [];
+    const pattern = /\s(?:src|href)="([^"#?]+)"/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (!/^[a-z]+:|^\/\//i.test(match[1])) assets.push(match[1].replace(/^\.?\//, ''));
+    }
+    return assets;
+}
+
+/**
+ * ES modules imported by a module, and the modules those import
+ * @param {String} file - Relative path of a .mjs file
+ * @param {Set<String>} found - Paths collected so far (filled in)
+ * @returns {Set<String>} Relative paths
+ */
+function findModuleImports(file, found = new Set()) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const pattern = /^\s*(?:import|export)\s[^'"]*?from\s+'([^']+)'/gm;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const imported = path.posix.join(path.posix.dirname(file), match[1]);
+        if (!found.has(imported)) {
+            found.add(imported);
+            findModuleImports(imported, found);
+        }
+    }
+    return found;
+}
+
+/**
+ * Icons listed in the web app manifest that are actually in the repo
+ * @param {String} manifestPath - Path to manifest.json
+ * @returns {Array<String>} Relative paths
+ */
+function findManifestIcons(manifestPath) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return (manifest.icons || [])
+        .map(icon => icon.src.replace(/^\.?\//, ''))
+        .filter(src => fs.existsSync(path.join(ROOT, src)));
+}
+
+/**
+ * Builds the manifest
+ * @returns {Object} {version, assets}
+ */
+function buildManifest() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const pageAssets = findPageAssets(html);
+    const files = [
+        'index.html',
+        'manifest.json',
+        ...pageAssets,
+        ...pageAssets.filter(file => file.endsWith('.mjs')).flatMap(file => [...findModuleImports(file)]),
+        ...findManifestIcons(path.join(ROOT, 'manifest.json'))
+    ];
+    const unique = [...new Set(files)];
+
+    unique.forEach(file => {
+        if (!fs.existsSync(path.join(ROOT, file))) throw new Error(`index.html references missing file ${file}`);
+    });
+
+    // Version changes whenever any asset (or sw.js itself) changes
+    const hash = crypto.createHash('sha256');
+    unique.concat('sw.js').forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+    });
+
+    return {
+        version: hash.digest('hex').slice(0, 12),
+        assets: ['./'].concat(unique)
+    };
+}
+
+const manifest = buildManifest();
+fs.writeFileSync(path.join(ROOT, OUTPUT),
+    '// Generated by tools/build-manifest.js - do not edit by hand\n' +
+    `self.ASSET_MANIFEST = ${JSON.stringify(manifest, null, 4)};\n`);
+console.log(`📦 ${OUTPUT}: version ${manifest.version}, ${manifest.assets.length} assets`);
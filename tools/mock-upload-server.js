@@ -0,0 +1,66 @@
+/**
+ * Speedcox - Mock Upload Server
+ * Stand-in for a real workout endpoint, for testing uploads locally.
+ * Accepts workouts POSTed as JSON and prints a line for each:
+ *
+ *     node tools/mock-upload-server.js [port]
+ *
+ * Then set the Sync panel's Upload URL to http://localhost:8787/workouts.
+ * Start it with MOCK_FAIL=1 to answer 503, to see workouts stay queued.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.argv[2]) || 8787;
+const FAIL = process.env.MOCK_FAIL === '1';
+
+let received = 0;
+
+const server = http.createServer((request, response) => {
+    // The app is served from a different origin, so allow cross-origin POSTs
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+    if (request.method !== 'POST') {
+        response.writeHead(405);
+        response.end();
+        return;
+    }
+
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        if (FAIL) {
+            response.writeHead(503);
+            response.end();
+            console.log('✗ Refused upload (MOCK_FAIL=1)');
+            return;
+        }
+
+        let workout;
+        try {
+            workout = JSON.parse(body);
+        } catch (error) {
+            response.writeHead(400);
+            response.end('Body is not JSON');
+            return;
+        }
+
+        received++;
+        const distance = workout.summary ? Math.round(workout.summary.distance) : '?';
+        console.log(`✓ #${received} "${workout.name}" - ${distance}m, ` +
+            `${(workout.track || []).length} GPS points, ${(workout.strokes || []).length} strokes`);
+        response.writeHead(201, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ received: received }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock upload server on http://localhost:${PORT}/workouts`);
+});
@@ -0,0 +1,216 @@
+/**
+ * Speedcox - Telemetry Relay
+ * Reference relay for live telemetry on a local network (a laptop or a
+ * Raspberry Pi in the launch). Boats publish frames over WebSocket, every
+ * connected client gets every frame, and the coach dashboard is served
+ * from the same address:
+ *
+ *     node tools/telemetry-relay.js [port]
+ *
+ * Set each boat's Telemetry URL to ws://<this machine>:8788/ and open
+ * http://<this machine>:8788/ on the coach's phone or tablet.
+ * Uses only Node's built-in modules - nothing to install.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2]) || 8788;
+const DASHBOARD = path.join(__dirname, 'coach-dashboard.html');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';    // Fixed by RFC 6455
+const MAX_MESSAGE = 64 * 1024;      // Bytes - frames are a few hundred
+const BOAT_EXPIRY = 10 * 60 * 1000; // ms - boats silent this long aren't replayed to new viewers
+
+const clients = new Set();          // Open sockets
+const latestFrames = new Map();     // Boat ID -> {text, received} of its last frame
+
+/* =============================================================================
+ * WEBSOCKET FRAMING (RFC 6455, text messages only)
+ * ============================================================================= */
+
+/**
+ * Wraps a message in a WebSocket frame (server frames are not masked)
+ * @param {Number} opcode - 0x1 text, 0x8 close, 0xA pong
+ * @param {Buffer} payload - Message bytes
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Takes whole frames off the front of the received bytes
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} {frames: [{fin, opcode, payload}], rest: Buffer} - rest is an unfinished frame
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7f;
+        let position = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        if (length > MAX_MESSAGE) throw new Error('Message too large');
+
+        const masked = (second & 0x80) !== 0;
+        const mask = masked ? buffer.slice(position, position + 4) : null;
+        if (masked) position += 4;
+        if (buffer.length < position + length) break;
+
+        const payload = Buffer.from(buffer.slice(position, position + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload: payload });
+        offset = position + length;
+    }
+
+    return { frames: frames, rest: buffer.slice(offset) };
+}
+
+/* =============================================================================
+ * RELAY
+ * ============================================================================= */
+
+/**
+ * Passes a boat's frame to everyone else and remembers it for new viewers
+ * @param {Object} sender - Client the frame came from
+ * @param {String} text - Frame as JSON text
+ */
+function relayMessage(sender, text) {
+    let frame;
+    try {
+        frame = JSON.parse(text);
+    } catch (error) {
+        return;  // Not a telemetry frame
+    }
+    if (!frame || typeof frame.b !== 'string') return;
+
+    if (!latestFrames.has(frame.b)) console.log(`🚣 New boat: ${frame.b}`);
+    latestFrames.set(frame.b, { text: text, received: Date.now() });
+
+    const data = encodeFrame(0x1, Buffer.from(text));
+    clients.forEach(client => {
+        if (client !== sender) client.socket.write(data);
+    });
+}
+
+/**
+ * Handles a new WebSocket connection
+ * @param {net.Socket} socket - Upgraded connection
+ */
+function acceptClient(socket) {
+    const client = { socket: socket, buffer: Buffer.alloc(0), fragments: [] };
+    clients.add(client);
+    console.log(`+ Client connected (${clients.size} open)`);
+
+    // Catch a new viewer up with every boat still out
+    const now = Date.now();
+    latestFrames.forEach((entry, boat) => {
+        if (now - entry.received > BOAT_EXPIRY) latestFrames.delete(boat);
+        else socket.write(encodeFrame(0x1, Buffer.from(entry.text)));
+    });
+
+    const drop = () => {
+        if (!clients.delete(client)) return;
+        socket.destroy();
+        console.log(`- Client left (${clients.size} open)`);
+    };
+
+    socket.on('data', chunk => {
+        let decoded;
+        try {
+            decoded = decodeFrames(Buffer.concat([client.buffer, chunk]));
+        } catch (error) {
+            drop();
+            return;
+        }
+        client.buffer = decoded.rest;
+
+        decoded.frames.forEach(frame => {
+            if (frame.opcode === 0x8) {
+                socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                drop();
+            } else if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(0xA, frame.payload));
+            } else if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+                client.fragments.push(frame.payload);
+                if (frame.fin) {
+                    relayMessage(client, Buffer.concat(client.fragments).toString('utf8'));
+                    client.fragments = [];
+                }
+            }
+        });
+    });
+    socket.on('close', drop);
+    socket.on('error', drop);
+}
+
+/* =============================================================================
+ * SERVER
+ * ============================================================================= */
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'GET' && (request.url === '/' || request.url === '/index.html')) {
+        fs.readFile(DASHBOARD, (error, html) => {
+            if (error) {
+                response.writeHead(500);
+                response.end('Dashboard page missing');
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(html);
+        });
+        return;
+    }
+    response.writeHead(404);
+    response.end();
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    acceptClient(socket);
+});
+
+server.listen(PORT, () => {
+    console.log(`Telemetry relay on ws://localhost:${PORT}/ - coach dashboard at http://localhost:${PORT}/`);
+});